@@ -18,6 +18,7 @@ import { PlatformWrapperImplBrowser } from "./platform/browser/wrapper";
 import { PlatformWrapperImplElectron } from "./platform/electron/wrapper";
 import { PlatformWrapperInterface } from "./platform/wrapper";
 import { ApplicationSettings } from "./profile/application_settings";
+import { BlueprintLibrary } from "./profile/blueprint_library";
 import { SavegameManager } from "./savegame/savegame_manager";
 import { AboutState } from "./states/about";
 import { ChangelogState } from "./states/changelog";
@@ -25,6 +26,7 @@ import { InGameState } from "./states/ingame";
 import { KeybindingsState } from "./states/keybindings";
 import { MainMenuState } from "./states/main_menu";
 import { MobileWarningState } from "./states/mobile_warning";
+import { ModsState } from "./states/mods";
 import { PreloadState } from "./states/preload";
 import { SettingsState } from "./states/settings";
 import { ShapezGameAnalytics } from "./platform/browser/game_analytics";
@@ -60,6 +62,7 @@ export class Application {
         KeybindingsState,
         AboutState,
         ChangelogState,
+        ModsState,
     };
 
     constructor() {
@@ -74,6 +77,7 @@ export class Application {
         this.ticker = new AnimationFrame();
         this.stateMgr = new StateManager(this);
         this.savegameMgr = new SavegameManager(this);
+        this.blueprintLibrary = new BlueprintLibrary(this);
         this.inputMgr = new InputDistributor(this);
         this.backgroundResourceLoader = new BackgroundResourcesLoader(this);
 
@@ -31,6 +31,15 @@ export class Factory {
         this.idToEntry[id] = entry;
     }
 
+    /**
+     * Removes all entries, keeping the instance so references stay valid
+     */
+    clear() {
+        this.entries.length = 0;
+        this.entryIds.length = 0;
+        this.idToEntry = {};
+    }
+
     /**
      * Checks if a given id is registered
      * @param {string} id
@@ -79,6 +79,13 @@ export class FormElementInput extends FormElement {
                 maxlength = 4;
                 break;
             }
+
+            case "data": {
+                // E.g. blueprint strings, which can be very long
+                classes.push("input-data");
+                maxlength = 1000000;
+                break;
+            }
         }
 
         return `
@@ -161,7 +168,7 @@ export class FormElementCheckbox extends FormElement {
         this.element.classList.toggle("checked", this.value);
     }
 
-    focus(parent) {}
+    focus() {}
 }
 
 export class FormElementItemChooser extends FormElement {
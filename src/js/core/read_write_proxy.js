@@ -73,6 +73,12 @@ export class ReadWriteProxy {
         return ExplainedResult.bad();
     }
 
+    // Should return whether the data needs to be migrated although its version is current
+    /** @returns {boolean} */
+    needsMigration(data) {
+        return false;
+    }
+
     // -- / Methods
 
     // Resets whole data, returns promise
@@ -257,7 +263,7 @@ export class ReadWriteProxy {
                     return Promise.reject("stored-data-is-newer");
                 }
 
-                if (contents.version < this.getCurrentVersion()) {
+                if (contents.version < this.getCurrentVersion() || this.needsMigration(contents)) {
                     logger.log(
                         "Trying to migrate data object from version",
                         contents.version,
@@ -32,6 +32,14 @@ export class SingletonFactory {
         this.idToEntry[id] = instance;
     }
 
+    /**
+     * Removes all entries, keeping the instance so references stay valid
+     */
+    clear() {
+        this.entries.length = 0;
+        this.idToEntry = {};
+    }
+
     /**
      * Checks if a given id is registered
      * @param {string} id
@@ -691,6 +691,20 @@ export function fillInLinkIntoTranslation(translation, link) {
         .replace("</link>", "</a>");
 }
 
+/**
+ * Escapes text so it can be put into html, e.g. names from savegames or mod files in dialogs
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
 /**
  * Generates a file download
  * @param {string} filename
@@ -708,6 +722,27 @@ export function generateFileDownload(filename, text) {
     document.body.removeChild(element);
 }
 
+/**
+ * Generates a file download of binary data, e.g. an image
+ * @param {string} filename
+ * @param {Blob} blob
+ */
+export function generateBlobDownload(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const element = document.createElement("a");
+    element.setAttribute("href", url);
+    element.setAttribute("download", filename);
+
+    element.style.display = "none";
+    document.body.appendChild(element);
+
+    element.click();
+    document.body.removeChild(element);
+
+    // Give the browser the chance to start the download first
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Starts a file chooser
  * @param {string} acceptedType
@@ -0,0 +1,148 @@
+/**
+ * Lazily computed table for the crc32 checksum
+ * @type {Uint32Array}
+ */
+let crcTable = null;
+
+/**
+ * Computes the crc32 checksum of the data, as required by the zip format
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let i = 0; i < 256; ++i) {
+            let value = i;
+            for (let bit = 0; bit < 8; ++bit) {
+                value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+            }
+            crcTable[i] = value;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; ++i) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** 1980-01-01, the earliest date a zip file can store */
+const ZIP_DATE = (0 << 9) | (1 << 5) | 1;
+
+/** Marks the file names as utf-8 */
+const ZIP_FLAGS = 1 << 11;
+
+/** Sizes and offsets are stored as 32 bit values, bigger archives would need zip64 */
+const MAX_ZIP_SIZE = 0xffffffff;
+
+/** Size of the end of central directory record */
+const END_RECORD_SIZE = 22;
+
+/**
+ * Writes zip archives without compression. Meant for files which are compressed already,
+ * like png images, so there is no need for a compression library.
+ */
+export class ZipWriter {
+    constructor() {
+        /**
+         * The local headers and the contents of the files. Each file is appended to the blob right
+         * away, so its data does not have to be kept and browsers can move it out of memory.
+         * @type {Blob}
+         */
+        this.contents = new Blob([]);
+
+        /**
+         * The central directory entries of the files
+         * @type {Array<Uint8Array>}
+         */
+        this.directory = [];
+
+        /** Size of the contents so far, which is the offset of the next file */
+        this.offset = 0;
+
+        /** Size of the central directory so far */
+        this.directorySize = 0;
+    }
+
+    /**
+     * Returns whether the archive stays small enough if a file of the given size is added
+     * @param {string} name Path of the file inside of the archive
+     * @param {number} size
+     * @returns {boolean}
+     */
+    canAddFile(name, size) {
+        if (this.directory.length >= 0xffff) {
+            return false;
+        }
+        const nameLength = new TextEncoder().encode(name).length;
+        const totalSize =
+            this.offset + 30 + nameLength + size + this.directorySize + 46 + nameLength + END_RECORD_SIZE;
+        return totalSize <= MAX_ZIP_SIZE;
+    }
+
+    /**
+     * Adds a file to the archive, check canAddFile first
+     * @param {string} name Path of the file inside of the archive
+     * @param {Uint8Array} data
+     */
+    addFile(name, data) {
+        assertAlways(this.canAddFile(name, data.length), "Zip archive would be too large for " + name);
+
+        const encodedName = new TextEncoder().encode(name);
+        const crc = crc32(data);
+
+        const header = new Uint8Array(30 + encodedName.length);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, 0x04034b50, true);
+        headerView.setUint16(4, 20, true);
+        headerView.setUint16(6, ZIP_FLAGS, true);
+        headerView.setUint16(8, 0, true); // Stored
+        headerView.setUint16(10, 0, true);
+        headerView.setUint16(12, ZIP_DATE, true);
+        headerView.setUint32(14, crc, true);
+        headerView.setUint32(18, data.length, true);
+        headerView.setUint32(22, data.length, true);
+        headerView.setUint16(26, encodedName.length, true);
+        headerView.setUint16(28, 0, true);
+        header.set(encodedName, 30);
+
+        const entry = new Uint8Array(46 + encodedName.length);
+        const entryView = new DataView(entry.buffer);
+        entryView.setUint32(0, 0x02014b50, true);
+        entryView.setUint16(4, 20, true);
+        entryView.setUint16(6, 20, true);
+        entryView.setUint16(8, ZIP_FLAGS, true);
+        entryView.setUint16(10, 0, true); // Stored
+        entryView.setUint16(12, 0, true);
+        entryView.setUint16(14, ZIP_DATE, true);
+        entryView.setUint32(16, crc, true);
+        entryView.setUint32(20, data.length, true);
+        entryView.setUint32(24, data.length, true);
+        entryView.setUint16(28, encodedName.length, true);
+        entryView.setUint32(42, this.offset, true);
+        entry.set(encodedName, 46);
+
+        this.contents = new Blob([this.contents, header, data]);
+        this.directory.push(entry);
+        this.offset += header.length + data.length;
+        this.directorySize += entry.length;
+    }
+
+    /**
+     * Finishes the archive
+     * @returns {Blob}
+     */
+    toBlob() {
+        const end = new Uint8Array(END_RECORD_SIZE);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054b50, true);
+        endView.setUint16(8, this.directory.length, true);
+        endView.setUint16(10, this.directory.length, true);
+        endView.setUint32(12, this.directorySize, true);
+        endView.setUint32(16, this.offset, true);
+
+        return new Blob([this.contents, ...this.directory, end], { type: "application/zip" });
+    }
+}
@@ -4,6 +4,13 @@ import { BasicSerializableObject } from "../savegame/serialization";
 
 /**
  * Class for items on belts etc. Not an entity for performance reasons
+ *
+ * Item types are registered in shapezAPI.ingame.items by their id. Besides the abstract methods
+ * (drawing on belts and in the HUD, the copyable key and serialization through getSchema,
+ * serialize and deserialize) each type needs a static resolveSingleton(root, data) which returns
+ * the item for serialized data. Equality and hashing are based on the copyable key unless
+ * equalsImpl is overridden. Items only travel on wires if canTravelOnWires returns true, and are
+ * tracked in the statistics under their statistics key.
  */
 export class BaseItem extends BasicSerializableObject {
     constructor() {
@@ -19,6 +26,17 @@ export class BaseItem extends BasicSerializableObject {
         return {};
     }
 
+    /**
+     * Returns the item for a key returned by getAsCopyableKey, or null if the key is invalid.
+     * Used to enter items as text and to resolve statistics keys.
+     * @param {import("./root").GameRoot} root
+     * @param {string} key
+     * @returns {BaseItem|null}
+     */
+    static fromCopyableKey(root, key) {
+        return null;
+    }
+
     /** @returns {ItemType} **/
     getItemType() {
         abstract;
@@ -47,16 +65,31 @@ export class BaseItem extends BasicSerializableObject {
     }
 
     /**
-     * Override for custom comparison
-     * @abstract
+     * Override for custom comparison, items with the same copyable key are equal by default
      * @param {BaseItem} other
      * @returns {boolean}
      */
     equalsImpl(other) {
-        abstract;
+        return this.getAsCopyableKey() === other.getAsCopyableKey();
+    }
+
+    /**
+     * Returns whether the item can be put on wires, e.g. by a storage or a constant signal
+     * @returns {boolean}
+     */
+    canTravelOnWires() {
         return false;
     }
 
+    /**
+     * Returns the key the production statistics track this item under, or null if they should
+     * ignore it. Keys of shapes are their short keys, other items use "<item id>:<copyable key>".
+     * @returns {string|null}
+     */
+    getStatisticsKey() {
+        return /** @type {typeof BaseItem} */ (this.constructor).getId() + ":" + this.getAsCopyableKey();
+    }
+
     /**
      * Draws the item to a canvas
      * @param {CanvasRenderingContext2D} context
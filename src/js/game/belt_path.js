@@ -1198,6 +1198,7 @@ export class BeltPath extends BasicSerializableObject {
                 }
             }
 
+            this.root.productionAnalytics.countEntityThroughput(this);
             return true;
         }
 
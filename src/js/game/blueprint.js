@@ -1,10 +1,49 @@
 import { globalConfig } from "../core/config";
 import { DrawParameters } from "../core/draw_parameters";
+import { createLogger } from "../core/logging";
+import { compressX64, decompressX64 } from "../core/lzstring";
 import { findNiceIntegerValue } from "../core/utils";
 import { Vector } from "../core/vector";
+import { gBuildingVariants, getBuildingDataFromCode, getCodeFromBuildingData } from "./building_codes";
+import { Component } from "./component";
 import { Entity } from "./entity";
+import { MapChunkView } from "./map_chunk_view";
+import { OrphanedEntity } from "./orphaned_entity";
 import { GameRoot } from "./root";
 
+const logger = createLogger("blueprint");
+
+/** Identifies blueprint strings */
+export const BLUEPRINT_STRING_PREFIX = "shapez-blueprint:";
+
+/** Increase whenever the format changes, older strings must stay importable */
+export const BLUEPRINT_STRING_VERSION = 1;
+
+/**
+ * Returns whether the building can be selected in one of the toolbars
+ * @param {import("./meta_building").MetaBuilding} metaBuilding
+ * @returns {boolean}
+ */
+function isInAnyToolbar(metaBuilding) {
+    for (const toolbarId in shapezAPI.toolbars) {
+        const bar = shapezAPI.toolbars[toolbarId];
+        const buildings = [...bar.primaryBuildings, ...(bar.secondaryBuildings || [])];
+        if (buildings.some(buildingClass => metaBuilding instanceof buildingClass)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * The data of a blueprint string. Each entity is stored as
+ * [building code, origin x, origin y, rotation, original rotation, component config]
+ * @typedef {{
+ *   version: number,
+ *   entities: Array<[string, number, number, number, number, Object<string, any>]>
+ * }} SerializedBlueprint
+ */
+
 export class Blueprint {
     /**
      * @param {Array<Entity>} entities
@@ -39,6 +78,11 @@ export class Blueprint {
             const entity = root.entityMgr.findByUid(uids[i]);
             assert(entity, "Entity for blueprint not found:" + uids[i]);
 
+            // Orphans can not be copied since their data is not understood
+            if (entity instanceof OrphanedEntity) {
+                continue;
+            }
+
             const clone = entity.clone();
             newEntities.push(clone);
 
@@ -46,10 +90,10 @@ export class Blueprint {
             averagePosition.addInplace(pos);
         }
 
-        averagePosition.divideScalarInplace(uids.length);
+        averagePosition.divideScalarInplace(Math.max(1, newEntities.length));
         const blueprintOrigin = averagePosition.subScalars(0.5, 0.5).floor();
 
-        for (let i = 0; i < uids.length; ++i) {
+        for (let i = 0; i < newEntities.length; ++i) {
             newEntities[i].components.StaticMapEntity.origin.subInplace(blueprintOrigin);
         }
 
@@ -57,6 +101,208 @@ export class Blueprint {
         return new Blueprint(newEntities);
     }
 
+    /**
+     * Creates a blueprint from a blueprint string. Entities whose building is unknown or not
+     * available yet are left out. Returns null if the string is invalid or no entity is left.
+     * @param {GameRoot} root
+     * @param {string} blueprintString
+     * @returns {Blueprint|null}
+     */
+    static fromString(root, blueprintString) {
+        /** @type {SerializedBlueprint} */
+        let data;
+        try {
+            blueprintString = blueprintString.trim();
+            if (!blueprintString.startsWith(BLUEPRINT_STRING_PREFIX)) {
+                return null;
+            }
+            data = JSON.parse(decompressX64(blueprintString.substr(BLUEPRINT_STRING_PREFIX.length)));
+        } catch (ex) {
+            logger.warn("Failed to parse blueprint string:", ex);
+            return null;
+        }
+
+        if (
+            !data ||
+            !Number.isInteger(data.version) ||
+            data.version < 1 ||
+            data.version > BLUEPRINT_STRING_VERSION ||
+            !Array.isArray(data.entities)
+        ) {
+            logger.warn("Invalid blueprint data");
+            return null;
+        }
+
+        const entities = [];
+        for (let i = 0; i < data.entities.length; ++i) {
+            const entity = Blueprint.deserializeEntity(root, data.entities[i]);
+            if (entity) {
+                entities.push(entity);
+            }
+        }
+
+        // Entities of different layers can not be placed together
+        const layer = entities.length > 0 ? entities[0].layer : null;
+        const filtered = entities.filter(entity => entity.layer === layer);
+        return filtered.length > 0 ? new Blueprint(filtered) : null;
+    }
+
+    /**
+     * Creates an entity of a blueprint string, returns null if it is invalid or not available
+     * @param {GameRoot} root
+     * @param {SerializedBlueprint["entities"][0]} data
+     * @returns {Entity|null}
+     */
+    static deserializeEntity(root, data) {
+        try {
+            return Blueprint.internalDeserializeEntity(root, data);
+        } catch (ex) {
+            // The string might come from anywhere, so any data of the components can be broken
+            logger.warn("Failed to deserialize blueprint entity:", ex);
+            return null;
+        }
+    }
+
+    /**
+     * @param {GameRoot} root
+     * @param {SerializedBlueprint["entities"][0]} data
+     * @returns {Entity|null}
+     */
+    static internalDeserializeEntity(root, data) {
+        if (!Array.isArray(data) || data.length < 5) {
+            return null;
+        }
+
+        const [code, x, y, rotation, originalRotation, config] = data;
+        if (!gBuildingVariants[code]) {
+            logger.warn("Unknown building code in blueprint:", code);
+            return null;
+        }
+
+        const buildingData = getBuildingDataFromCode(code);
+        const metaBuilding = buildingData.metaInstance;
+        if (!metaBuilding.getIsUnlocked(root) || !root.gameMode.isBuildingAllowed(metaBuilding)) {
+            return null;
+        }
+
+        // Players could not place the building otherwise, e.g. the hub
+        if (!metaBuilding.getIsRemovable(buildingData.variant) || !isInAnyToolbar(metaBuilding)) {
+            logger.warn("Building of blueprint can not be placed by players:", code);
+            return null;
+        }
+
+        if (![x, y].every(Number.isInteger) || ![rotation, originalRotation].every(isValidRotation)) {
+            return null;
+        }
+
+        const entity = metaBuilding.createEntity({
+            root,
+            origin: new Vector(x, y),
+            rotation,
+            originalRotation,
+            rotationVariant: buildingData.rotationVariant,
+            variant: buildingData.variant,
+        });
+
+        for (const componentId in config || {}) {
+            const component = entity.components[componentId];
+            if (!component || !Blueprint.isConfigComponent(component)) {
+                continue;
+            }
+            const errorCode = component.deserialize(config[componentId], root);
+            if (errorCode) {
+                logger.warn("Failed to restore", componentId, "of blueprint entity:", errorCode);
+            }
+        }
+        return entity;
+    }
+
+    /**
+     * Returns whether a component holds configuration which is copied along with the entity,
+     * like the signal of a constant signal or the state of a lever
+     * @param {Component} component
+     * @returns {boolean}
+     */
+    static isConfigComponent(component) {
+        return (
+            component.copyAdditionalStateTo !== Component.prototype.copyAdditionalStateTo &&
+            /** @type {typeof Component} */ (component.constructor).getId() !== "StaticMapEntity"
+        );
+    }
+
+    /**
+     * Serializes the blueprint to a string which can be shared
+     * @returns {string}
+     */
+    serializeToString() {
+        /** @type {SerializedBlueprint} */
+        const data = {
+            version: BLUEPRINT_STRING_VERSION,
+            entities: [],
+        };
+
+        for (let i = 0; i < this.entities.length; ++i) {
+            const entity = this.entities[i];
+            const staticComp = entity.components.StaticMapEntity;
+
+            const config = {};
+            for (const componentId in entity.components) {
+                const component = entity.components[componentId];
+                if (Blueprint.isConfigComponent(component)) {
+                    config[componentId] = component.serialize();
+                }
+            }
+
+            data.entities.push([
+                staticComp.code,
+                staticComp.origin.x,
+                staticComp.origin.y,
+                staticComp.rotation,
+                staticComp.originalRotation,
+                config,
+            ]);
+        }
+
+        return BLUEPRINT_STRING_PREFIX + compressX64(JSON.stringify(data));
+    }
+
+    /**
+     * Draws the outlines of all buildings, scaled to fit into the canvas
+     * @param {HTMLCanvasElement} canvas
+     */
+    drawPreview(canvas) {
+        const context = canvas.getContext("2d");
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (this.entities.length === 0) {
+            return;
+        }
+
+        let bounds = this.entities[0].components.StaticMapEntity.getTileSpaceBounds();
+        for (let i = 1; i < this.entities.length; ++i) {
+            bounds = bounds.getUnion(this.entities[i].components.StaticMapEntity.getTileSpaceBounds());
+        }
+
+        const tileSize = Math.min(canvas.width / bounds.w, canvas.height / bounds.h);
+        const offsetX = (canvas.width - bounds.w * tileSize) / 2;
+        const offsetY = (canvas.height - bounds.h * tileSize) / 2;
+
+        for (let i = 0; i < this.entities.length; ++i) {
+            const entity = this.entities[i];
+            const rect = entity.components.StaticMapEntity.getTileSpaceBounds();
+            for (let x = rect.x; x < rect.right(); ++x) {
+                for (let y = rect.y; y < rect.bottom(); ++y) {
+                    MapChunkView.drawSingleOverviewTile({
+                        context,
+                        x: offsetX + (x - bounds.x) * tileSize,
+                        y: offsetY + (y - bounds.y) * tileSize,
+                        entity,
+                        tileSizePixels: tileSize,
+                    });
+                }
+            }
+        }
+    }
+
     /**
      * Returns the cost of this blueprint in shapes
      */
@@ -116,6 +362,67 @@ export class Blueprint {
         }
     }
 
+    /**
+     * Returns whether all buildings of the blueprint can be mirrored
+     * @returns {boolean}
+     */
+    canMirror() {
+        return this.entities.every(entity => {
+            const { metaInstance, variant, rotationVariant } = getBuildingDataFromCode(
+                entity.components.StaticMapEntity.code
+            );
+            return metaInstance.getMirroredVariant(variant, rotationVariant) !== null;
+        });
+    }
+
+    /**
+     * Mirrors the blueprint, swaps left and right unless vertical is set. Does nothing and returns
+     * false if one of the buildings can not be mirrored.
+     * @param {boolean} vertical Whether to swap top and bottom instead
+     * @returns {boolean}
+     */
+    mirror(vertical) {
+        if (!this.canMirror()) {
+            return false;
+        }
+
+        for (let i = 0; i < this.entities.length; ++i) {
+            const entity = this.entities[i];
+            const staticComp = entity.components.StaticMapEntity;
+            const buildingData = getBuildingDataFromCode(staticComp.code);
+            const metaBuilding = buildingData.metaInstance;
+            const { variant, rotationVariant } = buildingData;
+            const bounds = staticComp.getTileSpaceBounds();
+
+            const mirrored = metaBuilding.mirror(variant, rotationVariant, staticComp.rotation, vertical);
+            staticComp.rotation = mirrored.rotation;
+            staticComp.originalRotation = metaBuilding.mirror(
+                variant,
+                rotationVariant,
+                staticComp.originalRotation,
+                vertical
+            ).rotation;
+
+            if (mirrored.variant !== variant || mirrored.rotationVariant !== rotationVariant) {
+                staticComp.code = getCodeFromBuildingData(
+                    metaBuilding,
+                    mirrored.variant,
+                    mirrored.rotationVariant
+                );
+                metaBuilding.updateVariants(entity, mirrored.rotationVariant, mirrored.variant);
+            }
+
+            // Move the entity onto the mirrored tiles, the blueprint is mirrored at the tile 0,0
+            staticComp.origin = new Vector();
+            const offset = staticComp.getTileSpaceBounds();
+            const target = vertical
+                ? new Vector(bounds.x, 1 - bounds.bottom())
+                : new Vector(1 - bounds.right(), bounds.y);
+            staticComp.origin = target.subScalars(offset.x, offset.y);
+        }
+        return true;
+    }
+
     /**
      * Checks if the blueprint can be placed at the given tile
      * @param {GameRoot} root
@@ -160,9 +467,18 @@ export class Blueprint {
                 root.logic.freeEntityAreaBeforeBuild(clone);
                 root.map.placeStaticEntity(clone);
                 root.entityMgr.registerEntity(clone, null, true);
+                root.undoHistory.recordPlacement(clone);
                 anyPlaced = true;
             }
             return anyPlaced;
         });
     }
+}
+
+/**
+ * @param {any} rotation
+ * @returns {boolean}
+ */
+function isValidRotation(rotation) {
+    return [0, 90, 180, 270].includes(rotation);
 }
\ No newline at end of file
@@ -25,6 +25,15 @@ export const gBuildingVariants = {
     // Set later
 };
 
+/**
+ * Building codes of the current game which are not registered, most likely because the mod which
+ * added them is missing. Kept apart from gBuildingVariants so the mod can still register them later.
+ * @type {Object<string, BuildingVariantIdentifier>}
+ */
+export const gOrphanedBuildingVariants = {
+    // Set by the savegame serializer
+};
+
 /**
  * Registers a new variant
  * @param {typeof MetaBuilding} meta
@@ -46,6 +55,9 @@ export function registerBuildingVariant(
         // @ts-ignore
         tileSize: new meta().getDimensions(variant),
     };
+
+    // Entities which were loaded as orphans stay placeholders until the game is loaded again
+    delete gOrphanedBuildingVariants[code];
 }
 
 /**
@@ -54,8 +66,9 @@ export function registerBuildingVariant(
  * @returns {BuildingVariantIdentifier}
  */
 export function getBuildingDataFromCode(code) {
-    assert(gBuildingVariants[code], "Invalid building code: " + code);
-    return gBuildingVariants[code];
+    const data = gBuildingVariants[code] || gOrphanedBuildingVariants[code];
+    assert(data, "Invalid building code: " + code);
+    return data;
 }
 
 /**
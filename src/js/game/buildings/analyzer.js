@@ -1,8 +1,9 @@
 import { generateMatrixRotations } from "../../core/utils";
-import { enumDirection, Vector } from "../../core/vector";
+import { Vector } from "../../core/vector";
 import { enumLogicGateType, LogicGateComponent } from "../components/logic_gate";
-import { enumPinSlotType, WiredPinsComponent } from "../components/wired_pins";
+import { WiredPinsComponent } from "../components/wired_pins";
 import { Entity } from "../entity";
+import { setupLogicGate } from "../logic_gate_registry";
 import { defaultBuildingVariant, MetaBuilding } from "../meta_building";
 import { GameRoot } from "../root";
 import { enumHubGoalRewards } from "../tutorial_goals";
@@ -40,6 +41,14 @@ export class MetaAnalyzerBuilding extends MetaBuilding {
         return MetaAnalyzerBuilding.isRotateable[variant]();
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaAnalyzerBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -119,22 +128,7 @@ MetaAnalyzerBuilding.setupEntityComponents = [
     entity =>
     entity.addComponent(
         new WiredPinsComponent({
-            slots: [{
-                    pos: new Vector(0, 0),
-                    direction: enumDirection.left,
-                    type: enumPinSlotType.logicalEjector,
-                },
-                {
-                    pos: new Vector(0, 0),
-                    direction: enumDirection.right,
-                    type: enumPinSlotType.logicalEjector,
-                },
-                {
-                    pos: new Vector(0, 0),
-                    direction: enumDirection.bottom,
-                    type: enumPinSlotType.logicalAcceptor,
-                },
-            ],
+            slots: [],
         })
     ),
 
@@ -180,29 +174,17 @@ MetaAnalyzerBuilding.isRotateable = {
     [defaultBuildingVariant]: () => true,
 };
 
+// The outputs on the left and right hold the color and the shape
+MetaAnalyzerBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => null,
+};
+
 MetaAnalyzerBuilding.layerPreview = {
     [defaultBuildingVariant]: () => "wires",
 };
 
 MetaAnalyzerBuilding.componentVariations = {
     [defaultBuildingVariant]: (entity, rotationVariant) => {
-        entity.components.WiredPins.setSlots([{
-                pos: new Vector(0, 0),
-                direction: enumDirection.left,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.right,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.bottom,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-        ]);
-
-        entity.components.LogicGate.type = enumLogicGateType.analyzer;
+        setupLogicGate(entity, enumLogicGateType.analyzer);
     },
 };
\ No newline at end of file
@@ -43,6 +43,14 @@ export class MetaBalancerBuilding extends MetaBuilding {
         return MetaBalancerBuilding.isRotateable[variant]();
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaBalancerBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -210,6 +218,34 @@ MetaBalancerBuilding.isRotateable = {
     [MetaBalancerBuilding.variants.splitterInverse]: () => true,
 };
 
+MetaBalancerBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => ({
+        variant: defaultBuildingVariant,
+        rotationVariant,
+        rotation: 0,
+    }),
+    [MetaBalancerBuilding.variants.merger]: rotationVariant => ({
+        variant: MetaBalancerBuilding.variants.mergerInverse,
+        rotationVariant,
+        rotation: 0,
+    }),
+    [MetaBalancerBuilding.variants.mergerInverse]: rotationVariant => ({
+        variant: MetaBalancerBuilding.variants.merger,
+        rotationVariant,
+        rotation: 0,
+    }),
+    [MetaBalancerBuilding.variants.splitter]: rotationVariant => ({
+        variant: MetaBalancerBuilding.variants.splitterInverse,
+        rotationVariant,
+        rotation: 0,
+    }),
+    [MetaBalancerBuilding.variants.splitterInverse]: rotationVariant => ({
+        variant: MetaBalancerBuilding.variants.splitter,
+        rotationVariant,
+        rotation: 0,
+    }),
+};
+
 MetaBalancerBuilding.renderPins = {
     [defaultBuildingVariant]: () => null,
     [MetaBalancerBuilding.variants.merger]: () => null,
@@ -42,6 +42,14 @@ export class MetaBeltBuilding extends MetaBuilding {
         return MetaBeltBuilding.isRotateable[variant]();
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaBeltBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -345,6 +353,15 @@ MetaBeltBuilding.isRotateable = {
     [defaultBuildingVariant]: () => true,
 };
 
+// Left and right curves swap
+MetaBeltBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => ({
+        variant: defaultBuildingVariant,
+        rotationVariant: [0, 2, 1][rotationVariant],
+        rotation: 0,
+    }),
+};
+
 MetaBeltBuilding.renderPins = {
     [defaultBuildingVariant]: () => null,
 };
@@ -1,8 +1,9 @@
 import { root } from "postcss";
-import { enumDirection, Vector } from "../../core/vector";
+import { Vector } from "../../core/vector";
 import { enumLogicGateType, LogicGateComponent } from "../components/logic_gate";
-import { enumPinSlotType, WiredPinsComponent } from "../components/wired_pins";
+import { WiredPinsComponent } from "../components/wired_pins";
 import { Entity } from "../entity";
+import { setupLogicGate } from "../logic_gate_registry";
 import { defaultBuildingVariant, MetaBuilding } from "../meta_building";
 import { GameRoot } from "../root";
 import { enumHubGoalRewards } from "../tutorial_goals";
@@ -120,22 +121,7 @@ MetaComparatorBuilding.setupEntityComponents = [
     (entity, rotationVariant) =>
     entity.addComponent(
         new WiredPinsComponent({
-            slots: [{
-                    pos: new Vector(0, 0),
-                    direction: enumDirection.top,
-                    type: enumPinSlotType.logicalEjector,
-                },
-                {
-                    pos: new Vector(0, 0),
-                    direction: enumDirection.left,
-                    type: enumPinSlotType.logicalAcceptor,
-                },
-                {
-                    pos: new Vector(0, 0),
-                    direction: enumDirection.right,
-                    type: enumPinSlotType.logicalAcceptor,
-                },
-            ],
+            slots: [],
         })
     ),
     (entity, rotationVariant) =>
@@ -185,23 +171,6 @@ MetaComparatorBuilding.layerByVariant = {
 
 MetaComparatorBuilding.componentVariations = {
     [defaultBuildingVariant]: (entity, rotationVariant) => {
-        entity.components.WiredPins.setSlots([{
-                pos: new Vector(0, 0),
-                direction: enumDirection.top,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.left,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.right,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-        ]);
-
-        entity.components.LogicGate.type = enumLogicGateType.compare;
+        setupLogicGate(entity, enumLogicGateType.compare);
     },
 };
\ No newline at end of file
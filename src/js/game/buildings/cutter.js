@@ -49,6 +49,14 @@ export class MetaCutterBuilding extends MetaBuilding {
         return MetaCutterBuilding.additionalStatistics[variant](root);
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaCutterBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -154,6 +162,12 @@ MetaCutterBuilding.isRotateable = {
     [MetaCutterBuilding.variants.quad]: () => true,
 };
 
+// Each output of the cutter gets a fixed part of the shape, so there is no mirrored layout
+MetaCutterBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => null,
+    [MetaCutterBuilding.variants.quad]: rotationVariant => null,
+};
+
 MetaCutterBuilding.additionalStatistics = {
     /**
      * @param {*} root
@@ -43,6 +43,14 @@ export class MetaFilterBuilding extends MetaBuilding {
         return MetaFilterBuilding.isRotateable[variant]();
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaFilterBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -188,6 +196,11 @@ MetaFilterBuilding.isRotateable = {
     [defaultBuildingVariant]: () => true,
 };
 
+// Rejected items always leave on the right
+MetaFilterBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => null,
+};
+
 MetaFilterBuilding.avaibleVariants = {
     [defaultBuildingVariant]: root => root.hubGoals.isRewardUnlocked(enumHubGoalRewards.reward_filter),
 };
@@ -1,6 +1,7 @@
-import { enumDirection, Vector } from "../../core/vector";
-import { enumPinSlotType, WiredPinsComponent } from "../components/wired_pins";
+import { Vector } from "../../core/vector";
+import { WiredPinsComponent } from "../components/wired_pins";
 import { Entity } from "../entity";
+import { setupLogicGate } from "../logic_gate_registry";
 import { MetaBuilding, defaultBuildingVariant } from "../meta_building";
 import { GameRoot } from "../root";
 import { enumLogicGateType, LogicGateComponent } from "../components/logic_gate";
@@ -202,80 +203,17 @@ MetaLogicGateBuilding.layerPreview = {
 
 MetaLogicGateBuilding.componentVariations = {
     [defaultBuildingVariant]: (entity, rotationVariant) => {
-        entity.components.WiredPins.setSlots([{
-                pos: new Vector(0, 0),
-                direction: enumDirection.top,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.left,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.right,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-        ]);
-
-        entity.components.LogicGate.type = enumLogicGateType.and;
+        setupLogicGate(entity, enumLogicGateType.and);
     },
 
     [MetaLogicGateBuilding.variants.xor]: (entity, rotationVariant) => {
-        entity.components.WiredPins.setSlots([{
-                pos: new Vector(0, 0),
-                direction: enumDirection.top,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.left,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.right,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-        ]);
-
-        entity.components.LogicGate.type = enumLogicGateType.xor;
+        setupLogicGate(entity, enumLogicGateType.xor);
     },
 
     [MetaLogicGateBuilding.variants.or]: (entity, rotationVariant) => {
-        entity.components.WiredPins.setSlots([{
-                pos: new Vector(0, 0),
-                direction: enumDirection.top,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.left,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.right,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-        ]);
-
-        entity.components.LogicGate.type = enumLogicGateType.or;
+        setupLogicGate(entity, enumLogicGateType.or);
     },
     [MetaLogicGateBuilding.variants.not]: (entity, rotationVariant) => {
-        entity.components.WiredPins.setSlots([{
-                pos: new Vector(0, 0),
-                direction: enumDirection.top,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.bottom,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-        ]);
-
-        entity.components.LogicGate.type = enumLogicGateType.not;
+        setupLogicGate(entity, enumLogicGateType.not);
     },
 };
\ No newline at end of file
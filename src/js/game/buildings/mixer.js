@@ -42,6 +42,14 @@ export class MetaMixerBuilding extends MetaBuilding {
         return MetaMixerBuilding.isRotateable[variant]();
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaMixerBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -162,6 +170,11 @@ MetaMixerBuilding.isRotateable = {
     [defaultBuildingVariant]: () => true,
 };
 
+// The output is on the left tile only, so the mixer has no mirrored layout
+MetaMixerBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => null,
+};
+
 MetaMixerBuilding.layerByVariant = {
     [defaultBuildingVariant]: root => "regular",
 };
@@ -0,0 +1,130 @@
+import { makeOffscreenBuffer } from "../../core/buffer_utils";
+import { AtlasSprite, SpriteAtlasLink } from "../../core/sprites";
+import { Vector } from "../../core/vector";
+import { gBuildingVariants, gOrphanedBuildingVariants } from "../building_codes";
+import { Entity } from "../entity";
+import { defaultBuildingVariant, MetaBuilding } from "../meta_building";
+
+/** @type {AtlasSprite} */
+let missingModSprite = null;
+
+/**
+ * Placeholder for buildings whose building code is not registered, most likely because the mod
+ * which added them is not loaded. It is never placed by the player, instead the savegame serializer
+ * registers every unknown code with it, see registerOrphanedBuildingCode.
+ */
+export class MetaOrphanBuilding extends MetaBuilding {
+    constructor() {
+        super("orphan");
+    }
+
+    getSilhouetteColor() {
+        return "#7a7d85";
+    }
+
+    getSprite() {
+        return MetaOrphanBuilding.getMissingModSprite();
+    }
+
+    getBlueprintSprite() {
+        return MetaOrphanBuilding.getMissingModSprite();
+    }
+
+    getPreviewSprite() {
+        return MetaOrphanBuilding.getMissingModSprite();
+    }
+
+    /**
+     * Orphans have no behaviour, they only block their tiles
+     * @param {Entity} entity
+     */
+    setupEntityComponents(entity) {}
+
+    /**
+     * Returns the sprite drawn for all orphaned buildings, created on first use
+     * @returns {AtlasSprite}
+     */
+    static getMissingModSprite() {
+        if (missingModSprite) {
+            return missingModSprite;
+        }
+
+        const dims = 128;
+        const [canvas, context] = makeOffscreenBuffer(dims, dims, {
+            smooth: true,
+            label: "missing-mod-sprite",
+        });
+
+        context.fillStyle = "rgba(80, 84, 94, 0.85)";
+        context.fillRect(6, 6, dims - 12, dims - 12);
+
+        context.strokeStyle = "#f77";
+        context.lineWidth = 6;
+        context.strokeRect(6, 6, dims - 12, dims - 12);
+
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+        context.fillStyle = "#eee";
+        context.font = "bold 64px Arial";
+        context.fillText("?", dims / 2, dims / 2 + 4);
+
+        missingModSprite = new AtlasSprite("missing-mod");
+        ["0.1", "0.25", "0.5", "0.75", "1"].forEach(resolution => {
+            missingModSprite.linksByResolution[resolution] = new SpriteAtlasLink({
+                packedX: 0,
+                packedY: 0,
+                w: dims,
+                h: dims,
+                packOffsetX: 0,
+                packOffsetY: 0,
+                packedW: dims,
+                packedH: dims,
+                atlas: canvas,
+            });
+        });
+
+        return missingModSprite;
+    }
+}
+
+/**
+ * Registers an unknown building code for the current game so it resolves to the orphan building.
+ * Does nothing if the code is already known.
+ * @param {string} code
+ * @param {Vector} tileSize
+ */
+export function registerOrphanedBuildingCode(code, tileSize) {
+    if (gBuildingVariants[code] || gOrphanedBuildingVariants[code]) {
+        return;
+    }
+
+    const metaInstance = new MetaOrphanBuilding();
+    gOrphanedBuildingVariants[code] = {
+        metaClass: MetaOrphanBuilding,
+        metaInstance,
+        variant: defaultBuildingVariant,
+        rotationVariant: 0,
+        tileSize,
+        sprite: metaInstance.getSprite(),
+        blueprintSprite: metaInstance.getBlueprintSprite(),
+        silhouetteColor: metaInstance.getSilhouetteColor(),
+    };
+}
+
+/**
+ * Returns whether the given building code belongs to an orphaned building
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isOrphanedBuildingCode(code) {
+    return !gBuildingVariants[code] && !!gOrphanedBuildingVariants[code];
+}
+
+/**
+ * Forgets the orphaned building codes of the previous game
+ */
+export function clearOrphanedBuildingCodes() {
+    for (const code in gOrphanedBuildingVariants) {
+        delete gOrphanedBuildingVariants[code];
+    }
+}
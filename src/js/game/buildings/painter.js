@@ -47,6 +47,14 @@ export class MetaPainterBuilding extends MetaBuilding {
         return MetaPainterBuilding.isRotateable[variant]();
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaPainterBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -178,6 +186,23 @@ MetaPainterBuilding.isRotateable = {
     [MetaPainterBuilding.variants.quad]: () => true,
 };
 
+// The mirrored painter swaps top and bottom, which is left and right rotated by 180 degrees
+MetaPainterBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => ({
+        variant: MetaPainterBuilding.variants.mirrored,
+        rotationVariant,
+        rotation: 180,
+    }),
+    [MetaPainterBuilding.variants.mirrored]: rotationVariant => ({
+        variant: defaultBuildingVariant,
+        rotationVariant,
+        rotation: 180,
+    }),
+    // The double and quad painter take the shape on the left and have no mirrored variant
+    [MetaPainterBuilding.variants.double]: rotationVariant => null,
+    [MetaPainterBuilding.variants.quad]: rotationVariant => null,
+};
+
 MetaPainterBuilding.layerByVariant = {
     [defaultBuildingVariant]: root => "regular",
     [MetaPainterBuilding.variants.mirrored]: root => "regular",
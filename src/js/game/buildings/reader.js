@@ -45,6 +45,14 @@ export class MetaReaderBuilding extends MetaBuilding {
         return MetaReaderBuilding.isRotateable[variant]();
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaReaderBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -200,6 +208,11 @@ MetaReaderBuilding.isRotateable = {
     [defaultBuildingVariant]: () => true,
 };
 
+// The pins on the left and right output different values
+MetaReaderBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => null,
+};
+
 MetaReaderBuilding.additionalStatistics = {
     [defaultBuildingVariant]: root => [
         [T.ingame.buildingPlacement.infoTexts.speed, formatItemsPerSecond(root.hubGoals.getBeltBaseSpeed())],
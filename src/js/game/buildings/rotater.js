@@ -42,6 +42,14 @@ export class MetaRotaterBuilding extends MetaBuilding {
         return MetaRotaterBuilding.isRotateable[variant]();
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaRotaterBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -199,6 +207,25 @@ MetaRotaterBuilding.isRotateable = {
     [MetaRotaterBuilding.variants.rotate180]: () => true,
 };
 
+// Rotating clockwise and counter clockwise swap
+MetaRotaterBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => ({
+        variant: MetaRotaterBuilding.variants.ccw,
+        rotationVariant,
+        rotation: 0,
+    }),
+    [MetaRotaterBuilding.variants.ccw]: rotationVariant => ({
+        variant: defaultBuildingVariant,
+        rotationVariant,
+        rotation: 0,
+    }),
+    [MetaRotaterBuilding.variants.rotate180]: rotationVariant => ({
+        variant: MetaRotaterBuilding.variants.rotate180,
+        rotationVariant,
+        rotation: 0,
+    }),
+};
+
 MetaRotaterBuilding.layerByVariant = {
     [defaultBuildingVariant]: root => "regular",
     [MetaRotaterBuilding.variants.ccw]: root => "regular",
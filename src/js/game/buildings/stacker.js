@@ -42,6 +42,14 @@ export class MetaStackerBuilding extends MetaBuilding {
         return MetaStackerBuilding.isRotateable[variant]();
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaStackerBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -183,6 +191,11 @@ MetaStackerBuilding.isRotateable = {
     [defaultBuildingVariant]: () => true,
 };
 
+// Swapping the inputs would swap the lower and upper shape
+MetaStackerBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => null,
+};
+
 MetaStackerBuilding.layerByVariant = {
     [defaultBuildingVariant]: root => "regular",
 };
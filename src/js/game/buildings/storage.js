@@ -45,6 +45,14 @@ export class MetaStorageBuilding extends MetaBuilding {
         return MetaStorageBuilding.isRotateable[variant]();
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaStorageBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -200,6 +208,11 @@ MetaStorageBuilding.isRotateable = {
     [defaultBuildingVariant]: () => true,
 };
 
+// The pins on the left and right output different values
+MetaStorageBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => null,
+};
+
 MetaStorageBuilding.additionalStatistics = {
     /**
      * @param {*} root
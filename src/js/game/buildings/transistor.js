@@ -1,8 +1,9 @@
 import { generateMatrixRotations } from "../../core/utils";
 import { enumDirection, Vector } from "../../core/vector";
 import { enumLogicGateType, LogicGateComponent } from "../components/logic_gate";
-import { enumPinSlotType, WiredPinsComponent } from "../components/wired_pins";
+import { WiredPinsComponent } from "../components/wired_pins";
 import { Entity } from "../entity";
+import { setupLogicGate } from "../logic_gate_registry";
 import { defaultBuildingVariant, MetaBuilding } from "../meta_building";
 import { GameRoot } from "../root";
 import { enumHubGoalRewards } from "../tutorial_goals";
@@ -40,6 +41,14 @@ export class MetaTransistorBuilding extends MetaBuilding {
         return MetaTransistorBuilding.isRotateable[variant]();
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaTransistorBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -120,22 +129,7 @@ MetaTransistorBuilding.setupEntityComponents = [
     entity =>
     entity.addComponent(
         new WiredPinsComponent({
-            slots: [{
-                    pos: new Vector(0, 0),
-                    direction: enumDirection.top,
-                    type: enumPinSlotType.logicalEjector,
-                },
-                {
-                    pos: new Vector(0, 0),
-                    direction: enumDirection.left,
-                    type: enumPinSlotType.logicalAcceptor,
-                },
-                {
-                    pos: new Vector(0, 0),
-                    direction: enumDirection.bottom,
-                    type: enumPinSlotType.logicalAcceptor,
-                },
-            ],
+            slots: [],
         })
     ),
     entity =>
@@ -177,6 +171,19 @@ MetaTransistorBuilding.isRotateable = {
     [MetaTransistorBuilding.variants.mirrored]: () => true,
 };
 
+MetaTransistorBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => ({
+        variant: MetaTransistorBuilding.variants.mirrored,
+        rotationVariant,
+        rotation: 0,
+    }),
+    [MetaTransistorBuilding.variants.mirrored]: rotationVariant => ({
+        variant: defaultBuildingVariant,
+        rotationVariant,
+        rotation: 0,
+    }),
+};
+
 MetaTransistorBuilding.renderPins = {
     [defaultBuildingVariant]: () => false,
     [MetaTransistorBuilding.variants.mirrored]: () => false,
@@ -200,10 +207,12 @@ MetaTransistorBuilding.layerByVariant = {
 
 MetaTransistorBuilding.componentVariations = {
     [defaultBuildingVariant]: (entity, rotationVariant) => {
+        setupLogicGate(entity, enumLogicGateType.transistor);
         entity.components.WiredPins.slots[1].direction = enumDirection.left;
     },
 
     [MetaTransistorBuilding.variants.mirrored]: (entity, rotationVariant) => {
+        setupLogicGate(entity, enumLogicGateType.transistor);
         entity.components.WiredPins.slots[1].direction = enumDirection.right;
     },
 };
\ No newline at end of file
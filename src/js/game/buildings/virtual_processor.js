@@ -1,7 +1,8 @@
-import { Vector, enumDirection } from "../../core/vector";
+import { Vector } from "../../core/vector";
 import { LogicGateComponent, enumLogicGateType } from "../components/logic_gate";
-import { WiredPinsComponent, enumPinSlotType } from "../components/wired_pins";
+import { WiredPinsComponent } from "../components/wired_pins";
 import { Entity } from "../entity";
+import { setupLogicGate } from "../logic_gate_registry";
 import { defaultBuildingVariant, MetaBuilding } from "../meta_building";
 import { GameRoot } from "../root";
 import { enumHubGoalRewards } from "../tutorial_goals";
@@ -43,6 +44,14 @@ export class MetaVirtualProcessorBuilding extends MetaBuilding {
         return MetaVirtualProcessorBuilding.isRotateable[variant]();
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaVirtualProcessorBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -181,6 +190,15 @@ MetaVirtualProcessorBuilding.isRotateable = {
     [MetaVirtualProcessorBuilding.variants.painter]: () => true,
 };
 
+// None of the virtual processors has a mirrored variant, their inputs and outputs differ per side
+MetaVirtualProcessorBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => null,
+    [MetaVirtualProcessorBuilding.variants.rotater]: rotationVariant => null,
+    [MetaVirtualProcessorBuilding.variants.unstacker]: rotationVariant => null,
+    [MetaVirtualProcessorBuilding.variants.stacker]: rotationVariant => null,
+    [MetaVirtualProcessorBuilding.variants.painter]: rotationVariant => null,
+};
+
 MetaVirtualProcessorBuilding.renderPins = {
     [defaultBuildingVariant]: () => false,
     [MetaVirtualProcessorBuilding.variants.rotater]: () => false,
@@ -219,102 +237,22 @@ MetaVirtualProcessorBuilding.silhouetteColors = {
 
 MetaVirtualProcessorBuilding.componentVariations = {
     [defaultBuildingVariant]: (entity, rotationVariant) => {
-        entity.components.WiredPins.setSlots([{
-                pos: new Vector(0, 0),
-                direction: enumDirection.left,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.right,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.bottom,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-        ]);
-
-        entity.components.LogicGate.type = enumLogicGateType.cutter;
+        setupLogicGate(entity, enumLogicGateType.cutter);
     },
 
     [MetaVirtualProcessorBuilding.variants.rotater]: (entity, rotationVariant) => {
-        entity.components.WiredPins.setSlots([{
-                pos: new Vector(0, 0),
-                direction: enumDirection.top,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.bottom,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-        ]);
-
-        entity.components.LogicGate.type = enumLogicGateType.rotater;
+        setupLogicGate(entity, enumLogicGateType.rotater);
     },
 
     [MetaVirtualProcessorBuilding.variants.unstacker]: (entity, rotationVariant) => {
-        entity.components.WiredPins.setSlots([{
-                pos: new Vector(0, 0),
-                direction: enumDirection.left,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.right,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.bottom,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-        ]);
-
-        entity.components.LogicGate.type = enumLogicGateType.unstacker;
+        setupLogicGate(entity, enumLogicGateType.unstacker);
     },
 
     [MetaVirtualProcessorBuilding.variants.stacker]: (entity, rotationVariant) => {
-        entity.components.WiredPins.setSlots([{
-                pos: new Vector(0, 0),
-                direction: enumDirection.top,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.bottom,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.right,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-        ]);
-
-        entity.components.LogicGate.type = enumLogicGateType.stacker;
+        setupLogicGate(entity, enumLogicGateType.stacker);
     },
 
     [MetaVirtualProcessorBuilding.variants.painter]: (entity, rotationVariant) => {
-        entity.components.WiredPins.setSlots([{
-                pos: new Vector(0, 0),
-                direction: enumDirection.top,
-                type: enumPinSlotType.logicalEjector,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.bottom,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-            {
-                pos: new Vector(0, 0),
-                direction: enumDirection.right,
-                type: enumPinSlotType.logicalAcceptor,
-            },
-        ]);
-
-        entity.components.LogicGate.type = enumLogicGateType.painter;
+        setupLogicGate(entity, enumLogicGateType.painter);
     },
 };
\ No newline at end of file
@@ -41,6 +41,14 @@ export class MetaWireBuilding extends MetaBuilding {
         return MetaWireBuilding.isRotateable[variant]();
     }
 
+    /**
+     * @param {string} variant
+     * @param {number} rotationVariant
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return MetaWireBuilding.mirroredVariants[variant](rotationVariant);
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -363,6 +371,20 @@ MetaWireBuilding.isRotateable = {
     [MetaWireBuilding.variants.second]: () => true,
 };
 
+// A mirrored turn connects to the other side, which is the turn rotated by 90 degrees
+MetaWireBuilding.mirroredVariants = {
+    [defaultBuildingVariant]: rotationVariant => ({
+        variant: defaultBuildingVariant,
+        rotationVariant,
+        rotation: MetaWireBuilding.rotationVariantToType[rotationVariant] === enumWireType.turn ? 90 : 0,
+    }),
+    [MetaWireBuilding.variants.second]: rotationVariant => ({
+        variant: MetaWireBuilding.variants.second,
+        rotationVariant,
+        rotation: MetaWireBuilding.rotationVariantToType[rotationVariant] === enumWireType.turn ? 90 : 0,
+    }),
+};
+
 MetaWireBuilding.renderPins = {
     [defaultBuildingVariant]: () => null,
     [MetaWireBuilding.variants.second]: () => null,
@@ -22,13 +22,52 @@ export class LogicGateComponent extends Component {
         return "LogicGate";
     }
 
+    /**
+     * Copy the current state to another component
+     * @param {LogicGateComponent} otherComponent
+     */
+    copyAdditionalStateTo(otherComponent) {
+        otherComponent.state = this.state === null ? null : JSON.parse(JSON.stringify(this.state));
+    }
+
+    /**
+     * The internal state is plain JSON data of the gate, so it is stored as is
+     * @returns {object}
+     */
+    serialize() {
+        const data = super.serialize();
+        if (this.state !== null) {
+            data.state = this.state;
+        }
+        return data;
+    }
+
+    /**
+     * @param {any} data
+     * @param {import("../root").GameRoot} root
+     * @returns {string|void}
+     */
+    deserialize(data, root = null) {
+        const errorStatus = super.deserialize(data, root);
+        if (errorStatus) {
+            return errorStatus;
+        }
+
+        // Gates without state and older savegames don't contain it
+        if (data.state !== undefined) {
+            this.state = data.state;
+        }
+    }
+
     /**
      *
      * @param {object} param0
      * @param {enumLogicGateType=} param0.type
+     * @param {any=} param0.state Internal state of the gate, see logic_gate_registry.js
      */
-    constructor({ type = enumLogicGateType.and }) {
+    constructor({ type = enumLogicGateType.and, state = null }) {
         super();
         this.type = type;
+        this.state = state;
     }
 }
@@ -2,8 +2,6 @@ import { types } from "../../savegame/serialization";
 import { BaseItem } from "../base_item";
 import { Component } from "../component";
 import { typeItemSingleton } from "../item_resolver";
-import { ColorItem } from "../items/color_item";
-import { ShapeItem } from "../items/shape_item";
 
 export class StorageComponent extends Component {
     static getId() {
@@ -54,24 +52,7 @@ export class StorageComponent extends Component {
             return true;
         }
 
-        const itemType = item.getItemType();
-
-        // Check type matches
-        if (itemType !== this.storedItem.getItemType()) {
-            return false;
-        }
-
-        if (itemType === "color") {
-            return /** @type {ColorItem} */ (this.storedItem).color === /** @type {ColorItem} */ (item).color;
-        }
-
-        if (itemType === "shape") {
-            return (
-                /** @type {ShapeItem} */ (this.storedItem).definition.getHash() ===
-                /** @type {ShapeItem} */ (item).definition.getHash()
-            );
-        }
-        return false;
+        return this.storedItem.equals(item);
     }
 
     /**
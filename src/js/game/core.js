@@ -16,7 +16,7 @@ import { gGameModeRegistry, gMetaBuildingRegistry } from "../core/global_registr
 import { createLogger } from "../core/logging";
 import { Rectangle } from "../core/rectangle";
 import { ORIGINAL_SPRITE_SCALE } from "../core/sprites";
-import { lerp, randomInt, round2Digits } from "../core/utils";
+import { lerp, round2Digits } from "../core/utils";
 import { Vector } from "../core/vector";
 import { Savegame } from "../savegame/savegame";
 import { SavegameSerializer } from "../savegame/savegame_serializer";
@@ -29,14 +29,18 @@ import { GameSystemManager } from "./game_system_manager";
 import { HubGoals } from "./hub_goals";
 import { GameHUD } from "./hud/hud";
 import { KeyActionMapper } from "./key_action_mapper";
+import { getVisibleLayers } from "./layers";
 import { GameLogic } from "./logic";
+import { BaseMap } from "./map";
 import { MapView } from "./map_view";
 import { defaultBuildingVariant } from "./meta_building";
 import { RegularGameMode } from "./modes/regular";
 import { ProductionAnalytics } from "./production_analytics";
 import { GameRoot } from "./root";
+import { clearOrphanedBuildingCodes } from "./buildings/orphan";
 import { ShapeDefinitionManager } from "./shape_definition_manager";
 import { SoundProxy } from "./sound_proxy";
+import { UndoHistory } from "./undo_history";
 import { GameTime } from "./time/game_time";
 
 const logger = createLogger("ingame/core");
@@ -83,6 +87,10 @@ export class GameCore {
      * @param {Savegame} savegame
      */
     initializeRoot(parentState, savegame) {
+        // Orphaned building codes only belong to the game they were loaded with
+        clearOrphanedBuildingCodes();
+        shapezAPI.modManager.setGameRunning(true);
+
         // Construct the root element, this is the data representation of the game
         this.root = new GameRoot(this.app);
         this.root.gameState = parentState;
@@ -108,20 +116,21 @@ export class GameCore {
         else if (shapezAPI.ingame.gamemodes[savegame.currentData.gamemode])
             root.gameMode = new shapezAPI.ingame.gamemodes[savegame.currentData.gamemode](root);
 
+        // Forward the signals to the event bus of the mods
+        shapezAPI.events.attachToRoot(root);
+
         // Init classes
         root.camera = new Camera(root);
         root.map = new MapView(root);
         root.logic = new GameLogic(root);
+        root.undoHistory = new UndoHistory(root);
         root.hud = new GameHUD(root);
         root.time = new GameTime(root);
         root.automaticSave = new AutomaticSave(root);
         root.soundProxy = new SoundProxy(root);
 
         //Call mod for root classes
-        for (let i = 0; i < shapezAPI.modOrder.length; i++) {
-            const modId = shapezAPI.modOrder[i];
-            shapezAPI.mods.get(modId).gameInitializedRootClasses(this.root);
-        }
+        shapezAPI.modManager.callModHook("gameInitializedRootClasses", this.root);
 
         // Init managers
         root.entityMgr = new EntityManager(root);
@@ -131,14 +140,16 @@ export class GameCore {
         root.productionAnalytics = new ProductionAnalytics(root);
         root.buffers = new BufferMaintainer(root);
 
+        // Init mod savegame data
+        for (const modId in shapezAPI.ingame.savegameData) {
+            root.modData[modId] = new shapezAPI.ingame.savegameData[modId](root);
+        }
+
         // Initialize the hud once everything is loaded
         this.root.hud.initialize();
 
         //Call mod for root managers
-        for (let i = 0; i < shapezAPI.modOrder.length; i++) {
-            const modId = shapezAPI.modOrder[i];
-            shapezAPI.mods.get(modId).gameInitializedRootManagers(this.root);
-        }
+        shapezAPI.modManager.callModHook("gameInitializedRootManagers", this.root);
 
         // Initial resize event, it might be possible that the screen
         // resized later during init tho, which is why will emit it later
@@ -172,11 +183,12 @@ export class GameCore {
     /**
      * Initializes a new game, this means creating a new map and centering on the
      * playerbase
+     * @param {import("./map").MapSettings=} mapSettings Random seed and default settings if not given
      * */
-    initNewGame() {
+    initNewGame(mapSettings = null) {
         logger.log("Initializing new game");
         this.root.gameIsFresh = true;
-        this.root.map.seed = randomInt(0, 100000);
+        this.root.map.applySettings(mapSettings || BaseMap.getDefaultSettings(this.root.gameMode));
 
         // Place the hub
         const hub = gMetaBuildingRegistry.findByClass(MetaHubBuilding).createEntity({
@@ -199,6 +211,10 @@ export class GameCore {
         logger.log("Initializing existing game");
         const serializer = new SavegameSerializer();
 
+        if (this.root.savegame.hasModManifestDiff()) {
+            logger.warn("Savegame was created with different mods:", this.root.savegame.getModManifestDiff());
+        }
+
         try {
             const status = serializer.deserialize(this.root.savegame.getCurrentDump(), this.root);
             if (!status.isGood()) {
@@ -274,9 +290,12 @@ export class GameCore {
         }
 
         this.root.destruct();
+        shapezAPI.events.removeRoot(this.root);
         delete this.root;
         this.root = null;
         this.app = null;
+
+        shapezAPI.modManager.setGameRunning(false);
     }
 
     tick(deltaMs) {
@@ -344,6 +363,14 @@ export class GameCore {
         root.systemMgr.update();
         // root.particleMgr.update();
 
+        // Check if the game mode ended the game
+        if (!root.gameResult) {
+            root.gameResult = root.gameMode.getGameResult();
+            if (root.gameResult) {
+                root.signals.gameOver.dispatch(root.gameResult);
+            }
+        }
+
         this.duringLogicUpdate = false;
         root.dynamicTickrate.endTick();
         return true;
@@ -456,14 +483,16 @@ export class GameCore {
             // HUB Overlay
             systems.hub.draw(params);
 
-            // Green wires overlay
+            // Overlay of the current layer, like the green wires overlay
             root.hud.parts.wiresOverlay.draw(params);
 
-            if (this.root.currentLayer === "wires") {
-                // Static map entities
-                root.map.drawWiresForegroundLayer(params);
-            } else if (this.root.currentLayer !== "regular") {
-                root.map.drawForegroundLayer(params, this.root.currentLayer);
+            if (this.root.currentLayer !== "regular") {
+                // Static map entities of the visible layers and the current one
+                const layers = getVisibleLayers(this.root.currentLayer);
+                for (let i = 0; i < layers.length; ++i) {
+                    root.map.drawLayerForeground(params, layers[i]);
+                }
+                root.map.drawLayerForeground(params, this.root.currentLayer);
             }
         }
 
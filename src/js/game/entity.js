@@ -46,6 +46,13 @@ export class Entity extends BasicSerializableObject {
          */
         this.uid = 0;
 
+        /**
+         * Raw data of components which are not registered (e.g. because their mod is not loaded),
+         * kept as-is so they are not lost when saving
+         * @type {Object<string, object>}
+         */
+        this.orphanedComponents = null;
+
         /* typehints:start */
 
         /**
@@ -82,6 +89,18 @@ export class Entity extends BasicSerializableObject {
         };
     }
 
+    /**
+     * @see BasicSerializableObject.serialize
+     * @returns {object}
+     */
+    serialize() {
+        const data = super.serialize();
+        if (this.orphanedComponents) {
+            Object.assign(data.components, this.orphanedComponents);
+        }
+        return data;
+    }
+
     getId() {
         return getBuildingDataFromCode(this.components.StaticMapEntity.code).metaInstance.getId();
     }
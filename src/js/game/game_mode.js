@@ -1,5 +1,10 @@
 /* typehints:start */
 import { enumHubGoalRewards } from "./tutorial_goals";
+import { RandomNumberGenerator } from "../core/rng";
+import { BaseHUDPart } from "./hud/base_hud_part";
+import { MapChunk } from "./map_chunk";
+import { MetaBuilding } from "./meta_building";
+import { ShapeDefinition } from "./shape_definition";
 /* typehints:end */
 
 import { GameRoot } from "./root";
@@ -24,6 +29,18 @@ import { GameRoot } from "./root";
  *   throughputOnly?: boolean
  * }} LevelDefinition */
 
+/** @typedef {{
+ *   definition: ShapeDefinition,
+ *   required: number,
+ *   throughputOnly?: boolean
+ * }} FreeplayGoal */
+
+/** @typedef {{
+ *   won: boolean,
+ *   title?: string,
+ *   desc?: string
+ * }} GameResult */
+
 export class GameMode {
     /**
      *
@@ -73,4 +90,98 @@ export class GameMode {
     getIsFreeplayAvailable() {
         return true;
     }
+
+    /**
+     * Should return the ids of the buildings which can be placed in this mode,
+     * or null to allow all buildings
+     * @returns {Array<string>|null}
+     */
+    getAllowedBuildings() {
+        return null;
+    }
+
+    /**
+     * Returns whether the building can be placed in this mode
+     * @param {MetaBuilding} metaBuilding
+     * @returns {boolean}
+     */
+    isBuildingAllowed(metaBuilding) {
+        const allowedBuildings = this.getAllowedBuildings();
+        return !allowedBuildings || allowedBuildings.includes(metaBuilding.getId());
+    }
+
+    /**
+     * Should return the shapes stored in the hub when starting a new game,
+     * by their short key
+     * @returns {Object<string, number>}
+     */
+    getInitialStoredShapes() {
+        return {};
+    }
+
+    /**
+     * Should return the rewards which are unlocked from the start
+     * @returns {Array<enumHubGoalRewards>}
+     */
+    getInitialRewards() {
+        return [];
+    }
+
+    /**
+     * Whether the regular map generation places obstacles in new games, modes have to opt in
+     * @returns {boolean}
+     */
+    hasObstacles() {
+        return false;
+    }
+
+    /**
+     * Allows the mode to generate the resources of a map chunk itself. Should return true
+     * if it did, and false to use the regular map generation. Obstacles can be placed with
+     * chunk.setTerrainFromLocalCoords. Also runs for the map preview of a new game, which only has
+     * a map and a shape definition manager, see root.isPreview
+     * @param {MapChunk} chunk
+     * @param {RandomNumberGenerator} rng Seeded with the chunk position and the map seed
+     * @returns {boolean}
+     */
+    generateMapChunk(chunk, rng) {
+        return false;
+    }
+
+    /**
+     * Allows the mode to generate the goals after the predefined levels. Should return
+     * null to use the regular random shapes
+     * @param {number} level
+     * @returns {FreeplayGoal|null}
+     */
+    computeFreeplayGoal(level) {
+        return null;
+    }
+
+    /**
+     * Checked after every logic tick, should return the result once the game is won or lost
+     * and null while it is still running
+     * @returns {GameResult|null}
+     */
+    getGameResult() {
+        return null;
+    }
+
+    /**
+     * Should return additional hud parts of this mode by their id
+     * @returns {Object<string, typeof BaseHUDPart>}
+     */
+    getAdditionalHudParts() {
+        return {};
+    }
+
+    /**
+     * Should return the ids of the hud parts this mode does not use. Parts other parts
+     * depend on, like the dialogs or notifications, can not be removed, see REQUIRED_HUD_PARTS
+     * in hud.js
+     * @returns {Array<string>}
+     */
+    getRemovedHudParts() {
+        return [];
+    }
 }
\ No newline at end of file
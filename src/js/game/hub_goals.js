@@ -41,6 +41,8 @@ export class HubGoals extends BasicSerializableObject {
         }
 
         // Compute gained rewards
+        this.gainedRewards = {};
+        this.addInitialRewards();
         for (let i = 0; i < this.level - 1; ++i) {
             if (i < levels.length) {
                 const reward = levels[i].reward;
@@ -105,6 +107,14 @@ export class HubGoals extends BasicSerializableObject {
             this.upgradeImprovements[key] = 1;
         }
 
+        // Starting conditions of the game mode
+        const initialShapes = this.root.gameMode.getInitialStoredShapes();
+        for (const shortKey in initialShapes) {
+            const definition = ShapeDefinition.fromShortKey(shortKey);
+            this.storedShapes[definition.getHash()] = initialShapes[shortKey];
+        }
+        this.addInitialRewards();
+
         this.computeNextGoal();
 
         // Allow quickly switching goals in dev mode
@@ -122,6 +132,16 @@ export class HubGoals extends BasicSerializableObject {
         }
     }
 
+    /**
+     * Adds the rewards the game mode unlocks from the start
+     */
+    addInitialRewards() {
+        const rewards = this.root.gameMode.getInitialRewards();
+        for (let i = 0; i < rewards.length; ++i) {
+            this.gainedRewards[rewards[i]] = (this.gainedRewards[rewards[i]] || 0) + 1;
+        }
+    }
+
     /**
      * Returns whether the end of the demo is reached
      * @returns {boolean}
@@ -154,6 +174,17 @@ export class HubGoals extends BasicSerializableObject {
         return;
     }
 
+    /**
+     * Puts shapes back into the hub, e.g. when refunding the costs of an undone blueprint
+     * @param {string} key
+     * @param {number} amount
+     */
+    putShapeByKey(key, amount) {
+        assert(amount >= 0, "Amount < 0 for " + key);
+        assert(Number.isInteger(amount), "Invalid amount: " + amount);
+        this.storedShapes[key] = (this.storedShapes[key] || 0) + amount;
+    }
+
     /**
      * Returns how much of the current shape is stored
      * @param {string} key
@@ -238,6 +269,18 @@ export class HubGoals extends BasicSerializableObject {
             return;
         }
 
+        const freeplayGoal = this.root.gameMode.computeFreeplayGoal(this.level);
+        if (freeplayGoal) {
+            const { definition, required, throughputOnly = true } = freeplayGoal;
+            this.currentGoal = {
+                definition,
+                required,
+                reward: enumHubGoalRewards.no_reward_freeplay,
+                throughputOnly,
+            };
+            return;
+        }
+
         //Floor Required amount to remove confusion
         const required = Math.min(200, Math.floor(4 + (this.level - 27) * 0.25));
         this.currentGoal = {
@@ -497,131 +540,33 @@ export class HubGoals extends BasicSerializableObject {
      * @returns {number} items / sec
      */
     getProcessorBaseSpeed(processorType) {
-        if (HubGoals.getProcessorBaseSpeed[processorType])
-            return HubGoals.getProcessorBaseSpeed[processorType].bind(this)(processorType);
-        else assertAlways(false, "invalid processor type: " + processorType);
+        const legacy = HubGoals.getProcessorBaseSpeed[processorType];
+        if (legacy) {
+            return legacy.call(this, processorType);
+        }
+
+        const declaration = shapezAPI.ingame.itemProcessors[processorType];
+        assertAlways(declaration, "invalid processor type: " + processorType);
+
+        if (declaration.getBaseSpeed) {
+            return declaration.getBaseSpeed(this, processorType);
+        }
 
-        return 1 / globalConfig.beltSpeedItemsPerSecond;
+        const speed =
+            declaration.speed !== undefined ? declaration.speed : globalConfig.buildingSpeeds[processorType];
+        assert(speed, "Processor type has no speed set: " + processorType);
+        assert(
+            this.upgradeImprovements[declaration.upgrade] !== undefined,
+            "Processor type " + processorType + " has unknown upgrade: " + declaration.upgrade
+        );
+        return globalConfig.beltSpeedItemsPerSecond * this.upgradeImprovements[declaration.upgrade] * speed;
     }
-    static getProcessorBaseSpeed = {
-        trash: processorType => 1e30,
-        hub: processorType => 1e30,
-        balancer: function (processorType) {
-            return globalConfig.beltSpeedItemsPerSecond * this.upgradeImprovements.belt * 2;
-        },
-        reader: function (processorType) {
-            return globalConfig.beltSpeedItemsPerSecond * this.upgradeImprovements.belt;
-        },
-        mixer: function (processorType) {
-            assert(
-                globalConfig.buildingSpeeds[processorType],
-                "Processor type has no speed set in globalConfig.buildingSpeeds:()=> " + processorType
-            );
-            return (
-                globalConfig.beltSpeedItemsPerSecond *
-                this.upgradeImprovements.painting *
-                globalConfig.buildingSpeeds[processorType]
-            );
-        },
-        painter: function (processorType) {
-            assert(
-                globalConfig.buildingSpeeds[processorType],
-                "Processor type has no speed set in globalConfig.buildingSpeeds:()=> " + processorType
-            );
-            return (
-                globalConfig.beltSpeedItemsPerSecond *
-                this.upgradeImprovements.painting *
-                globalConfig.buildingSpeeds[processorType]
-            );
-        },
-        painterDouble: function (processorType) {
-            assert(
-                globalConfig.buildingSpeeds[processorType],
-                "Processor type has no speed set in globalConfig.buildingSpeeds:()=> " + processorType
-            );
-            return (
-                globalConfig.beltSpeedItemsPerSecond *
-                this.upgradeImprovements.painting *
-                globalConfig.buildingSpeeds[processorType]
-            );
-        },
-        painterQuad: function (processorType) {
-            assert(
-                globalConfig.buildingSpeeds[processorType],
-                "Processor type has no speed set in globalConfig.buildingSpeeds:()=> " + processorType
-            );
-            return (
-                globalConfig.beltSpeedItemsPerSecond *
-                this.upgradeImprovements.painting *
-                globalConfig.buildingSpeeds[processorType]
-            );
-        },
 
-        cutter: function (processorType) {
-            assert(
-                globalConfig.buildingSpeeds[processorType],
-                "Processor type has no speed set in globalConfig.buildingSpeeds:()=> " + processorType
-            );
-            return (
-                globalConfig.beltSpeedItemsPerSecond *
-                this.upgradeImprovements.processors *
-                globalConfig.buildingSpeeds[processorType]
-            );
-        },
-        cutterQuad: function (processorType) {
-            assert(
-                globalConfig.buildingSpeeds[processorType],
-                "Processor type has no speed set in globalConfig.buildingSpeeds:()=> " + processorType
-            );
-            return (
-                globalConfig.beltSpeedItemsPerSecond *
-                this.upgradeImprovements.processors *
-                globalConfig.buildingSpeeds[processorType]
-            );
-        },
-        rotater: function (processorType) {
-            assert(
-                globalConfig.buildingSpeeds[processorType],
-                "Processor type has no speed set in globalConfig.buildingSpeeds:()=> " + processorType
-            );
-            return (
-                globalConfig.beltSpeedItemsPerSecond *
-                this.upgradeImprovements.processors *
-                globalConfig.buildingSpeeds[processorType]
-            );
-        },
-        rotaterCCW: function (processorType) {
-            assert(
-                globalConfig.buildingSpeeds[processorType],
-                "Processor type has no speed set in globalConfig.buildingSpeeds:()=> " + processorType
-            );
-            return (
-                globalConfig.beltSpeedItemsPerSecond *
-                this.upgradeImprovements.processors *
-                globalConfig.buildingSpeeds[processorType]
-            );
-        },
-        rotater180: function (processorType) {
-            assert(
-                globalConfig.buildingSpeeds[processorType],
-                "Processor type has no speed set in globalConfig.buildingSpeeds:()=> " + processorType
-            );
-            return (
-                globalConfig.beltSpeedItemsPerSecond *
-                this.upgradeImprovements.processors *
-                globalConfig.buildingSpeeds[processorType]
-            );
-        },
-        stacker: function (processorType) {
-            assert(
-                globalConfig.buildingSpeeds[processorType],
-                "Processor type has no speed set in globalConfig.buildingSpeeds:()=> " + processorType
-            );
-            return (
-                globalConfig.beltSpeedItemsPerSecond *
-                this.upgradeImprovements.processors *
-                globalConfig.buildingSpeeds[processorType]
-            );
-        },
-    };
+    /**
+     * @deprecated Register the speed with the processor type instead, see item_processor_registry.js.
+     * Speeds of mods predating the registry, called with the hub goals as this. They take precedence
+     * over the registered processor types.
+     * @type {Object<string, function(string):number>}
+     */
+    static getProcessorBaseSpeed = {};
 }
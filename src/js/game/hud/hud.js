@@ -42,13 +42,30 @@ import { HUDSandboxController } from "./parts/sandbox_controller";
 import { HUDWiresToolbar } from "./parts/wires_toolbar";
 import { HUDWireInfo } from "./parts/wire_info";
 import { HUDLeverToggle } from "./parts/lever_toggle";
+import { HUDUndoRedo } from "./parts/undo_redo";
 import { HUDLayerPreview } from "./parts/layer_preview";
 import { HUDMinerHighlight } from "./parts/miner_highlight";
+import { HUDThroughputTooltip } from "./parts/throughput_tooltip";
 import { HUDBetaOverlay } from "./parts/beta_overlay";
 import { HUDStandaloneAdvantages } from "./parts/standalone_advantages";
 import { HUDCatMemes } from "./parts/cat_memes";
 import { HUDTutorialVideoOffer } from "./parts/tutorial_video_offer";
 import { HUDConstantSignalEdit } from "./parts/constant_signal_edit";
+import { HUDGameResult } from "./parts/game_result";
+import { HUDBlueprintLibrary } from "./parts/blueprint_library";
+
+/**
+ * Hud parts which other parts, the savegame or the game core use directly, so game modes can
+ * not remove them
+ */
+const REQUIRED_HUD_PARTS = [
+    "buildingPlacer",
+    "waypoints",
+    "pinnedShapes",
+    "notifications",
+    "dialogs",
+    "wiresOverlay",
+];
 
 export class GameHUD {
     /**
@@ -85,10 +102,12 @@ export class GameHUD {
             massSelector: new HUDMassSelector(this.root),
             shop: new HUDShop(this.root),
             statistics: new HUDStatistics(this.root),
+            blueprintLibrary: new HUDBlueprintLibrary(this.root),
             waypoints: new HUDWaypoints(this.root),
             wireInfo: new HUDWireInfo(this.root),
             leverToggle: new HUDLeverToggle(this.root),
             constantSignalEdit: new HUDConstantSignalEdit(this.root),
+            undoRedo: new HUDUndoRedo(this.root),
 
             // Must always exist
             pinnedShapes: new HUDPinnedShapes(this.root),
@@ -96,6 +115,7 @@ export class GameHUD {
             settingsMenu: new HUDSettingsMenu(this.root),
             debugInfo: new HUDDebugInfo(this.root),
             dialogs: new HUDModalDialogs(this.root),
+            gameResult: new HUDGameResult(this.root),
             screenshotExporter: new HUDScreenshotExporter(this.root),
             shapeViewer: new HUDShapeViewer(this.root),
 
@@ -103,6 +123,7 @@ export class GameHUD {
             layerPreview: new HUDLayerPreview(this.root),
 
             minerHighlight: new HUDMinerHighlight(this.root),
+            throughputTooltip: new HUDThroughputTooltip(this.root),
             tutorialVideoOffer: new HUDTutorialVideoOffer(this.root),
 
             // Typing hints
@@ -157,6 +178,21 @@ export class GameHUD {
             this.parts.betaOverlay = new HUDBetaOverlay(this.root);
         }
 
+        // Parts of the game mode
+        const gameModeParts = this.root.gameMode.getAdditionalHudParts();
+        for (const key in gameModeParts) {
+            this.parts[key] = new gameModeParts[key](this.root);
+        }
+
+        const removedParts = this.root.gameMode.getRemovedHudParts();
+        for (let i = 0; i < removedParts.length; ++i) {
+            assertAlways(
+                !REQUIRED_HUD_PARTS.includes(removedParts[i]),
+                "Hud part " + removedParts[i] + " is required and can not be removed"
+            );
+            delete this.parts[removedParts[i]];
+        }
+
         const frag = document.createDocumentFragment();
         for (const key in this.parts) {
             if (Array.isArray(this.parts[key])) {
@@ -301,6 +337,7 @@ export class GameHUD {
             "colorBlindHelper",
             "changesDebugger",
             "minerHighlight",
+            "throughputTooltip",
         ];
 
         for (let i = 0; i < partsOrder.length; ++i) {
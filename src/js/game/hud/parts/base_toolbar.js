@@ -22,8 +22,11 @@ export class HUDBaseToolbar extends BaseHUDPart {
     ) {
         super(root);
 
-        this.primaryBuildings = primaryBuildings;
-        this.secondaryBuildings = secondaryBuildings;
+        // Buildings the game mode does not allow are not shown at all
+        const isAllowed = building =>
+            root.gameMode.isBuildingAllowed(gMetaBuildingRegistry.findByClass(building));
+        this.primaryBuildings = primaryBuildings.filter(isAllowed);
+        this.secondaryBuildings = secondaryBuildings.filter(isAllowed);
         this.visibilityCondition = visibilityCondition;
         this.htmlElementId = htmlElementId;
         this.layer = layer;
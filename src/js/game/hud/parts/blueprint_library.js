@@ -0,0 +1,362 @@
+import { InputReceiver } from "../../../core/input_receiver";
+import { createLogger } from "../../../core/logging";
+import { DialogWithForm } from "../../../core/modal_dialog_elements";
+import { FormElementInput } from "../../../core/modal_dialog_forms";
+import { STOP_PROPAGATION } from "../../../core/signal";
+import { makeButton, makeDiv, removeAllChildren } from "../../../core/utils";
+import { parseBlueprintTags } from "../../../profile/blueprint_library";
+import { T } from "../../../translations";
+import { Blueprint, BLUEPRINT_STRING_PREFIX } from "../../blueprint";
+import { KeyActionMapper, KEYMAPPINGS } from "../../key_action_mapper";
+import { isLayerUnlocked } from "../../layers";
+import { BaseHUDPart } from "../base_hud_part";
+import { DynamicDomAttach } from "../dynamic_dom_attach";
+import { enumNotificationType } from "./notifications";
+
+const copy = require("clipboard-copy");
+
+const logger = createLogger("hud/blueprint_library");
+
+/** Size of the blueprint previews in pixels */
+const PREVIEW_SIZE = 64;
+
+export class HUDBlueprintLibrary extends BaseHUDPart {
+    createElements(parent) {
+        this.background = makeDiv(parent, "ingame_HUD_BlueprintLibrary", ["ingameDialog"]);
+
+        // DIALOG Inner / Wrapper
+        this.dialogInner = makeDiv(this.background, null, ["dialogInner"]);
+        this.title = makeDiv(this.dialogInner, null, ["title"], T.ingame.blueprintLibrary.title);
+        this.closeButton = makeDiv(this.title, null, ["closeButton"]);
+        this.trackClicks(this.closeButton, this.close);
+
+        this.header = makeDiv(this.dialogInner, null, ["header"]);
+
+        this.searchInput = document.createElement("input");
+        this.searchInput.type = "text";
+        this.searchInput.classList.add("search");
+        this.searchInput.placeholder = T.ingame.blueprintLibrary.search;
+        this.searchInput.addEventListener("input", () => this.rerender());
+        this.header.appendChild(this.searchInput);
+
+        const saveButton = makeButton(this.header, ["save"], T.ingame.blueprintLibrary.save);
+        const importButton = makeButton(this.header, ["import"], T.ingame.blueprintLibrary.import);
+        this.trackClicks(saveButton, this.requestSaveCurrent);
+        this.trackClicks(importButton, this.requestImport);
+
+        this.contentDiv = makeDiv(this.dialogInner, null, ["content"]);
+    }
+
+    initialize() {
+        this.library = this.root.app.blueprintLibrary;
+
+        /**
+         * Previews of the entries by id, so searching does not decode all blueprints again
+         * @type {Map<string, { data: string, canvas: HTMLCanvasElement }>}
+         */
+        this.previews = new Map();
+
+        this.domAttach = new DynamicDomAttach(this.root, this.background, {
+            attachClass: "visible",
+        });
+
+        this.inputReciever = new InputReceiver("blueprintLibrary");
+
+        // Must be added before the key action mapper, so typing in the search does not trigger keybindings
+        this.inputReciever.keydown.add(this.handleKeydown, this);
+
+        this.keyActionMapper = new KeyActionMapper(this.root, this.inputReciever);
+        this.keyActionMapper.getBinding(KEYMAPPINGS.general.back).add(this.close, this);
+        this.keyActionMapper.getBinding(KEYMAPPINGS.ingame.menuClose).add(this.close, this);
+        this.keyActionMapper.getBinding(KEYMAPPINGS.ingame.menuOpenBlueprints).add(this.close, this);
+
+        this.close();
+    }
+
+    /**
+     * @param {object} param0
+     * @param {number} param0.keyCode
+     */
+    handleKeydown({ keyCode }) {
+        if (document.activeElement === this.searchInput && keyCode !== KEYMAPPINGS.general.back.keyCode) {
+            return STOP_PROPAGATION;
+        }
+    }
+
+    isBlockingOverlay() {
+        return this.visible;
+    }
+
+    show() {
+        // Buildings might have been unlocked since the library was open
+        this.previews.clear();
+
+        this.visible = true;
+        this.root.app.inputMgr.makeSureAttachedAndOnTop(this.inputReciever);
+        this.rerender();
+        this.update();
+    }
+
+    close() {
+        this.visible = false;
+        this.searchInput.blur();
+        this.root.app.inputMgr.makeSureDetached(this.inputReciever);
+        this.update();
+    }
+
+    update() {
+        this.domAttach.update(this.visible);
+    }
+
+    /**
+     * Regenerates the list of blueprints
+     */
+    rerender() {
+        removeAllChildren(this.contentDiv);
+
+        const entries = this.library.findBlueprints(this.searchInput.value);
+        if (entries.length === 0) {
+            makeDiv(this.contentDiv, null, ["noEntries"], T.ingame.blueprintLibrary.empty);
+            return;
+        }
+
+        // Newest first
+        const sorted = entries.slice().sort((a, b) => b.created - a.created);
+        for (let i = 0; i < sorted.length; ++i) {
+            const element = makeDiv(this.contentDiv, null, ["entry"]);
+            try {
+                this.renderEntry(element, sorted[i]);
+            } catch (ex) {
+                logger.warn("Failed to render blueprint", sorted[i].id, ex);
+                element.remove();
+            }
+        }
+    }
+
+    /**
+     * Returns the preview of the entry, or null if its blueprint can not be used
+     * @param {import("../../../profile/blueprint_library").BlueprintLibraryEntry} entry
+     * @returns {HTMLCanvasElement|null}
+     */
+    getPreview(entry) {
+        const cached = this.previews.get(entry.id);
+        if (cached && cached.data === entry.data) {
+            return cached.canvas;
+        }
+
+        let canvas = null;
+        const blueprint = Blueprint.fromString(this.root, entry.data);
+        if (blueprint) {
+            canvas = document.createElement("canvas");
+            canvas.width = PREVIEW_SIZE;
+            canvas.height = PREVIEW_SIZE;
+            blueprint.drawPreview(canvas);
+        }
+        this.previews.set(entry.id, { data: entry.data, canvas });
+        return canvas;
+    }
+
+    /**
+     * @param {HTMLElement} element
+     * @param {import("../../../profile/blueprint_library").BlueprintLibraryEntry} entry
+     */
+    renderEntry(element, entry) {
+        const preview = this.getPreview(entry);
+        if (preview) {
+            element.appendChild(preview);
+        } else {
+            // Keep the layout of the other entries
+            const placeholder = document.createElement("canvas");
+            placeholder.width = PREVIEW_SIZE;
+            placeholder.height = PREVIEW_SIZE;
+            element.appendChild(placeholder);
+            element.classList.add("unavailable");
+        }
+
+        const info = makeDiv(element, null, ["info"]);
+        makeDiv(info, null, ["name"]).innerText = entry.name;
+        makeDiv(info, null, ["tags"]).innerText = entry.tags.join(", ");
+
+        const buttons = makeDiv(element, null, ["buttons"]);
+        const useButton = makeButton(buttons, ["use"], T.ingame.blueprintLibrary.use);
+        const copyButton = makeButton(buttons, ["copy"], T.ingame.blueprintLibrary.copy);
+        const editButton = makeButton(buttons, ["edit"], T.ingame.blueprintLibrary.edit);
+
+        this.trackClicks(useButton, () => this.useBlueprint(entry));
+        this.trackClicks(copyButton, () => this.copyBlueprintString(entry));
+        this.trackClicks(editButton, () => this.requestEdit(entry));
+    }
+
+    /**
+     * Starts placing the blueprint of the entry
+     * @param {import("../../../profile/blueprint_library").BlueprintLibraryEntry} entry
+     */
+    useBlueprint(entry) {
+        const blueprint = Blueprint.fromString(this.root, entry.data);
+        if (!blueprint || !isLayerUnlocked(this.root, blueprint.layer)) {
+            this.root.hud.parts.dialogs.showInfo(
+                T.ingame.blueprintLibrary.unavailable.title,
+                T.ingame.blueprintLibrary.unavailable.desc
+            );
+            return;
+        }
+
+        this.close();
+        this.root.hud.parts.wiresOverlay.setLayer(blueprint.layer);
+        this.root.hud.signals.pasteBlueprintRequested.dispatch();
+        this.root.hud.parts.blueprintPlacer.currentBlueprint.set(blueprint);
+    }
+
+    /**
+     * Copies the blueprint string of the entry to the clipboard
+     * @param {import("../../../profile/blueprint_library").BlueprintLibraryEntry} entry
+     */
+    copyBlueprintString(entry) {
+        copy(entry.data);
+        this.root.hud.signals.notification.dispatch(
+            T.ingame.blueprintLibrary.copied,
+            enumNotificationType.success
+        );
+    }
+
+    /**
+     * Creates the inputs for the name and tags of a blueprint
+     * @param {import("../../../profile/blueprint_library").BlueprintLibraryEntry=} entry
+     */
+    createNameAndTagInputs(entry = null) {
+        const nameInput = new FormElementInput({
+            id: "blueprintName",
+            label: T.ingame.blueprintLibrary.name,
+            placeholder: "",
+            defaultValue: entry ? entry.name : "",
+            validator: val => val.trim().length > 0,
+        });
+        const tagsInput = new FormElementInput({
+            id: "blueprintTags",
+            label: T.ingame.blueprintLibrary.tags,
+            placeholder: T.ingame.blueprintLibrary.tagsPlaceholder,
+            defaultValue: entry ? entry.tags.join(", ") : "",
+        });
+        return { nameInput, tagsInput };
+    }
+
+    /**
+     * Asks for a name and adds the blueprint which was placed last to the library
+     */
+    requestSaveCurrent() {
+        const placer = this.root.hud.parts.blueprintPlacer;
+        const blueprint = placer.currentBlueprint.get() || placer.lastBlueprintUsed;
+        if (!blueprint) {
+            this.root.hud.parts.dialogs.showInfo(
+                T.ingame.blueprintLibrary.noBlueprint.title,
+                T.ingame.blueprintLibrary.noBlueprint.desc
+            );
+            return;
+        }
+
+        const { nameInput, tagsInput } = this.createNameAndTagInputs();
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: T.ingame.blueprintLibrary.save,
+            desc: "",
+            formElements: [nameInput, tagsInput],
+            buttons: ["cancel", "ok:good"],
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() =>
+            this.addBlueprint(
+                nameInput.getValue(),
+                tagsInput.getValue(),
+                blueprint.layer,
+                blueprint.serializeToString()
+            )
+        );
+    }
+
+    /**
+     * Asks for a blueprint string and adds it to the library
+     */
+    requestImport() {
+        const { nameInput, tagsInput } = this.createNameAndTagInputs();
+        const dataInput = new FormElementInput({
+            id: "blueprintData",
+            label: T.ingame.blueprintLibrary.blueprintString,
+            placeholder: BLUEPRINT_STRING_PREFIX,
+            inputType: "data",
+            validator: val => val.trim().startsWith(BLUEPRINT_STRING_PREFIX),
+        });
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: T.ingame.blueprintLibrary.import,
+            desc: T.ingame.blueprintLibrary.importDesc,
+            formElements: [dataInput, nameInput, tagsInput],
+            buttons: ["cancel", "ok:good"],
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() => {
+            const blueprint = Blueprint.fromString(this.root, dataInput.getValue());
+            if (!blueprint) {
+                this.root.hud.parts.dialogs.showInfo(
+                    T.ingame.blueprintLibrary.invalidString.title,
+                    T.ingame.blueprintLibrary.invalidString.desc
+                );
+                return;
+            }
+
+            // Store the string as given, so buildings which are locked right now are kept
+            this.addBlueprint(
+                nameInput.getValue(),
+                tagsInput.getValue(),
+                blueprint.layer,
+                dataInput.getValue().trim()
+            );
+        });
+    }
+
+    /**
+     * Asks for a new name and tags of the entry, or deletes it
+     * @param {import("../../../profile/blueprint_library").BlueprintLibraryEntry} entry
+     */
+    requestEdit(entry) {
+        const { nameInput, tagsInput } = this.createNameAndTagInputs(entry);
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: T.ingame.blueprintLibrary.edit,
+            desc: "",
+            formElements: [nameInput, tagsInput],
+            buttons: ["delete:bad", "cancel", "ok:good"],
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() => {
+            this.library
+                .updateBlueprint(
+                    entry.id,
+                    nameInput.getValue().trim(),
+                    parseBlueprintTags(tagsInput.getValue())
+                )
+                .then(() => this.rerender());
+        });
+        dialog.buttonSignals.delete.add(() => {
+            this.library.removeBlueprint(entry.id).then(() => this.rerender());
+        });
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} tags Tags separated by commas
+     * @param {Layer} layer
+     * @param {string} data
+     */
+    addBlueprint(name, tags, layer, data) {
+        this.library.addBlueprint(name.trim(), parseBlueprintTags(tags), layer, data).then(() => {
+            this.rerender();
+            this.root.hud.signals.notification.dispatch(
+                T.ingame.blueprintLibrary.savedNotification,
+                enumNotificationType.saved
+            );
+        });
+    }
+}
@@ -38,6 +38,12 @@ export class HUDBlueprintPlacer extends BaseHUDPart {
         keyActionMapper.getBinding(KEYMAPPINGS.general.back).add(this.abortPlacement, this);
         keyActionMapper.getBinding(KEYMAPPINGS.placement.pipette).add(this.abortPlacement, this);
         keyActionMapper.getBinding(KEYMAPPINGS.placement.rotateWhilePlacing).add(this.rotateBlueprint, this);
+        keyActionMapper
+            .getBinding(KEYMAPPINGS.placement.mirrorHorizontal)
+            .add(() => this.mirrorBlueprint(false));
+        keyActionMapper
+            .getBinding(KEYMAPPINGS.placement.mirrorVertical)
+            .add(() => this.mirrorBlueprint(true));
         keyActionMapper.getBinding(KEYMAPPINGS.massSelect.pasteLastBlueprint).add(this.pasteBlueprint, this);
 
         this.root.camera.downPreHandler.add(this.onMouseDown, this);
@@ -121,9 +127,18 @@ export class HUDBlueprintPlacer extends BaseHUDPart {
 
             const worldPos = this.root.camera.screenToWorld(pos);
             const tile = worldPos.toTileSpace();
-            if (blueprint.tryPlace(this.root, tile)) {
+            // Record the costs together with the placement, so undoing it refunds them
+            const placed = this.root.undoHistory.recordStep(() => {
+                if (!blueprint.tryPlace(this.root, tile)) {
+                    return false;
+                }
+                const shapeKey = this.root.gameMode.getBlueprintShapeKey();
                 const cost = blueprint.getCost();
-                this.root.hubGoals.takeShapeByKey(this.root.gameMode.getBlueprintShapeKey(), cost);
+                this.root.hubGoals.takeShapeByKey(shapeKey, cost);
+                this.root.undoHistory.recordCost(shapeKey, cost);
+                return true;
+            });
+            if (placed) {
                 this.root.soundProxy.playUi(SOUNDS.placeBuilding);
             }
             return STOP_PROPAGATION;
@@ -164,6 +179,17 @@ export class HUDBlueprintPlacer extends BaseHUDPart {
         }
     }
 
+    /**
+     * Attempts to mirror the current blueprint
+     * @param {boolean} vertical Whether to swap top and bottom instead of left and right
+     */
+    mirrorBlueprint(vertical) {
+        const blueprint = this.currentBlueprint.get();
+        if (blueprint && !blueprint.mirror(vertical)) {
+            this.root.soundProxy.playUiError();
+        }
+    }
+
     /**
      * Attempts to paste the last blueprint
      */
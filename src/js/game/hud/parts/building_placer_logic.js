@@ -14,6 +14,7 @@ import { MetaMinerBuilding } from "../../buildings/miner";
 import { enumHubGoalRewards } from "../../tutorial_goals";
 import { getBuildingDataFromCode, getCodeFromBuildingData } from "../../building_codes";
 import { MetaHubBuilding } from "../../buildings/hub";
+import { MetaOrphanBuilding } from "../../buildings/orphan";
 import { safeModulo } from "../../../core/utils";
 
 /**
@@ -75,6 +76,12 @@ export class HUDBuildingPlacerLogic extends BaseHUDPart {
          */
         this.currentlyDeleting = false;
 
+        /**
+         * Whether an undo step was started for the current drag, so the whole drag gets undone at once
+         * @type {boolean}
+         */
+        this.dragUndoStepOpen = false;
+
         /**
          * Stores which variants for each building we prefer, this is based on what
          * the user last selected
@@ -111,6 +118,8 @@ export class HUDBuildingPlacerLogic extends BaseHUDPart {
         const keyActionMapper = this.root.keyMapper;
         keyActionMapper.getBinding(KEYMAPPINGS.placement.rotateWhilePlacing).add(this.tryRotate, this);
         keyActionMapper.getBinding(KEYMAPPINGS.placement.cycleBuildingVariants).add(this.cycleVariants, this);
+        keyActionMapper.getBinding(KEYMAPPINGS.placement.mirrorHorizontal).add(() => this.tryMirror(false));
+        keyActionMapper.getBinding(KEYMAPPINGS.placement.mirrorVertical).add(() => this.tryMirror(true));
         keyActionMapper
             .getBinding(KEYMAPPINGS.placement.switchDirectionLockSide)
             .add(this.switchDirectionLockSide, this);
@@ -249,6 +258,26 @@ export class HUDBuildingPlacerLogic extends BaseHUDPart {
         this.currentlyDeleting = false;
         this.initialPlacementVector = null;
         this.lastDragTile = null;
+        this.endDragUndoStep();
+    }
+
+    /**
+     * Starts the undo step of a new drag
+     */
+    beginDragUndoStep() {
+        this.endDragUndoStep();
+        this.root.undoHistory.beginStep();
+        this.dragUndoStepOpen = true;
+    }
+
+    /**
+     * Finishes the undo step of the current drag, if any
+     */
+    endDragUndoStep() {
+        if (this.dragUndoStepOpen) {
+            this.dragUndoStepOpen = false;
+            this.root.undoHistory.endStep();
+        }
     }
 
     /**
@@ -290,6 +319,37 @@ export class HUDBuildingPlacerLogic extends BaseHUDPart {
                 staticComp.rotation = this.currentBaseRotation;
             }
         }
+
+    /**
+     * Tries to mirror the current building, switches to the mirrored variant if there is one
+     * @param {boolean} vertical Whether to swap top and bottom instead of left and right
+     */
+    tryMirror(vertical) {
+        const metaBuilding = this.currentMetaBuilding.get();
+        if (!metaBuilding) {
+            return;
+        }
+
+        // The rotation variant is computed while placing
+        const variant = this.currentVariant.get();
+        const mirrored = metaBuilding.mirror(variant, 0, this.currentBaseRotation, vertical);
+        if (
+            !mirrored ||
+            (mirrored.variant !== variant &&
+                !metaBuilding.getAvailableVariants(this.root).includes(mirrored.variant))
+        ) {
+            // Rotating instead would place a building which does something else
+            this.root.soundProxy.playUiError();
+            return;
+        }
+
+        if (mirrored.variant !== variant) {
+            this.setVariant(mirrored.variant);
+        }
+        this.currentBaseRotation = mirrored.rotation;
+        this.fakeEntity.components.StaticMapEntity.rotation = this.currentBaseRotation;
+    }
+
         /**
          * Tries to delete the building under the mouse
          */
@@ -365,6 +425,12 @@ export class HUDBuildingPlacerLogic extends BaseHUDPart {
             return;
         }
 
+        // Disable pipetting placeholders of missing mod buildings
+        if (extracted.metaClass === MetaOrphanBuilding) {
+            this.currentMetaBuilding.set(null);
+            return;
+        }
+
         // If the building we are picking is the same as the one we have, clear the cursor.
         if (
             this.currentMetaBuilding.get() &&
@@ -411,12 +477,18 @@ export class HUDBuildingPlacerLogic extends BaseHUDPart {
         }
 
         const metaBuilding = this.currentMetaBuilding.get();
+        const layer = metaBuilding.getLayer(this.root, this.currentVariant.get());
+        if (this.root.map.isTileBlockedXY(tile.x, tile.y, layer)) {
+            // Obstacle in the way
+            return false;
+        }
+
         const { rotation, rotationVariant } = metaBuilding.computeOptimalDirectionAndRotationVariantAtTile({
             root: this.root,
             tile,
             rotation: this.currentBaseRotation,
             variant: this.currentVariant.get(),
-            layer: metaBuilding.getLayer(this.root, this.currentVariant.get()),
+            layer,
         });
 
         const entity = this.root.logic.tryPlaceBuilding({
@@ -659,6 +731,7 @@ export class HUDBuildingPlacerLogic extends BaseHUDPart {
             this.currentlyDragging = true;
             this.currentlyDeleting = false;
             this.lastDragTile = this.root.camera.screenToWorld(pos).toTileSpace();
+            this.beginDragUndoStep();
 
             // Place initial building, but only if direction lock is not active
             if (!this.isDirectionLockActive) {
@@ -677,6 +750,7 @@ export class HUDBuildingPlacerLogic extends BaseHUDPart {
             this.currentlyDragging = true;
             this.currentlyDeleting = true;
             this.lastDragTile = this.root.camera.screenToWorld(pos).toTileSpace();
+            this.beginDragUndoStep();
             if (this.deleteBelowCursor()) {
                 return STOP_PROPAGATION;
             }
@@ -794,6 +868,7 @@ export class HUDBuildingPlacerLogic extends BaseHUDPart {
      */
     onMouseUp() {
         if (this.root.camera.getIsMapOverlayActive()) {
+            this.endDragUndoStep();
             return;
         }
 
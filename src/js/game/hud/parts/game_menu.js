@@ -6,6 +6,7 @@ import { T } from "../../../translations";
 import { KEYMAPPINGS } from "../../key_action_mapper";
 import { DynamicDomAttach } from "../dynamic_dom_attach";
 import { TrackedState } from "../../../core/tracked_state";
+import { enumHubGoalRewards } from "../../tutorial_goals";
 
 export class HUDGameMenu extends BaseHUDPart {
     createElements(parent) {
@@ -33,6 +34,13 @@ export class HUDGameMenu extends BaseHUDPart {
                 visible: () =>
                     !this.root.app.settings.getAllSettings().offerHints || this.root.hubGoals.level >= 3,
             },
+            {
+                id: "blueprints",
+                label: "Blueprints",
+                handler: () => this.root.hud.parts.blueprintLibrary.show(),
+                keybinding: KEYMAPPINGS.ingame.menuOpenBlueprints,
+                visible: () => this.root.hubGoals.isRewardUnlocked(enumHubGoalRewards.reward_blueprints),
+            },
         ];
 
         /** @type {Array<{
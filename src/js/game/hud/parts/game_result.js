@@ -0,0 +1,37 @@
+import { T } from "../../../translations";
+import { BaseHUDPart } from "../base_hud_part";
+
+/**
+ * Shows the result once the game mode ended the game
+ */
+export class HUDGameResult extends BaseHUDPart {
+    createElements() {}
+
+    initialize() {
+        this.root.signals.gameOver.add(this.onGameOver, this);
+        this.root.signals.gameRestored.add(this.onGameRestored, this);
+    }
+
+    onGameRestored() {
+        // A lost game stays over when loading it again
+        const result = this.root.gameResult;
+        if (result && !result.won) {
+            this.onGameOver(result);
+        }
+    }
+
+    /**
+     * @param {import("../../game_mode").GameResult} result
+     */
+    onGameOver(result) {
+        const dialogData = result.won ? T.dialogs.gameWon : T.dialogs.gameLost;
+
+        // A lost game can not be continued
+        const { menu } = this.root.hud.parts.dialogs.showInfo(
+            result.title || dialogData.title,
+            result.desc || dialogData.desc,
+            result.won ? ["menu:misc", "ok:good"] : ["menu:good"]
+        );
+        menu.add(() => this.root.gameState.goBackToMenu());
+    }
+}
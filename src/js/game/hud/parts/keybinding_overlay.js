@@ -7,7 +7,7 @@ import {
     KEYCODE_RMB,
     KEYMAPPINGS,
 } from "../../key_action_mapper";
-import { enumHubGoalRewards } from "../../tutorial_goals";
+import { getNextLayer } from "../../layers";
 import { BaseHUDPart } from "../base_hud_part";
 import { DynamicDomAttach } from "../dynamic_dom_attach";
 
@@ -206,6 +206,13 @@ export class HUDKeybindingOverlay extends BaseHUDPart {
                 condition: () => this.anyPlacementActive && !this.beltPlannerActive,
             },
 
+            {
+                // Mirror
+                label: T.ingame.keybindingsOverlay.mirrorBuilding,
+                keys: [k.placement.mirrorHorizontal, DIVIDER_TOKEN, k.placement.mirrorVertical],
+                condition: () => this.anyPlacementActive && !this.beltPlannerActive,
+            },
+
             {
                 // [BELT PLANNER] Flip Side
                 label: T.ingame.keybindingsOverlay.plannerSwitchSide,
@@ -258,8 +265,7 @@ export class HUDKeybindingOverlay extends BaseHUDPart {
                 // Switch layers
                 label: T.ingame.keybindingsOverlay.switchLayers,
                 keys: [k.ingame.switchLayers],
-                condition: () =>
-                    this.root.hubGoals.isRewardUnlocked(enumHubGoalRewards.reward_wires_painter_and_levers),
+                condition: () => getNextLayer(this.root, "regular") !== "regular",
             },
         ];
 
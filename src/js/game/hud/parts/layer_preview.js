@@ -2,12 +2,13 @@ import { freeCanvas, makeOffscreenBuffer } from "../../../core/buffer_utils";
 import { globalConfig } from "../../../core/config";
 import { Loader } from "../../../core/loader";
 import { Vector } from "../../../core/vector";
+import { getLayerDescriptor } from "../../layers";
 import { MapChunkView } from "../../map_chunk_view";
 import { THEME } from "../../theme";
 import { BaseHUDPart } from "../base_hud_part";
 
 /**
- * Helper class which allows peaking through to the wires layer
+ * Helper class which allows peaking through to another layer, like the wires layer
  */
 export class HUDLayerPreview extends BaseHUDPart {
     initialize() {
@@ -51,7 +52,7 @@ export class HUDLayerPreview extends BaseHUDPart {
      */
     prepareCanvasForPreview(worldPos, scale, layer) {
         this.context.clearRect(0, 0, this.previewSize, this.previewSize);
-        this.context.fillStyle = THEME.map.wires.previewColor;
+        this.context.fillStyle = getLayerDescriptor(layer).previewColor || THEME.map.wires.previewColor;
         this.context.fillRect(0, 0, this.previewSize, this.previewSize);
 
         const dimensions = scale * this.previewSize;
@@ -103,8 +104,8 @@ export class HUDLayerPreview extends BaseHUDPart {
      * @param {number} scale 1 / zoomLevel
      */
     renderPreview(parameters, worldPos, scale, layer) {
-        if (this.root.currentLayer !== "regular") {
-            // Only supporting wires right now
+        const previewFrom = getLayerDescriptor(layer).previewFrom || ["regular"];
+        if (!previewFrom.includes(this.root.currentLayer)) {
             return;
         }
 
@@ -19,6 +19,7 @@ export class HUDLeverToggle extends BaseHUDPart {
             const leverComp = contents.components.Lever;
             if (leverComp) {
                 if (button === enumMouseButton.left) {
+                    this.root.undoHistory.recordConfigChange(contents, "Lever", leverComp.serialize());
                     leverComp.toggled = !leverComp.toggled;
                     return STOP_PROPAGATION;
                 } else if (button === enumMouseButton.right) {
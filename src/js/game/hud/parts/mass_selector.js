@@ -14,6 +14,7 @@ import { KEYMAPPINGS } from "../../key_action_mapper";
 import { THEME } from "../../theme";
 import { enumHubGoalRewards } from "../../tutorial_goals";
 import { Blueprint } from "../../blueprint";
+import { OrphanedEntity } from "../../orphaned_entity";
 
 const logger = createLogger("hud/mass_selector");
 
@@ -100,20 +101,22 @@ export class HUDMassSelector extends BaseHUDPart {
          */
         const mapUidToEntity = this.root.entityMgr.getFrozenUidSearchMap();
 
-        this.root.logic.performBulkOperation(() => {
-            for (let i = 0; i < entityUids.length; ++i) {
-                const uid = entityUids[i];
-                const entity = mapUidToEntity.get(uid);
-                if (!entity) {
-                    logger.error("Entity not found by uid:", uid);
-                    continue;
-                }
+        this.root.logic.performBulkOperation(() =>
+            this.root.undoHistory.recordStep(() => {
+                for (let i = 0; i < entityUids.length; ++i) {
+                    const uid = entityUids[i];
+                    const entity = mapUidToEntity.get(uid);
+                    if (!entity) {
+                        logger.error("Entity not found by uid:", uid);
+                        continue;
+                    }
 
-                if (!this.root.logic.tryDeleteBuilding(entity)) {
-                    logger.error("Error in mass delete, could not remove building");
+                    if (!this.root.logic.tryDeleteBuilding(entity)) {
+                        logger.error("Error in mass delete, could not remove building");
+                    }
                 }
-            }
-        });
+            })
+        );
 
         // Clear uids later
         this.selectedUids = new Set();
@@ -161,21 +164,26 @@ export class HUDMassSelector extends BaseHUDPart {
     }
 
     doCut() {
-        if (this.selectedUids.size > 0) {
-            const entityUids = Array.from(this.selectedUids);
+        // Orphans can not be copied, so they are not cut either
+        const entityUids = Array.from(this.selectedUids).filter(
+            uid => !(this.root.entityMgr.findByUid(uid) instanceof OrphanedEntity)
+        );
 
+        if (entityUids.length > 0) {
             const cutAction = () => {
                 // copy code relies on entities still existing, so must copy before deleting.
                 this.root.hud.signals.buildingsSelectedForCopy.dispatch(entityUids);
 
-                for (let i = 0; i < entityUids.length; ++i) {
-                    const uid = entityUids[i];
-                    const entity = this.root.entityMgr.findByUid(uid);
-                    if (!this.root.logic.tryDeleteBuilding(entity)) {
-                        logger.error("Error in mass cut, could not remove building");
-                        this.selectedUids.delete(uid);
+                this.root.undoHistory.recordStep(() => {
+                    for (let i = 0; i < entityUids.length; ++i) {
+                        const uid = entityUids[i];
+                        const entity = this.root.entityMgr.findByUid(uid);
+                        if (!this.root.logic.tryDeleteBuilding(entity)) {
+                            logger.error("Error in mass cut, could not remove building");
+                            this.selectedUids.delete(uid);
+                        }
                     }
-                }
+                });
             };
 
             const blueprint = Blueprint.fromUids(this.root, entityUids);
@@ -2,15 +2,68 @@ import { makeOffscreenBuffer } from "../../../core/buffer_utils";
 import { globalConfig } from "../../../core/config";
 import { DrawParameters } from "../../../core/draw_parameters";
 import { createLogger } from "../../../core/logging";
+import { DialogWithForm } from "../../../core/modal_dialog_elements";
+import { FormElementCheckbox } from "../../../core/modal_dialog_forms";
 import { Rectangle } from "../../../core/rectangle";
+import { ORIGINAL_SPRITE_SCALE } from "../../../core/sprites";
+import { generateBlobDownload, waitNextFrame } from "../../../core/utils";
 import { Vector } from "../../../core/vector";
+import { ZipWriter } from "../../../core/zip_writer";
 import { T } from "../../../translations";
 import { StaticMapEntityComponent } from "../../components/static_map_entity";
 import { KEYMAPPINGS } from "../../key_action_mapper";
+import { isLayerUnlocked } from "../../layers";
 import { BaseHUDPart } from "../base_hud_part";
 
 const logger = createLogger("screenshot_exporter");
 
+/**
+ * The resolutions which can be exported, in pixels per tile
+ */
+const EXPORT_RESOLUTIONS = {
+    overview: 4,
+    small: 8,
+    medium: 16,
+    full: globalConfig.tileSize,
+};
+
+/**
+ * Size of the chunk groups which are rendered at once, and of the tiles of big exports, in pixels
+ */
+const GROUP_SIZE_PIXELS = 2048;
+
+/**
+ * Images which are bigger than this in any direction get exported as a zip of tiles
+ */
+const MAX_SINGLE_IMAGE_SIZE = 8192;
+
+/** Rejection reason of exports whose zip file would exceed the size limit of the zip format */
+const ZIP_TOO_LARGE = "zip-too-large";
+
+/** Size of the markers and the text of the legend in pixels */
+const LEGEND_LINE_HEIGHT = 24;
+const LEGEND_WIDTH = 400;
+const MARKER_RADIUS = 9;
+
+/**
+ * @typedef {{
+ *   tileSize: number,
+ *   wires: boolean,
+ *   resources: boolean,
+ *   legend: boolean
+ * }} ExportOptions
+ *
+ * @typedef {{
+ *   minChunk: Vector,
+ *   dimensions: Vector,
+ *   width: number,
+ *   height: number,
+ *   chunksPerGroup: number,
+ *   groups: Vector,
+ *   tiled: boolean
+ * }} ExportLayout
+ */
+
 export class HUDScreenshotExporter extends BaseHUDPart {
     createElements() {}
 
@@ -24,17 +77,77 @@ export class HUDScreenshotExporter extends BaseHUDPart {
             return;
         }
 
-        const { ok } = this.root.hud.parts.dialogs.showInfo(
-            T.dialogs.exportScreenshotWarning.title,
-            T.dialogs.exportScreenshotWarning.desc,
-            ["cancel:good", "ok:bad"]
+        const { optionSelected } = this.root.hud.parts.dialogs.showOptionChooser(
+            T.dialogs.exportScreenshot.resolutionTitle,
+            {
+                active: null,
+                options: Object.keys(EXPORT_RESOLUTIONS).map(id => ({
+                    value: id,
+                    text: T.dialogs.exportScreenshot.resolutions[id].title,
+                    desc: T.dialogs.exportScreenshot.resolutions[id].desc,
+                })),
+            }
         );
-        ok.add(this.doExport, this);
+        optionSelected.add(id => this.requestExportOptions(EXPORT_RESOLUTIONS[id]));
     }
 
-    doExport() {
-        logger.log("Starting export ...");
+    /**
+     * Asks what to include in the export
+     * @param {number} tileSize
+     */
+    requestExportOptions(tileSize) {
+        const layout = this.computeLayout(tileSize);
+
+        const wiresInput = new FormElementCheckbox({
+            id: "exportWires",
+            label: T.dialogs.exportScreenshot.includeWires,
+            defaultValue: false,
+        });
+        const resourcesInput = new FormElementCheckbox({
+            id: "exportResources",
+            label: T.dialogs.exportScreenshot.includeResources,
+            defaultValue: true,
+        });
+        const legendInput = new FormElementCheckbox({
+            id: "exportLegend",
+            label: T.dialogs.exportScreenshot.includeLegend,
+            defaultValue: true,
+        });
+
+        const formElements = [resourcesInput, legendInput];
+        if (isLayerUnlocked(this.root, "wires")) {
+            formElements.unshift(wiresInput);
+        }
+
+        const desc = layout.tiled ? T.dialogs.exportScreenshot.descTiled : T.dialogs.exportScreenshot.desc;
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: T.dialogs.exportScreenshot.title,
+            desc: desc
+                .replace("<width>", "" + layout.width)
+                .replace("<height>", "" + layout.height)
+                .replace("<tiles>", "" + layout.groups.x * layout.groups.y),
+            formElements,
+            buttons: ["cancel", "ok:good"],
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
 
+        dialog.buttonSignals.ok.add(() =>
+            this.doExport({
+                tileSize,
+                wires: formElements.includes(wiresInput) && wiresInput.getValue(),
+                resources: resourcesInput.getValue(),
+                legend: legendInput.getValue(),
+            })
+        );
+    }
+
+    /**
+     * Computes which chunks get exported and how they are split into groups
+     * @param {number} tileSize
+     * @returns {ExportLayout}
+     */
+    computeLayout(tileSize) {
         // Find extends
         const staticEntities = this.root.entityMgr.getAllWithComponent(StaticMapEntityComponent);
 
@@ -51,61 +164,296 @@ export class HUDScreenshotExporter extends BaseHUDPart {
 
         const minChunk = minTile.divideScalar(globalConfig.mapChunkSize).floor();
         const maxChunk = maxTile.divideScalar(globalConfig.mapChunkSize).ceil();
-
         const dimensions = maxChunk.sub(minChunk);
-        logger.log("Dimensions:", dimensions);
 
-        let chunkSizePixels = 128;
-        const maxDimensions = Math.max(dimensions.x, dimensions.y);
+        const chunkSizePixels = globalConfig.mapChunkSize * tileSize;
+        const chunksPerGroup = Math.max(1, Math.floor(GROUP_SIZE_PIXELS / chunkSizePixels));
+        const width = dimensions.x * chunkSizePixels;
+        const height = dimensions.y * chunkSizePixels;
 
-        if (maxDimensions > 128) {
-            chunkSizePixels = Math.max(1, Math.floor(128 * (128 / maxDimensions)));
-        }
-        logger.log("ChunkSizePixels:", chunkSizePixels);
+        return {
+            minChunk,
+            dimensions,
+            width,
+            height,
+            chunksPerGroup,
+            groups: dimensions.divideScalar(chunksPerGroup).ceil(),
+            tiled: Math.max(width, height) > MAX_SINGLE_IMAGE_SIZE,
+        };
+    }
 
-        const chunkScale = chunkSizePixels / globalConfig.mapChunkWorldSize;
-        logger.log("Scale:", chunkScale);
+    /**
+     * @param {ExportOptions} options
+     */
+    doExport(options) {
+        logger.log("Starting export with", options);
+        const layout = this.computeLayout(options.tileSize);
+        logger.log("Dimensions:", layout.dimensions, "groups:", layout.groups, "tiled:", layout.tiled);
+
+        const closeLoading = this.root.hud.parts.dialogs.showLoadingDialog();
+
+        // Wait for the loading dialog to show up, rendering blocks the page
+        waitNextFrame()
+            .then(() =>
+                layout.tiled ? this.exportTiles(options, layout) : this.exportImage(options, layout)
+            )
+            .then(() => {
+                logger.log("Done!");
+                closeLoading();
+            })
+            .catch(err => {
+                logger.error("Export failed:", err);
+                closeLoading();
+                this.root.hud.parts.dialogs.showWarning(
+                    T.dialogs.exportScreenshot.title,
+                    err === ZIP_TOO_LARGE
+                        ? T.dialogs.exportScreenshot.tooLarge
+                        : T.dialogs.exportScreenshot.failed
+                );
+            });
+    }
+
+    /**
+     * Renders all groups into a single image
+     * @param {ExportOptions} options
+     * @param {ExportLayout} layout
+     * @returns {Promise<void>}
+     */
+    exportImage(options, layout) {
+        const legend = options.legend ? this.renderLegend(options) : null;
 
-        logger.log("Allocating buffer, if the factory grew too big it will crash here");
         const [canvas, context] = makeOffscreenBuffer(
-            dimensions.x * chunkSizePixels,
-            dimensions.y * chunkSizePixels,
+            Math.max(layout.width, legend ? legend.width : 0),
+            layout.height + (legend ? legend.height : 0),
             {
                 smooth: true,
                 reusable: false,
                 label: "export-buffer",
             }
         );
-        logger.log("Got buffer, rendering now ...");
+
+        for (let groupX = 0; groupX < layout.groups.x; ++groupX) {
+            for (let groupY = 0; groupY < layout.groups.y; ++groupY) {
+                const group = this.renderGroup(options, layout, groupX, groupY);
+                const groupSize = layout.chunksPerGroup * globalConfig.mapChunkSize * options.tileSize;
+                context.drawImage(group, groupX * groupSize, groupY * groupSize);
+            }
+        }
+
+        if (legend) {
+            context.drawImage(legend, 0, layout.height);
+        }
+
+        logger.log("Rendered buffer, exporting ...");
+        return canvasToBlob(canvas).then(blob => generateBlobDownload("base.png", blob));
+    }
+
+    /**
+     * Renders the groups one after another and streams them into a zip of tiles
+     * @param {ExportOptions} options
+     * @param {ExportLayout} layout
+     * @returns {Promise<void>}
+     */
+    exportTiles(options, layout) {
+        const zip = new ZipWriter();
+
+        /**
+         * @param {string} name
+         * @param {HTMLCanvasElement} canvas
+         */
+        const addCanvas = (name, canvas) =>
+            canvasToBlob(canvas)
+                .then(blob => blob.arrayBuffer())
+                .then(buffer => {
+                    if (!zip.canAddFile(name, buffer.byteLength)) {
+                        throw ZIP_TOO_LARGE;
+                    }
+                    zip.addFile(name, new Uint8Array(buffer));
+                });
+
+        let promise = Promise.resolve();
+        for (let groupY = 0; groupY < layout.groups.y; ++groupY) {
+            for (let groupX = 0; groupX < layout.groups.x; ++groupX) {
+                // Render lazily, so only one group is rendered at a time. The finished tiles are
+                // kept in the blob of the zip writer.
+                promise = promise.then(() =>
+                    addCanvas(
+                        "tile_" + groupX + "_" + groupY + ".png",
+                        this.renderGroup(options, layout, groupX, groupY)
+                    )
+                );
+            }
+        }
+
+        if (options.legend) {
+            promise = promise.then(() => addCanvas("legend.png", this.renderLegend(options)));
+        }
+
+        return promise.then(() => {
+            logger.log("Rendered all tiles, exporting ...");
+            generateBlobDownload("base.zip", zip.toBlob());
+        });
+    }
+
+    /**
+     * Renders a group of chunks into a new buffer
+     * @param {ExportOptions} options
+     * @param {ExportLayout} layout
+     * @param {number} groupX
+     * @param {number} groupY
+     * @returns {HTMLCanvasElement}
+     */
+    renderGroup(options, layout, groupX, groupY) {
+        const startChunk = layout.minChunk.add(
+            new Vector(groupX, groupY).multiplyScalar(layout.chunksPerGroup)
+        );
+        const chunks = new Vector(
+            Math.min(layout.chunksPerGroup, layout.dimensions.x - groupX * layout.chunksPerGroup),
+            Math.min(layout.chunksPerGroup, layout.dimensions.y - groupY * layout.chunksPerGroup)
+        );
+
+        const chunkSizePixels = globalConfig.mapChunkSize * options.tileSize;
+        const [canvas, context] = makeOffscreenBuffer(
+            chunks.x * chunkSizePixels,
+            chunks.y * chunkSizePixels,
+            {
+                smooth: true,
+                reusable: false,
+                label: "export-group-buffer",
+            }
+        );
+
+        const zoomLevel = options.tileSize / globalConfig.tileSize;
+        let desiredAtlasScale = "0.25";
+        if (zoomLevel > 0.5) {
+            desiredAtlasScale = ORIGINAL_SPRITE_SCALE;
+        } else if (zoomLevel > 0.35) {
+            desiredAtlasScale = "0.5";
+        }
 
         const visibleRect = new Rectangle(
-            minChunk.x * globalConfig.mapChunkWorldSize,
-            minChunk.y * globalConfig.mapChunkWorldSize,
-            dimensions.x * globalConfig.mapChunkWorldSize,
-            dimensions.y * globalConfig.mapChunkWorldSize
+            startChunk.x * globalConfig.mapChunkWorldSize,
+            startChunk.y * globalConfig.mapChunkWorldSize,
+            chunks.x * globalConfig.mapChunkWorldSize,
+            chunks.y * globalConfig.mapChunkWorldSize
         );
         const parameters = new DrawParameters({
             context,
             visibleRect,
-            desiredAtlasScale: 0.25,
+            desiredAtlasScale,
             root: this.root,
-            zoomLevel: chunkScale,
+            zoomLevel,
         });
 
-        context.scale(chunkScale, chunkScale);
+        context.scale(zoomLevel, zoomLevel);
         context.translate(-visibleRect.x, -visibleRect.y);
 
         // Render all relevant chunks
-        this.root.map.drawBackground(parameters);
+        this.root.map.drawBackground(parameters, options.resources ? [] : ["mapResources"]);
         this.root.map.drawForeground(parameters);
+        if (options.wires) {
+            this.root.map.drawLayerForeground(parameters, "wires");
+        }
 
-        // Offer export
-        logger.log("Rendered buffer, exporting ...");
-        const image = canvas.toDataURL("image/png");
-        const link = document.createElement("a");
-        link.download = "base.png";
-        link.href = image;
-        link.click();
-        logger.log("Done!");
+        if (options.legend) {
+            this.drawMarkers(parameters);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Draws the numbered markers of the legend onto the map
+     * @param {DrawParameters} parameters
+     */
+    drawMarkers(parameters) {
+        const context = parameters.context;
+        const radius = MARKER_RADIUS / parameters.zoomLevel;
+        const waypoints = this.root.hud.parts.waypoints.waypoints;
+
+        context.font = "bold " + radius * 1.2 + "px GameFont";
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+        for (let i = 0; i < waypoints.length; ++i) {
+            const { x, y } = waypoints[i].center;
+            if (!parameters.visibleRect.expandedInAllDirections(radius).containsPoint(x, y)) {
+                continue;
+            }
+            drawMarker(context, x, y, radius, i + 1);
+        }
+        context.textAlign = "left";
+        context.textBaseline = "alphabetic";
     }
+
+    /**
+     * Renders the legend which lists the markers with their numbers
+     * @param {ExportOptions} options
+     * @returns {HTMLCanvasElement}
+     */
+    renderLegend(options) {
+        const waypointsPart = this.root.hud.parts.waypoints;
+        const waypoints = waypointsPart.waypoints;
+
+        const [canvas, context] = makeOffscreenBuffer(
+            LEGEND_WIDTH,
+            (waypoints.length + 2) * LEGEND_LINE_HEIGHT,
+            {
+                smooth: true,
+                reusable: false,
+                label: "export-legend-buffer",
+            }
+        );
+
+        context.fillStyle = "#fff";
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        context.font = "bold " + LEGEND_LINE_HEIGHT * 0.6 + "px GameFont";
+        context.textBaseline = "middle";
+        context.fillStyle = "#333438";
+        context.fillText(
+            T.dialogs.exportScreenshot.legendScale.replace("<size>", "" + options.tileSize),
+            LEGEND_LINE_HEIGHT / 2,
+            LEGEND_LINE_HEIGHT
+        );
+
+        for (let i = 0; i < waypoints.length; ++i) {
+            const y = (i + 2) * LEGEND_LINE_HEIGHT;
+            context.textAlign = "center";
+            drawMarker(context, LEGEND_LINE_HEIGHT, y, MARKER_RADIUS, i + 1);
+
+            context.textAlign = "left";
+            context.fillStyle = "#333438";
+            context.fillText(waypointsPart.getWaypointLabel(waypoints[i]), LEGEND_LINE_HEIGHT * 2, y);
+        }
+
+        return canvas;
+    }
+}
+
+/**
+ * Draws a numbered marker, the text alignment has to be centered already
+ * @param {CanvasRenderingContext2D} context
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius
+ * @param {number} number
+ */
+function drawMarker(context, x, y, radius, number) {
+    context.fillStyle = "#ef5072";
+    context.beginPath();
+    context.arc(x, y, radius, 0, 2 * Math.PI);
+    context.fill();
+
+    context.fillStyle = "#fff";
+    context.fillText("" + number, x, y);
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) =>
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject("Failed to create the image")), "image/png")
+    );
 }
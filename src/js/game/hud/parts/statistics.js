@@ -1,7 +1,8 @@
 import { InputReceiver } from "../../../core/input_receiver";
-import { makeButton, makeDiv, removeAllChildren } from "../../../core/utils";
+import { generateFileDownload, makeButton, makeDiv, removeAllChildren } from "../../../core/utils";
+import { resolveItemFromKey } from "../../item_resolver";
 import { KeyActionMapper, KEYMAPPINGS } from "../../key_action_mapper";
-import { enumAnalyticsDataSource } from "../../production_analytics";
+import { enumAnalyticsDataSource, enumAnalyticsHistoryRange } from "../../production_analytics";
 import { BaseHUDPart } from "../base_hud_part";
 import { DynamicDomAttach } from "../dynamic_dom_attach";
 import { enumDisplayMode, HUDShapeStatisticsHandle, statisticsUnitsSeconds } from "./statistics_handle";
@@ -26,10 +27,13 @@ export class HUDStatistics extends BaseHUDPart {
         this.trackClicks(this.closeButton, this.close);
 
         this.filterHeader = makeDiv(this.dialogInner, null, ["filterHeader"]);
+        this.rangeHeader = makeDiv(this.dialogInner, null, ["filterHeader", "rangeHeader"]);
         this.sourceExplanation = makeDiv(this.dialogInner, null, ["sourceExplanation"]);
 
         this.filtersDataSource = makeDiv(this.filterHeader, null, ["filtersDataSource"]);
         this.filtersDisplayMode = makeDiv(this.filterHeader, null, ["filtersDisplayMode"]);
+        this.filtersRange = makeDiv(this.rangeHeader, null, ["filtersRange"]);
+        this.exportButtons = makeDiv(this.rangeHeader, null, ["exportButtons"]);
 
         const dataSources = [
             enumAnalyticsDataSource.produced,
@@ -47,6 +51,24 @@ export class HUDStatistics extends BaseHUDPart {
             this.trackClicks(button, () => this.setDataSource(dataSource));
         }
 
+        for (const range in enumAnalyticsHistoryRange) {
+            const button = makeButton(
+                this.filtersRange,
+                ["range" + capitalizeFirstLetter(range)],
+                T.ingame.statistics.ranges[range]
+            );
+            this.trackClicks(button, () => this.setRange(range));
+        }
+
+        const buttonExportCsv = makeButton(this.exportButtons, ["exportCsv"], T.ingame.statistics.exportCsv);
+        const buttonExportJson = makeButton(
+            this.exportButtons,
+            ["exportJson"],
+            T.ingame.statistics.exportJson
+        );
+        this.trackClicks(buttonExportCsv, this.exportCsv);
+        this.trackClicks(buttonExportJson, this.exportJson);
+
         const buttonIterateUnit = makeButton(this.filtersDisplayMode, ["displayIterateUnit"]);
         const buttonDisplaySorted = makeButton(this.filtersDisplayMode, ["displaySorted"]);
         const buttonDisplayDetailed = makeButton(this.filtersDisplayMode, ["displayDetailed"]);
@@ -73,6 +95,17 @@ export class HUDStatistics extends BaseHUDPart {
         }
     }
 
+    /**
+     * @param {enumAnalyticsHistoryRange} range
+     */
+    setRange(range) {
+        this.range = range;
+        this.dialogInner.setAttribute("data-range", range);
+        if (this.visible) {
+            this.rerenderFull();
+        }
+    }
+
     /**
      * @param {enumDisplayMode} mode
      */
@@ -99,6 +132,21 @@ export class HUDStatistics extends BaseHUDPart {
         this.setSorted(!this.sorted);
     }
 
+    /**
+     * Downloads the long term history as csv
+     */
+    exportCsv() {
+        generateFileDownload("statistics.csv", this.root.productionAnalytics.getHistoryAsCsv());
+    }
+
+    /**
+     * Downloads the long term history as json
+     */
+    exportJson() {
+        const data = this.root.productionAnalytics.getHistoryAsJson();
+        generateFileDownload("statistics.json", JSON.stringify(data, null, 4));
+    }
+
     /**
      * Chooses the next unit
      */
@@ -129,6 +177,7 @@ export class HUDStatistics extends BaseHUDPart {
 
         this.setSorted(true);
         this.setDataSource(enumAnalyticsDataSource.produced);
+        this.setRange(enumAnalyticsHistoryRange.live);
         this.setDisplayMode(enumDisplayMode.detailed);
 
         this.intersectionObserver = new IntersectionObserver(this.intersectionCallback.bind(this), {
@@ -186,7 +235,7 @@ export class HUDStatistics extends BaseHUDPart {
     rerenderPartial() {
         for (const key in this.activeHandles) {
             const handle = this.activeHandles[key];
-            handle.update(this.displayMode, this.dataSource, this.currentUnit);
+            handle.update(this.displayMode, this.dataSource, this.currentUnit, this.range);
         }
     }
 
@@ -209,7 +258,9 @@ export class HUDStatistics extends BaseHUDPart {
             }
             case enumAnalyticsDataSource.produced:
             case enumAnalyticsDataSource.delivered: {
-                entries = Object.entries(this.root.productionAnalytics.getCurrentShapeRates(this.dataSource));
+                entries = Object.entries(
+                    this.root.productionAnalytics.getAverageRates(this.range, this.dataSource)
+                );
                 break;
             }
         }
@@ -239,10 +290,14 @@ export class HUDStatistics extends BaseHUDPart {
 
             let handle = this.activeHandles[shapeKey];
             if (!handle) {
-                const definition = this.root.shapeDefinitionMgr.getShapeFromShortKey(shapeKey);
+                // Items of mods which are no longer installed can not be shown
+                const item = resolveItemFromKey(this.root, shapeKey);
+                if (!item || !item.getStatisticsKey()) {
+                    continue;
+                }
                 handle = this.activeHandles[shapeKey] = new HUDShapeStatisticsHandle(
                     this.root,
-                    definition,
+                    item,
                     this.intersectionObserver
                 );
             }
@@ -2,9 +2,10 @@ import { makeOffscreenBuffer } from "../../../core/buffer_utils";
 import { globalConfig } from "../../../core/config";
 import { clamp, formatBigNumber, round2Digits } from "../../../core/utils";
 import { T } from "../../../translations";
-import { enumAnalyticsDataSource } from "../../production_analytics";
+import { enumAnalyticsDataSource, enumAnalyticsHistoryRange } from "../../production_analytics";
+import { BaseItem } from "../../base_item";
+import { ShapeItem } from "../../items/shape_item";
 import { GameRoot } from "../../root";
-import { ShapeDefinition } from "../../shape_definition";
 
 /** @enum {string} */
 export const enumDisplayMode = {
@@ -23,16 +24,17 @@ export const statisticsUnitsSeconds = {
 };
 
 /**
- * Simple wrapper for a shape definition within the shape statistics
+ * Simple wrapper for an item within the shape statistics
  */
 export class HUDShapeStatisticsHandle {
     /**
      * @param {GameRoot} root
-     * @param {ShapeDefinition} definition
+     * @param {BaseItem} item
      * @param {IntersectionObserver} intersectionObserver
      */
-    constructor(root, definition, intersectionObserver) {
-        this.definition = definition;
+    constructor(root, item, intersectionObserver) {
+        this.item = item;
+        this.key = item.getStatisticsKey();
         this.root = root;
         this.intersectionObserver = intersectionObserver;
 
@@ -41,7 +43,7 @@ export class HUDShapeStatisticsHandle {
 
     initElement() {
         this.element = document.createElement("div");
-        this.element.setAttribute("data-shape-key", this.definition.getHash());
+        this.element.setAttribute("data-shape-key", this.key);
 
         this.counter = document.createElement("span");
         this.counter.classList.add("counter");
@@ -60,7 +62,7 @@ export class HUDShapeStatisticsHandle {
         if (visibility) {
             if (!this.shapeCanvas) {
                 // Create elements
-                this.shapeCanvas = this.definition.generateAsCanvas(100);
+                this.shapeCanvas = this.generateIconCanvas(100);
                 this.shapeCanvas.classList.add("icon");
                 this.element.appendChild(this.shapeCanvas);
             }
@@ -75,9 +77,10 @@ export class HUDShapeStatisticsHandle {
      * @param {enumDisplayMode} displayMode
      * @param {enumAnalyticsDataSource} dataSource
      * @param {string} unit
+     * @param {enumAnalyticsHistoryRange} range
      * @param {boolean=} forced
      */
-    update(displayMode, dataSource, unit, forced = false) {
+    update(displayMode, dataSource, unit, range = enumAnalyticsHistoryRange.live, forced = false) {
         if (!this.element) {
             return;
         }
@@ -85,23 +88,16 @@ export class HUDShapeStatisticsHandle {
             return;
         }
 
-        this.element.classList.toggle(
-            "pinned",
-            this.root.hud.parts.pinnedShapes.isShapePinned(this.definition.getHash())
-        );
+        this.element.classList.toggle("pinned", this.root.hud.parts.pinnedShapes.isShapePinned(this.key));
 
         switch (dataSource) {
             case enumAnalyticsDataSource.stored: {
-                this.counter.innerText = formatBigNumber(
-                    this.root.hubGoals.storedShapes[this.definition.getHash()] || 0
-                );
+                this.counter.innerText = formatBigNumber(this.root.hubGoals.storedShapes[this.key] || 0);
                 break;
             }
             case enumAnalyticsDataSource.delivered:
             case enumAnalyticsDataSource.produced: {
-                let rate =
-                    this.root.productionAnalytics.getCurrentShapeRate(dataSource, this.definition) /
-                    globalConfig.analyticsSliceDurationSeconds;
+                const rate = this.root.productionAnalytics.getAverageRate(range, dataSource, this.key);
 
                 this.counter.innerText = T.ingame.statistics.shapesDisplayUnits[unit].replace(
                     "<shapes>",
@@ -121,7 +117,7 @@ export class HUDShapeStatisticsHandle {
                 const [canvas, context] = makeOffscreenBuffer(w * graphDpi, h * graphDpi, {
                     smooth: true,
                     reusable: false,
-                    label: "statgraph-" + this.definition.getHash(),
+                    label: "statgraph-" + this.key,
                 });
                 context.scale(graphDpi, graphDpi);
                 canvas.classList.add("graph");
@@ -136,30 +132,28 @@ export class HUDShapeStatisticsHandle {
             this.graphContext.strokeStyle = "#66ccbc";
             this.graphContext.lineWidth = 1.5;
 
-            const sliceWidth = w / (globalConfig.statisticsGraphSlices - 1);
+            const analytics = this.root.productionAnalytics;
+            const values = analytics.getHistoryValues(range, dataSource, this.key);
 
-            let values = [];
-            let maxValue = 1;
+            // The newest value is always on the right, a history which is not full yet starts further right
+            const slots = Math.max(analytics.getMaxHistoryValues(range), values.length, 2);
+            const sliceWidth = w / (slots - 1);
+            const startX = (slots - values.length) * sliceWidth;
 
-            for (let i = 0; i < globalConfig.statisticsGraphSlices - 2; ++i) {
-                const value = this.root.productionAnalytics.getPastShapeRate(
-                    dataSource,
-                    this.definition,
-                    globalConfig.statisticsGraphSlices - i - 2
-                );
-                if (value > maxValue) {
-                    maxValue = value;
-                }
-                values.push(value);
+            // Scale so that at least one item per slice is visible
+            const sliceDuration = analytics.getHistorySliceDuration(range);
+            let maxValue = dataSource === enumAnalyticsDataSource.stored ? 1 : 1 / sliceDuration;
+            for (let i = 0; i < values.length; ++i) {
+                maxValue = Math.max(maxValue, values[i]);
             }
 
             this.graphContext.beginPath();
-            this.graphContext.moveTo(0.75, h + 5);
+            this.graphContext.moveTo(startX + 0.75, h + 5);
             for (let i = 0; i < values.length; ++i) {
                 const yValue = clamp((1 - values[i] / maxValue) * h, 0.75, h - 0.75);
-                const x = i * sliceWidth;
+                const x = startX + i * sliceWidth;
                 if (i === 0) {
-                    this.graphContext.lineTo(0.75, yValue);
+                    this.graphContext.lineTo(startX + 0.75, yValue);
                 }
                 this.graphContext.lineTo(x, yValue);
                 if (i === values.length - 1) {
@@ -180,6 +174,25 @@ export class HUDShapeStatisticsHandle {
         }
     }
 
+    /**
+     * Draws the icon of the item
+     * @param {number} size
+     * @returns {HTMLCanvasElement}
+     */
+    generateIconCanvas(size) {
+        if (this.item instanceof ShapeItem) {
+            return this.item.definition.generateAsCanvas(size);
+        }
+
+        const [canvas, context] = makeOffscreenBuffer(size, size, {
+            smooth: true,
+            reusable: false,
+            label: "statistics-item-" + this.key,
+        });
+        this.item.drawFullSizeOnCanvas(context, size);
+        return canvas;
+    }
+
     /**
      * Attaches the handle
      * @param {HTMLElement} parent
@@ -0,0 +1,131 @@
+import { formatItemsPerSecond } from "../../../core/utils";
+import { T } from "../../../translations";
+import { THEME } from "../../theme";
+import { BaseHUDPart } from "../base_hud_part";
+
+/**
+ * Above this share of the maximum throughput an entity counts as the bottleneck
+ */
+const FULL_UTILIZATION = 0.95;
+
+/**
+ * Processors like the hub and the trash accept everything and report this as their speed
+ */
+const UNLIMITED_THROUGHPUT = 1e20;
+
+/**
+ * Shows how many items the hovered belt or processor handled recently, compared to its maximum
+ */
+export class HUDThroughputTooltip extends BaseHUDPart {
+    initialize() {}
+
+    /**
+     * Returns the measured and maximum throughput of the hovered entity, or null if it has none
+     * @returns {{ throughput: number, maxThroughput: number }|null}
+     */
+    getHoveredThroughput() {
+        const mousePos = this.root.app.mousePosition;
+        if (!mousePos) {
+            // Mouse pos not ready
+            return null;
+        }
+
+        if (this.root.currentLayer !== "regular" || this.root.camera.getIsMapOverlayActive()) {
+            return null;
+        }
+
+        const parts = this.root.hud.parts;
+        if (parts.buildingPlacer.currentMetaBuilding.get() || parts.blueprintPlacer.currentBlueprint.get()) {
+            // Would cover the placement info
+            return null;
+        }
+
+        const tile = this.root.camera.screenToWorld(mousePos).toTileSpace();
+        const contents = this.root.map.getTileContent(tile, "regular");
+        if (!contents) {
+            return null;
+        }
+
+        const analytics = this.root.productionAnalytics;
+        const beltComp = contents.components.Belt;
+        if (beltComp && beltComp.assignedPath) {
+            // All belts of a path move the same amount of items
+            return {
+                throughput: analytics.getEntityThroughput(beltComp.assignedPath),
+                maxThroughput: this.root.hubGoals.getBeltBaseSpeed(),
+            };
+        }
+
+        const processorComp = contents.components.ItemProcessor;
+        if (processorComp) {
+            return {
+                throughput: analytics.getEntityThroughput(contents),
+                maxThroughput: this.root.hubGoals.getProcessorBaseSpeed(processorComp.type),
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {import("../../../core/draw_parameters").DrawParameters} parameters
+     */
+    draw(parameters) {
+        const data = this.getHoveredThroughput();
+        if (!data) {
+            return;
+        }
+
+        const { throughput, maxThroughput } = data;
+        const limited = maxThroughput < UNLIMITED_THROUGHPUT;
+        const utilization = limited ? throughput / maxThroughput : 0;
+
+        const tooltipLocation = this.root.camera.screenToWorld(this.root.app.mousePosition);
+        const scale = (1 / this.root.camera.zoomLevel) * this.root.app.getEffectiveUiScale();
+        const context = parameters.context;
+
+        // Background
+        context.fillStyle = THEME.map.connectedMiners.background;
+        context.beginRoundedRect(
+            tooltipLocation.x + 5 * scale,
+            tooltipLocation.y - 3 * scale,
+            100 * scale,
+            (limited ? 45 : 20) * scale,
+            2
+        );
+        context.fill();
+
+        // Throughput
+        context.fillStyle = THEME.map.connectedMiners.textColor;
+        context.font = "bold " + scale * 10 + "px GameFont";
+        context.fillText(
+            formatItemsPerSecond(throughput),
+            tooltipLocation.x + 10 * scale,
+            tooltipLocation.y + 10 * scale
+        );
+
+        if (!limited) {
+            return;
+        }
+
+        // Maximum
+        context.globalAlpha = 0.6;
+        context.font = "bold " + scale * 8 + "px GameFont";
+        const maximumText = T.ingame.entityThroughput.maximum.replace(
+            "<max_throughput>",
+            formatItemsPerSecond(maxThroughput)
+        );
+        context.fillText(maximumText, tooltipLocation.x + 10 * scale, tooltipLocation.y + 22 * scale);
+        context.globalAlpha = 1;
+
+        // Utilization, highlighted once the entity can not keep up
+        if (utilization >= FULL_UTILIZATION) {
+            context.fillStyle = THEME.map.connectedMiners.textColorCapped;
+        }
+        context.fillText(
+            T.ingame.entityThroughput.utilization.replace("<percent>", String(Math.round(utilization * 100))),
+            tooltipLocation.x + 10 * scale,
+            tooltipLocation.y + 34 * scale
+        );
+    }
+}
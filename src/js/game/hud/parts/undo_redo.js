@@ -0,0 +1,47 @@
+import { STOP_PROPAGATION } from "../../../core/signal";
+import { KEYMAPPINGS } from "../../key_action_mapper";
+import { BaseHUDPart } from "../base_hud_part";
+
+export class HUDUndoRedo extends BaseHUDPart {
+    createElements() {}
+
+    initialize() {
+        const keyMapper = this.root.keyMapper;
+        keyMapper.getBinding(KEYMAPPINGS.ingame.undo).add(this.undo, this);
+        keyMapper.getBinding(KEYMAPPINGS.ingame.redo).add(this.redo, this);
+    }
+
+    /**
+     * Whether the modifier is held down, without it the keys select buildings
+     */
+    isModifierPressed() {
+        return this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.undoRedoModifier).pressed;
+    }
+
+    undo() {
+        if (!this.isModifierPressed()) {
+            return;
+        }
+        this.playFeedback(this.root.undoHistory.undo());
+        return STOP_PROPAGATION;
+    }
+
+    redo() {
+        if (!this.isModifierPressed()) {
+            return;
+        }
+        this.playFeedback(this.root.undoHistory.redo());
+        return STOP_PROPAGATION;
+    }
+
+    /**
+     * @param {boolean} success
+     */
+    playFeedback(success) {
+        if (success) {
+            this.root.soundProxy.playUiClick();
+        } else {
+            this.root.soundProxy.playUiError();
+        }
+    }
+}
@@ -2,15 +2,21 @@ import { makeOffscreenBuffer } from "../../../core/buffer_utils";
 import { globalConfig } from "../../../core/config";
 import { DrawParameters } from "../../../core/draw_parameters";
 import { Loader } from "../../../core/loader";
+import { createLogger } from "../../../core/logging";
 import { lerp } from "../../../core/utils";
 import { SOUNDS } from "../../../platform/sound";
 import { KEYMAPPINGS } from "../../key_action_mapper";
-import { enumHubGoalRewards } from "../../tutorial_goals";
+import { getAllLayers, getLayerDescriptor, getNextLayer, isLayerUnlocked } from "../../layers";
 import { BaseHUDPart } from "../base_hud_part";
 
+const logger = createLogger("hud/wires_overlay");
+
 const copy = require("clipboard-copy");
 const wiresBackgroundDpi = 4;
 
+/**
+ * Draws the overlay of the current layer (see LayerDescriptor.overlay) and handles switching layers
+ */
 export class HUDWiresOverlay extends BaseHUDPart {
     createElements(parent) {}
 
@@ -19,65 +25,106 @@ export class HUDWiresOverlay extends BaseHUDPart {
         this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.switchLayers).add(this.switchLayers, this);
         this.root.keyMapper.getBinding(KEYMAPPINGS.placement.copyWireValue).add(this.copyWireValue, this);
 
-        this.generateTilePattern();
+        const layers = getAllLayers();
+        for (let i = 0; i < layers.length; ++i) {
+            const keybinding = getLayerDescriptor(layers[i]).keybinding;
+            if (!keybinding) {
+                continue;
+            }
+
+            // The keybinding might have been removed together with the mod which added it
+            if (!KEYMAPPINGS.ingame[keybinding]) {
+                logger.warn("Layer", layers[i], "has unknown keybinding", keybinding);
+                continue;
+            }
+            this.root.keyMapper
+                .getBinding(KEYMAPPINGS.ingame[keybinding])
+                .add(() => this.toggleLayer(layers[i]));
+        }
 
-        this.currentAlpha = 0.0;
+        /**
+         * Tile patterns by sprite
+         * @type {Object<string, HTMLCanvasElement>}
+         */
+        this.tilePatternCanvases = {};
+
+        /** @type {Object<string, CanvasPattern>} */
+        this.cachedPatternBackgrounds = {};
+
+        /**
+         * Alpha of the overlay of each layer, so switching layers fades
+         * @type {Object<string, number>}
+         */
+        this.currentAlphas = {};
     }
 
     /**
      * Switches between layers
      */
     switchLayers() {
-        if (this.root.currentLayer === "regular") {
-            if (
-                this.root.hubGoals.isRewardUnlocked(enumHubGoalRewards.reward_wires_painter_and_levers) ||
-                (G_IS_DEV && globalConfig.debug.allBuildingsUnlocked)
-            ) {
-                this.root.currentLayer = "wires";
-            }
-        } else if (
-            shapezAPI.ingame.layers.length > 0 &&
-            this.root.currentLayer === shapezAPI.ingame.layers[shapezAPI.ingame.layers.length - 1]
-        ) {
-            this.root.currentLayer = "regular";
-        } else if (this.root.currentLayer === "wires") {
-            if (shapezAPI.ingame.layers.length > 0) {
-                this.root.currentLayer = shapezAPI.ingame.layers[0];
-            } else {
-                this.root.currentLayer = "regular";
-            }
-        } else if (!(shapezAPI.ingame.layers.indexOf(this.root.currentLayer) < 0)) {
-            const layer =
-                shapezAPI.ingame.layers[shapezAPI.ingame.layers.indexOf(this.root.currentLayer) + 1];
-            if (this.root.hubGoals.isRewardUnlocked("layers_" + layer)) this.root.currentLayer = layer;
+        this.setLayer(getNextLayer(this.root, this.root.currentLayer));
+    }
+
+    /**
+     * Switches to the given layer, or back to the regular layer if it is active already
+     * @param {Layer} layer
+     */
+    toggleLayer(layer) {
+        if (this.root.currentLayer === layer) {
+            this.setLayer("regular");
+        } else if (isLayerUnlocked(this.root, layer)) {
+            this.setLayer(layer);
+        }
+    }
+
+    /**
+     * @param {Layer} layer
+     */
+    setLayer(layer) {
+        if (layer === this.root.currentLayer) {
+            return;
         }
+        this.root.currentLayer = layer;
         this.root.signals.editModeChanged.dispatch(this.root.currentLayer);
     }
 
     /**
-     * Generates the background pattern for the wires overlay
+     * Generates the background pattern of an overlay
+     * @param {string} tileSprite
+     * @returns {HTMLCanvasElement}
      */
-    generateTilePattern() {
-        const overlayTile = Loader.getSprite("sprites/wires/overlay_tile.png");
+    generateTilePattern(tileSprite) {
+        if (this.tilePatternCanvases[tileSprite]) {
+            return this.tilePatternCanvases[tileSprite];
+        }
+
+        const overlayTile = Loader.getSprite(tileSprite);
         const dims = globalConfig.tileSize * wiresBackgroundDpi;
         const [canvas, context] = makeOffscreenBuffer(dims, dims, {
             smooth: false,
             reusable: false,
-            label: "wires-tile-pattern",
+            label: "layer-tile-pattern-" + tileSprite,
         });
         context.clearRect(0, 0, dims, dims);
         overlayTile.draw(context, 0, 0, dims, dims);
-        this.tilePatternCanvas = canvas;
+        this.tilePatternCanvases[tileSprite] = canvas;
+        return canvas;
     }
 
     update() {
-        const desiredAlpha = this.root.currentLayer === "wires" ? 1.0 : 0.0;
-
         // On low performance, skip the fade
-        if (this.root.entityMgr.entities.length > 5000 || this.root.dynamicTickrate.averageFps < 50) {
-            this.currentAlpha = desiredAlpha;
-        } else {
-            this.currentAlpha = lerp(this.currentAlpha, desiredAlpha, 0.12);
+        const skipFade =
+            this.root.entityMgr.entities.length > 5000 || this.root.dynamicTickrate.averageFps < 50;
+
+        const layers = getAllLayers();
+        for (let i = 0; i < layers.length; ++i) {
+            const layer = layers[i];
+            const desiredAlpha = this.root.currentLayer === layer ? 1.0 : 0.0;
+            if (skipFade) {
+                this.currentAlphas[layer] = desiredAlpha;
+            } else {
+                this.currentAlphas[layer] = lerp(this.currentAlphas[layer] || 0, desiredAlpha, 0.12);
+            }
         }
     }
 
@@ -126,37 +173,57 @@ export class HUDWiresOverlay extends BaseHUDPart {
      * @param {DrawParameters} parameters
      */
     draw(parameters) {
-        if (this.currentAlpha < 0.02) {
-            return;
+        const layers = getAllLayers();
+        for (let i = 0; i < layers.length; ++i) {
+            const overlay = getLayerDescriptor(layers[i]).overlay;
+            const alpha = this.currentAlphas[layers[i]] || 0;
+            if (overlay && alpha >= 0.02) {
+                this.drawLayerOverlay(parameters, overlay, alpha);
+            }
         }
+    }
 
+    /**
+     * Draws the overlay of a layer
+     * @param {DrawParameters} parameters
+     * @param {import("../../layers").LayerDescriptor["overlay"]} overlay
+     * @param {number} alpha
+     */
+    drawLayerOverlay(parameters, overlay, alpha) {
         const hasTileGrid = !this.root.app.settings.getAllSettings().disableTileGrid;
-        if (hasTileGrid && !this.cachedPatternBackground) {
-            this.cachedPatternBackground = parameters.context.createPattern(this.tilePatternCanvas, "repeat");
+        const tileSprite = hasTileGrid ? overlay.tileSprite : null;
+        if (tileSprite && !this.cachedPatternBackgrounds[tileSprite]) {
+            this.cachedPatternBackgrounds[tileSprite] = parameters.context.createPattern(
+                this.generateTilePattern(tileSprite),
+                "repeat"
+            );
         }
 
         const bounds = parameters.visibleRect;
 
-        parameters.context.globalAlpha = this.currentAlpha;
-
-        const scaleFactor = 1 / wiresBackgroundDpi;
-        parameters.context.globalCompositeOperation = "overlay";
-        parameters.context.fillStyle = "rgba(50, 200, 150, 1)";
-        parameters.context.fillRect(bounds.x, bounds.y, bounds.w, bounds.h);
-        parameters.context.globalCompositeOperation = "source-over";
-
-        parameters.context.scale(scaleFactor, scaleFactor);
-        parameters.context.fillStyle = hasTileGrid ?
-            this.cachedPatternBackground :
-            "rgba(78, 137, 125, 0.75)";
-        parameters.context.fillRect(
-            bounds.x / scaleFactor,
-            bounds.y / scaleFactor,
-            bounds.w / scaleFactor,
-            bounds.h / scaleFactor
-        );
-        parameters.context.scale(1 / scaleFactor, 1 / scaleFactor);
+        parameters.context.globalAlpha = alpha;
+
+        if (overlay.color) {
+            parameters.context.globalCompositeOperation = "overlay";
+            parameters.context.fillStyle = overlay.color;
+            parameters.context.fillRect(bounds.x, bounds.y, bounds.w, bounds.h);
+            parameters.context.globalCompositeOperation = "source-over";
+        }
+
+        const background = tileSprite ? this.cachedPatternBackgrounds[tileSprite] : overlay.fallbackColor;
+        if (background) {
+            const scaleFactor = 1 / wiresBackgroundDpi;
+            parameters.context.scale(scaleFactor, scaleFactor);
+            parameters.context.fillStyle = background;
+            parameters.context.fillRect(
+                bounds.x / scaleFactor,
+                bounds.y / scaleFactor,
+                bounds.w / scaleFactor,
+                bounds.h / scaleFactor
+            );
+            parameters.context.scale(1 / scaleFactor, 1 / scaleFactor);
+        }
 
         parameters.context.globalAlpha = 1;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,151 @@
+import { formatItemsPerSecond } from "../core/utils";
+import { T } from "../translations";
+import { enumItemProcessorRequirements, enumItemProcessorTypes } from "./components/item_processor";
+
+/* typehints:start */
+import { BaseItem } from "./base_item";
+import { Entity } from "./entity";
+import { HubGoals } from "./hub_goals";
+import { GameRoot } from "./root";
+import { ProcessorImplementationPayload } from "./systems/item_processor";
+/* typehints:end */
+
+/**
+ * Declaration of an item processor type, registered in shapezAPI.ingame.itemProcessors under the
+ * processor type (or processing requirement). All functions except getBaseSpeed and getStatistics
+ * are called with the ItemProcessorSystem as this.
+ *
+ * The speed is a fraction of the belt speed and scales with the improvement of the upgrade, it
+ * defaults to globalConfig.buildingSpeeds[type]. getBaseSpeed replaces this calculation entirely.
+ * checkRequirements decides whether an item is accepted on a slot, canProcess whether a new charge
+ * can be started, by default once inputsPerCharge items are there. outputSlots is the number of
+ * ejector slots the processor fills.
+ * @typedef {{
+ *   process: function(ProcessorImplementationPayload):void,
+ *   upgrade?: string,
+ *   speed?: number,
+ *   getBaseSpeed?: function(HubGoals, string):number,
+ *   checkRequirements?: function(Entity, BaseItem, number):boolean,
+ *   canProcess?: function(Entity):boolean,
+ *   outputSlots?: number,
+ *   getStatistics?: function(GameRoot, string):Array<[string, string]>
+ * }} ItemProcessorType
+ */
+
+/**
+ * Returns a function which calls the given method of the ItemProcessorSystem, so patches of the
+ * method also apply to the vanilla processor types
+ * @param {string} methodName
+ */
+function systemMethod(methodName) {
+    return /** @this {any} */ function (...args) {
+        return this[methodName](...args);
+    };
+}
+
+export function addVanillaItemProcessorsToAPI() {
+    /** @type {Object<string, ItemProcessorType>} */
+    const itemProcessors = shapezAPI.ingame.itemProcessors;
+
+    itemProcessors[enumItemProcessorTypes.balancer] = {
+        process: systemMethod("process_BALANCER"),
+        upgrade: "belt",
+        speed: 2,
+    };
+    itemProcessors[enumItemProcessorTypes.cutter] = {
+        process: systemMethod("process_CUTTER"),
+        upgrade: "processors",
+        outputSlots: 2,
+    };
+    itemProcessors[enumItemProcessorTypes.cutterQuad] = {
+        process: systemMethod("process_CUTTER_QUAD"),
+        upgrade: "processors",
+        outputSlots: 4,
+    };
+    itemProcessors[enumItemProcessorTypes.rotater] = {
+        process: systemMethod("process_ROTATER"),
+        upgrade: "processors",
+        outputSlots: 1,
+    };
+    itemProcessors[enumItemProcessorTypes.rotaterCCW] = {
+        process: systemMethod("process_ROTATER_CCW"),
+        upgrade: "processors",
+        outputSlots: 1,
+    };
+    itemProcessors[enumItemProcessorTypes.rotater180] = {
+        process: systemMethod("process_ROTATER_180"),
+        upgrade: "processors",
+        outputSlots: 1,
+    };
+    itemProcessors[enumItemProcessorTypes.stacker] = {
+        process: systemMethod("process_STACKER"),
+        upgrade: "processors",
+        outputSlots: 1,
+    };
+    itemProcessors[enumItemProcessorTypes.trash] = {
+        process: systemMethod("process_TRASH"),
+        getBaseSpeed: () => 1e30,
+        outputSlots: 0,
+    };
+    itemProcessors[enumItemProcessorTypes.mixer] = {
+        process: systemMethod("process_MIXER"),
+        upgrade: "painting",
+        outputSlots: 1,
+    };
+    itemProcessors[enumItemProcessorTypes.painter] = {
+        process: systemMethod("process_PAINTER"),
+        upgrade: "painting",
+        outputSlots: 1,
+    };
+    itemProcessors[enumItemProcessorTypes.painterDouble] = {
+        process: systemMethod("process_PAINTER_DOUBLE"),
+        upgrade: "painting",
+        outputSlots: 2,
+    };
+    itemProcessors[enumItemProcessorTypes.painterQuad] = {
+        process: systemMethod("process_PAINTER_QUAD"),
+        upgrade: "painting",
+        outputSlots: 1,
+    };
+    itemProcessors[enumItemProcessorTypes.hub] = {
+        process: systemMethod("process_HUB"),
+        getBaseSpeed: () => 1e30,
+        outputSlots: 0,
+    };
+    itemProcessors[enumItemProcessorTypes.reader] = {
+        process: systemMethod("process_READER"),
+        upgrade: "belt",
+        speed: 1,
+    };
+
+    // The quad painter is both a processor type and a processing requirement
+    itemProcessors[enumItemProcessorRequirements.painterQuad].checkRequirements = systemMethod(
+        "checkRequirements_PAINTER_QUAD"
+    );
+    itemProcessors[enumItemProcessorRequirements.painterQuad].canProcess = systemMethod(
+        "canProcess_PAINTER_QUAD"
+    );
+}
+
+/**
+ * Returns the statistics shown when placing a building with the given processor type, which is the
+ * processing speed unless the declaration provides its own statistics
+ * @param {GameRoot} root
+ * @param {string} processorType
+ * @returns {Array<[string, string]>}
+ */
+export function getItemProcessorStatistics(root, processorType) {
+    const declaration = shapezAPI.ingame.itemProcessors[processorType];
+    if (!declaration) {
+        return [];
+    }
+    if (declaration.getStatistics) {
+        return declaration.getStatistics(root, processorType);
+    }
+    return [
+        [
+            T.ingame.buildingPlacement.infoTexts.speed,
+            formatItemsPerSecond(root.hubGoals.getProcessorBaseSpeed(processorType)),
+        ],
+    ];
+}
@@ -19,4 +19,28 @@ export function itemResolverSingleton(root, data) {
     assertAlways(false, "Unknown item type: " + itemType);
 }
 
+/**
+ * Resolves an item from its copyable key. The key can be prefixed with the item id, like
+ * "color:red", otherwise every item type is tried. Returns null if no item type accepts the key.
+ * @param {import("./root").GameRoot} root
+ * @param {string} key
+ * @returns {import("./base_item").BaseItem|null}
+ */
+export function resolveItemFromKey(root, key) {
+    const separator = key.indexOf(":");
+    const prefix = key.substr(0, separator);
+    if (separator > 0 && shapezAPI.ingame.items.hasOwnProperty(prefix)) {
+        return shapezAPI.ingame.items[prefix].fromCopyableKey(root, key.substr(separator + 1));
+    }
+
+    for (const itemId in shapezAPI.ingame.items) {
+        if (!shapezAPI.ingame.items.hasOwnProperty(itemId)) continue;
+        const item = shapezAPI.ingame.items[itemId].fromCopyableKey(root, key);
+        if (item) {
+            return item;
+        }
+    }
+    return null;
+}
+
 export const typeItemSingleton = types.obj(gItemRegistry, itemResolverSingleton);
\ No newline at end of file
@@ -13,6 +13,22 @@ export class BooleanItem extends BaseItem {
         return types.uint;
     }
 
+    /**
+     * @param {import("../root").GameRoot} root
+     * @param {string} key
+     * @returns {BooleanItem|null}
+     */
+    static fromCopyableKey(root, key) {
+        const keyLower = key.toLowerCase();
+        if (key === "1" || keyLower === "true") {
+            return BOOL_TRUE_SINGLETON;
+        }
+        if (key === "0" || keyLower === "false") {
+            return BOOL_FALSE_SINGLETON;
+        }
+        return null;
+    }
+
     serialize() {
         return this.value;
     }
@@ -48,6 +64,18 @@ export class BooleanItem extends BaseItem {
         return this.value === /** @type {BooleanItem} */ (other).value;
     }
 
+    canTravelOnWires() {
+        return true;
+    }
+
+    /**
+     * Booleans are not part of the statistics
+     * @returns {null}
+     */
+    getStatisticsKey() {
+        return null;
+    }
+
     /**
      * @param {number} x
      * @param {number} y
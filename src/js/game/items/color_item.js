@@ -15,6 +15,15 @@ export class ColorItem extends BaseItem {
         return types.enum(enumColors);
     }
 
+    /**
+     * @param {import("../root").GameRoot} root
+     * @param {string} key
+     * @returns {ColorItem|null}
+     */
+    static fromCopyableKey(root, key) {
+        return ColorItem.ITEM_SINGLETONS[key.toLowerCase()] || null;
+    }
+
     serialize() {
         return this.color;
     }
@@ -42,6 +51,18 @@ export class ColorItem extends BaseItem {
         return this.color === /** @type {ColorItem} */ (other).color;
     }
 
+    canTravelOnWires() {
+        return true;
+    }
+
+    /**
+     * Colors are not part of the statistics
+     * @returns {null}
+     */
+    getStatisticsKey() {
+        return null;
+    }
+
     /**
      * @param {enumColors} color
      */
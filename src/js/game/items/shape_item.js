@@ -14,6 +14,18 @@ export class ShapeItem extends BaseItem {
         return types.string;
     }
 
+    /**
+     * @param {import("../root").GameRoot} root
+     * @param {string} key
+     * @returns {ShapeItem|null}
+     */
+    static fromCopyableKey(root, key) {
+        if (!ShapeDefinition.isValidShortKey(key)) {
+            return null;
+        }
+        return root.shapeDefinitionMgr.getShapeItemFromShortKey(key);
+    }
+
     serialize() {
         return this.definition.getHash();
     }
@@ -41,6 +53,18 @@ export class ShapeItem extends BaseItem {
         return this.definition.getHash() === /** @type {ShapeItem} */ (other).definition.getHash();
     }
 
+    canTravelOnWires() {
+        return true;
+    }
+
+    /**
+     * Shapes are tracked by their short key, like in the stored shapes of the hub
+     * @returns {string}
+     */
+    getStatisticsKey() {
+        return this.definition.getHash();
+    }
+
     /**
      * @param {ShapeDefinition} definition
      */
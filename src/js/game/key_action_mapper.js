@@ -21,6 +21,7 @@ export const KEYMAPPINGS = {
     ingame: {
         menuOpenShop: { keyCode: key("F") },
         menuOpenStats: { keyCode: key("G") },
+        menuOpenBlueprints: { keyCode: key("B") },
         menuClose: { keyCode: key("Q") },
 
         toggleHud: { keyCode: 113 }, // F2
@@ -28,6 +29,10 @@ export const KEYMAPPINGS = {
         toggleFPSInfo: { keyCode: 115 }, // F4
 
         switchLayers: { keyCode: key("E") },
+
+        undo: { keyCode: key("Z") },
+        redo: { keyCode: key("Y") },
+        undoRedoModifier: { keyCode: 17 }, // CTRL
     },
 
     navigation: {
@@ -85,6 +90,8 @@ export const KEYMAPPINGS = {
         cycleBuildingVariants: { keyCode: key("T") },
         cycleBuildings: { keyCode: 9 }, // TAB
         switchDirectionLockSide: { keyCode: key("R") },
+        mirrorHorizontal: { keyCode: key("H") },
+        mirrorVertical: { keyCode: key("J") },
 
         copyWireValue: { keyCode: key("Z") },
     },
@@ -0,0 +1,130 @@
+/* typehints:start */
+import { GameRoot } from "./root";
+/* typehints:end */
+
+import { THEME } from "./theme";
+import { enumHubGoalRewards } from "./tutorial_goals";
+
+/**
+ * Describes a map layer, registered in shapezAPI.ingame.layerDescriptors. All keys are optional:
+ * - unlockReward: Reward which unlocks the layer, "layers_<id>" if not given and null if the
+ *   layer is always available
+ * - switchable: Whether the switch layers keybinding cycles through the layer, defaults to true
+ * - keybinding: Id of a keybinding in KEYMAPPINGS.ingame which toggles the layer directly, it has
+ *   to be added before registering the layer
+ * - overlay: Drawn above the regular layer while the layer is active. The color is blended with
+ *   the "overlay" composite operation, the tile sprite is repeated on every tile and replaced by
+ *   the fallback color if the tile grid is disabled
+ * - overviewColor: Tints the map overview while the layer is active
+ * - visibleLayers: Layers drawn between the regular layer and this one while it is active
+ * - previewColor: Background of the preview shown when placing a building of another layer which
+ *   wants to show this one (see MetaBuilding.getShowLayerPreview)
+ * - previewFrom: Layers on which the preview of this layer may be shown, defaults to regular
+ * - pinLayer: Layer on which the wired pins of entities of this layer are placed, defaults to
+ *   wires. Entities of the pin layer can not be placed above these pins.
+ * @typedef {{
+ *   unlockReward?: string|null,
+ *   switchable?: boolean,
+ *   keybinding?: string,
+ *   overlay?: { color?: string, tileSprite?: string, fallbackColor?: string },
+ *   overviewColor?: string,
+ *   visibleLayers?: Array<Layer>,
+ *   previewColor?: string,
+ *   previewFrom?: Array<Layer>,
+ *   pinLayer?: Layer
+ * }} LayerDescriptor
+ */
+
+export function addVanillaLayersToAPI() {
+    shapezAPI.ingame.layerDescriptors.regular = {
+        unlockReward: null,
+        pinLayer: "wires",
+    };
+
+    shapezAPI.ingame.layerDescriptors.wires = {
+        unlockReward: enumHubGoalRewards.reward_wires_painter_and_levers,
+        overlay: {
+            color: "rgba(50, 200, 150, 1)",
+            tileSprite: "sprites/wires/overlay_tile.png",
+            fallbackColor: "rgba(78, 137, 125, 0.75)",
+        },
+        // The theme can change while the game is running
+        get overviewColor() {
+            return THEME.map.wires.overlayColor;
+        },
+        get previewColor() {
+            return THEME.map.wires.previewColor;
+        },
+        previewFrom: ["regular"],
+        pinLayer: "wires",
+    };
+}
+
+/**
+ * Returns all layers in switching order, starting with the regular layer
+ * @returns {Array<Layer>}
+ */
+export function getAllLayers() {
+    const layers = /** @type {Array<Layer>} */ (["regular", "wires"]);
+    for (let i = 0; i < shapezAPI.ingame.layers.length; ++i) {
+        if (!layers.includes(shapezAPI.ingame.layers[i])) {
+            layers.push(shapezAPI.ingame.layers[i]);
+        }
+    }
+    return layers;
+}
+
+/**
+ * Returns the descriptor of the layer, layers without one use the defaults
+ * @param {Layer} layer
+ * @returns {LayerDescriptor}
+ */
+export function getLayerDescriptor(layer) {
+    return shapezAPI.ingame.layerDescriptors[layer] || {};
+}
+
+/**
+ * Returns whether the layer can be switched to
+ * @param {GameRoot} root
+ * @param {Layer} layer
+ * @returns {boolean}
+ */
+export function isLayerUnlocked(root, layer) {
+    const descriptor = getLayerDescriptor(layer);
+    const reward = descriptor.unlockReward === undefined ? "layers_" + layer : descriptor.unlockReward;
+    return !reward || root.hubGoals.isRewardUnlocked(reward);
+}
+
+/**
+ * Returns the layer which follows the given one when switching layers, skips locked layers
+ * @param {GameRoot} root
+ * @param {Layer} layer
+ * @returns {Layer}
+ */
+export function getNextLayer(root, layer) {
+    const layers = getAllLayers().filter(
+        other =>
+            other === layer ||
+            (getLayerDescriptor(other).switchable !== false && isLayerUnlocked(root, other))
+    );
+    return layers[(layers.indexOf(layer) + 1) % layers.length];
+}
+
+/**
+ * Returns the layers which are drawn between the regular layer and the given one while it is active
+ * @param {Layer} layer
+ * @returns {Array<Layer>}
+ */
+export function getVisibleLayers(layer) {
+    const visibleLayers = getLayerDescriptor(layer).visibleLayers || [];
+    return visibleLayers.filter(other => other !== "regular" && other !== layer);
+}
+
+/**
+ * Returns the layer on which the wired pins of entities of the given layer are placed
+ * @param {Layer} layer
+ * @returns {Layer}
+ */
+export function getPinLayer(layer) {
+    return getLayerDescriptor(layer).pinLayer || "wires";
+}
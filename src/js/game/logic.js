@@ -56,6 +56,11 @@ export class GameLogic {
      * @returns {boolean} true if the entity could be placed there
      */
     checkCanPlaceEntity(entity, offset = null, blueprint = false) {
+        // Check if the game mode allows the building at all
+        if (!this.root.gameMode.isBuildingAllowed(entity.components.StaticMapEntity.getMetaBuilding())) {
+            return false;
+        }
+
         // Compute area of the building
         const rect = entity.components.StaticMapEntity.getTileSpaceBounds();
         if (offset) {
@@ -66,6 +71,11 @@ export class GameLogic {
         // Check the whole area of the building
         for (let x = rect.x; x < rect.x + rect.w; ++x) {
             for (let y = rect.y; y < rect.y + rect.h; ++y) {
+                // Obstacles can never be built on
+                if (this.root.map.isTileBlockedXY(x, y, entity.layer)) {
+                    return false;
+                }
+
                 // Check if there is any direct collision
                 const otherEntity = this.root.map.getLayerContentXY(x, y, entity.layer);
                 if (otherEntity) {
@@ -108,15 +118,31 @@ export class GameLogic {
             rotationVariant,
             variant,
         });
-        if (this.checkCanPlaceEntity(entity)) {
-            this.freeEntityAreaBeforeBuild(entity);
-            this.root.map.placeStaticEntity(entity);
-            this.root.entityMgr.registerEntity(entity);
+        if (this.tryPlaceEntity(entity)) {
             return entity;
         }
         return null;
     }
 
+    /**
+     * Attempts to place the given entity which is not registered yet, replacing
+     * replaceable entities in its way
+     * @param {Entity} entity
+     * @returns {boolean}
+     */
+    tryPlaceEntity(entity) {
+        if (!this.checkCanPlaceEntity(entity)) {
+            return false;
+        }
+        this.root.undoHistory.beginStep();
+        this.freeEntityAreaBeforeBuild(entity);
+        this.root.map.placeStaticEntity(entity);
+        this.root.entityMgr.registerEntity(entity);
+        this.root.undoHistory.recordPlacement(entity);
+        this.root.undoHistory.endStep();
+        return true;
+    }
+
     /**
      * Removes all entities with a RemovableMapEntityComponent which need to get
      * removed before placing this entity
@@ -183,6 +209,7 @@ export class GameLogic {
         if (!this.canDeleteBuilding(building)) {
             return false;
         }
+        this.root.undoHistory.recordRemoval(building);
         this.root.map.removeStaticEntity(building);
         this.root.entityMgr.destroyEntity(building);
         this.root.entityMgr.processDestroyList();
@@ -0,0 +1,160 @@
+import { enumDirection, Vector } from "../core/vector";
+import { enumLogicGateType } from "./components/logic_gate";
+import { enumPinSlotType } from "./components/wired_pins";
+
+/* typehints:start */
+import { BaseItem } from "./base_item";
+import { WirePinSlotDefinition } from "./components/wired_pins";
+import { Entity } from "./entity";
+import { GameRoot } from "./root";
+/* typehints:end */
+
+/**
+ * Declaration of a logic gate, registered in shapezAPI.ingame.logicGates under the gate type.
+ *
+ * The values of the acceptor pins are passed to compute in the order of the pins, the result
+ * is either a single value for the first ejector pin or an array with a value for each ejector pin.
+ * Gates with internal state provide getInitialState and getNextState, which is called after compute
+ * with the same arguments. The state is stored in the LogicGate component and saved with the
+ * savegame, so it has to be plain JSON data. All functions are called with the LogicGateSystem as this.
+ * @typedef {{
+ *   pins: Array<WirePinSlotDefinition>,
+ *   compute: function(Array<BaseItem|null>, LogicGateContext):(BaseItem|Array<BaseItem>),
+ *   getInitialState?: function():any,
+ *   getNextState?: function(Array<BaseItem|null>, LogicGateContext):any
+ * }} LogicGateType
+ *
+ * @typedef {{
+ *   root: GameRoot,
+ *   entity: Entity,
+ *   state: any
+ * }} LogicGateContext
+ */
+
+/**
+ * @param {enumDirection} direction
+ * @returns {WirePinSlotDefinition}
+ */
+function ejectorPin(direction) {
+    return { pos: new Vector(0, 0), direction, type: enumPinSlotType.logicalEjector };
+}
+
+/**
+ * @param {enumDirection} direction
+ * @returns {WirePinSlotDefinition}
+ */
+function acceptorPin(direction) {
+    return { pos: new Vector(0, 0), direction, type: enumPinSlotType.logicalAcceptor };
+}
+
+/**
+ * Returns a function which calls the given method of the LogicGateSystem, so patches of the
+ * method also apply to the vanilla gates
+ * @param {string} methodName
+ */
+function systemMethod(methodName) {
+    return /** @this {any} */ function (...args) {
+        return this[methodName](...args);
+    };
+}
+
+export function addVanillaLogicGatesToAPI() {
+    /** @type {Object<string, LogicGateType>} */
+    const logicGates = shapezAPI.ingame.logicGates;
+
+    const twoInputPins = () => [
+        ejectorPin(enumDirection.top),
+        acceptorPin(enumDirection.left),
+        acceptorPin(enumDirection.right),
+    ];
+
+    logicGates[enumLogicGateType.and] = {
+        pins: twoInputPins(),
+        compute: systemMethod("compute_AND"),
+    };
+    logicGates[enumLogicGateType.not] = {
+        pins: [ejectorPin(enumDirection.top), acceptorPin(enumDirection.bottom)],
+        compute: systemMethod("compute_NOT"),
+    };
+    logicGates[enumLogicGateType.xor] = {
+        pins: twoInputPins(),
+        compute: systemMethod("compute_XOR"),
+    };
+    logicGates[enumLogicGateType.or] = {
+        pins: twoInputPins(),
+        compute: systemMethod("compute_OR"),
+    };
+    logicGates[enumLogicGateType.transistor] = {
+        pins: [
+            ejectorPin(enumDirection.top),
+            acceptorPin(enumDirection.left),
+            acceptorPin(enumDirection.bottom),
+        ],
+        compute: systemMethod("compute_IF"),
+    };
+
+    // Virtual processors
+    logicGates[enumLogicGateType.analyzer] = {
+        pins: [
+            ejectorPin(enumDirection.left),
+            ejectorPin(enumDirection.right),
+            acceptorPin(enumDirection.bottom),
+        ],
+        compute: systemMethod("compute_ANALYZE"),
+    };
+    logicGates[enumLogicGateType.rotater] = {
+        pins: [ejectorPin(enumDirection.top), acceptorPin(enumDirection.bottom)],
+        compute: systemMethod("compute_ROTATE"),
+    };
+    logicGates[enumLogicGateType.unstacker] = {
+        pins: [
+            ejectorPin(enumDirection.left),
+            ejectorPin(enumDirection.right),
+            acceptorPin(enumDirection.bottom),
+        ],
+        compute: systemMethod("compute_UNSTACK"),
+    };
+    logicGates[enumLogicGateType.cutter] = {
+        pins: [
+            ejectorPin(enumDirection.left),
+            ejectorPin(enumDirection.right),
+            acceptorPin(enumDirection.bottom),
+        ],
+        compute: systemMethod("compute_CUT"),
+    };
+    logicGates[enumLogicGateType.compare] = {
+        pins: twoInputPins(),
+        compute: systemMethod("compute_COMPARE"),
+    };
+    logicGates[enumLogicGateType.stacker] = {
+        pins: [
+            ejectorPin(enumDirection.top),
+            acceptorPin(enumDirection.bottom),
+            acceptorPin(enumDirection.right),
+        ],
+        compute: systemMethod("compute_STACKER"),
+    };
+    logicGates[enumLogicGateType.painter] = {
+        pins: [
+            ejectorPin(enumDirection.top),
+            acceptorPin(enumDirection.bottom),
+            acceptorPin(enumDirection.right),
+        ],
+        compute: systemMethod("compute_PAINTER"),
+    };
+}
+
+/**
+ * Turns the entity into a gate of the given type, setting up its pins and internal state.
+ * Use it in the component variations of the gate building.
+ * @param {Entity} entity
+ * @param {string} type
+ */
+export function setupLogicGate(entity, type) {
+    const declaration = shapezAPI.ingame.logicGates[type];
+    assertAlways(declaration, "Unknown logic gate type: " + type);
+
+    entity.components.WiredPins.setSlots(declaration.pins);
+    entity.components.LogicGate.type = type;
+    entity.components.LogicGate.state = declaration.getInitialState ? declaration.getInitialState() : null;
+}
@@ -1,10 +1,30 @@
 import { globalConfig } from "../core/config";
+import { randomInt } from "../core/utils";
 import { Vector } from "../core/vector";
 import { BasicSerializableObject, types } from "../savegame/serialization";
 import { BaseItem } from "./base_item";
 import { Entity } from "./entity";
 import { MapChunkView } from "./map_chunk_view";
 import { GameRoot } from "./root";
+import { isTerrainBlocking } from "./terrain";
+import { WorldGenerator } from "./world_generation";
+
+/**
+ * Parameters of the map generation, chosen when creating a new game. The same settings always
+ * generate the same world.
+ * @typedef {{
+ *   seed: number,
+ *   resourceDensity: number,
+ *   patchSizeMultiplier: number,
+ *   obstacles: boolean
+ * }} MapSettings
+ */
+
+/** Allowed range of the multipliers in the map settings */
+export const MAP_SETTINGS_LIMITS = {
+    resourceDensity: { min: 0.25, max: 4 },
+    patchSizeMultiplier: { min: 0.5, max: 2 },
+};
 
 export class BaseMap extends BasicSerializableObject {
     static getId() {
@@ -27,12 +47,132 @@ export class BaseMap extends BasicSerializableObject {
 
         this.seed = 0;
 
+        /** Assigns the biomes to the chunks */
+        this.worldGenerator = new WorldGenerator(root);
+
+        /**
+         * Whether new chunks get obstacles, off for savegames from before obstacles existed
+         * since they could block existing layouts
+         */
+        this.generateObstacles = false;
+
+        /** Multiplies the chance of resource patches */
+        this.resourceDensity = 1;
+
+        /** Multiplies the size of resource patches */
+        this.patchSizeMultiplier = 1;
+
+        /**
+         * Serialized terrain of the chunks in the savegame by chunk id, only chunks whose terrain
+         * differs from the generated one are stored
+         * @type {Map<string, Object<string, Array<number>>>}
+         */
+        this.storedTerrain = new Map();
+
         /**
          * Mapping of 'X|Y' to chunk
          * @type {Map<string, MapChunkView>} */
         this.chunksById = new Map();
     }
 
+    /**
+     * Returns the default settings for a new game
+     * @param {import("./game_mode").GameMode} gameMode
+     * @returns {MapSettings}
+     */
+    static getDefaultSettings(gameMode) {
+        return {
+            seed: randomInt(0, 100000),
+            resourceDensity: 1,
+            patchSizeMultiplier: 1,
+            obstacles: gameMode.hasObstacles(),
+        };
+    }
+
+    /**
+     * Applies the settings of a new game, has to happen before any chunk is generated
+     * @param {MapSettings} settings
+     */
+    applySettings(settings) {
+        assert(this.chunksById.size === 0, "Map settings changed after chunks were generated");
+        this.seed = settings.seed;
+        this.resourceDensity = settings.resourceDensity;
+        this.patchSizeMultiplier = settings.patchSizeMultiplier;
+        this.generateObstacles = settings.obstacles;
+    }
+
+    /**
+     * Returns the settings this map was generated with
+     * @returns {MapSettings}
+     */
+    getSettings() {
+        return {
+            seed: this.seed,
+            resourceDensity: this.resourceDensity,
+            patchSizeMultiplier: this.patchSizeMultiplier,
+            obstacles: this.generateObstacles,
+        };
+    }
+
+    /** @returns {object} */
+    serialize() {
+        const data = super.serialize();
+        data.generateObstacles = this.generateObstacles;
+        data.resourceDensity = this.resourceDensity;
+        data.patchSizeMultiplier = this.patchSizeMultiplier;
+
+        // Chunks which were not created since loading still have their stored terrain, the others
+        // are generated again from the seed unless their terrain was changed
+        const terrain = {};
+        for (const [id, chunkTerrain] of this.storedTerrain) {
+            terrain[id] = chunkTerrain;
+        }
+        for (const [id, chunk] of this.chunksById) {
+            if (chunk.hasChangedTerrain()) {
+                terrain[id] = chunk.serializeTerrain();
+            } else {
+                delete terrain[id];
+            }
+        }
+        data.terrain = terrain;
+        return data;
+    }
+
+    /**
+     * @param {any} data
+     * @param {GameRoot} root
+     * @returns {string|void}
+     */
+    deserialize(data, root = null) {
+        const errorStatus = super.deserialize(data, root);
+        if (errorStatus) {
+            return errorStatus;
+        }
+
+        // Older savegames don't contain terrain and map settings
+        this.generateObstacles = !!data.generateObstacles;
+        this.resourceDensity = typeof data.resourceDensity === "number" ? data.resourceDensity : 1;
+        this.patchSizeMultiplier =
+            typeof data.patchSizeMultiplier === "number" ? data.patchSizeMultiplier : 1;
+        this.storedTerrain.clear();
+        if (data.terrain && typeof data.terrain === "object") {
+            for (const id in data.terrain) {
+                this.storedTerrain.set(id, data.terrain[id]);
+            }
+        }
+    }
+
+    /**
+     * Replaces the generated terrain of a chunk with the one from the savegame, if it has one
+     * @param {import("./map_chunk").MapChunk} chunk
+     */
+    restoreTerrain(chunk) {
+        const id = chunk.x + "|" + chunk.y;
+        if (this.storedTerrain.has(id)) {
+            chunk.deserializeTerrain(this.storedTerrain.get(id));
+        }
+    }
+
     /**
      * Returns the given chunk by index
      * @param {number} chunkX
@@ -49,6 +189,9 @@ export class BaseMap extends BasicSerializableObject {
         if (createIfNotExistent) {
             const instance = new MapChunkView(this.root, chunkX, chunkY);
             this.chunksById.set(chunkIdentifier, instance);
+            if (!this.root.isPreview) {
+                shapezAPI.events.dispatch(this.root, "chunkGenerated", { chunk: instance });
+            }
             return instance;
         }
 
@@ -115,6 +258,29 @@ export class BaseMap extends BasicSerializableObject {
         return this.getOrCreateChunkAtTile(x, y).getLowerLayerFromWorldCoords(x, y);
     }
 
+    /**
+     * Returns the terrain type of a given tile, or null if it is free
+     * @param {number} x
+     * @param {number} y
+     * @returns {string|null}
+     */
+    getTerrainXY(x, y) {
+        return this.getOrCreateChunkAtTile(x, y).getTerrainFromWorldCoords(x, y);
+    }
+
+    /**
+     * Returns whether the terrain of a given tile prevents placing buildings on the layer
+     * @param {number} x
+     * @param {number} y
+     * @param {Layer} layer
+     * @returns {boolean}
+     */
+    isTileBlockedXY(x, y, layer) {
+        // Generates the chunk if needed, placing the building would generate it anyway
+        const terrain = this.getTerrainXY(x, y);
+        return terrain !== null && isTerrainBlocking(terrain, layer);
+    }
+
     /**
      * Returns the tile content of a given tile
      * @param {number} x
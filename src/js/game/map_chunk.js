@@ -10,6 +10,8 @@ import { ColorItem } from "./items/color_item";
 import { GameRoot } from "./root";
 import { enumSubShape } from "./shape_definition";
 import { Rectangle } from "../core/rectangle";
+import { getBiomeValue } from "./world_generation";
+import { getAllLayers } from "./layers";
 
 const logger = createLogger("map_chunk");
 
@@ -33,6 +35,12 @@ export class MapChunk {
          */
         this.lowerLayer = make2DUndefinedArray(globalConfig.mapChunkSize, globalConfig.mapChunkSize);
 
+        /**
+         * Stores the obstacles, see terrain.js
+         *  @type {Array<Array<?string>>}
+         */
+        this.terrain = make2DUndefinedArray(globalConfig.mapChunkSize, globalConfig.mapChunkSize);
+
         /**
          * Stores the contents of the regular layer
          * @type {Array<Array<?Entity>>}
@@ -46,7 +54,7 @@ export class MapChunk {
         this.wireContents = make2DUndefinedArray(globalConfig.mapChunkSize, globalConfig.mapChunkSize);
 
         /**
-         * Stores the contents of the layers
+         * Stores the contents of all layers, including the regular and wires layer
          *  @type {Map<string, Array<Array<?Entity>>>}
          */
         this.layersContents = new Map();
@@ -78,18 +86,22 @@ export class MapChunk {
          * Which entities this chunk contains, sorted by layer
          * @type {Record<Layer, Array<Entity>>}
          */
-        this.containedEntitiesByLayer = {
-            regular: [],
-            wires: [],
-        };
+        this.containedEntitiesByLayer = /** @type {Record<Layer, Array<Entity>>} */ ({});
 
-        for (let i = 0; i < shapezAPI.ingame.layers.length; i++) {
-            const layer = shapezAPI.ingame.layers[i];
+        const layers = getAllLayers();
+        for (let i = 0; i < layers.length; i++) {
+            const layer = layers[i];
             this.containedEntitiesByLayer[layer] = [];
-            this.layersContents.set(
-                layer,
-                make2DUndefinedArray(globalConfig.mapChunkSize, globalConfig.mapChunkSize)
-            );
+            if (layer === "regular") {
+                this.layersContents.set(layer, this.contents);
+            } else if (layer === "wires") {
+                this.layersContents.set(layer, this.wireContents);
+            } else {
+                this.layersContents.set(
+                    layer,
+                    make2DUndefinedArray(globalConfig.mapChunkSize, globalConfig.mapChunkSize)
+                );
+            }
         }
 
         /**
@@ -98,7 +110,25 @@ export class MapChunk {
          */
         this.patches = [];
 
+        /**
+         * The biome of this chunk, see world_generation.js
+         * @type {string}
+         */
+        this.biomeId = null;
+
+        /** @type {import("./world_generation").Biome} */
+        this.biome = null;
+
         this.generateLowerLayer();
+
+        /**
+         * The terrain as generated from the seed, only changed terrain has to be stored
+         * @type {string}
+         */
+        this.generatedTerrain = JSON.stringify(this.serializeTerrain());
+
+        // Chunks of a savegame keep their terrain, even if the generation changed
+        this.root.map.restoreTerrain(this);
     }
 
     /**
@@ -172,22 +202,95 @@ export class MapChunk {
         });
     }
 
+    /**
+     * Applies the patch size multiplier of the map settings, limited so the patch still fits
+     * into the chunk
+     * @param {number} patchSize
+     * @returns {number}
+     */
+    scalePatchSize(patchSize) {
+        return clamp(
+            Math.round(patchSize * this.root.map.patchSizeMultiplier),
+            1,
+            globalConfig.mapChunkSize / 2
+        );
+    }
+
     /**
      * Generates the lower layer "terrain"
      */
     generateLowerLayer() {
         const rng = new RandomNumberGenerator(this.x + "|" + this.y + "|" + this.root.map.seed);
 
-        if (this.generatePredefined(rng)) {
+        const chunkCenter = new Vector(this.x, this.y).addScalar(0.5);
+        const distanceToOriginInChunks = Math.round(chunkCenter.length());
+
+        this.biomeId = this.root.map.worldGenerator.getBiomeId(this.x, this.y, distanceToOriginInChunks);
+        this.biome = shapezAPI.ingame.biomes[this.biomeId];
+
+        if (this.root.gameMode.generateMapChunk(this, rng)) {
             return;
         }
 
-        const chunkCenter = new Vector(this.x, this.y).addScalar(0.5);
-        const distanceToOriginInChunks = Math.round(chunkCenter.length());
+        if (this.generatePredefined(rng)) {
+            return;
+        }
 
         for (let i = 0; i < MapChunk.lowerLayers.length; i++) {
             MapChunk.lowerLayers[i](this, rng, distanceToOriginInChunks);
         }
+
+        if (this.root.map.generateObstacles) {
+            this.generateObstacles(distanceToOriginInChunks);
+        }
+    }
+
+    /**
+     * Generates an obstacle of the biome, obstacles never cover resources
+     * @param {number} distanceToOriginInChunks
+     */
+    generateObstacles(distanceToOriginInChunks) {
+        const biome = this.biome;
+        if (!biome.obstacleChance || !biome.obstacles) {
+            return;
+        }
+
+        // Use a separate generator so the resources are the same with and without obstacles
+        const rng = new RandomNumberGenerator("terrain|" + this.x + "|" + this.y + "|" + this.root.map.seed);
+        if (rng.next() >= getBiomeValue(biome.obstacleChance, distanceToOriginInChunks)) {
+            return;
+        }
+
+        const types = getBiomeValue(biome.obstacles, distanceToOriginInChunks);
+        if (types.length === 0) {
+            return;
+        }
+        const type = rng.choice(types);
+
+        const size = Math.min(
+            getBiomeValue(biome.obstacleSize || 3, distanceToOriginInChunks),
+            globalConfig.mapChunkSize / 2 - 1
+        );
+        const centerX = rng.nextIntRange(size, globalConfig.mapChunkSize - size);
+        const centerY = rng.nextIntRange(size, globalConfig.mapChunkSize - size);
+        const scaleX = rng.nextRange(0.6, 1.2);
+        const scaleY = rng.nextRange(0.6, 1.2);
+
+        for (let dx = -size; dx <= size; ++dx) {
+            for (let dy = -size; dy <= size; ++dy) {
+                const x = centerX + dx;
+                const y = centerY + dy;
+                if (x < 0 || x >= globalConfig.mapChunkSize || y < 0 || y >= globalConfig.mapChunkSize) {
+                    continue;
+                }
+
+                // Random threshold for rough edges
+                const distance = Math.hypot(dx / scaleX, dy / scaleY);
+                if (distance <= size - rng.next() && !this.lowerLayer[x][y]) {
+                    this.terrain[x][y] = type;
+                }
+            }
+        }
     }
 
     /**
@@ -221,6 +324,80 @@ export class MapChunk {
         return this.lowerLayer[localX][localY] || null;
     }
 
+    /**
+     * Returns the terrain type of the given tile, or null if it is free
+     * @param {number} worldX
+     * @param {number} worldY
+     * @returns {string|null}
+     */
+    getTerrainFromWorldCoords(worldX, worldY) {
+        const localX = worldX - this.tileX;
+        const localY = worldY - this.tileY;
+        assert(localX >= 0, "Local X is < 0");
+        assert(localY >= 0, "Local Y is < 0");
+        assert(localX < globalConfig.mapChunkSize, "Local X is >= chunk size");
+        assert(localY < globalConfig.mapChunkSize, "Local Y is >= chunk size");
+        return this.terrain[localX][localY] || null;
+    }
+
+    /**
+     * Sets the terrain of a tile, can be used by game modes to build their own map
+     * @param {number} localX
+     * @param {number} localY
+     * @param {string|null} type
+     */
+    setTerrainFromLocalCoords(localX, localY, type) {
+        assert(localX >= 0, "Local X is < 0");
+        assert(localY >= 0, "Local Y is < 0");
+        assert(localX < globalConfig.mapChunkSize, "Local X is >= chunk size");
+        assert(localY < globalConfig.mapChunkSize, "Local Y is >= chunk size");
+        this.terrain[localX][localY] = type;
+    }
+
+    /**
+     * Returns the tiles of each terrain type as indices (x * mapChunkSize + y)
+     * @returns {Object<string, Array<number>>}
+     */
+    serializeTerrain() {
+        /** @type {Object<string, Array<number>>} */
+        const data = {};
+        for (let x = 0; x < globalConfig.mapChunkSize; ++x) {
+            for (let y = 0; y < globalConfig.mapChunkSize; ++y) {
+                const type = this.terrain[x][y];
+                if (type) {
+                    (data[type] = data[type] || []).push(x * globalConfig.mapChunkSize + y);
+                }
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Returns whether the terrain differs from the one generated from the seed
+     * @returns {boolean}
+     */
+    hasChangedTerrain() {
+        return JSON.stringify(this.serializeTerrain()) !== this.generatedTerrain;
+    }
+
+    /**
+     * Replaces the terrain with serialized terrain
+     * @param {Object<string, Array<number>>} data
+     */
+    deserializeTerrain(data) {
+        this.terrain = make2DUndefinedArray(globalConfig.mapChunkSize, globalConfig.mapChunkSize);
+        for (const type in data) {
+            const indices = data[type];
+            for (let i = 0; i < indices.length; ++i) {
+                const index = indices[i];
+                if (Number.isInteger(index) && index >= 0 && index < globalConfig.mapChunkSize ** 2) {
+                    const x = Math.floor(index / globalConfig.mapChunkSize);
+                    this.terrain[x][index % globalConfig.mapChunkSize] = type;
+                }
+            }
+        }
+    }
+
     /**
      * Returns the contents of this chunk from the given world space coordinates
      * @param {number} worldX
@@ -251,11 +428,7 @@ export class MapChunk {
         assert(localY >= 0, "Local Y is < 0");
         assert(localX < globalConfig.mapChunkSize, "Local X is >= chunk size");
         assert(localY < globalConfig.mapChunkSize, "Local Y is >= chunk size");
-        if (layer === "regular") {
-            return this.contents[localX][localY] || null;
-        } else if (layer === "wires") {
-            return this.wireContents[localX][localY] || null;
-        } else if (this.layersContents.has(layer)) {
+        if (this.layersContents.has(layer)) {
             return this.layersContents.get(layer)[localX][localY] || null;
         }
     }
@@ -274,18 +447,8 @@ export class MapChunk {
         assert(localX < globalConfig.mapChunkSize, "Local X is >= chunk size");
         assert(localY < globalConfig.mapChunkSize, "Local Y is >= chunk size");
 
-        const regularContent = this.contents[localX][localY];
-        const wireContent = this.wireContents[localX][localY];
-
         const result = [];
-        if (regularContent) {
-            result.push(regularContent);
-        }
-        if (wireContent) {
-            result.push(wireContent);
-        }
-
-        for (const [layer, array] of this.layersContents) {
+        for (const array of this.layersContents.values()) {
             if (array[localX][localY]) {
                 result.push(array[localX][localY]);
             }
@@ -324,14 +487,9 @@ export class MapChunk {
         assert(localX < globalConfig.mapChunkSize, "Local X is >= chunk size");
         assert(localY < globalConfig.mapChunkSize, "Local Y is >= chunk size");
 
-        let oldContents;
-        if (layer === "regular") {
-            oldContents = this.contents[localX][localY];
-        } else if (layer === "wires") {
-            oldContents = this.wireContents[localX][localY];
-        } else if (this.layersContents.has(layer)) {
-            oldContents = this.layersContents.get(layer)[localX][localY];
-        }
+        const layerContents = this.layersContents.get(layer);
+        assert(layerContents, "Unknown layer: " + layer);
+        const oldContents = layerContents[localX][localY];
 
         assert(contents === null || !oldContents, "Tile already used: " + tileX + " / " + tileY);
 
@@ -341,13 +499,7 @@ export class MapChunk {
             fastArrayDeleteValueIfContained(this.containedEntitiesByLayer[layer], oldContents);
         }
 
-        if (layer === "regular") {
-            this.contents[localX][localY] = contents;
-        } else if (layer === "wires") {
-            this.wireContents[localX][localY] = contents;
-        } else if (this.layersContents.has(layer)) {
-            this.layersContents.get(layer)[localX][localY] = contents;
-        }
+        layerContents[localX][localY] = contents;
 
         if (contents) {
             if (this.containedEntities.indexOf(contents) < 0) {
@@ -405,20 +557,22 @@ export class MapChunk {
     static lowerLayers = [
         (self, rng, distanceToOriginInChunks) => {
             // Determine how likely it is that there is a color patch
-            const colorPatchChance = 0.9 - clamp(distanceToOriginInChunks / 25, 0, 1) * 0.5;
-
-            if (rng.next() < colorPatchChance / 4) {
-                const colorPatchSize = Math.max(2, Math.round(1 + clamp(distanceToOriginInChunks / 8, 0, 4)));
-                // First, determine available colors
-                let availableColors = [enumColors.red, enumColors.green];
-                if (distanceToOriginInChunks > 2) {
-                    availableColors.push(enumColors.blue);
-                }
-                self.internalGeneratePatch(
-                    rng,
-                    colorPatchSize,
-                    ColorItem.ITEM_SINGLETONS[rng.choice(availableColors)]
+            const colorPatchChance =
+                getBiomeValue(self.biome.colorPatchChance, distanceToOriginInChunks) *
+                self.root.map.resourceDensity;
+
+            if (rng.next() < colorPatchChance) {
+                const colorPatchSize = self.scalePatchSize(
+                    getBiomeValue(self.biome.colorPatchSize, distanceToOriginInChunks)
                 );
+                const availableColors = getBiomeValue(self.biome.colors, distanceToOriginInChunks);
+                if (availableColors.length > 0) {
+                    self.internalGeneratePatch(
+                        rng,
+                        colorPatchSize,
+                        ColorItem.ITEM_SINGLETONS[rng.choice(availableColors)]
+                    );
+                }
             }
         },
         (self, rng, distanceToOriginInChunks) => {
@@ -455,28 +609,15 @@ export class MapChunk {
                 /** @type {[enumSubShape, enumSubShape, enumSubShape, enumSubShape]} */
                 let subShapes = null;
 
-                let weights = {};
-
-                // Later there is a mix of everything
-                weights = {
-                    [enumSubShape.rect]: 100,
-                    [enumSubShape.circle]: Math.round(50 + clamp(distanceToOriginInChunks * 2, 0, 50)),
-                    [enumSubShape.star]: Math.round(20 + clamp(distanceToOriginInChunks, 0, 30)),
-                    [enumSubShape.windmill]: Math.round(6 + clamp(distanceToOriginInChunks / 2, 0, 20)),
-                };
+                const weights = getBiomeValue(self.biome.subShapes, distanceToOriginInChunks);
+                const variety = getBiomeValue(self.biome.shapeVariety, distanceToOriginInChunks);
 
-                if (distanceToOriginInChunks < 7) {
-                    // Initial chunks can not spawn the good stuff
-                    weights[enumSubShape.star] = 0;
-                    weights[enumSubShape.windmill] = 0;
-                }
-
-                if (distanceToOriginInChunks < 10) {
-                    // Initial chunk patches always have the same shape
+                if (variety <= 1) {
+                    // All quadrants have the same shape
                     const subShape = internalGenerateRandomSubShape(rng, weights);
                     subShapes = [subShape, subShape, subShape, subShape];
-                } else if (distanceToOriginInChunks < 15) {
-                    // Later patches can also have mixed ones
+                } else if (variety === 2) {
+                    // Two halves with a shape each
                     const subShapeA = internalGenerateRandomSubShape(rng, weights);
                     const subShapeB = internalGenerateRandomSubShape(rng, weights);
                     subShapes = [subShapeA, subShapeA, subShapeB, subShapeB];
@@ -511,9 +652,13 @@ export class MapChunk {
             };
 
             // Determine how likely it is that there is a shape patch
-            const shapePatchChance = 0.9 - clamp(distanceToOriginInChunks / 25, 0, 1) * 0.5;
-            if (rng.next() < shapePatchChance / 4) {
-                const shapePatchSize = Math.max(2, Math.round(1 + clamp(distanceToOriginInChunks / 8, 0, 4)));
+            const shapePatchChance =
+                getBiomeValue(self.biome.shapePatchChance, distanceToOriginInChunks) *
+                self.root.map.resourceDensity;
+            if (rng.next() < shapePatchChance) {
+                const shapePatchSize = self.scalePatchSize(
+                    getBiomeValue(self.biome.shapePatchSize, distanceToOriginInChunks)
+                );
                 internalGenerateShapePatch(rng, shapePatchSize, distanceToOriginInChunks);
             }
         },
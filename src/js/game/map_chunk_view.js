@@ -6,6 +6,8 @@ import { MapChunk } from "./map_chunk";
 import { GameRoot } from "./root";
 import { THEME } from "./theme";
 import { drawSpriteClipped } from "../core/draw_utils";
+import { getTerrainColor } from "./terrain";
+import { getLayerDescriptor, getVisibleLayers } from "./layers";
 
 export const CHUNK_OVERLAY_RES = 3;
 
@@ -38,13 +40,15 @@ export class MapChunkView extends MapChunk {
     /**
      * Draws the background layer
      * @param {DrawParameters} parameters
+     * @param {Array<string>=} excludedSystems Ids of the systems which should not draw
      */
-    drawBackgroundLayer(parameters) {
+    drawBackgroundLayer(parameters, excludedSystems = []) {
         const order = this.root.systemMgr.renderOrderBackground;
         const systems = this.root.systemMgr.systems;
         const systemsWithoutOrderd = Object.keys(systems).filter(system => !order.includes(system));
         const renderOrder = [...systemsWithoutOrderd, ...order];
         for (let i = 0; i < renderOrder.length; i++) {
+            if (excludedSystems.includes(renderOrder[i])) continue;
             const system = systems[renderOrder[i]];
             if (typeof system.drawChunk_BackgroundLayer !== "function") continue;
             system.drawChunk_BackgroundLayer(parameters, this);
@@ -147,6 +151,11 @@ export class MapChunkView extends MapChunk {
             THEME.map.chunkOverview.empty;
         context.fillRect(0, 0, w, h);
 
+        if (this.biome && this.biome.tint) {
+            context.fillStyle = this.biome.tint;
+            context.fillRect(0, 0, w, h);
+        }
+
         if (this.root.app.settings.getAllSettings().displayChunkBorders) {
             context.fillStyle = THEME.map.chunkBorders;
             context.fillRect(0, 0, w, 1);
@@ -156,7 +165,19 @@ export class MapChunkView extends MapChunk {
         for (let x = 0; x < globalConfig.mapChunkSize; ++x) {
             const lowerArray = this.lowerLayer[x];
             const upperArray = this.contents[x];
+            const terrainArray = this.terrain[x];
             for (let y = 0; y < globalConfig.mapChunkSize; ++y) {
+                if (terrainArray[y]) {
+                    context.fillStyle = getTerrainColor(terrainArray[y]);
+                    context.fillRect(
+                        x * CHUNK_OVERLAY_RES,
+                        y * CHUNK_OVERLAY_RES,
+                        CHUNK_OVERLAY_RES,
+                        CHUNK_OVERLAY_RES
+                    );
+                    continue;
+                }
+
                 const upperContent = upperArray[y];
                 if (upperContent) {
                     const staticComp = upperContent.components.StaticMapEntity;
@@ -236,43 +257,35 @@ export class MapChunkView extends MapChunk {
             }
         }
 
-        if (this.root.currentLayer === "wires") {
+        if (this.root.currentLayer !== "regular") {
             // Draw layers overlay
+            const overviewColor = getLayerDescriptor(this.root.currentLayer).overviewColor;
+            if (overviewColor) {
+                context.fillStyle = overviewColor;
+                context.fillRect(0, 0, w, h);
+            }
 
-            context.fillStyle = THEME.map.wires.overlayColor;
-            context.fillRect(0, 0, w, h);
-
-            for (let x = 0; x < globalConfig.mapChunkSize; ++x) {
-                const wiresArray = this.wireContents[x];
-                for (let y = 0; y < globalConfig.mapChunkSize; ++y) {
-                    const content = wiresArray[y];
-                    if (!content) {
-                        continue;
-                    }
-                    MapChunkView.drawSingleOverviewTile({
-                        context,
-                        x: x * CHUNK_OVERLAY_RES,
-                        y: y * CHUNK_OVERLAY_RES,
-                        entity: content,
-                        tileSizePixels: CHUNK_OVERLAY_RES,
-                    });
+            const layers = [...getVisibleLayers(this.root.currentLayer), this.root.currentLayer];
+            for (let i = 0; i < layers.length; ++i) {
+                const contents = this.layersContents.get(layers[i]);
+                if (!contents) {
+                    continue;
                 }
-            }
-        } else if (this.root.currentLayer !== "regular") {
-            for (let x = 0; x < globalConfig.mapChunkSize; ++x) {
-                const array = this.layersContents[this.root.currentLayer][x];
-                for (let y = 0; y < globalConfig.mapChunkSize; ++y) {
-                    const content = array[y];
-                    if (!content) {
-                        continue;
+                for (let x = 0; x < globalConfig.mapChunkSize; ++x) {
+                    const array = contents[x];
+                    for (let y = 0; y < globalConfig.mapChunkSize; ++y) {
+                        const content = array[y];
+                        if (!content) {
+                            continue;
+                        }
+                        MapChunkView.drawSingleOverviewTile({
+                            context,
+                            x: x * CHUNK_OVERLAY_RES,
+                            y: y * CHUNK_OVERLAY_RES,
+                            entity: content,
+                            tileSizePixels: CHUNK_OVERLAY_RES,
+                        });
                     }
-                    MapChunkView.drawSingleOverviewTile({
-                        context,
-                        x: x * CHUNK_OVERLAY_RES,
-                        y: y * CHUNK_OVERLAY_RES,
-                        entity: content,
-                        tileSizePixels: CHUNK_OVERLAY_RES,
-                    });
                 }
             }
         }
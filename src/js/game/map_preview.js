@@ -0,0 +1,228 @@
+/* typehints:start */
+import { Application } from "../application";
+import { MapView } from "./map_view";
+/* typehints:end */
+
+import { ClickDetector } from "../core/click_detector";
+import { globalConfig } from "../core/config";
+import { FormElement, FormElementCheckbox, FormElementInput } from "../core/modal_dialog_forms";
+import { randomInt } from "../core/utils";
+import { T } from "../translations";
+import { BaseMap, MAP_SETTINGS_LIMITS } from "./map";
+import { RegularGameMode } from "./modes/regular";
+import { GameRoot } from "./root";
+import { ShapeDefinitionManager } from "./shape_definition_manager";
+import { getTerrainColor } from "./terrain";
+import { THEME } from "./theme";
+
+/** How many chunks the preview shows in each direction of the hub */
+const PREVIEW_RADIUS = 3;
+
+/** Size of a tile in the preview in pixels */
+const PREVIEW_TILE_SIZE = 2;
+
+/**
+ * Creates a root which is just complete enough to generate chunks. It is marked as preview, so
+ * generating its chunks does not notify mods.
+ * @param {Application} app
+ * @param {string} gameModeId
+ * @returns {GameRoot}
+ */
+function createPreviewRoot(app, gameModeId) {
+    const root = new GameRoot(app);
+    root.isPreview = true;
+    root.map = /** @type {MapView} */ (new BaseMap(root));
+    root.shapeDefinitionMgr = new ShapeDefinitionManager(root);
+    root.gameMode = new (shapezAPI.ingame.gamemodes[gameModeId] || RegularGameMode)(root);
+    return root;
+}
+
+/**
+ * Generates the chunks around the hub off-screen and draws their resources and obstacles
+ * @param {Application} app
+ * @param {string} gameModeId
+ * @param {import("./map").MapSettings} settings
+ * @param {HTMLCanvasElement} canvas
+ */
+export function renderMapPreview(app, gameModeId, settings, canvas) {
+    const root = createPreviewRoot(app, gameModeId);
+    root.map.applySettings(settings);
+
+    const offset = PREVIEW_RADIUS * globalConfig.mapChunkSize;
+    const context = canvas.getContext("2d");
+    context.fillStyle = THEME.map.chunkOverview.empty;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    for (let chunkX = -PREVIEW_RADIUS; chunkX < PREVIEW_RADIUS; ++chunkX) {
+        for (let chunkY = -PREVIEW_RADIUS; chunkY < PREVIEW_RADIUS; ++chunkY) {
+            const chunk = root.map.getChunk(chunkX, chunkY, true);
+            for (let x = 0; x < globalConfig.mapChunkSize; ++x) {
+                for (let y = 0; y < globalConfig.mapChunkSize; ++y) {
+                    const terrain = chunk.terrain[x][y];
+                    const item = chunk.lowerLayer[x][y];
+                    if (terrain) {
+                        context.fillStyle = getTerrainColor(terrain);
+                    } else if (item && item.getBackgroundColorAsResource) {
+                        context.fillStyle = item.getBackgroundColorAsResource();
+                    } else {
+                        continue;
+                    }
+                    context.fillRect(
+                        (chunk.tileX + x + offset) * PREVIEW_TILE_SIZE,
+                        (chunk.tileY + y + offset) * PREVIEW_TILE_SIZE,
+                        PREVIEW_TILE_SIZE,
+                        PREVIEW_TILE_SIZE
+                    );
+                }
+            }
+        }
+    }
+
+    // The hub is placed at (-2, -2) and 4x4 tiles large
+    context.fillStyle = THEME.map.chunkOverview.filled;
+    context.fillRect(
+        (offset - 2) * PREVIEW_TILE_SIZE,
+        (offset - 2) * PREVIEW_TILE_SIZE,
+        4 * PREVIEW_TILE_SIZE,
+        4 * PREVIEW_TILE_SIZE
+    );
+}
+
+/**
+ * Form element to choose the map settings of a new game, with a preview of the map
+ */
+export class FormElementMapSettings extends FormElement {
+    /**
+     * @param {object} param0
+     * @param {string} param0.id
+     * @param {Application} param0.app
+     * @param {string} param0.gameModeId
+     * @param {import("./map").MapSettings=} param0.defaultValue Defaults of the game mode if not given
+     */
+    constructor({ id, app, gameModeId, defaultValue = null }) {
+        super(id, null);
+        this.app = app;
+        this.gameModeId = gameModeId;
+
+        if (!defaultValue) {
+            defaultValue = BaseMap.getDefaultSettings(createPreviewRoot(app, gameModeId).gameMode);
+        }
+
+        const isInRange = (value, { min, max }) => {
+            const number = Number(value);
+            return value.length > 0 && number >= min && number <= max;
+        };
+
+        this.seedInput = new FormElementInput({
+            id: id + "Seed",
+            label: T.dialogs.newGame.seed,
+            placeholder: "",
+            defaultValue: String(defaultValue.seed),
+            validator: value => /^\d{1,9}$/.test(value),
+        });
+        this.resourceDensityInput = new FormElementInput({
+            id: id + "ResourceDensity",
+            label: T.dialogs.newGame.resourceDensity,
+            placeholder: "",
+            defaultValue: String(defaultValue.resourceDensity),
+            validator: value => isInRange(value, MAP_SETTINGS_LIMITS.resourceDensity),
+        });
+        this.patchSizeInput = new FormElementInput({
+            id: id + "PatchSize",
+            label: T.dialogs.newGame.patchSize,
+            placeholder: "",
+            defaultValue: String(defaultValue.patchSizeMultiplier),
+            validator: value => isInRange(value, MAP_SETTINGS_LIMITS.patchSizeMultiplier),
+        });
+        this.obstaclesCheckbox = new FormElementCheckbox({
+            id: id + "Obstacles",
+            label: T.dialogs.newGame.obstacles,
+            defaultValue: defaultValue.obstacles,
+        });
+
+        /** @type {Array<FormElementInput|FormElementCheckbox>} */
+        this.elements = [
+            this.seedInput,
+            this.resourceDensityInput,
+            this.patchSizeInput,
+            this.obstaclesCheckbox,
+        ];
+
+        /** @type {HTMLCanvasElement} */
+        this.canvas = null;
+    }
+
+    getHtml() {
+        const size = 2 * PREVIEW_RADIUS * globalConfig.mapChunkSize * PREVIEW_TILE_SIZE;
+        return `
+            <div class="formElement mapSettings" data-formId="${this.id}">
+                <div class="settings">
+                    ${this.elements.map(element => element.getHtml()).join("")}
+                    <button class="styledButton randomizeSeed">${T.dialogs.newGame.randomizeSeed}</button>
+                </div>
+                <canvas class="mapPreview" width="${size}" height="${size}"></canvas>
+            </div>
+        `;
+    }
+
+    /**
+     * @param {HTMLElement} parent
+     * @param {Array<ClickDetector>} clickTrackers
+     */
+    bindEvents(parent, clickTrackers) {
+        const element = this.getFormElement(parent);
+        for (let i = 0; i < this.elements.length; ++i) {
+            this.elements[i].bindEvents(element, clickTrackers);
+        }
+        this.canvas = element.querySelector("canvas.mapPreview");
+
+        for (const input of [this.seedInput, this.resourceDensityInput, this.patchSizeInput]) {
+            input.element.addEventListener("input", () => this.updatePreview());
+        }
+
+        // Registered after the detector of the checkbox, so it is already toggled
+        const obstaclesDetector = new ClickDetector(this.obstaclesCheckbox.element, {
+            consumeEvents: false,
+            preventDefault: false,
+        });
+        clickTrackers.push(obstaclesDetector);
+        obstaclesDetector.click.add(this.updatePreview, this);
+
+        const randomizeDetector = new ClickDetector(element.querySelector(".randomizeSeed"), {});
+        clickTrackers.push(randomizeDetector);
+        randomizeDetector.click.add(() => {
+            this.seedInput.element.value = String(randomInt(0, 100000));
+            this.seedInput.updateErrorState();
+            this.updatePreview();
+        });
+
+        this.updatePreview();
+    }
+
+    isValid() {
+        return this.elements.every(element => element.isValid());
+    }
+
+    /** @returns {import("./map").MapSettings} */
+    getValue() {
+        return {
+            seed: Number(this.seedInput.getValue()),
+            resourceDensity: Number(this.resourceDensityInput.getValue()),
+            patchSizeMultiplier: Number(this.patchSizeInput.getValue()),
+            obstacles: this.obstaclesCheckbox.getValue(),
+        };
+    }
+
+    focus() {
+        this.seedInput.focus();
+    }
+
+    /**
+     * Redraws the preview, unless some setting is invalid
+     */
+    updatePreview() {
+        if (this.isValid()) {
+            renderMapPreview(this.app, this.gameModeId, this.getValue(), this.canvas);
+        }
+    }
+}
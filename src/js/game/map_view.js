@@ -135,9 +135,9 @@ export class MapView extends BaseMap {
      * Calls a given method on all given chunks
      * @param {DrawParameters} parameters
      * @param {function} method
-     * @param {string=} layer
+     * @param {any=} argument Passed on to the method, e.g. the layer
      */
-    drawVisibleChunks(parameters, method, layer) {
+    drawVisibleChunks(parameters, method, argument) {
         const cullRange = parameters.visibleRect.allScaled(1 / globalConfig.tileSize);
         const top = cullRange.top();
         const right = cullRange.right();
@@ -160,7 +160,7 @@ export class MapView extends BaseMap {
         for (let chunkX = chunkStartX; chunkX <= chunkEndX; ++chunkX) {
             for (let chunkY = chunkStartY; chunkY <= chunkEndY; ++chunkY) {
                 const chunk = this.root.map.getChunk(chunkX, chunkY, true);
-                if (layer) method.call(chunk, parameters, layer);
+                if (argument) method.call(chunk, parameters, argument);
                 else method.call(chunk, parameters);
             }
         }
@@ -183,6 +183,19 @@ export class MapView extends BaseMap {
         this.drawVisibleChunks(parameters, MapChunkView.prototype.drawForegroundLayer, layer);
     }
 
+    /**
+     * Draws the foreground of any layer except the regular one
+     * @param {DrawParameters} parameters
+     * @param {Layer} layer
+     */
+    drawLayerForeground(parameters, layer) {
+        if (layer === "wires") {
+            this.drawWiresForegroundLayer(parameters);
+        } else {
+            this.drawForegroundLayer(parameters, layer);
+        }
+    }
+
     /**
      * Draws the map overlay
      * @param {DrawParameters} parameters
@@ -194,8 +207,9 @@ export class MapView extends BaseMap {
     /**
      * Draws the map background
      * @param {DrawParameters} parameters
+     * @param {Array<string>=} excludedSystems Ids of the systems which should not draw, e.g. to hide the resources
      */
-    drawBackground(parameters) {
+    drawBackground(parameters, excludedSystems = []) {
         // Render tile grid
         if (!this.root.app.settings.getAllSettings().disableTileGrid) {
             const dpi = this.backgroundCacheDPI;
@@ -214,6 +228,6 @@ export class MapView extends BaseMap {
             parameters.context.scale(dpi, dpi);
         }
 
-        this.drawVisibleChunks(parameters, MapChunkView.prototype.drawBackgroundLayer);
+        this.drawVisibleChunks(parameters, MapChunkView.prototype.drawBackgroundLayer, excludedSystems);
     }
 }
\ No newline at end of file
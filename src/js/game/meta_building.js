@@ -1,11 +1,13 @@
 import { Loader } from "../core/loader";
 import { AtlasSprite } from "../core/sprites";
+import { safeModulo } from "../core/utils";
 import { Vector } from "../core/vector";
 import { SOUNDS } from "../platform/sound";
 import { StaticMapEntityComponent } from "./components/static_map_entity";
 import { Entity } from "./entity";
 import { GameRoot } from "./root";
 import { getCodeFromBuildingData } from "./building_codes";
+import { getItemProcessorStatistics } from "./item_processor_registry";
 
 export const defaultBuildingVariant = "default";
 
@@ -16,6 +18,12 @@ export class MetaBuilding {
      */
     constructor(id) {
         this.id = id;
+
+        /**
+         * Item processor type of each variant, see getItemProcessorType
+         * @type {Object<string, string|null>}
+         */
+        this.itemProcessorTypes = {};
     }
 
     /**
@@ -70,15 +78,43 @@ export class MetaBuilding {
     }
 
     /**
-     * Should return additional statistics about this building
+     * Should return additional statistics about this building. By default these are the statistics
+     * of its item processor type, if it has a registered one (see item_processor_registry.js)
      * @param {GameRoot} root
      * @param {string} variant
      * @returns {Array<[string, string]>}
      */
     getAdditionalStatistics(root, variant) {
+        const processorType = this.getItemProcessorType(root, variant);
+        if (processorType && shapezAPI.ingame.itemProcessors[processorType]) {
+            return getItemProcessorStatistics(root, processorType);
+        }
         return [];
     }
 
+    /**
+     * Returns the type of the item processor of the given variant, or null if it has none. Found
+     * out once per variant by creating an entity of it.
+     * @param {GameRoot} root
+     * @param {string} variant
+     * @returns {string|null}
+     */
+    getItemProcessorType(root, variant) {
+        if (!this.itemProcessorTypes.hasOwnProperty(variant)) {
+            const entity = this.createEntity({
+                root,
+                origin: new Vector(),
+                rotation: 0,
+                originalRotation: 0,
+                rotationVariant: 0,
+                variant,
+            });
+            const processorComp = entity.components.ItemProcessor;
+            this.itemProcessorTypes[variant] = processorComp ? processorComp.type : null;
+        }
+        return this.itemProcessorTypes[variant];
+    }
+
     /**
      * Returns whether this building can get replaced
      */
@@ -170,6 +206,46 @@ export class MetaBuilding {
         return true;
     }
 
+    /**
+     * Returns how the building looks when mirrored along its own vertical axis, i.e. with left
+     * and right swapped while it faces up. The rotation is applied to the mirrored building on top.
+     * Buildings are symmetric by default, the ones which are not and have no mirrored variant
+     * should return null.
+     * @param {string} variant
+     * @param {number} rotationVariant
+     * @returns {{ variant: string, rotationVariant: number, rotation: number }|null}
+     */
+    getMirroredVariant(variant, rotationVariant) {
+        return { variant, rotationVariant, rotation: 0 };
+    }
+
+    /**
+     * Mirrors the building with the given rotation, left and right are swapped unless vertical is set.
+     * Returns null if the building can not be mirrored.
+     * @param {string} variant
+     * @param {number} rotationVariant
+     * @param {number} rotation
+     * @param {boolean} vertical Whether to swap top and bottom instead
+     * @returns {{ variant: string, rotationVariant: number, rotation: number }|null}
+     */
+    mirror(variant, rotationVariant, rotation, vertical) {
+        const mirrored = this.getMirroredVariant(variant, rotationVariant);
+        if (!mirrored) {
+            return null;
+        }
+        if (!this.getIsRotateable(mirrored.variant)) {
+            return { variant: mirrored.variant, rotationVariant: mirrored.rotationVariant, rotation };
+        }
+
+        // Flipping top and bottom equals swapping left and right and rotating by 180 degrees
+        const offset = vertical ? 180 : 0;
+        return {
+            variant: mirrored.variant,
+            rotationVariant: mirrored.rotationVariant,
+            rotation: safeModulo(offset - rotation + mirrored.rotation, 360),
+        };
+    }
+
     /**
      * Returns whether this building is unlocked for the given game
      * @param {GameRoot} root
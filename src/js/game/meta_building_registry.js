@@ -32,6 +32,9 @@ import { defaultBuildingVariant } from "./meta_building";
 
 const logger = createLogger("building_registry");
 
+// Whether the sprites were already propagated, see initBuildingCodesAfterResourcesLoaded
+let spritesPropagated = false;
+
 export function addVanillaBuildingsToAPI() {
     var vanillaBuildings = [
         MetaAnalyzerBuilding,
@@ -174,6 +177,7 @@ export function initMetaBuildingRegistry() {
  */
 export function initBuildingCodesAfterResourcesLoaded() {
     logger.log("Propagating sprite cache");
+    spritesPropagated = true;
     for (const key in gBuildingVariants) {
         const variant = gBuildingVariants[key];
 
@@ -187,4 +191,19 @@ export function initBuildingCodesAfterResourcesLoaded() {
             variant.rotationVariant
         );
     }
+}
+
+/**
+ * Rebuilds the registry and all building codes in place, e.g. after a mod got unloaded
+ */
+export function rebuildMetaBuildingRegistry() {
+    gMetaBuildingRegistry.clear();
+    for (const code in gBuildingVariants) {
+        delete gBuildingVariants[code];
+    }
+
+    initMetaBuildingRegistry();
+    if (spritesPropagated) {
+        initBuildingCodesAfterResourcesLoaded();
+    }
 }
\ No newline at end of file
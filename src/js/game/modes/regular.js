@@ -475,4 +475,8 @@ export class RegularGameMode extends GameMode {
             fullVersionLevels :
             demoVersionLevels;
     }
+
+    hasObstacles() {
+        return true;
+    }
 }
\ No newline at end of file
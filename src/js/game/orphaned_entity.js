@@ -0,0 +1,39 @@
+import { Entity } from "./entity";
+import { GameRoot } from "./root";
+
+/**
+ * Placeholder for an entity whose building code is not registered, see MetaOrphanBuilding.
+ * It only has a static map entity component so it keeps occupying its tiles, and it serializes
+ * back to exactly the data it was loaded from, so nothing is lost once the mod is loaded again.
+ */
+export class OrphanedEntity extends Entity {
+    /**
+     * @param {GameRoot} root
+     * @param {object} payload The serialized entity as found in the savegame
+     */
+    constructor(root, payload) {
+        super(root);
+
+        /**
+         * The untouched serialized entity
+         */
+        this.payload = payload;
+    }
+
+    /**
+     * Returns the untouched data this entity was loaded from
+     * @returns {object}
+     */
+    serialize() {
+        return this.payload;
+    }
+
+    /**
+     * Orphaned entities can not be copied, since their data is not understood
+     * @returns {Entity}
+     */
+    clone() {
+        assertAlways(false, "Can not clone an orphaned entity");
+        return null;
+    }
+}
@@ -1,9 +1,9 @@
 import { GameRoot } from "./root";
 import { ShapeDefinition } from "./shape_definition";
 import { globalConfig } from "../core/config";
+import { round2Digits } from "../core/utils";
 import { BaseItem } from "./base_item";
-import { ShapeItem } from "./items/shape_item";
-import { BasicSerializableObject } from "../savegame/serialization";
+import { BasicSerializableObject, types } from "../savegame/serialization";
 
 /** @enum {string} */
 export const enumAnalyticsDataSource = {
@@ -12,11 +12,143 @@ export const enumAnalyticsDataSource = {
     delivered: "delivered",
 };
 
+/**
+ * The time ranges the statistics can show. Live uses the regular slices, the others the long term history.
+ * @enum {string}
+ */
+export const enumAnalyticsHistoryRange = {
+    live: "live",
+    hour: "hour",
+    days: "days",
+    session: "session",
+};
+
+/**
+ * The long term history, every slice combines the regular slices of the given duration in seconds.
+ * Once there are more than maxSlices, the oldest slice is dropped, or if merge is set two slices
+ * are merged each, so the whole session is kept at a decreasing resolution.
+ * @type {Object<string, { sliceDuration: number, maxSlices: number, merge: boolean }>}
+ */
+const LONG_TERM_HISTORY = {
+    [enumAnalyticsHistoryRange.hour]: { sliceDuration: 60, maxSlices: 60, merge: false },
+    [enumAnalyticsHistoryRange.days]: { sliceDuration: 3600, maxSlices: 48, merge: false },
+    [enumAnalyticsHistoryRange.session]: { sliceDuration: 600, maxSlices: 100, merge: true },
+};
+
+/**
+ * A slice of the long term history. Produced and delivered are counts, stored are the amounts in
+ * the hub at the end of the slice which changed since the previous slice, see getStoredAmounts().
+ * End is the game time the slice ended at.
+ * @typedef {{
+ *   duration: number,
+ *   end: number,
+ *   produced: Object<string, number>,
+ *   delivered: Object<string, number>,
+ *   stored: Object<string, number>
+ * }} LongTermSlice
+ *
+ * @typedef {{
+ *   sliceDuration: number,
+ *   current: LongTermSlice,
+ *   slices: Array<LongTermSlice>
+ * }} LongTermHistory
+ */
+
+const typeLongTermSlice = types.structured({
+    duration: types.ufloat,
+    end: types.ufloat,
+    produced: types.keyValueMap(types.uint),
+    delivered: types.keyValueMap(types.uint),
+    stored: types.keyValueMap(types.uint),
+});
+
+/**
+ * @returns {LongTermSlice}
+ */
+function createLongTermSlice() {
+    return { duration: 0, end: 0, produced: {}, delivered: {}, stored: {} };
+}
+
+/**
+ * Returns the amounts in the hub at the end of the last of the slices, by applying the changed
+ * amounts of each slice in order
+ * @param {Array<LongTermSlice>} slices
+ * @returns {Object<string, number>}
+ */
+function getStoredAmounts(slices) {
+    /** @type {Object<string, number>} */
+    const amounts = {};
+    for (let i = 0; i < slices.length; ++i) {
+        Object.assign(amounts, slices[i].stored);
+    }
+    return amounts;
+}
+
+/**
+ * Returns the amounts which differ from the previous ones, missing amounts count as 0
+ * @param {Object<string, number>} previous
+ * @param {Object<string, number>} amounts
+ * @returns {Object<string, number>}
+ */
+function getChangedAmounts(previous, amounts) {
+    /** @type {Object<string, number>} */
+    const changed = {};
+    for (const key in amounts) {
+        if (previous[key] !== amounts[key]) {
+            changed[key] = amounts[key];
+        }
+    }
+    for (const key in previous) {
+        if (!(key in amounts) && previous[key] !== 0) {
+            changed[key] = 0;
+        }
+    }
+    return changed;
+}
+
+/**
+ * Quotes a csv field if it contains a separator, quote or line break. Mods can use any
+ * statistics key, so the keys have to be escaped.
+ * @param {string|number} value
+ * @returns {string}
+ */
+function escapeCsvField(value) {
+    const text = String(value);
+    if (!/[",\r\n]/.test(text)) {
+        return text;
+    }
+    return '"' + text.replace(/"/g, '""') + '"';
+}
+
+/**
+ * Adds the counts of source to target
+ * @param {Object<string, number>} target
+ * @param {Object<string, number>} source
+ */
+function addCounts(target, source) {
+    for (const key in source) {
+        target[key] = (target[key] || 0) + source[key];
+    }
+}
+
 export class ProductionAnalytics extends BasicSerializableObject {
     static getId() {
         return "ProductionAnalytics";
     }
 
+    static getSchema() {
+        return {
+            history: types.keyValueMap(types.array(types.keyValueMap(types.uint))),
+            longTermHistory: types.keyValueMap(
+                types.structured({
+                    sliceDuration: types.ufloat,
+                    current: typeLongTermSlice,
+                    slices: types.array(typeLongTermSlice),
+                })
+            ),
+        };
+    }
+
     /**
      * @param {GameRoot} root
      */
@@ -30,6 +162,26 @@ export class ProductionAnalytics extends BasicSerializableObject {
             [enumAnalyticsDataSource.delivered]: [],
         };
 
+        /** @type {Object<string, LongTermHistory>} */
+        this.longTermHistory = {};
+        for (const range in LONG_TERM_HISTORY) {
+            this.longTermHistory[range] = {
+                sliceDuration: LONG_TERM_HISTORY[range].sliceDuration,
+                current: createLongTermSlice(),
+                slices: [],
+            };
+        }
+
+        /**
+         * How many items the belt paths handed over and how many charges the processors completed,
+         * within the current and the last slice. Not saved, it only shows what happens right now.
+         * @type {Map<object, number>}
+         */
+        this.entityThroughput = new Map();
+
+        /** @type {Map<object, number>} */
+        this.lastEntityThroughput = new Map();
+
         for (let i = 0; i < globalConfig.statisticsGraphSlices; ++i) {
             this.startNewSlice();
         }
@@ -40,6 +192,36 @@ export class ProductionAnalytics extends BasicSerializableObject {
         this.lastAnalyticsSlice = 0;
     }
 
+    /**
+     * @param {object} data
+     * @param {GameRoot} root
+     */
+    deserialize(data, root) {
+        const errorCode = super.deserialize(data, root);
+        if (errorCode) {
+            return errorCode;
+        }
+
+        // Keep the amount of regular slices the graphs expect
+        for (const source in this.history) {
+            const slices = this.history[source];
+            while (slices.length < globalConfig.statisticsGraphSlices) {
+                slices.unshift({});
+            }
+            slices.splice(0, slices.length - globalConfig.statisticsGraphSlices);
+        }
+
+        for (const range in LONG_TERM_HISTORY) {
+            if (!this.longTermHistory[range]) {
+                this.longTermHistory[range] = {
+                    sliceDuration: LONG_TERM_HISTORY[range].sliceDuration,
+                    current: createLongTermSlice(),
+                    slices: [],
+                };
+            }
+        }
+    }
+
     /**
      * @param {ShapeDefinition} definition
      */
@@ -53,14 +235,99 @@ export class ProductionAnalytics extends BasicSerializableObject {
      * @param {BaseItem} item
      */
     onItemProduced(item) {
-        if (item.getItemType && item.getItemType() === "shape") {
-            const definition = /** @type {ShapeItem} */ (item).definition;
-            const key = definition.getHash();
+        const key = item.getStatisticsKey && item.getStatisticsKey();
+        if (key) {
             const entry = this.history[enumAnalyticsDataSource.produced];
             entry[entry.length - 1][key] = (entry[entry.length - 1][key] || 0) + 1;
         }
     }
 
+    /**
+     * Counts an item handed over by a belt path or a charge completed by a processor
+     * @param {object} key The belt path or the entity
+     */
+    countEntityThroughput(key) {
+        this.entityThroughput.set(key, (this.entityThroughput.get(key) || 0) + 1);
+    }
+
+    /**
+     * Returns how many items the belt path or entity handled per second within the last slice
+     * @param {object} key
+     * @returns {number}
+     */
+    getEntityThroughput(key) {
+        return (this.lastEntityThroughput.get(key) || 0) / globalConfig.analyticsSliceDurationSeconds;
+    }
+
+    /**
+     * Adds the last regular slice to the long term history
+     * @param {number} duration How long the slice lasted in seconds
+     */
+    addToLongTermHistory(duration) {
+        const now = this.root.time.now();
+        for (const range in this.longTermHistory) {
+            const history = this.longTermHistory[range];
+            const current = history.current;
+
+            const produced = this.history[enumAnalyticsDataSource.produced];
+            const delivered = this.history[enumAnalyticsDataSource.delivered];
+            addCounts(current.produced, produced[produced.length - 1]);
+            addCounts(current.delivered, delivered[delivered.length - 1]);
+            current.duration += duration;
+
+            if (current.duration < history.sliceDuration - 1e-3) {
+                continue;
+            }
+
+            current.end = now;
+            current.stored = getChangedAmounts(
+                getStoredAmounts(history.slices),
+                this.root.hubGoals.storedShapes
+            );
+            history.slices.push(current);
+            history.current = createLongTermSlice();
+
+            const config = LONG_TERM_HISTORY[range];
+            if (history.slices.length > config.maxSlices) {
+                if (config.merge) {
+                    history.slices = this.mergeSlices(history.slices);
+                    history.sliceDuration *= 2;
+                } else {
+                    // The next slice becomes the first one, so it has to contain all amounts
+                    const dropped = history.slices.shift();
+                    history.slices[0].stored = Object.assign({}, dropped.stored, history.slices[0].stored);
+                }
+            }
+        }
+    }
+
+    /**
+     * Merges every two slices into one, a remaining slice is kept as is
+     * @param {Array<LongTermSlice>} slices
+     * @returns {Array<LongTermSlice>}
+     */
+    mergeSlices(slices) {
+        const merged = [];
+        for (let i = 0; i < slices.length; i += 2) {
+            const first = slices[i];
+            const second = slices[i + 1];
+            if (!second) {
+                merged.push(first);
+                continue;
+            }
+            addCounts(first.produced, second.produced);
+            addCounts(first.delivered, second.delivered);
+            merged.push({
+                duration: first.duration + second.duration,
+                end: second.end,
+                produced: first.produced,
+                delivered: first.delivered,
+                stored: Object.assign({}, first.stored, second.stored),
+            });
+        }
+        return merged;
+    }
+
     /**
      * Starts a new time slice
      */
@@ -76,32 +343,54 @@ export class ProductionAnalytics extends BasicSerializableObject {
                 this.history[key].shift();
             }
         }
+
+        this.lastEntityThroughput = this.entityThroughput;
+        this.entityThroughput = new Map();
     }
 
     /**
-     * Returns the current rate of a given shape
+     * Returns the current rate of the item with the given statistics key
      * @param {enumAnalyticsDataSource} dataSource
-     * @param {ShapeDefinition} definition
+     * @param {string} key
      */
-    getCurrentShapeRate(dataSource, definition) {
+    getCurrentRate(dataSource, key) {
         const slices = this.history[dataSource];
-        return slices[slices.length - 2][definition.getHash()] || 0;
+        return slices[slices.length - 2][key] || 0;
     }
 
     /**
-     * Returns the rate of a given shape, <historyOffset> frames ago
+     * Returns the rate of the item with the given statistics key, <historyOffset> frames ago
      * @param {enumAnalyticsDataSource} dataSource
-     * @param {ShapeDefinition} definition
+     * @param {string} key
      * @param {number} historyOffset
      */
-    getPastShapeRate(dataSource, definition, historyOffset) {
+    getPastRate(dataSource, key, historyOffset) {
         assertAlways(
             historyOffset >= 0 && historyOffset < globalConfig.statisticsGraphSlices - 1,
             "Invalid slice offset: " + historyOffset
         );
 
         const slices = this.history[dataSource];
-        return slices[slices.length - 2 - historyOffset][definition.getHash()] || 0;
+        return slices[slices.length - 2 - historyOffset][key] || 0;
+    }
+
+    /**
+     * Returns the current rate of a given shape
+     * @param {enumAnalyticsDataSource} dataSource
+     * @param {ShapeDefinition} definition
+     */
+    getCurrentShapeRate(dataSource, definition) {
+        return this.getCurrentRate(dataSource, definition.getHash());
+    }
+
+    /**
+     * Returns the rate of a given shape, <historyOffset> frames ago
+     * @param {enumAnalyticsDataSource} dataSource
+     * @param {ShapeDefinition} definition
+     * @param {number} historyOffset
+     */
+    getPastShapeRate(dataSource, definition, historyOffset) {
+        return this.getPastRate(dataSource, definition.getHash(), historyOffset);
     }
 
     /**
@@ -125,9 +414,176 @@ export class ProductionAnalytics extends BasicSerializableObject {
         return baseValues;
     }
 
+    /**
+     * Returns the values of the item within the given range, the oldest first. Produced and delivered
+     * are rates per second, stored are the amounts in the hub.
+     * @param {enumAnalyticsHistoryRange} range
+     * @param {enumAnalyticsDataSource} dataSource
+     * @param {string} key
+     * @returns {Array<number>}
+     */
+    getHistoryValues(range, dataSource, key) {
+        if (range === enumAnalyticsHistoryRange.live) {
+            const values = [];
+            for (let i = globalConfig.statisticsGraphSlices - 2; i > 0; --i) {
+                values.push(this.getPastRate(dataSource, key, i));
+            }
+            if (dataSource === enumAnalyticsDataSource.stored) {
+                return values;
+            }
+            return values.map(value => value / globalConfig.analyticsSliceDurationSeconds);
+        }
+
+        // Stored only contains the changed amounts, so the last one is kept
+        let storedValue = 0;
+        return this.longTermHistory[range].slices.map(slice => {
+            if (dataSource === enumAnalyticsDataSource.stored) {
+                if (key in slice.stored) {
+                    storedValue = slice.stored[key];
+                }
+                return storedValue;
+            }
+            const value = slice[dataSource][key] || 0;
+            return slice.duration > 0 ? value / slice.duration : 0;
+        });
+    }
+
+    /**
+     * Returns how many values getHistoryValues() returns at most for the given range
+     * @param {enumAnalyticsHistoryRange} range
+     * @returns {number}
+     */
+    getMaxHistoryValues(range) {
+        if (range === enumAnalyticsHistoryRange.live) {
+            return globalConfig.statisticsGraphSlices - 2;
+        }
+        return LONG_TERM_HISTORY[range].maxSlices;
+    }
+
+    /**
+     * Returns the duration of a single slice of the given range in seconds
+     * @param {enumAnalyticsHistoryRange} range
+     * @returns {number}
+     */
+    getHistorySliceDuration(range) {
+        if (range === enumAnalyticsHistoryRange.live) {
+            return globalConfig.analyticsSliceDurationSeconds;
+        }
+        return this.longTermHistory[range].sliceDuration;
+    }
+
+    /**
+     * Returns the average rate per second of the item within the given range
+     * @param {enumAnalyticsHistoryRange} range
+     * @param {enumAnalyticsDataSource} dataSource
+     * @param {string} key
+     * @returns {number}
+     */
+    getAverageRate(range, dataSource, key) {
+        if (range === enumAnalyticsHistoryRange.live) {
+            return this.getCurrentRate(dataSource, key) / globalConfig.analyticsSliceDurationSeconds;
+        }
+
+        const slices = this.longTermHistory[range].slices;
+        let count = 0;
+        let duration = 0;
+        for (let i = 0; i < slices.length; ++i) {
+            count += slices[i][dataSource][key] || 0;
+            duration += slices[i].duration;
+        }
+        return count / Math.max(duration, 1);
+    }
+
+    /**
+     * Returns the average rates per second of all items within the given range. For the live range
+     * this are the current rates as with getCurrentShapeRates(), stored returns the amounts at the end.
+     * @param {enumAnalyticsHistoryRange} range
+     * @param {enumAnalyticsDataSource} dataSource
+     * @returns {Object<string, number>}
+     */
+    getAverageRates(range, dataSource) {
+        if (range === enumAnalyticsHistoryRange.live) {
+            const rates = this.getCurrentShapeRates(dataSource);
+            for (const key in rates) {
+                rates[key] /= globalConfig.analyticsSliceDurationSeconds;
+            }
+            return rates;
+        }
+
+        const slices = this.longTermHistory[range].slices;
+        if (dataSource === enumAnalyticsDataSource.stored) {
+            return getStoredAmounts(slices);
+        }
+
+        /** @type {Object<string, number>} */
+        const counts = {};
+        let duration = 0;
+        for (let i = 0; i < slices.length; ++i) {
+            addCounts(counts, slices[i][dataSource]);
+            duration += slices[i].duration;
+        }
+        for (const key in counts) {
+            counts[key] /= Math.max(duration, 1);
+        }
+        return counts;
+    }
+
+    /**
+     * Returns the long term history for exporting it, stored only lists the changed amounts
+     * @returns {object}
+     */
+    getHistoryAsJson() {
+        const ranges = {};
+        for (const range in this.longTermHistory) {
+            ranges[range] = this.longTermHistory[range].slices;
+        }
+        return {
+            gameTime: this.root.time.now(),
+            ranges,
+        };
+    }
+
+    /**
+     * Returns the long term history as csv, with one row per range, slice, data source and item.
+     * Stored only has rows for the amounts which changed within the slice.
+     * @returns {string}
+     */
+    getHistoryAsCsv() {
+        const rows = [["range", "sliceEnd", "sliceDuration", "dataSource", "key", "value"].join(",")];
+        for (const range in this.longTermHistory) {
+            const slices = this.longTermHistory[range].slices;
+            for (let i = 0; i < slices.length; ++i) {
+                const slice = slices[i];
+                for (const dataSource in enumAnalyticsDataSource) {
+                    const values = slice[dataSource];
+                    for (const key in values) {
+                        rows.push(
+                            [
+                                range,
+                                round2Digits(slice.end),
+                                round2Digits(slice.duration),
+                                dataSource,
+                                key,
+                                values[key],
+                            ]
+                                .map(escapeCsvField)
+                                .join(",")
+                        );
+                    }
+                }
+            }
+        }
+        return rows.join("\n") + "\n";
+    }
+
     update() {
-        if (this.root.time.now() - this.lastAnalyticsSlice > globalConfig.analyticsSliceDurationSeconds) {
-            this.lastAnalyticsSlice = this.root.time.now();
+        const now = this.root.time.now();
+        if (now - this.lastAnalyticsSlice > globalConfig.analyticsSliceDurationSeconds) {
+            // The first slice after loading starts at 0, so it has no meaningful duration
+            if (this.lastAnalyticsSlice > 0) {
+                this.addToLongTermHistory(now - this.lastAnalyticsSlice);
+            }
+            this.lastAnalyticsSlice = now;
             this.startNewSlice();
         }
     }
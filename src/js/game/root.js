@@ -17,6 +17,7 @@ import { Application } from "../application";
 import { SoundProxy } from "./sound_proxy";
 import { Savegame } from "../savegame/savegame";
 import { GameLogic } from "./logic";
+import { UndoHistory } from "./undo_history";
 import { ShapeDefinitionManager } from "./shape_definition_manager";
 import { HubGoals } from "./hub_goals";
 import { BufferMaintainer } from "../core/buffer_maintainer";
@@ -28,6 +29,7 @@ import { DynamicTickrate } from "./dynamic_tickrate";
 import { KeyActionMapper } from "./key_action_mapper";
 import { Vector } from "../core/vector";
 import { GameMode } from "./game_mode";
+import { ModSavegameData } from "../savegame/mod_savegame_data";
 /* typehints:end */
 
 const logger = createLogger("game/root");
@@ -73,11 +75,22 @@ export class GameRoot {
         /** @type {boolean} */
         this.gameInitialized = false;
 
+        // Stores whether this root only generates the map preview of a new game, no events are
+        // dispatched for it. Game modes and mod lower layers still generate its chunks.
+        /** @type {boolean} */
+        this.isPreview = false;
+
         /**
          * Whether a bulk operation is running
          */
         this.bulkOperationRunning = false;
 
+        /**
+         * The result once the game mode ended the game
+         * @type {import("./game_mode").GameResult}
+         */
+        this.gameResult = null;
+
         //////// Other properties ///////
 
         /** @type {Camera} */
@@ -95,6 +108,9 @@ export class GameRoot {
         /** @type {GameLogic} */
         this.logic = null;
 
+        /** @type {UndoHistory} */
+        this.undoHistory = null;
+
         /** @type {EntityManager} */
         this.entityMgr = null;
 
@@ -134,6 +150,18 @@ export class GameRoot {
         /** @type {GameMode} */
         this.gameMode = null;
 
+        /**
+         * Savegame data of the loaded mods, by mod id
+         * @type {Object<string, ModSavegameData>}
+         */
+        this.modData = {};
+
+        /**
+         * Savegame data of mods which are not loaded, kept so it is not lost when saving
+         * @type {Object<string, import("../savegame/savegame_typedefs").SerializedModData>}
+         */
+        this.orphanedModData = {};
+
         this.signals = {
             // Entities
             entityManuallyPlaced: /** @type {TypedSignal<[Entity]>} */ (new Signal()),
@@ -175,6 +203,9 @@ export class GameRoot {
             // Called before actually placing an entity, use to perform additional logic
             // for freeing space before actually placing.
             freeEntityAreaBeforeBuild: /** @type {TypedSignal<[Entity]>} */ (new Signal()),
+
+            // Called once the game mode reports that the game is won or lost
+            gameOver: /** @type {TypedSignal<[import("./game_mode").GameResult]>} */ (new Signal()),
         };
 
         // RNG's
@@ -27,7 +27,8 @@ export class BeltReaderSystem extends GameSystemWithFilter {
                 readerComp.lastItemTimes.shift();
             }
 
-            pinsComp.slots[1].value = readerComp.lastItem;
+            const lastItem = readerComp.lastItem;
+            pinsComp.slots[1].value = lastItem && lastItem.canTravelOnWires() ? lastItem : null;
             pinsComp.slots[0].value =
                 (readerComp.lastItemTimes[readerComp.lastItemTimes.length - 1] || 0) >
                 minimumTimeForThroughput ?
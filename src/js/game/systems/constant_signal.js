@@ -5,13 +5,12 @@ import { FormElementInput, FormElementItemChooser } from "../../core/modal_dialo
 import { fillInLinkIntoTranslation } from "../../core/utils";
 import { T } from "../../translations";
 import { BaseItem } from "../base_item";
-import { enumColors } from "../colors";
 import { ConstantSignalComponent } from "../components/constant_signal";
 import { Entity } from "../entity";
 import { GameSystemWithFilter } from "../game_system_with_filter";
+import { resolveItemFromKey } from "../item_resolver";
 import { BOOL_FALSE_SINGLETON, BOOL_TRUE_SINGLETON } from "../items/boolean_item";
 import { ColorItem } from "../items/color_item";
-import { ShapeDefinition } from "../shape_definition";
 
 export class ConstantSignalSystem extends GameSystemWithFilter {
     constructor(root) {
@@ -106,6 +105,7 @@ export class ConstantSignalSystem extends GameSystemWithFilter {
                 return;
             }
 
+            this.root.undoHistory.recordConfigChange(entityRef, "ConstantSignal", constantComp.serialize());
             if (itemInput.chosenItem) {
                 constantComp.signal = itemInput.chosenItem;
             } else {
@@ -152,24 +152,10 @@ export class ConstantSignalSystem extends GameSystemWithFilter {
             return null;
         }
 
-        code = trim(code);
-        const codeLower = code.toLowerCase();
-
-        if (enumColors[codeLower]) {
-            return ColorItem.ITEM_SINGLETONS[codeLower];
-        }
-        if (code === "1" || codeLower === "true") {
-            return BOOL_TRUE_SINGLETON;
-        }
-
-        if (code === "0" || codeLower === "false") {
-            return BOOL_FALSE_SINGLETON;
+        const item = resolveItemFromKey(this.root, trim(code));
+        if (item && item.canTravelOnWires()) {
+            return item;
         }
-
-        if (ShapeDefinition.isValidShortKey(code)) {
-            return this.root.shapeDefinitionMgr.getShapeItemFromShortKey(code);
-        }
-
         return null;
     }
 }
\ No newline at end of file
@@ -39,7 +39,10 @@ export class DisplaySystem extends GameSystemWithFilter {
             return null;
         }
 
-        return DisplaySystem.displayItemType[value.getItemType()](value);
+        // Items of mods are shown like shapes unless they register their own handlers
+        const getItem =
+            DisplaySystem.displayItemType[value.getItemType()] || DisplaySystem.displayItemType.shape;
+        return getItem(value);
     }
 
     /**
@@ -66,7 +69,9 @@ export class DisplaySystem extends GameSystemWithFilter {
                 }
 
                 const origin = entity.components.StaticMapEntity.origin;
-                DisplaySystem.displayItem[value.getItemType()](parameters, value, origin, globalConfig);
+                const drawItem =
+                    DisplaySystem.displayItem[value.getItemType()] || DisplaySystem.displayItem.shape;
+                drawItem(parameters, value, origin, globalConfig);
             }
         }
     }
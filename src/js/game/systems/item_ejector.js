@@ -228,6 +228,14 @@ export class ItemEjectorSystem extends GameSystemWithFilter {
      * @param {number} slotIndex
      */
     tryPassOverItem(item, receiver, slotIndex) {
+        // Mods can block the handover
+        if (
+            shapezAPI.events.hasListeners("beltItemHandover") &&
+            shapezAPI.events.dispatch(this.root, "beltItemHandover", { item, receiver, slotIndex }).cancelled
+        ) {
+            return false;
+        }
+
         // Try figuring out how what to do with the item
         // @TODO: Kinda hacky. How to solve this properly? Don't want to go through inheritance hell.
 
@@ -1,11 +1,7 @@
 // @ts-nocheck
 import { BaseItem } from "../base_item";
 import { enumColorMixingResults, enumColors } from "../colors";
-import {
-    enumItemProcessorRequirements,
-    enumItemProcessorTypes,
-    ItemProcessorComponent,
-} from "../components/item_processor";
+import { enumItemProcessorTypes, ItemProcessorComponent } from "../components/item_processor";
 import { Entity } from "../entity";
 import { GameSystemWithFilter } from "../game_system_with_filter";
 import { BOOL_TRUE_SINGLETON, isTruthyItem } from "../items/boolean_item";
@@ -43,28 +39,13 @@ export class ItemProcessorSystem extends GameSystemWithFilter {
         super(root, [ItemProcessorComponent]);
 
         /**
+         * Implementations of all registered processor types, see item_processor_registry.js
          * @type {Object<enumItemProcessorTypes, function(ProcessorImplementationPayload) : string>}
          */
-        this.handlers = {
-            [enumItemProcessorTypes.balancer]: this.process_BALANCER,
-            [enumItemProcessorTypes.cutter]: this.process_CUTTER,
-            [enumItemProcessorTypes.cutterQuad]: this.process_CUTTER_QUAD,
-            [enumItemProcessorTypes.rotater]: this.process_ROTATER,
-            [enumItemProcessorTypes.rotaterCCW]: this.process_ROTATER_CCW,
-            [enumItemProcessorTypes.rotater180]: this.process_ROTATER_180,
-            [enumItemProcessorTypes.stacker]: this.process_STACKER,
-            [enumItemProcessorTypes.trash]: this.process_TRASH,
-            [enumItemProcessorTypes.mixer]: this.process_MIXER,
-            [enumItemProcessorTypes.painter]: this.process_PAINTER,
-            [enumItemProcessorTypes.painterDouble]: this.process_PAINTER_DOUBLE,
-            [enumItemProcessorTypes.painterQuad]: this.process_PAINTER_QUAD,
-            [enumItemProcessorTypes.hub]: this.process_HUB,
-            [enumItemProcessorTypes.reader]: this.process_READER,
-        };
-
-        // Bind all handlers
-        for (const key in this.handlers) {
-            this.handlers[key] = this.handlers[key].bind(this);
+        this.handlers = {};
+
+        for (const type in shapezAPI.ingame.itemProcessors) {
+            this.handlers[type] = shapezAPI.ingame.itemProcessors[type].process.bind(this);
         }
     }
 
@@ -133,6 +114,14 @@ export class ItemProcessorSystem extends GameSystemWithFilter {
                     // If the charge was entirely emptied to the outputs, start the next charge
                     if (itemsToEject.length === 0) {
                         processorComp.ongoingCharges.shift();
+                        this.root.productionAnalytics.countEntityThroughput(entity);
+
+                        if (shapezAPI.events.hasListeners("processorChargeComplete")) {
+                            shapezAPI.events.dispatch(this.root, "processorChargeComplete", {
+                                entity,
+                                processorType: processorComp.type,
+                            });
+                        }
                     }
                 }
             }
@@ -157,17 +146,16 @@ export class ItemProcessorSystem extends GameSystemWithFilter {
      */
     checkRequirements(entity, item, slotIndex) {
         const itemProcessorComp = entity.components.ItemProcessor;
-        const pinsComp = entity.components.WiredPins;
+        const legacy = ItemProcessorSystem.checkRequirements[itemProcessorComp.processingRequirement];
+        if (legacy) {
+            return legacy.call(this, entity, item, slotIndex, itemProcessorComp, entity.components.WiredPins);
+        }
 
-        if (ItemProcessorSystem.checkRequirements[itemProcessorComp.processingRequirement])
-            return ItemProcessorSystem.checkRequirements[itemProcessorComp.processingRequirement].bind(this)(
-                entity,
-                item,
-                slotIndex,
-                itemProcessorComp,
-                pinsComp
-            );
-        else return true;
+        const declaration = this.getRequirementsDeclaration(itemProcessorComp);
+        if (declaration && declaration.checkRequirements) {
+            return declaration.checkRequirements.call(this, entity, item, slotIndex);
+        }
+        return true;
     }
 
     /**
@@ -177,12 +165,42 @@ export class ItemProcessorSystem extends GameSystemWithFilter {
     canProcess(entity) {
         const processorComp = entity.components.ItemProcessor;
 
-        if (ItemProcessorSystem.canProcess[processorComp.processingRequirement])
-            return ItemProcessorSystem.canProcess[processorComp.processingRequirement].bind(this)(
-                entity,
-                processorComp
-            );
-        else return processorComp.inputSlots.length >= processorComp.inputsPerCharge;
+        const legacy = ItemProcessorSystem.canProcess[processorComp.processingRequirement];
+        if (legacy) {
+            return legacy.call(this, entity, processorComp);
+        }
+
+        const declaration = this.getRequirementsDeclaration(processorComp);
+        if (declaration && declaration.canProcess) {
+            return declaration.canProcess.call(this, entity);
+        }
+        return processorComp.inputSlots.length >= processorComp.inputsPerCharge;
+    }
+
+    /**
+     * @deprecated Declare checkRequirements with the processor type, see item_processor_registry.js.
+     * Requirement checks of mods predating the registry by processing requirement, called with the
+     * system as this and (entity, item, slotIndex, itemProcessorComp, pinsComp). They take precedence
+     * over the registered processor types.
+     * @type {Object<string, function(Entity, BaseItem, number, ItemProcessorComponent, any):boolean>}
+     */
+    static checkRequirements = {};
+
+    /**
+     * @deprecated Declare canProcess with the processor type instead, see item_processor_registry.js.
+     * Same as checkRequirements, called with (entity, processorComp)
+     * @type {Object<string, function(Entity, ItemProcessorComponent):boolean>}
+     */
+    static canProcess = {};
+
+    /**
+     * Returns the declaration which defines the input requirements of the processor, which is
+     * the one of the processing requirement if set and the one of the processor type otherwise
+     * @param {ItemProcessorComponent} processorComp
+     * @returns {import("../item_processor_registry").ItemProcessorType}
+     */
+    getRequirementsDeclaration(processorComp) {
+        return shapezAPI.ingame.itemProcessors[processorComp.processingRequirement || processorComp.type];
     }
 
     /**
@@ -217,6 +235,18 @@ export class ItemProcessorSystem extends GameSystemWithFilter {
             outItems,
         });
 
+        if (G_IS_DEV) {
+            const declaration = shapezAPI.ingame.itemProcessors[processorComp.type];
+            const outputSlots = declaration ? declaration.outputSlots : undefined;
+            for (let i = 0; i < outItems.length; ++i) {
+                const slot = outItems[i].requiredSlot;
+                assert(
+                    outputSlots === undefined || slot === null || slot === undefined || slot < outputSlots,
+                    "Processor type " + processorComp.type + " produced an item on invalid slot " + slot
+                );
+            }
+        }
+
         // Track produced items
         for (let i = 0; i < outItems.length; ++i) {
             if (!outItems[i].doNotTrack) {
@@ -498,82 +528,86 @@ export class ItemProcessorSystem extends GameSystemWithFilter {
         }
     }
 
-    static checkRequirements = {
-        [enumItemProcessorRequirements.painterQuad]: (
-            entity,
-            item,
-            slotIndex,
-            itemProcessorComp,
-            pinsComp
-        ) => {
-            if (slotIndex === 0) {
-                // Always accept the shape
-                return true;
-            }
+    /**
+     * Only accepts colors for the quadrants which are enabled by a wire signal
+     * @param {Entity} entity
+     * @param {BaseItem} item
+     * @param {number} slotIndex
+     * @returns {boolean}
+     */
+    checkRequirements_PAINTER_QUAD(entity, item, slotIndex) {
+        const pinsComp = entity.components.WiredPins;
 
-            // Check the network value at the given slot
-            const network = pinsComp.slots[slotIndex - 1].linkedNetwork;
-            const slotIsEnabled = network && network.hasValue() && isTruthyItem(network.currentValue);
-            if (!slotIsEnabled) {
-                return false;
-            }
+        if (slotIndex === 0) {
+            // Always accept the shape
             return true;
-        },
-    };
-
-    static canProcess = {
-        [enumItemProcessorRequirements.painterQuad]: (entity, processorComp) => {
-            const pinsComp = entity.components.WiredPins;
+        }
 
-            /** @type {Object.<number, { item: BaseItem, sourceSlot: number }>} */
-            const itemsBySlot = {};
-            for (let i = 0; i < processorComp.inputSlots.length; ++i) {
-                itemsBySlot[processorComp.inputSlots[i].sourceSlot] = processorComp.inputSlots[i];
-            }
+        // Check the network value at the given slot
+        const network = pinsComp.slots[slotIndex - 1].linkedNetwork;
+        const slotIsEnabled = network && network.hasValue() && isTruthyItem(network.currentValue);
+        if (!slotIsEnabled) {
+            return false;
+        }
+        return true;
+    }
 
-            // First slot is the shape, so if it's not there we can't do anything
-            if (!itemsBySlot[0]) {
-                return false;
-            }
+    /**
+     * @param {Entity} entity
+     * @returns {boolean}
+     */
+    canProcess_PAINTER_QUAD(entity) {
+        const processorComp = entity.components.ItemProcessor;
+        const pinsComp = entity.components.WiredPins;
 
-            const shapeItem = /** @type {ShapeItem} */ (itemsBySlot[0].item);
-            const slotStatus = [];
+        /** @type {Object.<number, { item: BaseItem, sourceSlot: number }>} */
+        const itemsBySlot = {};
+        for (let i = 0; i < processorComp.inputSlots.length; ++i) {
+            itemsBySlot[processorComp.inputSlots[i].sourceSlot] = processorComp.inputSlots[i];
+        }
 
-            // Check which slots are enabled
-            for (let i = 0; i < 4; ++i) {
-                // Extract the network value on the Nth pin
-                const network = pinsComp.slots[i].linkedNetwork;
-                const networkValue = network && network.hasValue() ? network.currentValue : null;
+        // First slot is the shape, so if it's not there we can't do anything
+        if (!itemsBySlot[0]) {
+            return false;
+        }
 
-                // If there is no "1" on that slot, don't paint there
-                if (!isTruthyItem(networkValue)) {
-                    slotStatus.push(false);
-                    continue;
-                }
+        const shapeItem = /** @type {ShapeItem} */ (itemsBySlot[0].item);
+        const slotStatus = [];
 
-                slotStatus.push(true);
+        // Check which slots are enabled
+        for (let i = 0; i < 4; ++i) {
+            // Extract the network value on the Nth pin
+            const network = pinsComp.slots[i].linkedNetwork;
+            const networkValue = network && network.hasValue() ? network.currentValue : null;
+
+            // If there is no "1" on that slot, don't paint there
+            if (!isTruthyItem(networkValue)) {
+                slotStatus.push(false);
+                continue;
             }
 
-            // All slots are disabled
-            if (!slotStatus.includes(true)) {
-                return false;
-            }
+            slotStatus.push(true);
+        }
 
-            // Check if all colors of the enabled slots are there
-            for (let i = 0; i < slotStatus.length; ++i) {
-                if (slotStatus[i] && !itemsBySlot[1 + i]) {
-                    // A slot which is enabled wasn't enabled. Make sure if there is anything on the quadrant,
-                    // it is not possible to paint, but if there is nothing we can ignore it
-                    for (let j = 0; j < 4; ++j) {
-                        const layer = shapeItem.definition.layers[j];
-                        if (layer && layer[i]) {
-                            return false;
-                        }
+        // All slots are disabled
+        if (!slotStatus.includes(true)) {
+            return false;
+        }
+
+        // Check if all colors of the enabled slots are there
+        for (let i = 0; i < slotStatus.length; ++i) {
+            if (slotStatus[i] && !itemsBySlot[1 + i]) {
+                // A slot which is enabled wasn't enabled. Make sure if there is anything on the quadrant,
+                // it is not possible to paint, but if there is nothing we can ignore it
+                for (let j = 0; j < 4; ++j) {
+                    const layer = shapeItem.definition.layers[j];
+                    if (layer && layer[i]) {
+                        return false;
                     }
                 }
             }
+        }
 
-            return true;
-        },
-    };
+        return true;
+    }
 }
@@ -1,6 +1,6 @@
 import { BaseItem } from "../base_item";
 import { enumColors } from "../colors";
-import { enumLogicGateType, LogicGateComponent } from "../components/logic_gate";
+import { LogicGateComponent } from "../components/logic_gate";
 import { enumPinSlotType } from "../components/wired_pins";
 import { GameSystemWithFilter } from "../game_system_with_filter";
 import { BOOL_FALSE_SINGLETON, BOOL_TRUE_SINGLETON, BooleanItem, isTruthyItem } from "../items/boolean_item";
@@ -12,21 +12,15 @@ export class LogicGateSystem extends GameSystemWithFilter {
     constructor(root) {
         super(root, [LogicGateComponent]);
 
-        this.boundOperations = {
-            [enumLogicGateType.and]: this.compute_AND.bind(this),
-            [enumLogicGateType.not]: this.compute_NOT.bind(this),
-            [enumLogicGateType.xor]: this.compute_XOR.bind(this),
-            [enumLogicGateType.or]: this.compute_OR.bind(this),
-            [enumLogicGateType.transistor]: this.compute_IF.bind(this),
-
-            [enumLogicGateType.rotater]: this.compute_ROTATE.bind(this),
-            [enumLogicGateType.analyzer]: this.compute_ANALYZE.bind(this),
-            [enumLogicGateType.cutter]: this.compute_CUT.bind(this),
-            [enumLogicGateType.unstacker]: this.compute_UNSTACK.bind(this),
-            [enumLogicGateType.compare]: this.compute_COMPARE.bind(this),
-            [enumLogicGateType.stacker]: this.compute_STACKER.bind(this),
-            [enumLogicGateType.painter]: this.compute_PAINTER.bind(this),
-        };
+        /**
+         * Compute functions of all registered gates, see logic_gate_registry.js
+         * @type {Object<string, import("../logic_gate_registry").LogicGateType["compute"]>}
+         */
+        this.boundOperations = {};
+
+        for (const type in shapezAPI.ingame.logicGates) {
+            this.boundOperations[type] = shapezAPI.ingame.logicGates[type].compute.bind(this);
+        }
     }
 
     static getId() {
@@ -75,25 +69,24 @@ export class LogicGateSystem extends GameSystemWithFilter {
             }
 
             // Compute actual result
-            const result = this.boundOperations[logicComp.type](slotValues);
+            const context = { root: this.root, entity, state: logicComp.state };
+            const result = this.boundOperations[logicComp.type](slotValues, context);
 
-            if (Array.isArray(result)) {
-                let resultIndex = 0;
-                for (let i = 0; i < slotComp.slots.length; ++i) {
-                    const slot = slotComp.slots[i];
-                    if (slot.type !== enumPinSlotType.logicalEjector) {
-                        continue;
-                    }
-                    slot.value = result[resultIndex++];
+            const declaration = shapezAPI.ingame.logicGates[logicComp.type];
+            if (declaration.getNextState) {
+                logicComp.state = declaration.getNextState.call(this, slotValues, context);
+            }
+
+            // A single value goes to the first ejector
+            const outputs = Array.isArray(result) ? result : [result];
+            let resultIndex = 0;
+            for (let i = 0; i < slotComp.slots.length; ++i) {
+                const slot = slotComp.slots[i];
+                if (slot.type !== enumPinSlotType.logicalEjector) {
+                    continue;
                 }
-            } else {
-                // @TODO: For now we hardcode the value to always be slot 0
-                assert(
-                    slotValues.length === slotComp.slots.length - 1,
-                    "Bad slot config, should have N acceptor slots and 1 ejector"
-                );
-                assert(slotComp.slots[0].type === enumPinSlotType.logicalEjector, "Slot 0 should be ejector");
-                slotComp.slots[0].value = result;
+                slot.value = resultIndex < outputs.length ? outputs[resultIndex] : null;
+                ++resultIndex;
             }
         }
     }
@@ -334,38 +327,7 @@ export class LogicGateSystem extends GameSystemWithFilter {
             return null;
         }
 
-        if (itemA.getItemType() !== itemB.getItemType()) {
-            // Not the same type
-            return BOOL_FALSE_SINGLETON;
-        }
-
-        switch (itemA.getItemType()) {
-            case "shape":
-                {
-                    return /** @type {ShapeItem} */ (itemA).definition.getHash() ===
-                        /** @type {ShapeItem} */
-                        (itemB).definition.getHash() ?
-                        BOOL_TRUE_SINGLETON :
-                        BOOL_FALSE_SINGLETON;
-                }
-            case "color":
-                {
-                    return /** @type {ColorItem} */ (itemA).color === /** @type {ColorItem} */ (itemB).color ?
-                        BOOL_TRUE_SINGLETON :
-                        BOOL_FALSE_SINGLETON;
-                }
-
-            case "boolean":
-                {
-                    return /** @type {BooleanItem} */ (itemA).value === /** @type {BooleanItem} */ (itemB).value ?
-                        BOOL_TRUE_SINGLETON :
-                        BOOL_FALSE_SINGLETON;
-                }
-
-            default:
-                {
-                    assertAlways(false, "Bad item type: " + itemA.getItemType());
-                }
-        }
+        // Items of different types are never equal
+        return itemA.equals(itemB) ? BOOL_TRUE_SINGLETON : BOOL_FALSE_SINGLETON;
     }
 }
\ No newline at end of file
@@ -4,6 +4,7 @@ import { GameSystem } from "../game_system";
 import { MapChunkView } from "../map_chunk_view";
 import { THEME } from "../theme";
 import { drawSpriteClipped } from "../../core/draw_utils";
+import { getTerrainColor } from "../terrain";
 
 export class MapResourcesSystem extends GameSystem {
     static getId() {
@@ -126,6 +127,17 @@ export class MapResourcesSystem extends GameSystem {
             }
         }
 
+        context.globalAlpha = 1;
+        for (let x = 0; x < globalConfig.mapChunkSize; ++x) {
+            const row = chunk.terrain[x];
+            for (let y = 0; y < globalConfig.mapChunkSize; ++y) {
+                if (row[y]) {
+                    context.fillStyle = getTerrainColor(row[y]);
+                    context.fillRect(x, y, 1, 1);
+                }
+            }
+        }
+
         if (this.root.app.settings.getAllSettings().displayChunkBorders) {
             context.fillStyle = THEME.map.chunkBorders;
             context.fillRect(0, 0, w, 1);
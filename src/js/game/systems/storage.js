@@ -54,7 +54,8 @@ export class StorageSystem extends GameSystemWithFilter {
             let targetAlpha = storageComp.storedCount > 0 ? 1 : 0;
             storageComp.overlayOpacity = lerp(storageComp.overlayOpacity, targetAlpha, 0.05);
 
-            pinsComp.slots[0].value = storageComp.storedItem;
+            const storedItem = storageComp.storedItem;
+            pinsComp.slots[0].value = storedItem && storedItem.canTravelOnWires() ? storedItem : null;
             pinsComp.slots[1].value = storageComp.getIsFull() ? BOOL_TRUE_SINGLETON : BOOL_FALSE_SINGLETON;
         }
     }
@@ -199,6 +199,8 @@ export class WireSystem extends GameSystemWithFilter {
                 }
             }
         }
+
+        shapezAPI.events.dispatch(this.root, "wireNetworkRecomputed", { networks: this.networks });
     }
 
     /**
@@ -9,6 +9,7 @@ import { Entity } from "../entity";
 import { GameSystemWithFilter } from "../game_system_with_filter";
 import { MapChunkView } from "../map_chunk_view";
 import { getBuildingDataFromCode } from "../building_codes";
+import { getPinLayer } from "../layers";
 
 /** @type {Object<ItemType, number>} */
 const enumTypeToSize = {
@@ -47,52 +48,49 @@ export class WiredPinsSystem extends GameSystemWithFilter {
             rect.y += offset.y;
         }
 
-        // If this entity is placed on the wires layer, make sure we don't
-        // place it above a pin
-        if (entity.layer === "wires") {
-            for (let x = rect.x; x < rect.x + rect.w; ++x) {
-                for (let y = rect.y; y < rect.y + rect.h; ++y) {
-                    // Find which entities are in same tiles of both layers
-                    const entities = this.root.map.getLayersContentsMultipleXY(x, y);
-                    for (let i = 0; i < entities.length; ++i) {
-                        const otherEntity = entities[i];
-
-                        // Check if entity has a wired component
-                        const pinComponent = otherEntity.components.WiredPins;
-                        const staticComp = otherEntity.components.StaticMapEntity;
-                        const data = getBuildingDataFromCode(staticComp.code);
-                        if (!pinComponent) {
-                            continue;
-                        }
+        // Make sure we don't place the entity above a pin which is placed on its layer
+        for (let x = rect.x; x < rect.x + rect.w; ++x) {
+            for (let y = rect.y; y < rect.y + rect.h; ++y) {
+                // Find which entities are in same tiles of all layers
+                const entities = this.root.map.getLayersContentsMultipleXY(x, y);
+                for (let i = 0; i < entities.length; ++i) {
+                    const otherEntity = entities[i];
+
+                    // Check if entity has a wired component with pins on this layer
+                    const pinComponent = otherEntity.components.WiredPins;
+                    if (!pinComponent || getPinLayer(otherEntity.layer) !== entity.layer) {
+                        continue;
+                    }
+                    const staticComp = otherEntity.components.StaticMapEntity;
+                    const data = getBuildingDataFromCode(staticComp.code);
 
-                        if (staticComp.getMetaBuilding().getIsReplaceable(data.variant)) {
-                            // Don't mind here, even if there would be a collision we
-                            // could replace it
-                            continue;
-                        }
+                    if (staticComp.getMetaBuilding().getIsReplaceable(data.variant)) {
+                        // Don't mind here, even if there would be a collision we
+                        // could replace it
+                        continue;
+                    }
 
-                        // Go over all pins and check if they are blocking
-                        const pins = pinComponent.slots;
-                        for (let pinSlot = 0; pinSlot < pins.length; ++pinSlot) {
-                            const pos = staticComp.localTileToWorld(pins[pinSlot].pos);
-                            // Occupied by a pin
-                            if (pos.x === x && pos.y === y) {
-                                return STOP_PROPAGATION;
-                            }
+                    // Go over all pins and check if they are blocking
+                    const pins = pinComponent.slots;
+                    for (let pinSlot = 0; pinSlot < pins.length; ++pinSlot) {
+                        const pos = staticComp.localTileToWorld(pins[pinSlot].pos);
+                        // Occupied by a pin
+                        if (pos.x === x && pos.y === y) {
+                            return STOP_PROPAGATION;
                         }
                     }
                 }
             }
         }
 
-        // Check for collisions on the wires layer
+        // Check for collisions on the pin layer
         if (this.checkEntityPinsCollide(entity, offset)) {
             return STOP_PROPAGATION;
         }
     }
 
     /**
-     * Checks if the pins of the given entity collide on the wires layer
+     * Checks if the pins of the given entity collide on their pin layer (usually the wires layer)
      * @param {Entity} entity
      * @param {Vector=} offset Optional, move the entity by the given offset first
      * @returns {boolean} True if the pins collide
@@ -114,8 +112,12 @@ export class WiredPinsSystem extends GameSystemWithFilter {
                 worldPos.y += offset.y;
             }
 
-            // Check if there is any entity on that tile (Wired pins are always on the wires layer)
-            const collidingEntity = this.root.map.getLayerContentXY(worldPos.x, worldPos.y, "wires");
+            // Check if there is any entity on that tile of the pin layer
+            const collidingEntity = this.root.map.getLayerContentXY(
+                worldPos.x,
+                worldPos.y,
+                getPinLayer(entity.layer)
+            );
 
             // If there's an entity, and it can't get removed -> That's a collision
             if (collidingEntity) {
@@ -146,7 +148,11 @@ export class WiredPinsSystem extends GameSystemWithFilter {
         for (let i = 0; i < pinsComp.slots.length; ++i) {
             const slot = pinsComp.slots[i];
             const worldPos = entity.components.StaticMapEntity.localTileToWorld(slot.pos);
-            const collidingEntity = this.root.map.getLayerContentXY(worldPos.x, worldPos.y, "wires");
+            const collidingEntity = this.root.map.getLayerContentXY(
+                worldPos.x,
+                worldPos.y,
+                getPinLayer(entity.layer)
+            );
             if (collidingEntity) {
                 const staticComp = collidingEntity.components.StaticMapEntity;
                 const data = getBuildingDataFromCode(staticComp.code);
@@ -223,7 +229,7 @@ export class WiredPinsSystem extends GameSystemWithFilter {
                         worldPos.x + offset.x,
                         worldPos.y + offset.y,
                         parameters,
-                        enumTypeToSize[value.getItemType()]
+                        enumTypeToSize[value.getItemType()] || enumTypeToSize.shape
                     );
                 }
 
@@ -0,0 +1,48 @@
+import { THEME, VANILLA_THEMES } from "./theme";
+
+/**
+ * A kind of obstacle tile, registered in shapezAPI.ingame.terrain. Buildings can not be placed on
+ * obstacles, blockedLayers restricts this to some layers (all layers if not given). The color is
+ * used to draw the tile, it defaults to the color in THEME.map.terrain.
+ * @typedef {{
+ *   color?: string,
+ *   blockedLayers?: Array<Layer>
+ * }} TerrainType
+ */
+
+export function addVanillaTerrainToAPI() {
+    shapezAPI.ingame.terrain.rock = {};
+    shapezAPI.ingame.terrain.water = {};
+    shapezAPI.ingame.terrain.void = {};
+}
+
+/**
+ * Returns the color to draw the given terrain with
+ * @param {string} type
+ * @returns {string}
+ */
+export function getTerrainColor(type) {
+    const declaration = shapezAPI.ingame.terrain[type];
+    if (declaration && declaration.color) {
+        return declaration.color;
+    }
+
+    // Themes of mods might not define terrain colors
+    const colors = THEME.map.terrain || VANILLA_THEMES.dark.map.terrain;
+    return colors[type] || colors.rock;
+}
+
+/**
+ * Returns whether the given terrain blocks placing buildings on the layer. Terrain of mods which
+ * are no longer installed stays blocking.
+ * @param {string} type
+ * @param {Layer} layer
+ * @returns {boolean}
+ */
+export function isTerrainBlocking(type, layer) {
+    const declaration = shapezAPI.ingame.terrain[type];
+    if (!declaration || !declaration.blockedLayers) {
+        return true;
+    }
+    return declaration.blockedLayers.includes(layer);
+}
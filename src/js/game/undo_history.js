@@ -0,0 +1,348 @@
+import { createLogger } from "../core/logging";
+import { Entity } from "./entity";
+import { OrphanedEntity } from "./orphaned_entity";
+import { GameRoot } from "./root";
+
+const logger = createLogger("undo");
+
+/**
+ * How many steps can get undone at most
+ */
+const MAX_STEPS = 100;
+
+/**
+ * How many entity snapshots all steps together may keep, to bound the memory usage of big blueprints
+ * and mass deletes. The oldest steps get dropped first.
+ */
+const MAX_STORED_ENTITIES = 20000;
+
+/**
+ * A single change of a step. Placed and removed entities are stored as unregistered clones.
+ * Config changes store the serialized component data before the change, costs the amount of
+ * shapes which were taken from the hub.
+ * @typedef {{
+ *   type: "placed" | "removed",
+ *   entity: Entity
+ * } | {
+ *   type: "config",
+ *   entity: Entity,
+ *   componentId: string,
+ *   data: object
+ * } | {
+ *   type: "cost",
+ *   shapeKey: string,
+ *   amount: number
+ * }} UndoChange
+ *
+ * @typedef {Array<UndoChange>} UndoStep
+ */
+
+/**
+ * Records what the player builds, deletes and configures, so it can get undone and redone.
+ * Everything which happens between beginStep() and endStep() gets undone at once, changes
+ * recorded outside of a step form a step of their own.
+ */
+export class UndoHistory {
+    /**
+     * @param {GameRoot} root
+     */
+    constructor(root) {
+        this.root = root;
+
+        /** @type {Array<UndoStep>} */
+        this.undoSteps = [];
+
+        /** @type {Array<UndoStep>} */
+        this.redoSteps = [];
+
+        /**
+         * The step currently being recorded
+         * @type {UndoStep}
+         */
+        this.currentStep = null;
+
+        /**
+         * How often beginStep() was called without endStep(), steps can be nested
+         */
+        this.openSteps = 0;
+
+        /**
+         * Whether a step is being undone or redone right now
+         */
+        this.applying = false;
+    }
+
+    /**
+     * Starts a new step, all changes until endStep() get undone together
+     */
+    beginStep() {
+        if (this.openSteps === 0) {
+            this.currentStep = [];
+        }
+        ++this.openSteps;
+    }
+
+    /**
+     * Finishes the current step
+     */
+    endStep() {
+        assert(this.openSteps > 0, "Ended undo step which was never started");
+        --this.openSteps;
+        if (this.openSteps > 0) {
+            return;
+        }
+
+        const step = this.currentStep;
+        this.currentStep = null;
+        if (step.length === 0 || this.applying) {
+            return;
+        }
+
+        this.undoSteps.push(step);
+        this.redoSteps = [];
+        this.trim();
+    }
+
+    /**
+     * Runs the operation as a single step and returns its result
+     * @template T
+     * @param {function():T} operation
+     * @returns {T}
+     */
+    recordStep(operation) {
+        this.beginStep();
+        try {
+            return operation();
+        } finally {
+            this.endStep();
+        }
+    }
+
+    /**
+     * @param {UndoChange} change
+     */
+    record(change) {
+        if (this.openSteps > 0) {
+            this.currentStep.push(change);
+        } else {
+            this.recordStep(() => this.currentStep.push(change));
+        }
+    }
+
+    /**
+     * Records that the entity got placed
+     * @param {Entity} entity
+     */
+    recordPlacement(entity) {
+        if (entity instanceof OrphanedEntity) {
+            return;
+        }
+        this.record({ type: "placed", entity: entity.clone() });
+    }
+
+    /**
+     * Records that the entity is about to get removed
+     * @param {Entity} entity
+     */
+    recordRemoval(entity) {
+        if (entity instanceof OrphanedEntity) {
+            return;
+        }
+        this.record({ type: "removed", entity: entity.clone() });
+    }
+
+    /**
+     * Records that a component of the entity was changed
+     * @param {Entity} entity
+     * @param {string} componentId
+     * @param {object} data The serialized component before the change
+     */
+    recordConfigChange(entity, componentId, data) {
+        this.record({ type: "config", entity: entity.clone(), componentId, data });
+    }
+
+    /**
+     * Records that shapes were taken from the hub, so they get refunded on undo
+     * @param {string} shapeKey
+     * @param {number} amount
+     */
+    recordCost(shapeKey, amount) {
+        if (amount !== 0) {
+            this.record({ type: "cost", shapeKey, amount });
+        }
+    }
+
+    /**
+     * Undoes the last step, returns whether there was anything to undo
+     * @returns {boolean}
+     */
+    undo() {
+        return this.apply(this.undoSteps, this.redoSteps);
+    }
+
+    /**
+     * Redoes the last undone step, returns whether there was anything to redo
+     * @returns {boolean}
+     */
+    redo() {
+        return this.apply(this.redoSteps, this.undoSteps);
+    }
+
+    /**
+     * Reverts the last step of source and stores the changes this made as a step on target,
+     * so reverting it again restores the state before
+     * @param {Array<UndoStep>} source
+     * @param {Array<UndoStep>} target
+     * @returns {boolean}
+     */
+    apply(source, target) {
+        if (this.openSteps > 0 || source.length === 0) {
+            return false;
+        }
+
+        const step = source[source.length - 1];
+        if (!this.canAffordStep(step)) {
+            return false;
+        }
+        source.pop();
+
+        this.applying = true;
+        this.beginStep();
+        const inverse = this.currentStep;
+        try {
+            this.root.logic.performBulkOperation(() => {
+                for (let i = step.length - 1; i >= 0; --i) {
+                    this.revertChange(step[i]);
+                }
+            });
+        } finally {
+            this.endStep();
+            this.applying = false;
+        }
+
+        logger.log("Reverted", step.length, "changes with", inverse.length, "changes");
+        if (inverse.length > 0) {
+            target.push(inverse);
+            this.trim();
+        }
+        return true;
+    }
+
+    /**
+     * Returns whether the hub has enough shapes to take the costs of the step again
+     * @param {UndoStep} step
+     * @returns {boolean}
+     */
+    canAffordStep(step) {
+        const hubGoals = this.root.hubGoals;
+        for (let i = 0; i < step.length; ++i) {
+            const change = step[i];
+            if (change.type === "cost" && change.amount < 0) {
+                if (hubGoals.getShapesStoredByKey(change.shapeKey) < -change.amount) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Reverts a single change and records the inverse change
+     * @param {UndoChange} change
+     */
+    revertChange(change) {
+        switch (change.type) {
+            case "placed": {
+                const entity = this.findEntity(change.entity);
+                if (entity) {
+                    this.root.logic.tryDeleteBuilding(entity);
+                }
+                break;
+            }
+            case "removed": {
+                // Recorded by the logic as a placement
+                this.root.logic.tryPlaceEntity(change.entity.clone());
+                break;
+            }
+            case "config": {
+                const entity = this.findEntity(change.entity);
+                const component = entity && entity.components[change.componentId];
+                if (component) {
+                    this.recordConfigChange(entity, change.componentId, component.serialize());
+                    const errorCode = component.deserialize(change.data, this.root);
+                    if (errorCode) {
+                        logger.warn("Failed to restore", change.componentId, ":", errorCode);
+                    }
+                }
+                break;
+            }
+            case "cost": {
+                const hubGoals = this.root.hubGoals;
+                if (change.amount > 0) {
+                    hubGoals.putShapeByKey(change.shapeKey, change.amount);
+                } else {
+                    hubGoals.takeShapeByKey(change.shapeKey, -change.amount);
+                }
+                this.recordCost(change.shapeKey, -change.amount);
+                break;
+            }
+            default:
+                assertAlways(false, "Unknown undo change");
+        }
+    }
+
+    /**
+     * Finds the placed entity matching the snapshot. The building is compared instead of the
+     * code since e.g. belts change their code when connecting to neighbours.
+     * @param {Entity} snapshot
+     * @returns {Entity|null}
+     */
+    findEntity(snapshot) {
+        const staticComp = snapshot.components.StaticMapEntity;
+        const contents = this.root.map.getLayerContentXY(
+            staticComp.origin.x,
+            staticComp.origin.y,
+            snapshot.layer
+        );
+        if (!contents) {
+            return null;
+        }
+        const otherComp = contents.components.StaticMapEntity;
+        if (!otherComp.origin.equals(staticComp.origin)) {
+            return null;
+        }
+        if (otherComp.getMetaBuilding() !== staticComp.getMetaBuilding()) {
+            return null;
+        }
+        return contents;
+    }
+
+    /**
+     * Drops the oldest steps until the history fits into its limits
+     */
+    trim() {
+        while (this.undoSteps.length + this.redoSteps.length > MAX_STEPS) {
+            this.dropOldestStep();
+        }
+
+        let storedEntities = 0;
+        const steps = this.undoSteps.concat(this.redoSteps);
+        for (let i = 0; i < steps.length; ++i) {
+            storedEntities += steps[i].length;
+        }
+        while (storedEntities > MAX_STORED_ENTITIES && this.undoSteps.length + this.redoSteps.length > 1) {
+            storedEntities -= this.dropOldestStep().length;
+        }
+    }
+
+    /**
+     * Removes the oldest undo step, or once there are none the redo step furthest away
+     * @returns {UndoStep}
+     */
+    dropOldestStep() {
+        if (this.undoSteps.length > 0) {
+            return this.undoSteps.shift();
+        }
+        return this.redoSteps.shift();
+    }
+}
@@ -0,0 +1,214 @@
+/* typehints:start */
+import { GameRoot } from "./root";
+/* typehints:end */
+
+import { RandomNumberGenerator } from "../core/rng";
+import { clamp } from "../core/utils";
+import { enumColors } from "./colors";
+import { enumSubShape } from "./shape_definition";
+
+/**
+ * Values of a biome are either constant or a function of the distance of the chunk to the origin
+ * (in chunks), so resources can get richer further away.
+ * @template T
+ * @typedef {T|function(number):T} BiomeValue
+ */
+
+/**
+ * A region of the map with its own resource distribution, registered in shapezAPI.ingame.biomes.
+ * Biomes are assigned per chunk by a seeded noise field, the weight controls how much of the map a
+ * biome covers compared to the others. The patch chances are per chunk, the sizes in tiles. The
+ * shape variety is the number of different quadrants of shape patches (1, 2 or 4). The tint is
+ * drawn over the chunk in the map overview. Obstacles are terrain types, see terrain.js, which are
+ * only generated in games where BaseMap.generateObstacles is set.
+ * @typedef {{
+ *   weight: number,
+ *   minDistance?: number,
+ *   maxDistance?: number,
+ *   tint?: string,
+ *   colorPatchChance: BiomeValue<number>,
+ *   colorPatchSize: BiomeValue<number>,
+ *   colors: BiomeValue<Array<enumColors>>,
+ *   shapePatchChance: BiomeValue<number>,
+ *   shapePatchSize: BiomeValue<number>,
+ *   subShapes: BiomeValue<Object<enumSubShape, number>>,
+ *   shapeVariety: BiomeValue<number>,
+ *   obstacleChance?: BiomeValue<number>,
+ *   obstacleSize?: BiomeValue<number>,
+ *   obstacles?: BiomeValue<Array<string>>
+ * }} Biome
+ */
+
+/** Biome used if no other biome matches, it generates the regular map */
+export const DEFAULT_BIOME_ID = "default";
+
+/** Size of the cells of the noise field in chunks */
+const NOISE_SCALE = 6;
+const NOISE_OCTAVES = 3;
+
+/**
+ * Resolves a value of a biome for the given distance
+ * @template T
+ * @param {BiomeValue<T>} value
+ * @param {number} distanceToOriginInChunks
+ * @returns {T}
+ */
+export function getBiomeValue(value, distanceToOriginInChunks) {
+    if (typeof value === "function") {
+        return /** @type {function(number):T} */ (value)(distanceToOriginInChunks);
+    }
+    return value;
+}
+
+export function addVanillaBiomesToAPI() {
+    const patchChance = distance => (0.9 - clamp(distance / 25, 0, 1) * 0.5) / 4;
+    const patchSize = distance => Math.max(2, Math.round(1 + clamp(distance / 8, 0, 4)));
+
+    /** @type {Biome} */
+    const defaultBiome = {
+        weight: 1,
+        colorPatchChance: patchChance,
+        colorPatchSize: patchSize,
+        colors: distance =>
+            distance > 2
+                ? [enumColors.red, enumColors.green, enumColors.blue]
+                : [enumColors.red, enumColors.green],
+        shapePatchChance: patchChance,
+        shapePatchSize: patchSize,
+        subShapes: distance => ({
+            [enumSubShape.rect]: 100,
+            [enumSubShape.circle]: Math.round(50 + clamp(distance * 2, 0, 50)),
+            // Initial chunks can not spawn the good stuff
+            [enumSubShape.star]: distance < 7 ? 0 : Math.round(20 + clamp(distance, 0, 30)),
+            [enumSubShape.windmill]: distance < 7 ? 0 : Math.round(6 + clamp(distance / 2, 0, 20)),
+        }),
+        shapeVariety: distance => (distance < 10 ? 1 : distance < 15 ? 2 : 4),
+        // Keep the start area free
+        obstacleChance: distance => (distance < 4 ? 0 : 0.35),
+        obstacleSize: distance => Math.round(2 + clamp(distance / 10, 0, 3)),
+        obstacles: distance => (distance < 15 ? ["rock", "water"] : ["rock", "water", "void"]),
+    };
+
+    shapezAPI.ingame.biomes[DEFAULT_BIOME_ID] = defaultBiome;
+}
+
+/**
+ * Assigns the biomes to the chunks of the map
+ */
+export class WorldGenerator {
+    /**
+     * @param {GameRoot} root
+     */
+    constructor(root) {
+        this.root = root;
+
+        /**
+         * Cached values of the noise lattice, only valid for the seed they were computed with
+         * @type {Map<string, number>}
+         */
+        this.latticeCache = new Map();
+        this.latticeSeed = null;
+    }
+
+    /**
+     * Returns the random value of a point of the noise lattice
+     * @param {number} x
+     * @param {number} y
+     * @param {number} octave
+     * @returns {number}
+     */
+    getLatticeValue(x, y, octave) {
+        if (this.latticeSeed !== this.root.map.seed) {
+            this.latticeCache.clear();
+            this.latticeSeed = this.root.map.seed;
+        }
+
+        const key = octave + "|" + x + "|" + y;
+        let value = this.latticeCache.get(key);
+        if (value === undefined) {
+            value = new RandomNumberGenerator("biome|" + key + "|" + this.root.map.seed).next();
+            this.latticeCache.set(key, value);
+        }
+        return value;
+    }
+
+    /**
+     * Returns the value of the seeded noise field at the given chunk, between 0 and 1
+     * @param {number} chunkX
+     * @param {number} chunkY
+     * @returns {number}
+     */
+    getNoise(chunkX, chunkY) {
+        const smooth = t => t * t * (3 - 2 * t);
+
+        let value = 0;
+        let totalAmplitude = 0;
+        for (let octave = 0; octave < NOISE_OCTAVES; ++octave) {
+            const frequency = Math.pow(2, octave) / NOISE_SCALE;
+            const amplitude = Math.pow(0.5, octave);
+
+            const x = chunkX * frequency;
+            const y = chunkY * frequency;
+            const x0 = Math.floor(x);
+            const y0 = Math.floor(y);
+            const tx = smooth(x - x0);
+            const ty = smooth(y - y0);
+
+            const top =
+                this.getLatticeValue(x0, y0, octave) * (1 - tx) +
+                this.getLatticeValue(x0 + 1, y0, octave) * tx;
+            const bottom =
+                this.getLatticeValue(x0, y0 + 1, octave) * (1 - tx) +
+                this.getLatticeValue(x0 + 1, y0 + 1, octave) * tx;
+
+            value += (top * (1 - ty) + bottom * ty) * amplitude;
+            totalAmplitude += amplitude;
+        }
+        return clamp(value / totalAmplitude, 0, 0.9999);
+    }
+
+    /**
+     * Returns the id of the biome of the given chunk
+     * @param {number} chunkX
+     * @param {number} chunkY
+     * @param {number} distanceToOriginInChunks
+     * @returns {string}
+     */
+    getBiomeId(chunkX, chunkY, distanceToOriginInChunks) {
+        const biomes = shapezAPI.ingame.biomes;
+
+        const candidates = [];
+        let totalWeight = 0;
+        for (const id in biomes) {
+            const biome = biomes[id];
+            const minDistance = biome.minDistance || 0;
+            const maxDistance = biome.maxDistance !== undefined ? biome.maxDistance : Infinity;
+            if (
+                biome.weight > 0 &&
+                distanceToOriginInChunks >= minDistance &&
+                distanceToOriginInChunks <= maxDistance
+            ) {
+                candidates.push(id);
+                totalWeight += biome.weight;
+            }
+        }
+
+        if (candidates.length === 0) {
+            return DEFAULT_BIOME_ID;
+        }
+        if (candidates.length === 1) {
+            return candidates[0];
+        }
+
+        // Neighbouring chunks have similar noise values and thus mostly the same biome
+        const target = this.getNoise(chunkX, chunkY) * totalWeight;
+        let accumulated = 0;
+        for (let i = 0; i < candidates.length; ++i) {
+            accumulated += biomes[candidates[i]].weight;
+            if (target < accumulated) {
+                return candidates[i];
+            }
+        }
+        return candidates[candidates.length - 1];
+    }
+}
@@ -143,6 +143,7 @@ declare interface FactoryTemplate<T> {
     getId(): string;
     getAllIds(): Array<string>;
     register(entry: Class<T>): void;
+    clear(): void;
     hasId(id: string): boolean;
     findById(id: string): Class<T>;
     getEntries(): Array<Class<T>>;
@@ -156,6 +157,7 @@ declare interface SingletonFactoryTemplate<T> {
     getId(): string;
     getAllIds(): Array<string>;
     register(classHandle: Class<T>): void;
+    clear(): void;
     hasId(id: string): boolean;
     findById(id: string): T;
     findByClass(classHandle: Class<T>): T;
@@ -13,6 +13,11 @@ import { addVanillaGameSpeedToAPI, initGameSpeedRegistry } from "./game/game_spe
 import { ModManager } from "./modloader/modmanager";
 import { addVanillaSystemsToAPI } from "./game/game_system_manager";
 import { addVanillaGameModesToAPI } from "./game/game_mode_registry";
+import { addVanillaItemProcessorsToAPI } from "./game/item_processor_registry";
+import { addVanillaLogicGatesToAPI } from "./game/logic_gate_registry";
+import { addVanillaBiomesToAPI } from "./game/world_generation";
+import { addVanillaTerrainToAPI } from "./game/terrain";
+import { addVanillaLayersToAPI } from "./game/layers";
 import { getIPCRenderer } from "./core/utils";
 const logger = createLogger("main");
 window.onload = async() => {
@@ -140,11 +145,18 @@ window.onload = async() => {
             type: "get",
         }).data;
         if (modFolderContents.includes("modpack.json")) {
-            instance = getIPCRenderer().sendSync("fs-sync-job", {
+            const modPackFile = getIPCRenderer().sendSync("fs-sync-job", {
                 mods: true,
                 type: "read",
                 filename: "modpack.json",
             });
+            if (modPackFile.success) {
+                try {
+                    instance = JSON.parse(modPackFile.data);
+                } catch (ex) {
+                    logger.error("Failed to parse modpack.json:", ex);
+                }
+            }
         }
     } else {
         user = JSON.parse(localStorage.getItem("user"));
@@ -165,6 +177,11 @@ window.onload = async() => {
     addVanillaItemsToAPI();
     addVanillaGameModesToAPI();
     addVanillaGameSpeedToAPI();
+    addVanillaItemProcessorsToAPI();
+    addVanillaLogicGatesToAPI();
+    addVanillaBiomesToAPI();
+    addVanillaTerrainToAPI();
+    addVanillaLayersToAPI();
     if (G_IS_STANDALONE) {
         for (let i = 0; i < modFolderContents.length; i++) {
             const mod = modFolderContents[i];
@@ -5,17 +5,20 @@
  * description: String,
  * authors: Array<String>,
  * version: String,
- * gameVersion: number,
- * dependencies: Array<String>,
- * incompatible: Array<String>,
+ * gameVersion: number|String,
+ * dependencies: Array<String|{ id: String, version?: String, optional?: boolean }>,
+ * incompatible: Array<String|{ id: String, version?: String }>,
+ * loadAfter?: Array<String>,
+ * loadBefore?: Array<String>,
  * translations: {},
- * settings: {},
+ * settings: Object<string, import("../profile/mod_settings").ModSettingDeclaration>,
  * updateStaticSettings: Function,
  * updateStaticTranslations: Function,
  * gameInitializedRootClasses: Function,
  * gameInitializedRootManagers: Function,
  * gameBeforeFirstUpdate: Function,
  * main: Function,
+ * unload?: Function,
  * }} ModInfo
  */
 import { Signal, STOP_PROPAGATION } from "../core/signal";
@@ -39,6 +42,7 @@ import {
     arrayDeleteValue,
     clamp,
     epsilonCompare,
+    escapeHtml,
     fastArrayDelete,
     fastArrayDeleteValue,
     fastArrayDeleteValueIfContained,
@@ -50,6 +54,7 @@ import {
     formatItemsPerSecond,
     formatSeconds,
     formatSecondsToTimeAgo,
+    generateBlobDownload,
     generateFileDownload,
     generateMatrixRotations,
     getIPCRenderer,
@@ -156,6 +161,11 @@ import { HubSystem } from "../game/systems/hub";
 import { ItemAcceptorSystem } from "../game/systems/item_acceptor";
 import { ItemEjectorSystem } from "../game/systems/item_ejector";
 import { ItemProcessorSystem, MAX_QUEUED_CHARGES } from "../game/systems/item_processor";
+import { getItemProcessorStatistics } from "../game/item_processor_registry";
+import { setupLogicGate } from "../game/logic_gate_registry";
+import { getBiomeValue, WorldGenerator } from "../game/world_generation";
+import { getTerrainColor, isTerrainBlocking } from "../game/terrain";
+import { getAllLayers, getLayerDescriptor, getPinLayer, isLayerUnlocked } from "../game/layers";
 import { ItemProcessorOverlaysSystem } from "../game/systems/item_processor_overlays";
 import { ItemProducerSystem } from "../game/systems/item_producer";
 import { LeverSystem } from "../game/systems/lever";
@@ -200,9 +210,15 @@ import { InGameState } from "../states/ingame";
 import { KeybindingsState } from "../states/keybindings";
 import { MainMenuState } from "../states/main_menu";
 import { MobileWarningState } from "../states/mobile_warning";
+import { ModsState } from "../states/mods";
 import { PreloadState } from "../states/preload";
 import { SettingsState } from "../states/settings";
-import { T } from "../translations";
+import {
+    getApplicationLanguageId,
+    matchOverwriteRecursive,
+    T,
+    updateApplicationLanguage,
+} from "../translations";
 import {
     MUSIC,
     MusicInstanceInterface,
@@ -219,6 +235,7 @@ import { HUDCatMemes } from "../game/hud/parts/cat_memes";
 import { HUDChangesDebugger } from "../game/hud/parts/debug_changes";
 import { HUDColorBlindHelper } from "../game/hud/parts/color_blind_helper";
 import { HUDConstantSignalEdit } from "../game/hud/parts/constant_signal_edit";
+import { HUDGameResult } from "../game/hud/parts/game_result";
 import { HUDDebugInfo } from "../game/hud/parts/debug_info";
 import { HUDEntityDebugger } from "../game/hud/parts/entity_debugger";
 import { HUDGameMenu } from "../game/hud/parts/game_menu";
@@ -233,6 +250,8 @@ import { HUDPartTutorialHints } from "../game/hud/parts/tutorial_hints";
 import { HUDPinnedShapes } from "../game/hud/parts/pinned_shapes";
 import { HUDSandboxController } from "../game/hud/parts/sandbox_controller";
 import { HUDScreenshotExporter } from "../game/hud/parts/screenshot_exporter";
+import { HUDThroughputTooltip } from "../game/hud/parts/throughput_tooltip";
+import { HUDUndoRedo } from "../game/hud/parts/undo_redo";
 import { HUDShapeViewer } from "../game/hud/parts/shape_viewer";
 import { HUDShop } from "../game/hud/parts/shop";
 import { HUDStandaloneAdvantages } from "../game/hud/parts/standalone_advantages";
@@ -339,12 +358,15 @@ import {
 import { GameCore } from "../game/core";
 import { DynamicTickrate } from "../game/dynamic_tickrate";
 import { Entity } from "../game/entity";
+import { OrphanedEntity } from "../game/orphaned_entity";
+import { MetaOrphanBuilding } from "../game/buildings/orphan";
 import { EntityManager } from "../game/entity_manager";
 import { GameLoadingOverlay } from "../game/game_loading_overlay";
 import { GameSystemManager } from "../game/game_system_manager";
 import { getRandomHint } from "../game/hints";
 import { typeItemSingleton, itemResolverSingleton } from "../game/item_resolver";
 import { GameLogic } from "../game/logic";
+import { UndoHistory } from "../game/undo_history";
 import { BaseMap } from "../game/map";
 import { MapChunkView } from "../game/map_chunk_view";
 import { MapView } from "../game/map_view";
@@ -416,6 +438,11 @@ import {
     TypeStructuredObject,
 } from "../savegame/serialization_data_types";
 import { SerializerInternal } from "../savegame/serializer_internal";
+import { deepCopy, ModRegistrations, restoreDeepCopy, syncDeepCopy } from "./mod_registrations";
+import { ModPatches } from "./mod_patches";
+import { GameEvent, GAME_EVENTS, ModEvents } from "./mod_events";
+import { ModSavegameData } from "../savegame/mod_savegame_data";
+import { ModRepository } from "./mod_repository";
 
 export class ShapezAPI {
     constructor(user) {
@@ -532,6 +559,8 @@ export class ShapezAPI {
             smoothPulse,
             fillInLinkIntoTranslation,
             generateFileDownload,
+            generateBlobDownload,
+            escapeHtml,
             startFileChoose,
             getRomanNumber,
             mixVector,
@@ -658,6 +687,8 @@ export class ShapezAPI {
             verifySchema,
             extendSchema,
             savegameInterfaces,
+            ModSavegameData,
+            ModRepository,
 
             //Game
             AutomaticSave,
@@ -668,11 +699,14 @@ export class ShapezAPI {
             DynamicTickrate,
             EntityManager,
             Entity,
+            OrphanedEntity,
+            MetaOrphanBuilding,
             GameLoadingOverlay,
             GameSystemManager,
             Keybinding,
             KeyActionMapper,
             GameLogic,
+            UndoHistory,
             MapChunkView,
             MapView,
             BaseMap,
@@ -723,6 +757,7 @@ export class ShapezAPI {
             HUDDebugInfo,
             HUDEntityDebugger,
             HUDGameMenu,
+            HUDGameResult,
             HUDInteractiveTutorial,
             HUDKeybindingOverlay,
             HUDLayerPreview,
@@ -740,7 +775,9 @@ export class ShapezAPI {
             HUDShop,
             HUDStandaloneAdvantages,
             HUDStatistics,
+            HUDThroughputTooltip,
             HUDTutorialVideoOffer,
+            HUDUndoRedo,
             HUDUnlockNotification,
             HUDVignetteOverlay,
             HUDWatermark,
@@ -788,6 +825,7 @@ export class ShapezAPI {
             KeybindingsState,
             PreloadState,
             MobileWarningState,
+            ModsState,
 
             //Systems
             ItemAcceptorSystem,
@@ -796,6 +834,18 @@ export class ShapezAPI {
             MinerSystem,
             StorageSystem,
             ItemProcessorSystem,
+            getItemProcessorStatistics,
+            setupLogicGate,
+            WorldGenerator,
+            getBiomeValue,
+            getTerrainColor,
+            isTerrainBlocking,
+            GameEvent,
+            GAME_EVENTS,
+            getAllLayers,
+            getLayerDescriptor,
+            isLayerUnlocked,
+            getPinLayer,
             FilterSystem,
             ItemProducerSystem,
             ItemEjectorSystem,
@@ -859,8 +909,59 @@ export class ShapezAPI {
         this.mods = new Map();
         this.modOrder = [];
 
+        /** @type {import("./modmanager").ModManager} */
+        this.modManager = null;
+
+        /**
+         * Everything the mods registered, by mod id
+         * @type {Map<string, ModRegistrations>}
+         */
+        this.registrations = new Map();
+
+        /**
+         * Registrations of the mod which is currently being loaded
+         * @type {ModRegistrations}
+         */
+        this.currentRegistrations = null;
+
+        /**
+         * The mod entry point which is currently running, set by the mod manager
+         * @type {{ modId: string, root: import("../game/root").GameRoot }}
+         */
+        this.currentEntryPoint = null;
+
+        /**
+         * Methods patched by mods
+         * @type {ModPatches}
+         */
+        this.patches = new ModPatches();
+
+        /**
+         * Event bus of the game, see on()
+         * @type {ModEvents}
+         */
+        this.events = new ModEvents();
+
         this.translations = T;
 
+        /**
+         * The translations before the first mod registered, to restore them once mods get unloaded
+         * @type {object}
+         */
+        this.baseTranslations = null;
+
+        /**
+         * Copy of the translations which is kept up to date, to find out what a mod changed
+         * @type {object}
+         */
+        this.translationsSnapshot = null;
+
+        /**
+         * The translations each mod added or changed while registering, by mod id
+         * @type {Map<string, object>}
+         */
+        this.translationOverwrites = new Map();
+
         this.map = {
             MapChunk,
             MapResourcesSystem,
@@ -874,9 +975,21 @@ export class ShapezAPI {
             items: {},
             gamemodes: {},
             gamespeed: {},
+            //Item processor types, see item_processor_registry.js
+            itemProcessors: {},
+            //Logic gate types, see logic_gate_registry.js
+            logicGates: {},
+            //Biomes of the world generation, see world_generation.js
+            biomes: {},
+            //Obstacle tile types, see terrain.js
+            terrain: {},
             //List of layer names
             layers: [],
+            //Layer descriptors by layer name, see layers.js
+            layerDescriptors: {},
             hub_goals: HubGoals,
+            //Savegame data classes by mod id
+            savegameData: {},
         };
 
         this.toolbars = {
@@ -891,6 +1004,120 @@ export class ShapezAPI {
         this.clickDetectors = [];
     }
 
+    /**
+     * Starts recording everything the given mod registers, until endModRegistration is called
+     * @param {string} modId
+     */
+    beginModRegistration(modId) {
+        assert(!this.currentRegistrations, "Mod registration already running");
+        if (!this.registrations.has(modId)) {
+            this.registrations.set(modId, new ModRegistrations(modId));
+        }
+
+        if (!this.baseTranslations) {
+            this.baseTranslations = deepCopy(this.translations);
+            this.translationsSnapshot = deepCopy(this.translations);
+        } else {
+            // Changes since the last registration, like switching the language, belong to no mod
+            syncDeepCopy(this.translationsSnapshot, this.translations);
+        }
+
+        const registrations = this.registrations.get(modId);
+        registrations.watchObject(this.ingame.buildings);
+        registrations.watchObject(this.ingame.components);
+        registrations.watchObject(this.ingame.items);
+        registrations.watchObject(this.ingame.gamemodes);
+        registrations.watchObject(this.ingame.gamespeed);
+        registrations.watchObject(this.ingame.itemProcessors);
+        registrations.watchObject(this.ingame.logicGates);
+        registrations.watchObject(this.ingame.biomes);
+        registrations.watchObject(this.ingame.terrain);
+        registrations.watchObject(this.ingame.layerDescriptors);
+        registrations.watchObject(this.ingame.savegameData);
+        registrations.watchObject(this.ingame);
+        registrations.watchArray(this.ingame.systems);
+        registrations.watchArray(this.ingame.layers);
+        for (const key in this.ingame) {
+            if (key.startsWith("systemsRenderOrder")) {
+                registrations.watchArray(this.ingame[key]);
+            }
+        }
+
+        for (const toolbarId in this.toolbars) {
+            registrations.watchArray(this.toolbars[toolbarId].primaryBuildings);
+            registrations.watchArray(this.toolbars[toolbarId].secondaryBuildings);
+        }
+
+        registrations.watchObject(this.KEYMAPPINGS);
+        for (const category in this.KEYMAPPINGS) {
+            if (typeof this.KEYMAPPINGS[category] === "object") {
+                registrations.watchObject(this.KEYMAPPINGS[category]);
+            }
+        }
+
+        registrations.watchObject(this.states);
+        registrations.watchMap(Loader.sprites);
+        registrations.watchObject(Loader.sprites);
+
+        this.currentRegistrations = registrations;
+    }
+
+    /**
+     * Stops recording the registrations of the current mod
+     */
+    endModRegistration() {
+        assert(this.currentRegistrations, "No mod registration running");
+        this.currentRegistrations.finish();
+
+        const modId = this.currentRegistrations.modId;
+        const changes = syncDeepCopy(this.translationsSnapshot, this.translations);
+        if (changes) {
+            if (this.translationOverwrites.has(modId)) {
+                matchOverwriteRecursive(this.translationOverwrites.get(modId), changes);
+            } else {
+                this.translationOverwrites.set(modId, changes);
+            }
+        }
+        this.currentRegistrations = null;
+    }
+
+    /**
+     * Resets the translations to how they were before the first mod registered, applies what the
+     * mods in the load order changed while registering and then the current language again, the
+     * same way as on startup
+     */
+    restoreTranslations() {
+        if (!this.baseTranslations) {
+            return;
+        }
+
+        restoreDeepCopy(this.translations, this.baseTranslations);
+        for (let i = 0; i < this.modOrder.length; i++) {
+            const overwrites = this.translationOverwrites.get(this.modOrder[i]);
+            if (overwrites) {
+                matchOverwriteRecursive(this.translations, overwrites);
+            }
+        }
+        updateApplicationLanguage(getApplicationLanguageId());
+    }
+
+    /**
+     * Reverts everything the given mod registered
+     * @param {string} modId
+     */
+    unregisterMod(modId) {
+        this.patches.removeMod(modId);
+        this.events.removeMod(modId);
+        this.translationOverwrites.delete(modId);
+
+        const registrations = this.registrations.get(modId);
+        if (!registrations) {
+            return;
+        }
+        registrations.revert();
+        this.registrations.delete(modId);
+    }
+
     /**
      * Generates rotated variants of the matrix
      * @param {Array<number>} originalMatrix
@@ -938,8 +1165,13 @@ export class ShapezAPI {
     registerAtlas(atlasDataString) {
         var atlasData = JSON.parse(atlasDataString);
         var sourceImage = new Image();
+        // The atlas loads after the mod finished loading, so keep track of the registrations
+        const registrations = this.currentRegistrations;
         sourceImage.crossOrigin = "anonymous";
         sourceImage.onload = () => {
+            if (registrations) {
+                registrations.watchMap(Loader.sprites);
+            }
             // @ts-ignore
             Loader.internalParseAtlas({
                     meta: atlasData.atlasData.meta,
@@ -947,6 +1179,9 @@ export class ShapezAPI {
                 },
                 sourceImage
             );
+            if (registrations) {
+                registrations.finish();
+            }
         };
         sourceImage.src = atlasData.src;
     }
@@ -973,6 +1208,10 @@ export class ShapezAPI {
         head.appendChild(style);
 
         style.appendChild(document.createTextNode(css));
+
+        if (this.currentRegistrations) {
+            this.currentRegistrations.trackNode(style);
+        }
     }
 
     /**
@@ -995,7 +1234,177 @@ export class ShapezAPI {
                       background-image: url(${iconDataURL}) !important;
                   }
               `;
-        style.appendChild(document.createTextNode(css));
+        const node = document.createTextNode(css);
+        style.appendChild(node);
+
+        if (this.currentRegistrations) {
+            this.currentRegistrations.trackNode(node);
+        }
+    }
+
+    /**
+     * Registers the class storing the savegame data of a mod, see ModSavegameData
+     * @param {string} modId
+     * @param {typeof ModSavegameData} dataClass
+     */
+    registerSavegameData(modId, dataClass) {
+        assertAlways(!this.ingame.savegameData[modId], "Savegame data registered twice for mod: " + modId);
+        this.ingame.savegameData[modId] = dataClass;
+    }
+
+    /**
+     * Registers an item processor type, the item processor system, the hub goals and the building
+     * statistics pick it up automatically
+     * @param {string} processorType
+     * @param {import("../game/item_processor_registry").ItemProcessorType} declaration
+     */
+    registerItemProcessor(processorType, declaration) {
+        assertAlways(
+            typeof declaration.process === "function",
+            "Item processor type has no process function: " + processorType
+        );
+        assertAlways(
+            declaration.getBaseSpeed || declaration.upgrade,
+            "Item processor type needs an upgrade or getBaseSpeed: " + processorType
+        );
+        this.ingame.itemProcessors[processorType] = declaration;
+    }
+
+    /**
+     * Registers a logic gate type, use setupLogicGate in the component variations of its building
+     * @param {string} type
+     * @param {import("../game/logic_gate_registry").LogicGateType} declaration
+     */
+    registerLogicGate(type, declaration) {
+        assertAlways(
+            typeof declaration.compute === "function",
+            "Logic gate has no compute function: " + type
+        );
+        assertAlways(Array.isArray(declaration.pins), "Logic gate has no pins: " + type);
+        assertAlways(
+            !declaration.getNextState || declaration.getInitialState,
+            "Logic gate with getNextState needs getInitialState: " + type
+        );
+        this.ingame.logicGates[type] = declaration;
+    }
+
+    /**
+     * Registers a biome of the world generation, replaces the regular map if the id is "default"
+     * @param {string} id
+     * @param {import("../game/world_generation").Biome} declaration
+     */
+    registerBiome(id, declaration) {
+        assertAlways(
+            typeof declaration.weight === "number" && declaration.weight >= 0,
+            "Biome has no valid weight: " + id
+        );
+        const requiredKeys = [
+            "colorPatchChance",
+            "colorPatchSize",
+            "colors",
+            "shapePatchChance",
+            "shapePatchSize",
+            "subShapes",
+            "shapeVariety",
+        ];
+        for (const key of requiredKeys) {
+            assertAlways(declaration[key] !== undefined, "Biome is missing " + key + ": " + id);
+        }
+        this.ingame.biomes[id] = declaration;
+    }
+
+    /**
+     * Registers an obstacle tile type, biomes and game modes can place it on the map
+     * @param {string} id
+     * @param {import("../game/terrain").TerrainType} declaration
+     */
+    registerTerrain(id, declaration) {
+        assertAlways(
+            !declaration.blockedLayers || Array.isArray(declaration.blockedLayers),
+            "Terrain has invalid blocked layers: " + id
+        );
+        this.ingame.terrain[id] = declaration;
+    }
+
+    /**
+     * Registers a map layer, it is switched to after the vanilla layers and the layers registered
+     * before
+     * @param {string} id
+     * @param {import("../game/layers").LayerDescriptor} descriptor
+     */
+    registerLayer(id, descriptor = {}) {
+        assertAlways(id !== "regular" && id !== "wires", "Can not replace a vanilla layer: " + id);
+        for (const key of ["visibleLayers", "previewFrom"]) {
+            assertAlways(
+                !descriptor[key] || Array.isArray(descriptor[key]),
+                "Layer has invalid " + key + ": " + id
+            );
+        }
+        assertAlways(
+            !descriptor.keybinding || this.KEYMAPPINGS.ingame[descriptor.keybinding],
+            "Layer has unknown keybinding " + descriptor.keybinding + ": " + id
+        );
+        if (!this.ingame.layers.includes(id)) {
+            this.ingame.layers.push(id);
+        }
+        this.ingame.layerDescriptors[id] = descriptor;
+    }
+
+    /**
+     * Returns the mod which is currently registering or running one of its entry points
+     * @returns {string}
+     */
+    getCurrentModId() {
+        if (this.currentRegistrations) {
+            return this.currentRegistrations.modId;
+        }
+        return this.currentEntryPoint ? this.currentEntryPoint.modId : null;
+    }
+
+    /**
+     * Patches a method of a vanilla or mod class. Unlike overwriting the method, multiple mods can
+     * patch the same method, and the patches are removed when the mod gets unloaded.
+     * Returns a function which removes the patch again.
+     * @param {Function} classHandle
+     * @param {string} methodName
+     * @param {import("./mod_patches").PatchOptions} options
+     * @returns {function():void}
+     */
+    patch(classHandle, methodName, options) {
+        const modId = options.modId || this.getCurrentModId();
+        return this.patches.patch(classHandle, methodName, Object.assign({}, options, { modId }));
+    }
+
+    /**
+     * Listens to an event of the game, see GAME_EVENTS in mod_events.js. Listeners with a higher
+     * priority are called first and are removed when the mod gets unloaded. Listeners added in a
+     * game hook like gameInitializedRootClasses are also removed once that game ends.
+     * Returns a function which removes the listener again.
+     * @template {keyof import("./mod_events").GameEventPayloads} K
+     * @param {K} name
+     * @param {function(GameEvent<import("./mod_events").GameEventPayloads[K]>):void} listener
+     * @param {import("./mod_events").EventListenerOptions} options
+     * @returns {function():void}
+     */
+    on(name, listener, options = {}) {
+        const modId = options.modId || this.getCurrentModId();
+        let root = options.root;
+        if (root === undefined) {
+            // Listeners added in a game hook only belong to that game
+            root = this.currentEntryPoint ? this.currentEntryPoint.root : null;
+        }
+        return this.events.on(name, listener, Object.assign({}, options, { modId, root }));
+    }
+
+    /**
+     * Declares a new event which mods can dispatch and listen to, it is removed together with
+     * the mod which declared it
+     * @param {string} name
+     * @param {import("./mod_events").EventOptions} options
+     */
+    registerEvent(name, options = {}) {
+        const modId = options.modId || this.getCurrentModId();
+        this.events.registerEvent(name, Object.assign({}, options, { modId }));
     }
 
     registerBuilding(buildingClass, iconDataURL, key) {
@@ -0,0 +1,278 @@
+/* typehints:start */
+import { BaseItem } from "../game/base_item";
+import { Entity } from "../game/entity";
+import { GameRoot } from "../game/root";
+import { MapChunkView } from "../game/map_chunk_view";
+import { ShapeDefinition } from "../game/shape_definition";
+import { WireNetwork } from "../game/systems/wire";
+import { Vector } from "../core/vector";
+/* typehints:end */
+
+import { STOP_PROPAGATION } from "../core/signal";
+
+/**
+ * Payloads of the events of the game, by event name
+ * @typedef {{
+ *   entityManuallyPlaced: { entity: Entity },
+ *   entityDestroyed: { entity: Entity },
+ *   prePlacementCheck: { entity: Entity, offset: Vector },
+ *   storyGoalCompleted: { level: number, reward: string },
+ *   upgradePurchased: { upgradeId: string },
+ *   shapeDelivered: { definition: ShapeDefinition },
+ *   itemProduced: { item: BaseItem },
+ *   beltItemHandover: { item: BaseItem, receiver: Entity, slotIndex: number },
+ *   processorChargeComplete: { entity: Entity, processorType: string },
+ *   wireNetworkRecomputed: { networks: Array<WireNetwork> },
+ *   chunkGenerated: { chunk: MapChunkView },
+ *   gameOver: { result: import("../game/game_mode").GameResult }
+ * }} GameEventPayloads
+ *
+ * @typedef {{
+ *   priority?: number,
+ *   modId?: string,
+ *   root?: GameRoot
+ * }} EventListenerOptions
+ *
+ * @typedef {{
+ *   cancellable?: boolean,
+ *   modId?: string
+ * }} EventOptions
+ *
+ * @typedef {{
+ *   listener: function(GameEvent<any>):void,
+ *   priority: number,
+ *   modId: string,
+ *   root: GameRoot,
+ *   index: number
+ * }} EventListener
+ */
+
+/**
+ * Declares whether the events can be cancelled. Cancelling an event prevents what the game was
+ * about to do, e.g. placing the entity or handing over the item.
+ * @type {Object<string, { cancellable: boolean }>}
+ */
+export const GAME_EVENTS = {
+    entityManuallyPlaced: { cancellable: false },
+    entityDestroyed: { cancellable: false },
+    prePlacementCheck: { cancellable: true },
+    storyGoalCompleted: { cancellable: false },
+    upgradePurchased: { cancellable: false },
+    shapeDelivered: { cancellable: false },
+    itemProduced: { cancellable: false },
+    beltItemHandover: { cancellable: true },
+    processorChargeComplete: { cancellable: false },
+    wireNetworkRecomputed: { cancellable: false },
+    chunkGenerated: { cancellable: false },
+    gameOver: { cancellable: false },
+};
+
+/**
+ * Signals of the game root which are forwarded to the event bus, with the names of their parameters
+ * @type {Object<string, Array<string>>}
+ */
+const FORWARDED_SIGNALS = {
+    entityManuallyPlaced: ["entity"],
+    entityDestroyed: ["entity"],
+    prePlacementCheck: ["entity", "offset"],
+    storyGoalCompleted: ["level", "reward"],
+    upgradePurchased: ["upgradeId"],
+    shapeDelivered: ["definition"],
+    itemProduced: ["item"],
+    gameOver: ["result"],
+};
+
+/**
+ * An event passed to the listeners
+ * @template T
+ */
+export class GameEvent {
+    /**
+     * @param {string} name
+     * @param {GameRoot} root
+     * @param {T} payload
+     */
+    constructor(name, root, payload) {
+        this.name = name;
+        this.root = root;
+        this.payload = payload;
+        this.cancellable = GAME_EVENTS[name].cancellable;
+        this.cancelled = false;
+    }
+
+    /**
+     * Cancels the event, the remaining listeners are not called anymore
+     */
+    cancel() {
+        assertAlways(this.cancellable, "Event " + this.name + " can not be cancelled");
+        this.cancelled = true;
+    }
+}
+
+/**
+ * Event bus for mods. Listeners with a higher priority are called first, listeners with the same
+ * priority in the order they were added. Listeners and events added while a mod is registering or
+ * running one of its hooks belong to that mod and are removed once it gets unloaded. Listeners
+ * bound to a root only receive the events of that game and are removed once it ends.
+ */
+export class ModEvents {
+    constructor() {
+        /** @type {Map<string, Array<EventListener>>} */
+        this.listeners = new Map();
+
+        /** Used to keep the order of listeners with the same priority */
+        this.listenerCounter = 0;
+
+        /**
+         * The mod which declared the event, by event name
+         * @type {Map<string, string>}
+         */
+        this.eventOwners = new Map();
+    }
+
+    /**
+     * Declares a new event, e.g. one which is dispatched by a mod
+     * @param {string} name
+     * @param {EventOptions} options
+     */
+    registerEvent(name, { cancellable = false, modId = null } = {}) {
+        assertAlways(!GAME_EVENTS[name], "Event " + name + " already exists");
+        GAME_EVENTS[name] = { cancellable };
+        if (modId) {
+            this.eventOwners.set(name, modId);
+        }
+    }
+
+    /**
+     * Adds a listener, returns a function which removes it again
+     * @template {keyof GameEventPayloads} K
+     * @param {K} name
+     * @param {function(GameEvent<GameEventPayloads[K]>):void} listener
+     * @param {EventListenerOptions} options
+     * @returns {function():void}
+     */
+    on(name, listener, { priority = 0, modId = null, root = null } = {}) {
+        assertAlways(GAME_EVENTS[name], "Unknown event: " + name);
+        assertAlways(typeof listener === "function", "Listener of " + name + " is no function");
+
+        if (!this.listeners.has(name)) {
+            this.listeners.set(name, []);
+        }
+        const listeners = this.listeners.get(name);
+
+        /** @type {EventListener} */
+        const entry = { listener, priority, modId, root, index: this.listenerCounter++ };
+        listeners.push(entry);
+        listeners.sort((a, b) => b.priority - a.priority || a.index - b.index);
+
+        return () => this.removeListener(name, entry);
+    }
+
+    /**
+     * Returns whether anyone listens to the event, use it to skip building the payload of
+     * frequent events
+     * @param {string} name
+     * @returns {boolean}
+     */
+    hasListeners(name) {
+        const listeners = this.listeners.get(name);
+        return !!listeners && listeners.length > 0;
+    }
+
+    /**
+     * Dispatches an event and returns it, check cancelled to see if a listener cancelled it
+     * @template {keyof GameEventPayloads} K
+     * @param {GameRoot} root
+     * @param {K} name
+     * @param {GameEventPayloads[K]} payload
+     * @returns {GameEvent<GameEventPayloads[K]>}
+     */
+    dispatch(root, name, payload) {
+        assert(GAME_EVENTS[name], "Unknown event: " + name);
+        const event = new GameEvent(name, root, payload);
+
+        // Copy, so listeners can remove themselves
+        const listeners = (this.listeners.get(name) || []).slice();
+        for (let i = 0; i < listeners.length; ++i) {
+            if (listeners[i].root && listeners[i].root !== root) {
+                continue;
+            }
+            listeners[i].listener(event);
+            if (event.cancelled) {
+                break;
+            }
+        }
+        return event;
+    }
+
+    /**
+     * Forwards the signals of the root to the listeners
+     * @param {GameRoot} root
+     */
+    attachToRoot(root) {
+        for (const name in FORWARDED_SIGNALS) {
+            const parameters = FORWARDED_SIGNALS[name];
+            root.signals[name].add((...args) => {
+                if (!this.hasListeners(name)) {
+                    return;
+                }
+
+                // The payload is built from the parameter names
+                const payload = /** @type {any} */ ({});
+                for (let i = 0; i < parameters.length; ++i) {
+                    payload[parameters[i]] = args[i];
+                }
+                const eventName = /** @type {keyof GameEventPayloads} */ (name);
+                if (this.dispatch(root, eventName, payload).cancelled) {
+                    return STOP_PROPAGATION;
+                }
+            });
+        }
+    }
+
+    /**
+     * Removes all listeners and events of a mod
+     * @param {string} modId
+     */
+    removeMod(modId) {
+        for (const [name, owner] of this.eventOwners) {
+            if (owner === modId) {
+                delete GAME_EVENTS[name];
+                this.listeners.delete(name);
+                this.eventOwners.delete(name);
+            }
+        }
+
+        for (const [name, listeners] of this.listeners) {
+            this.listeners.set(
+                name,
+                listeners.filter(entry => entry.modId !== modId)
+            );
+        }
+    }
+
+    /**
+     * Removes all listeners bound to the root, called once the game ended
+     * @param {GameRoot} root
+     */
+    removeRoot(root) {
+        for (const [name, listeners] of this.listeners) {
+            this.listeners.set(
+                name,
+                listeners.filter(entry => entry.root !== root)
+            );
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {EventListener} entry
+     */
+    removeListener(name, entry) {
+        const listeners = this.listeners.get(name);
+        const index = listeners ? listeners.indexOf(entry) : -1;
+        if (index >= 0) {
+            listeners.splice(index, 1);
+        }
+    }
+}
@@ -0,0 +1,12 @@
+/**
+ * Returns whether the mod id is a uuid, which is required for all mods. Mod ids are also used as
+ * file names, so this makes sure they can not contain paths.
+ * @param {any} id
+ * @returns {boolean}
+ */
+export function isValidModId(id) {
+    return (
+        typeof id === "string" &&
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id)
+    );
+}
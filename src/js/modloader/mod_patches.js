@@ -0,0 +1,214 @@
+import { createLogger } from "../core/logging";
+
+const logger = createLogger("mod_patches");
+
+/**
+ * How a mod changes a method. before is called with the arguments before the method, replace
+ * is called instead of the method and receives the original (or the next patch) as first
+ * argument. after receives the result and the arguments, if it returns something other than
+ * undefined that becomes the new result. All of them are called with the instance as this.
+ * @typedef {{
+ *   before?: function(...any):void,
+ *   after?: function(any, ...any):any,
+ *   replace?: function(function(...any):any, ...any):any,
+ *   priority?: number,
+ *   modId?: string
+ * }} PatchOptions
+ *
+ * @typedef {{
+ *   modId: string,
+ *   before: function(...any):void,
+ *   after: function(any, ...any):any,
+ *   replace: function(function(...any):any, ...any):any,
+ *   priority: number,
+ *   index: number
+ * }} Patch
+ *
+ * @typedef {{
+ *   target: object,
+ *   methodName: string,
+ *   name: string,
+ *   original: function,
+ *   ownedOriginal: boolean,
+ *   patches: Array<Patch>
+ * }} PatchedMethod
+ *
+ * @typedef {{
+ *   method: string,
+ *   modIds: Array<string>
+ * }} PatchConflict
+ */
+
+/**
+ * Keeps track of all methods patched by mods. Each patched method is replaced by a composition of
+ * its patches: patches with a higher priority wrap the ones with a lower priority, and with
+ * the same priority patches of mods loaded later wrap the ones of mods loaded earlier, just as if
+ * the mods had overwritten the method in load order.
+ */
+export class ModPatches {
+    constructor() {
+        /** @type {Array<PatchedMethod>} */
+        this.methods = [];
+
+        /**
+         * Methods which are replaced by more than one mod
+         * @type {Array<PatchConflict>}
+         */
+        this.conflicts = [];
+
+        /** Used to keep the order of patches of the same mod */
+        this.patchCounter = 0;
+    }
+
+    /**
+     * Patches a method of a class, static methods are patched on the class itself.
+     * Returns a function which removes the patch again.
+     * @param {Function} classHandle
+     * @param {string} methodName
+     * @param {PatchOptions & { modId: string }} options
+     * @returns {function():void}
+     */
+    patch(classHandle, methodName, options) {
+        let target;
+        if (typeof classHandle.prototype[methodName] === "function") {
+            target = classHandle.prototype;
+        } else if (typeof classHandle[methodName] === "function") {
+            target = classHandle;
+        }
+        assertAlways(target, "Can not patch " + methodName + ", it is no method of " + classHandle.name);
+        assertAlways(
+            options.before || options.after || options.replace,
+            "Patch of " + methodName + " needs before, after or replace"
+        );
+
+        let method = this.methods.find(other => other.target === target && other.methodName === methodName);
+        if (!method) {
+            method = {
+                target,
+                methodName,
+                name: classHandle.name + (target === classHandle ? "." : ".prototype.") + methodName,
+                original: target[methodName],
+                ownedOriginal: Object.prototype.hasOwnProperty.call(target, methodName),
+                patches: [],
+            };
+            this.methods.push(method);
+        }
+
+        /** @type {Patch} */
+        const patch = {
+            modId: options.modId,
+            before: options.before || null,
+            after: options.after || null,
+            replace: options.replace || null,
+            priority: options.priority || 0,
+            index: this.patchCounter++,
+        };
+
+        if (patch.replace) {
+            const replacingMods = method.patches
+                .filter(other => other.replace && other.modId !== patch.modId)
+                .map(other => other.modId);
+            if (replacingMods.length > 0) {
+                const modIds = [...new Set([...replacingMods, patch.modId])];
+                logger.warn(method.name, "is replaced by multiple mods:", modIds);
+                this.conflicts = this.conflicts.filter(conflict => conflict.method !== method.name);
+                this.conflicts.push({ method: method.name, modIds });
+            }
+        }
+
+        method.patches.push(patch);
+        this.apply(method);
+
+        return () => this.removePatch(method, patch);
+    }
+
+    /**
+     * Removes all patches of a mod
+     * @param {string} modId
+     */
+    removeMod(modId) {
+        for (let i = this.methods.length - 1; i >= 0; --i) {
+            const method = this.methods[i];
+            const patches = method.patches.filter(patch => patch.modId === modId);
+            for (let k = 0; k < patches.length; ++k) {
+                this.removePatch(method, patches[k]);
+            }
+        }
+    }
+
+    /**
+     * @param {PatchedMethod} method
+     * @param {Patch} patch
+     */
+    removePatch(method, patch) {
+        const index = method.patches.indexOf(patch);
+        if (index < 0) {
+            return;
+        }
+        method.patches.splice(index, 1);
+
+        for (let i = this.conflicts.length - 1; i >= 0; --i) {
+            const conflict = this.conflicts[i];
+            if (conflict.method !== method.name) continue;
+
+            conflict.modIds = [
+                ...new Set(method.patches.filter(other => other.replace).map(other => other.modId)),
+            ];
+            if (conflict.modIds.length < 2) {
+                this.conflicts.splice(i, 1);
+            }
+        }
+
+        if (method.patches.length === 0) {
+            if (method.ownedOriginal) {
+                method.target[method.methodName] = method.original;
+            } else {
+                delete method.target[method.methodName];
+            }
+            this.methods.splice(this.methods.indexOf(method), 1);
+        } else {
+            this.apply(method);
+        }
+    }
+
+    /**
+     * Composes the patches of a method and installs the result
+     * @param {PatchedMethod} method
+     */
+    apply(method) {
+        const getLoadIndex = modId => shapezAPI.modOrder.indexOf(modId);
+        const patches = method.patches
+            .slice()
+            .sort(
+                (a, b) =>
+                    a.priority - b.priority ||
+                    getLoadIndex(a.modId) - getLoadIndex(b.modId) ||
+                    a.index - b.index
+            );
+
+        let implementation = method.original;
+        for (let i = 0; i < patches.length; ++i) {
+            const { before, after, replace } = patches[i];
+            const next = implementation;
+            implementation = /** @this {any} */ function (...args) {
+                if (before) {
+                    before.apply(this, args);
+                }
+
+                let result = replace
+                    ? replace.call(this, (...nextArgs) => next.apply(this, nextArgs), ...args)
+                    : next.apply(this, args);
+
+                if (after) {
+                    const newResult = after.call(this, result, ...args);
+                    if (newResult !== undefined) {
+                        result = newResult;
+                    }
+                }
+                return result;
+            };
+        }
+
+        method.target[method.methodName] = implementation;
+    }
+}
@@ -0,0 +1,322 @@
+import { createLogger } from "../core/logging";
+
+const logger = createLogger("mod_registrations");
+
+/**
+ * @typedef {{
+ *   target: object,
+ *   key: string,
+ *   value: any,
+ *   previous: any,
+ *   existed: boolean
+ * }} PropertyChange
+ *
+ * @typedef {{
+ *   target: Map<any, any>,
+ *   key: any,
+ *   value: any,
+ *   previous: any,
+ *   existed: boolean
+ * }} MapEntryChange
+ *
+ * @typedef {{
+ *   target: Array<any>,
+ *   added: Array<any>,
+ *   removed: Array<{ item: any, index: number }>
+ * }} ArrayChange
+ */
+
+/**
+ * Deep copies plain objects and arrays, used to snapshot nested registries like the translations
+ * @param {any} value
+ * @returns {any}
+ */
+export function deepCopy(value) {
+    if (typeof value !== "object" || value === null) {
+        return value;
+    }
+
+    const copy = Array.isArray(value) ? [] : {};
+    for (const key in value) {
+        copy[key] = deepCopy(value[key]);
+    }
+    return copy;
+}
+
+/**
+ * Resets the target in place to the contents of a copy created with deepCopy(), so references
+ * to the target and its nested objects stay valid
+ * @param {object} target
+ * @param {object} copy
+ */
+export function restoreDeepCopy(target, copy) {
+    for (const key in target) {
+        if (!(key in copy)) {
+            delete target[key];
+        }
+    }
+
+    for (const key in copy) {
+        const value = copy[key];
+        if (typeof value === "object" && value !== null && !Array.isArray(value)) {
+            if (typeof target[key] !== "object" || target[key] === null) {
+                target[key] = {};
+            }
+            restoreDeepCopy(target[key], value);
+        } else {
+            target[key] = deepCopy(value);
+        }
+    }
+}
+
+/**
+ * Updates a copy created with deepCopy() to match the target again, and returns the values which
+ * were added or changed since, nested like the target
+ * @param {object} copy
+ * @param {object} target
+ * @returns {object|null} Null if nothing was added or changed
+ */
+export function syncDeepCopy(copy, target) {
+    let changes = null;
+    for (const key in copy) {
+        if (!(key in target)) {
+            delete copy[key];
+        }
+    }
+
+    for (const key in target) {
+        const value = target[key];
+        if (typeof value === "object" && value !== null && !Array.isArray(value)) {
+            if (typeof copy[key] !== "object" || copy[key] === null) {
+                copy[key] = {};
+            }
+            const nested = syncDeepCopy(copy[key], value);
+            if (nested) {
+                changes = changes || {};
+                changes[key] = nested;
+            }
+        } else if (copy[key] !== value) {
+            copy[key] = deepCopy(value);
+            changes = changes || {};
+            changes[key] = deepCopy(value);
+        }
+    }
+    return changes;
+}
+
+/**
+ * Records everything a single mod registers, by comparing the registries before and after
+ * the mod ran. This way it does not matter if the mod used the api or wrote into the registries
+ * directly. Once the mod gets unloaded, all changes are reverted.
+ */
+export class ModRegistrations {
+    /**
+     * @param {string} modId
+     */
+    constructor(modId) {
+        this.modId = modId;
+
+        /** @type {Array<PropertyChange>} */
+        this.properties = [];
+
+        /** @type {Array<MapEntryChange>} */
+        this.mapEntries = [];
+
+        /** @type {Array<ArrayChange>} */
+        this.arrays = [];
+
+        /**
+         * Dom nodes added by the mod, like css and icons
+         * @type {Array<Node>}
+         */
+        this.nodes = [];
+
+        // Snapshots while recording
+        /** @type {Array<{ target: object, copy: object, deep: boolean }>} */
+        this.objectSnapshots = [];
+
+        /** @type {Array<{ target: Map<any, any>, copy: Map<any, any> }>} */
+        this.mapSnapshots = [];
+
+        /** @type {Array<{ target: Array<any>, copy: Array<any> }>} */
+        this.arraySnapshots = [];
+    }
+
+    /**
+     * Starts watching the keys of an object
+     * @param {object} target
+     * @param {boolean=} deep Whether to also watch nested objects
+     */
+    watchObject(target, deep = false) {
+        this.objectSnapshots.push({
+            target,
+            copy: deep ? deepCopy(target) : Object.assign({}, target),
+            deep,
+        });
+    }
+
+    /**
+     * Starts watching the entries of a map
+     * @param {Map<any, any>} target
+     */
+    watchMap(target) {
+        this.mapSnapshots.push({ target, copy: new Map(target) });
+    }
+
+    /**
+     * Starts watching the contents of an array
+     * @param {Array<any>} target
+     */
+    watchArray(target) {
+        this.arraySnapshots.push({ target, copy: target.slice() });
+    }
+
+    /**
+     * Tracks a dom node which gets removed on unload
+     * @param {Node} node
+     */
+    trackNode(node) {
+        this.nodes.push(node);
+    }
+
+    /**
+     * Stores all changes since the watch* calls and clears the snapshots
+     */
+    finish() {
+        for (let i = 0; i < this.objectSnapshots.length; ++i) {
+            const { target, copy, deep } = this.objectSnapshots[i];
+            this.internalDiffObject(target, copy, deep);
+        }
+
+        for (let i = 0; i < this.mapSnapshots.length; ++i) {
+            const { target, copy } = this.mapSnapshots[i];
+            const keys = new Set([...copy.keys(), ...target.keys()]);
+            keys.forEach(key => {
+                if (target.get(key) !== copy.get(key) || target.has(key) !== copy.has(key)) {
+                    this.mapEntries.push({
+                        target,
+                        key,
+                        value: target.get(key),
+                        previous: copy.get(key),
+                        existed: copy.has(key),
+                    });
+                }
+            });
+        }
+
+        for (let i = 0; i < this.arraySnapshots.length; ++i) {
+            const { target, copy } = this.arraySnapshots[i];
+            const added = target.filter(item => !copy.includes(item));
+            const removed = [];
+            for (let k = 0; k < copy.length; ++k) {
+                if (!target.includes(copy[k])) {
+                    removed.push({ item: copy[k], index: k });
+                }
+            }
+
+            if (added.length > 0 || removed.length > 0) {
+                this.arrays.push({ target, added, removed });
+            }
+        }
+
+        this.objectSnapshots = [];
+        this.mapSnapshots = [];
+        this.arraySnapshots = [];
+    }
+
+    /**
+     * @param {object} target
+     * @param {object} copy
+     * @param {boolean} deep
+     */
+    internalDiffObject(target, copy, deep) {
+        const keys = new Set([...Object.keys(copy), ...Object.keys(target)]);
+        keys.forEach(key => {
+            const value = target[key];
+            const previous = copy[key];
+
+            if (
+                deep &&
+                typeof value === "object" &&
+                value !== null &&
+                typeof previous === "object" &&
+                previous !== null
+            ) {
+                this.internalDiffObject(value, previous, true);
+                return;
+            }
+
+            if (value !== previous || key in target !== key in copy) {
+                this.properties.push({
+                    target,
+                    key,
+                    value,
+                    previous,
+                    existed: key in copy,
+                });
+            }
+        });
+    }
+
+    /**
+     * Reverts everything the mod registered. Values which were changed again afterwards,
+     * e.g. by another mod, are kept.
+     */
+    revert() {
+        for (let i = this.properties.length - 1; i >= 0; --i) {
+            const { target, key, value, previous, existed } = this.properties[i];
+            if (target[key] !== value) {
+                logger.warn("Not reverting", key, "of mod", this.modId, "since it was changed since");
+                continue;
+            }
+
+            if (existed) {
+                target[key] = previous;
+            } else {
+                delete target[key];
+            }
+        }
+
+        for (let i = this.mapEntries.length - 1; i >= 0; --i) {
+            const { target, key, value, previous, existed } = this.mapEntries[i];
+            if (target.get(key) !== value) {
+                logger.warn("Not reverting", key, "of mod", this.modId, "since it was changed since");
+                continue;
+            }
+
+            if (existed) {
+                target.set(key, previous);
+            } else {
+                target.delete(key);
+            }
+        }
+
+        for (let i = this.arrays.length - 1; i >= 0; --i) {
+            const { target, added, removed } = this.arrays[i];
+            for (let k = 0; k < added.length; ++k) {
+                const index = target.indexOf(added[k]);
+                if (index >= 0) {
+                    target.splice(index, 1);
+                }
+            }
+            for (let k = 0; k < removed.length; ++k) {
+                const { item, index } = removed[k];
+                if (!target.includes(item)) {
+                    target.splice(Math.min(index, target.length), 0, item);
+                }
+            }
+        }
+
+        for (let i = 0; i < this.nodes.length; ++i) {
+            const node = this.nodes[i];
+            if (node.parentNode) {
+                node.parentNode.removeChild(node);
+            }
+        }
+
+        this.properties = [];
+        this.mapEntries = [];
+        this.arrays = [];
+        this.nodes = [];
+    }
+}
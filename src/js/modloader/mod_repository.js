@@ -0,0 +1,317 @@
+import { createLogger } from "../core/logging";
+import { computeCrc, CRC_PREFIX, sha1 } from "../core/sensitive_utils.encrypt";
+import { getIPCRenderer } from "../core/utils";
+import { isValidModId } from "./mod_id";
+import { parseVersion, compareVersions, satisfiesRange } from "./semver";
+
+const logger = createLogger("mod_repository");
+
+/**
+ * Used if the mod pack does not specify a repository. Without a scheme it is a file in the mods
+ * folder in the standalone and relative to the page in the browser.
+ */
+export const DEFAULT_REPOSITORY_URL = "repository.json";
+
+/**
+ * A single version of a mod in the repository index. The url is relative to the index, at least one
+ * checksum has to be given.
+ * @typedef {{
+ *   version: string,
+ *   url: string,
+ *   sha1?: string,
+ *   crc?: string,
+ *   gameVersion?: string,
+ *   dependencies?: import("./mod").ModInfo["dependencies"]
+ * }} ModRepositoryVersion
+ *
+ * @typedef {{
+ *   id: string,
+ *   title: string,
+ *   description?: string,
+ *   authors?: Array<string>,
+ *   versions: Array<ModRepositoryVersion>
+ * }} ModRepositoryEntry
+ *
+ * @typedef {{
+ *   mods: Array<ModRepositoryEntry>
+ * }} ModRepositoryIndex
+ *
+ * @typedef {{
+ *   entry: ModRepositoryEntry,
+ *   version: ModRepositoryVersion
+ * }} ModInstallStep
+ */
+
+/**
+ * Client for a mod repository, which is described by a JSON index. Subclass it and assign an
+ * instance to shapezAPI.modManager.repository to use a different source.
+ */
+export class ModRepository {
+    /**
+     * @param {string} indexUrl Url of the index, either http(s) or a file in the mods folder
+     * @param {object} param1
+     * @param {number=} param1.timeout Timeout of each request in milliseconds
+     */
+    constructor(indexUrl, { timeout = 60 * 1000 } = {}) {
+        this.indexUrl = indexUrl;
+        this.timeout = timeout;
+
+        /** @type {ModRepositoryIndex} */
+        this.index = null;
+    }
+
+    /**
+     * Returns whether the url is a file in the mods folder instead of a remote url
+     * @param {string} url
+     * @returns {boolean}
+     */
+    isLocalUrl(url) {
+        return G_IS_STANDALONE && !/^[a-z][a-z0-9+.-]*:/i.test(url);
+    }
+
+    /**
+     * Resolves an url from the index relative to the index
+     * @param {string} url
+     * @returns {string}
+     */
+    resolveUrl(url) {
+        if (this.isLocalUrl(this.indexUrl)) {
+            return url;
+        }
+        return new URL(url, new URL(this.indexUrl, window.location.href)).href;
+    }
+
+    /**
+     * Reads a file from the mods folder or downloads it
+     * @param {string} url
+     * @returns {Promise<string>}
+     */
+    readText(url) {
+        if (this.isLocalUrl(url)) {
+            const result = getIPCRenderer().sendSync("fs-sync-job", {
+                mods: true,
+                type: "read",
+                filename: url,
+            });
+            if (result.error) {
+                return Promise.reject("Reading '" + url + "' failed: " + result.error);
+            }
+            return Promise.resolve(result.data);
+        }
+
+        /** @type {Object<string, string>} */
+        const headers = {};
+        if (shapezAPI.user && shapezAPI.user.token) {
+            headers.Authorization = "Bearer " + shapezAPI.user.token;
+        }
+
+        return Promise.race([
+            new Promise((resolve, reject) => {
+                setTimeout(() => reject("Downloading from '" + url + "' timed out"), this.timeout);
+            }),
+            fetch(url, { method: "GET", cache: "no-cache", headers }).then(res => {
+                if (!res.ok) {
+                    return Promise.reject("Downloading from '" + url + "' failed: " + res.status);
+                }
+                return res.text();
+            }),
+        ]);
+    }
+
+    /**
+     * Fetches the index of the repository
+     * @returns {Promise<ModRepositoryIndex>}
+     */
+    fetchIndex() {
+        return this.readText(this.indexUrl).then(text => {
+            const index = JSON.parse(text);
+            if (!index || !Array.isArray(index.mods)) {
+                return Promise.reject("The mod repository index is invalid");
+            }
+            this.index = index;
+            return index;
+        });
+    }
+
+    /**
+     * Returns the entry of a mod in the index, requires the index to be fetched
+     * @param {string} id
+     * @returns {ModRepositoryEntry|null}
+     */
+    getEntry(id) {
+        assert(this.index, "Mod repository index not fetched yet");
+        return this.index.mods.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Returns the highest version of a mod which satisfies the range and the game version
+     * @param {ModRepositoryEntry} entry
+     * @param {string} range
+     * @returns {ModRepositoryVersion|null}
+     */
+    findVersion(entry, range) {
+        const versions = entry.versions
+            .filter(version => parseVersion(version.version))
+            .filter(version => satisfiesRange(version.version, range))
+            .filter(version => !version.gameVersion || satisfiesRange(G_BUILD_VERSION, version.gameVersion))
+            .sort((a, b) => compareVersions(parseVersion(b.version), parseVersion(a.version)));
+        return versions[0] || null;
+    }
+
+    /**
+     * Resolves which mods have to be installed for the given mod, including its dependencies.
+     * Dependencies come first, mods which are already installed in a matching version are skipped.
+     * Optional dependencies are not installed. Requires the index to be fetched.
+     * @param {string} id
+     * @param {string=} range
+     * @returns {Array<ModInstallStep>}
+     */
+    resolveInstall(id, range = "*") {
+        const modManager = shapezAPI.modManager;
+
+        /** @type {Array<ModInstallStep>} */
+        const steps = [];
+
+        /** @type {Array<string>} */
+        const visiting = [];
+
+        const visit = (modId, modRange, requiredBy) => {
+            const planned = steps.find(step => step.entry.id === modId);
+            if (planned) {
+                const plannedVersion = planned.version.version;
+                if (!satisfiesRange(plannedVersion, modRange)) {
+                    throw new Error(
+                        requiredBy + " requires " + modId + " " + modRange + ", not " + plannedVersion
+                    );
+                }
+                return;
+            }
+
+            const installed = modManager.mods.get(modId);
+            if (installed && satisfiesRange(installed.version, modRange)) {
+                return;
+            }
+
+            if (visiting.includes(modId)) {
+                throw new Error("Circular dependency on " + modId);
+            }
+
+            const entry = this.getEntry(modId);
+            if (!entry) {
+                throw new Error("Mod " + modId + " is not in the repository");
+            }
+
+            const version = this.findVersion(entry, modRange);
+            if (!version) {
+                throw new Error("No version of " + entry.title + " matches " + modRange);
+            }
+
+            visiting.push(modId);
+            const dependencies = modManager.getDependencies(/** @type {any} */ (version));
+            for (let i = 0; i < dependencies.length; ++i) {
+                if (dependencies[i].optional) continue;
+                visit(dependencies[i].id, dependencies[i].version, entry.title);
+            }
+            visiting.pop();
+
+            steps.push({ entry, version });
+        };
+
+        visit(id, range, null);
+        return steps;
+    }
+
+    /**
+     * Verifies the checksum of a downloaded mod
+     * @param {ModRepositoryVersion} version
+     * @param {string} code
+     * @returns {boolean}
+     */
+    verifyChecksum(version, code) {
+        if (version.sha1) {
+            return sha1(code) === version.sha1.toLowerCase();
+        }
+        if (version.crc) {
+            const crc = computeCrc(code);
+            return crc === version.crc || crc.substr(CRC_PREFIX.length) === version.crc.toLowerCase();
+        }
+        return false;
+    }
+
+    /**
+     * Downloads and verifies a single mod version
+     * @param {ModInstallStep} step
+     * @returns {Promise<{ url: string, code: string }>}
+     */
+    download(step) {
+        const url = this.resolveUrl(step.version.url);
+        return this.readText(url).then(code => {
+            if (!this.verifyChecksum(step.version, code)) {
+                return Promise.reject(
+                    "Checksum of " + step.entry.title + " " + step.version.version + " does not match"
+                );
+            }
+            return { url, code };
+        });
+    }
+
+    /**
+     * Installs a mod and its dependencies. In the standalone they are written to the mods folder,
+     * in the browser they are added to the mod pack. They are loaded on the next start.
+     * @param {string} id
+     * @param {string=} range
+     * @returns {Promise<Array<ModInstallStep>>} The installed mods
+     */
+    install(id, range = "*") {
+        const modManager = shapezAPI.modManager;
+
+        /** @type {Array<ModInstallStep>} */
+        let steps;
+        try {
+            steps = this.resolveInstall(id, range);
+        } catch (ex) {
+            return Promise.reject(ex.message);
+        }
+
+        // The id becomes the file name in the mods folder, so it must not be able to point anywhere else
+        const invalid = steps.find(step => !isValidModId(step.entry.id) || /[\\/]|\.\./.test(step.entry.id));
+        if (invalid) {
+            return Promise.reject("The mod repository contains the invalid mod id " + invalid.entry.id);
+        }
+
+        // Download and verify everything first, so a broken mod does not leave a partial install
+        return Promise.all(steps.map(step => this.download(step))).then(downloads => {
+            const modPack = Object.assign({ mods: [] }, modManager.modPack);
+            modPack.mods = modPack.mods.slice();
+
+            for (let i = 0; i < steps.length; ++i) {
+                const { entry, version } = steps[i];
+                logger.log("Installing", entry.title, version.version);
+
+                if (G_IS_STANDALONE) {
+                    const source = modManager.modSources.get(entry.id);
+                    const result = getIPCRenderer().sendSync("fs-sync-job", {
+                        mods: true,
+                        type: "write",
+                        filename: source && source.fromFile ? source.url : entry.id + ".js",
+                        contents: downloads[i].code,
+                    });
+                    if (result.error) {
+                        return Promise.reject("Installing " + entry.title + " failed: " + result.error);
+                    }
+                } else {
+                    const existing = modPack.mods.find(mod => mod.id === entry.id);
+                    if (existing) {
+                        modPack.mods[modPack.mods.indexOf(existing)] = Object.assign({}, existing, {
+                            url: downloads[i].url,
+                        });
+                    } else {
+                        modPack.mods.push({ url: downloads[i].url, id: entry.id, config: {}, settings: {} });
+                    }
+                }
+            }
+
+            return (G_IS_STANDALONE ? Promise.resolve() : modManager.writeModPack(modPack)).then(() => steps);
+        });
+    }
+}
@@ -1,22 +1,52 @@
+import { gComponentRegistry, gGameSpeedRegistry, gItemRegistry } from "../core/global_registries";
 import { getIPCRenderer } from "../core/utils";
-import { matchOverwriteRecursive } from "../translations";
+import { initComponentRegistry } from "../game/component_registry";
+import { initGameSpeedRegistry } from "../game/game_speed_registry";
+import { initItemRegistry } from "../game/item_registry";
+import { rebuildMetaBuildingRegistry } from "../game/meta_building_registry";
+import { matchOverwriteRecursive, T } from "../translations";
 import { ShapezAPI } from "./mod";
+import { isValidModId } from "./mod_id";
+import { DEFAULT_REPOSITORY_URL, ModRepository } from "./mod_repository";
 import { matchOverwriteRecursiveSettings } from "./overwrite";
+import { isValidRange, satisfiesRange } from "./semver";
 
 /**
  * @typedef {{
- *  mods: [
- *      {
- *          url: string,
- *          id: string,
- *          config: {},
- *          settings: {},
- *      },
- *  ],
- *  modOrder?: [],
+ *  mods: Array<{
+ *      url: string,
+ *      id: string,
+ *      config: {},
+ *      settings: {},
+ *  }>,
+ *  modOrder?: Array<string>,
+ *  disabled?: Array<string>,
+ *  repository?: string,
  * }} ModPack
  */
 
+/**
+ * Why a mod could not be loaded. The target is the id of the other mod involved, if any,
+ * expected is the version range which was not satisfied and found the version found instead.
+ * @typedef {{
+ *  modId: string,
+ *  type: "missingDependency"|"dependencyDisabled"|"dependencyFailed"|"dependencyVersion"
+ *      |"dependencyCycle"|"incompatible"|"gameVersion"|"invalidRange",
+ *  target: string,
+ *  expected: string,
+ *  found: string,
+ * }} ModLoadFailure
+ */
+
+/**
+ * A mod which threw in one of its entry points and got disabled because of it
+ * @typedef {{
+ *  modId: string,
+ *  entryPoint: string,
+ *  error: string,
+ * }} ModError
+ */
+
 const Toposort = require("toposort-class");
 
 const INFOType = {
@@ -49,7 +79,55 @@ export class ModManager {
 
         this.modPack = modPack;
 
+        /**
+         * Where each mod was loaded from, required to reload it
+         * @type {Map<String, { url: String, fromFile: boolean }>}
+         */
+        this.modSources = new Map();
+
+        /**
+         * Source of the mod script which is currently being added
+         * @type {{ url: String, fromFile: boolean }}
+         */
+        this.nextModSource = null;
+
+        /**
+         * Why mods were not loaded, filled by loadMods
+         * @type {Array<ModLoadFailure>}
+         */
+        this.loadFailures = [];
+
+        /**
+         * Mods which threw in one of their entry points
+         * @type {Array<ModError>}
+         */
+        this.modErrors = [];
+
+        /**
+         * Whether loadMods finished, before that the registries are not initialized yet
+         */
+        this.modsLoaded = false;
+
+        /**
+         * Whether a game is running. Its entities and hud keep references to the building
+         * instances, so the registries must not be rebuilt until it ends.
+         */
+        this.gameRunning = false;
+
+        /**
+         * Whether mods were rolled back while a game was running, so the registries still have to
+         * be rebuilt
+         */
+        this.registriesOutdated = false;
+
+        /**
+         * Where mods are installed from, the index url can be set in the mod pack
+         * @type {ModRepository}
+         */
+        this.repository = new ModRepository((modPack && modPack.repository) || DEFAULT_REPOSITORY_URL);
+
         window["shapezAPI"] = new ShapezAPI(user);
+        shapezAPI.modManager = this;
 
         /**
          * Registers a mod
@@ -71,7 +149,7 @@ export class ModManager {
             return;
         }
 
-        if (!mod.id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i)) {
+        if (!isValidModId(mod.id)) {
             console.warn("Mod with mod id: " + mod.id + " has no uuid");
             return;
         }
@@ -82,6 +160,9 @@ export class ModManager {
         }
 
         this.mods.set(mod.id, mod);
+        if (this.nextModSource) {
+            this.modSources.set(mod.id, this.nextModSource);
+        }
     }
 
     /**
@@ -101,7 +182,9 @@ export class ModManager {
                 modScript.textContent = modCode;
                 modScript.type = "text/javascript";
                 try {
+                    this.nextModSource = { url, fromFile };
                     document.head.appendChild(modScript);
+                    this.nextModSource = null;
                     resolve();
                 } catch (ex) {
                     console.error("Failed to insert mod, bad js:", ex);
@@ -138,7 +221,9 @@ export class ModManager {
                             modScript.textContent = modCode;
                             modScript.type = "text/javascript";
                             try {
+                                this.nextModSource = { url, fromFile };
                                 document.head.appendChild(modScript);
+                                this.nextModSource = null;
                                 resolve();
                             } catch (ex) {
                                 console.error("Failed to insert mod, bad js:", ex);
@@ -193,41 +278,374 @@ export class ModManager {
     loadMods() {
         shapezAPI.mods = this.mods;
 
-        if (!this.modPack || !this.modPack.modOrder) {
-            var sorter = new Toposort();
-            for (const [id, mod] of this.mods.entries()) {
-                let isMissingDependecie = false;
-                let missingDependecie = "";
-                for (let i = 0; i < mod.dependencies.length; i++) {
-                    const dependencie = mod.dependencies[i];
-                    if (this.mods.has(dependencie)) continue;
-                    isMissingDependecie = true;
-                    missingDependecie = dependencie;
+        const resolved = this.resolveMods();
+
+        // The order saved in the mod pack can't break dependencies and load order hints
+        const preferredOrder = this.modPack && this.modPack.modOrder ? this.modPack.modOrder : resolved;
+        shapezAPI.modOrder = this.sortMods(resolved, preferredOrder);
+
+        const order = shapezAPI.modOrder.slice();
+        for (let i = 0; i < order.length; i++) {
+            // Mods can be removed from the order if a dependency failed
+            if (!shapezAPI.modOrder.includes(order[i])) continue;
+            this.runModEntryPoint(order[i], "main", () => this.loadMod(order[i]));
+        }
+        this.modsLoaded = true;
+    }
+
+    /**
+     * Calls a hook like gameInitializedRootClasses on all loaded mods
+     * @param {"gameInitializedRootClasses"|"gameInitializedRootManagers"|"gameBeforeFirstUpdate"} hook
+     * @param {import("../game/root").GameRoot} root
+     */
+    callModHook(hook, root) {
+        const order = shapezAPI.modOrder.slice();
+        for (let i = 0; i < order.length; i++) {
+            const mod = this.mods.get(order[i]);
+            if (!shapezAPI.modOrder.includes(mod.id)) continue;
+            this.runModEntryPoint(mod.id, hook, () => mod[hook](root), root);
+        }
+    }
+
+    /**
+     * Runs an entry point of a mod. If it throws, the mod gets marked as errored and everything
+     * it and the mods depending on it registered is rolled back, so the other mods keep running.
+     * Things which were already created from the registries, like the systems of a running game,
+     * are not affected by the rollback, the registries are rebuilt once the game ended.
+     * @param {String} id
+     * @param {String} entryPoint
+     * @param {function():void} callback
+     * @param {import("../game/root").GameRoot=} root The game the entry point belongs to, if any
+     * @returns {boolean} Whether the entry point ran without errors
+     */
+    runModEntryPoint(id, entryPoint, callback, root = null) {
+        // Listeners and patches added by the entry point belong to the mod
+        const previousEntryPoint = shapezAPI.currentEntryPoint;
+        shapezAPI.currentEntryPoint = { modId: id, root };
+        try {
+            callback();
+            return true;
+        } catch (ex) {
+            console.error("Mod with mod id: " + id + " failed in " + entryPoint + ":", ex);
+            this.modErrors.push({
+                modId: id,
+                entryPoint,
+                error: ex instanceof Error ? ex.message : String(ex),
+            });
+
+            const ids = this.rollbackMod(id);
+            for (let i = 0; i < ids.length; i++) {
+                if (ids[i] === id) continue;
+                this.addLoadFailure(ids[i], "dependencyFailed", id, null, null);
+            }
+            return false;
+        } finally {
+            shapezAPI.currentEntryPoint = previousEntryPoint;
+        }
+    }
+
+    /**
+     * Returns whether the mod threw in one of its entry points
+     * @param {String} id
+     * @returns {boolean}
+     */
+    isModErrored(id) {
+        return this.modErrors.some(error => error.modId === id);
+    }
+
+    /**
+     * Returns the dependencies of a mod, plain ids are required dependencies of any version
+     * @param {import("./mod").ModInfo} mod
+     * @returns {Array<{ id: string, version: string, optional: boolean }>}
+     */
+    getDependencies(mod) {
+        return (mod.dependencies || []).map(dependency =>
+            typeof dependency === "string"
+                ? { id: dependency, version: "*", optional: false }
+                : {
+                      id: dependency.id,
+                      version: dependency.version || "*",
+                      optional: !!dependency.optional,
+                  }
+        );
+    }
+
+    /**
+     * Returns the mods a mod is incompatible with, plain ids are incompatible in any version
+     * @param {import("./mod").ModInfo} mod
+     * @returns {Array<{ id: string, version: string }>}
+     */
+    getIncompatibilities(mod) {
+        return (mod.incompatible || []).map(incompatible =>
+            typeof incompatible === "string"
+                ? { id: incompatible, version: "*" }
+                : { id: incompatible.id, version: incompatible.version || "*" }
+        );
+    }
+
+    /**
+     * Checks the dependencies, incompatibilities and game version of all enabled mods and returns
+     * the ids of the mods which can be loaded, in registration order. Everything else is recorded
+     * in the load failures.
+     * @returns {Array<String>}
+     */
+    resolveMods() {
+        this.loadFailures = [];
+
+        /** @type {Array<String>} */
+        let candidates = [...this.mods.keys()].filter(id => !this.isModDisabled(id));
+
+        for (let i = 0; i < candidates.length; i++) {
+            const mod = this.mods.get(candidates[i]);
+            this.checkGameVersion(mod);
+            this.checkDependencies(mod, candidates);
+            this.checkIncompatibilities(mod, candidates);
+        }
+        this.checkDependencyCycles(candidates);
+
+        // Removing a mod can break the mods depending on it, so repeat until nothing changes
+        let failed = this.getFailedMods();
+        while (candidates.some(id => failed.includes(id))) {
+            candidates = candidates.filter(id => !failed.includes(id));
+            for (let i = 0; i < candidates.length; i++) {
+                const mod = this.mods.get(candidates[i]);
+                const dependencies = this.getDependencies(mod);
+                for (let k = 0; k < dependencies.length; k++) {
+                    const dependency = dependencies[k];
+                    if (dependency.optional || !failed.includes(dependency.id)) continue;
+                    this.addLoadFailure(mod.id, "dependencyFailed", dependency.id, dependency.version, null);
                 }
+            }
+            failed = this.getFailedMods();
+        }
 
-                if (isMissingDependecie) {
-                    console.warn(
-                        "Mod with mod id: " +
-                        mod.id +
-                        " is disabled because it's missings the dependecie " +
-                        missingDependecie
-                    );
-                    continue;
-                } else sorter.add(id, mod.dependencies);
+        for (let i = 0; i < this.loadFailures.length; i++) {
+            console.warn(
+                "Mod with mod id: " + this.loadFailures[i].modId + " is not loaded:",
+                this.loadFailures[i]
+            );
+        }
+
+        return candidates;
+    }
+
+    /**
+     * @param {import("./mod").ModInfo} mod
+     */
+    checkGameVersion(mod) {
+        // Numeric game versions are from before ranges were supported and are not checked
+        if (typeof mod.gameVersion !== "string" || mod.gameVersion.length === 0) {
+            return;
+        }
+
+        if (!isValidRange(mod.gameVersion)) {
+            this.addLoadFailure(mod.id, "invalidRange", null, mod.gameVersion, null);
+        } else if (!satisfiesRange(G_BUILD_VERSION, mod.gameVersion)) {
+            this.addLoadFailure(mod.id, "gameVersion", null, mod.gameVersion, G_BUILD_VERSION);
+        }
+    }
+
+    /**
+     * @param {import("./mod").ModInfo} mod
+     * @param {Array<String>} candidates
+     */
+    checkDependencies(mod, candidates) {
+        const dependencies = this.getDependencies(mod);
+        for (let i = 0; i < dependencies.length; i++) {
+            const { id, version, optional } = dependencies[i];
+            if (!isValidRange(version)) {
+                this.addLoadFailure(mod.id, "invalidRange", id, version, null);
+                continue;
             }
-            shapezAPI.modOrder = sorter.sort().reverse();
-        } else {
-            /** @typedef {string[]} */
-            shapezAPI.modOrder = this.modPack.modOrder;
-            for (const [id, mod] of this.mods.entries()) {
-                if (shapezAPI.modOrder.includes(id)) continue;
-                shapezAPI.modOrder.push(id);
+
+            if (!candidates.includes(id)) {
+                if (optional) continue;
+                if (this.mods.has(id)) {
+                    this.addLoadFailure(mod.id, "dependencyDisabled", id, version, null);
+                } else {
+                    this.addLoadFailure(mod.id, "missingDependency", id, version, null);
+                }
+                continue;
+            }
+
+            // Optional dependencies still have to match, if they are installed
+            const found = this.mods.get(id).version;
+            if (!satisfiesRange(found, version)) {
+                this.addLoadFailure(mod.id, "dependencyVersion", id, version, found);
+            }
+        }
+    }
+
+    /**
+     * @param {import("./mod").ModInfo} mod
+     * @param {Array<String>} candidates
+     */
+    checkIncompatibilities(mod, candidates) {
+        const incompatibilities = this.getIncompatibilities(mod);
+        for (let i = 0; i < incompatibilities.length; i++) {
+            const { id, version } = incompatibilities[i];
+            if (!isValidRange(version)) {
+                this.addLoadFailure(mod.id, "invalidRange", id, version, null);
+                continue;
+            }
+
+            if (!candidates.includes(id)) continue;
+
+            const found = this.mods.get(id).version;
+            if (satisfiesRange(found, version)) {
+                this.addLoadFailure(mod.id, "incompatible", id, version, found);
+            }
+        }
+    }
+
+    /**
+     * Fails all mods which (indirectly) require themselves
+     * @param {Array<String>} candidates
+     */
+    checkDependencyCycles(candidates) {
+        for (let i = 0; i < candidates.length; i++) {
+            const id = candidates[i];
+            const dependencies = this.getDependencies(this.mods.get(id));
+            for (let k = 0; k < dependencies.length; k++) {
+                if (this.dependsOn(dependencies[k].id, id, candidates)) {
+                    this.addLoadFailure(id, "dependencyCycle", dependencies[k].id, null, null);
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns whether a mod (indirectly) depends on another mod, only following the candidates
+     * @param {String} id
+     * @param {String} otherId
+     * @param {Array<String>} candidates
+     * @returns {boolean}
+     */
+    dependsOn(id, otherId, candidates) {
+        const queue = [id];
+        const visited = [];
+        while (queue.length > 0) {
+            const currentId = queue.shift();
+            if (visited.includes(currentId) || !candidates.includes(currentId)) continue;
+            visited.push(currentId);
+
+            const dependencies = this.getDependencies(this.mods.get(currentId));
+            for (let i = 0; i < dependencies.length; i++) {
+                if (dependencies[i].id === otherId) return true;
+                queue.push(dependencies[i].id);
             }
         }
+        return false;
+    }
+
+    /**
+     * Sorts the mods so they are loaded after their dependencies, also respecting the
+     * loadAfter and loadBefore hints where possible. Mods which are not bound by any of these are
+     * kept in the preferred order, e.g. the one saved in the mod pack.
+     * @param {Array<String>} ids
+     * @param {Array<String>=} preferredOrder
+     * @returns {Array<String>}
+     */
+    sortMods(ids, preferredOrder = ids) {
+        /**
+         * Returns the mods which have to be loaded before each mod
+         * @param {boolean} useHints
+         * @returns {Map<String, Array<String>>}
+         */
+        const getEdges = useHints => {
+            const edges = new Map(ids.map(id => [id, []]));
+            for (let i = 0; i < ids.length; i++) {
+                const mod = this.mods.get(ids[i]);
+                let after = this.getDependencies(mod).map(dependency => dependency.id);
+                if (useHints && mod.loadAfter) after.push(...mod.loadAfter);
+                edges.get(mod.id).push(...after.filter(id => ids.includes(id)));
+
+                if (useHints && mod.loadBefore) {
+                    const before = mod.loadBefore.filter(id => ids.includes(id));
+                    for (let k = 0; k < before.length; k++) {
+                        edges.get(before[k]).push(mod.id);
+                    }
+                }
+            }
+
+            // Throws if the mods depend on each other
+            const sorter = new Toposort();
+            for (const [id, after] of edges) {
+                sorter.add(id, after);
+            }
+            sorter.sort();
+            return edges;
+        };
+
+        let edges;
+        try {
+            edges = getEdges(true);
+        } catch (ex) {
+            console.warn("Mod load order hints are contradicting and are ignored:", ex);
+            edges = getEdges(false);
+        }
+
+        const getRank = id => {
+            const index = preferredOrder.indexOf(id);
+            return index < 0 ? preferredOrder.length : index;
+        };
+        const remaining = ids.slice().sort((a, b) => getRank(a) - getRank(b));
 
-        for (let i = 0; i < shapezAPI.modOrder.length; i++) {
-            this.loadMod(shapezAPI.modOrder[i]);
+        // Always takes the first preferred mod whose requirements are already loaded
+        const order = [];
+        while (remaining.length > 0) {
+            const index = remaining.findIndex(id => edges.get(id).every(after => order.includes(after)));
+            order.push(remaining.splice(index, 1)[0]);
         }
+        return order;
+    }
+
+    /**
+     * @param {String} modId
+     * @param {ModLoadFailure["type"]} type
+     * @param {String} target
+     * @param {String} expected
+     * @param {String} found
+     */
+    addLoadFailure(modId, type, target, expected, found) {
+        this.loadFailures.push({ modId, type, target, expected, found });
+    }
+
+    /**
+     * Returns the ids of all mods which failed to load
+     * @returns {Array<String>}
+     */
+    getFailedMods() {
+        const ids = [];
+        for (let i = 0; i < this.loadFailures.length; i++) {
+            if (!ids.includes(this.loadFailures[i].modId)) {
+                ids.push(this.loadFailures[i].modId);
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * Returns a readable description of a load failure
+     * @param {ModLoadFailure} failure
+     * @returns {String}
+     */
+    describeLoadFailure(failure) {
+        const target = this.mods.has(failure.target) ? this.mods.get(failure.target).title : failure.target;
+        return T.mods.failures[failure.type]
+            .replace("<target>", target)
+            .replace("<expected>", failure.expected || "*")
+            .replace("<found>", failure.found || "");
+    }
+
+    /**
+     * Returns a readable description of a mod error
+     * @param {ModError} error
+     * @returns {String}
+     */
+    describeModError(error) {
+        return T.mods.errored.replace("<entryPoint>", error.entryPoint).replace("<error>", error.error);
     }
 
     /**
@@ -236,27 +654,223 @@ export class ModManager {
      */
     loadMod(id) {
         var mod = this.mods.get(id);
-        for (const [id, currentMod] of this.mods.entries()) {
-            if (mod.incompatible.indexOf(id) >= 0) {
-                console.warn(
-                    "Mod with mod id: " + mod.id + " is disabled because it's incompatible with " + id
-                );
-                return;
+        shapezAPI.beginModRegistration(id);
+        try {
+            const language = mod.translations["en"];
+            if (language) {
+                matchOverwriteRecursive(shapezAPI.translations, language);
+            }
+
+            const modPackEntry = this.getModPackEntry(id);
+            if (modPackEntry && modPackEntry.settings) {
+                matchOverwriteRecursiveSettings(mod.settings, modPackEntry.settings);
             }
+
+            if (modPackEntry) mod.main(modPackEntry.config);
+            else mod.main();
+        } finally {
+            shapezAPI.endModRegistration();
         }
-        const language = mod.translations["en"];
-        if (language) {
-            matchOverwriteRecursive(shapezAPI.translations, language);
+    }
+
+    /**
+     * Returns the entry of the mod in the mod pack, if any
+     * @param {String} id
+     */
+    getModPackEntry(id) {
+        if (!this.modPack || !this.modPack.mods) {
+            return null;
         }
+        return this.modPack.mods.find(mod => mod.id === id) || null;
+    }
 
-        if (this.modPack && this.modPack.mods) {
-            const settings = this.modPack.mods.find(mod => mod.id === id).settings;
-            if (settings) {
-                matchOverwriteRecursiveSettings(mod.settings, settings);
+    /**
+     * Returns whether the mod got disabled in the mod pack
+     * @param {String} id
+     * @returns {boolean}
+     */
+    isModDisabled(id) {
+        return !!this.modPack && !!this.modPack.disabled && this.modPack.disabled.includes(id);
+    }
+
+    /**
+     * Stores the mod pack, which is used from the next start on. In the standalone it is written
+     * to the modpack.json in the mods folder, in the browser to the local storage.
+     * @param {ModPack} modPack
+     * @returns {Promise<void>}
+     */
+    writeModPack(modPack) {
+        const contents = JSON.stringify(modPack, null, 4);
+        if (G_IS_STANDALONE) {
+            const result = getIPCRenderer().sendSync("fs-sync-job", {
+                mods: true,
+                type: "write",
+                filename: "modpack.json",
+                contents,
+            });
+            if (result.error) {
+                return Promise.reject(result.error);
             }
+        } else {
+            localStorage.setItem("instance", contents);
         }
 
-        if (this.modPack && this.modPack.mods) mod.main(this.modPack.mods.find(mod => mod.id === id).config);
-        else mod.main();
+        this.modPack = modPack;
+        return Promise.resolve();
+    }
+
+    /**
+     * Returns the ids of all loaded mods which depend on the given mod, directly or indirectly
+     * @param {String} id
+     * @returns {Array<String>}
+     */
+    getDependentMods(id) {
+        const dependents = [];
+        const queue = [id];
+        while (queue.length > 0) {
+            const currentId = queue.shift();
+            for (let i = 0; i < shapezAPI.modOrder.length; i++) {
+                const otherId = shapezAPI.modOrder[i];
+                const other = this.mods.get(otherId);
+                if (!other || dependents.includes(otherId)) continue;
+                if (!this.getDependencies(other).some(dependency => dependency.id === currentId)) continue;
+                dependents.push(otherId);
+                queue.push(otherId);
+            }
+        }
+        return dependents;
+    }
+
+    /**
+     * Reverts everything a mod and all mods depending on it registered and removes them from the
+     * load order, but keeps them registered. Returns the ids of all affected mods, in load order.
+     * @param {String} id
+     * @returns {Array<String>}
+     */
+    rollbackMod(id) {
+        const ids = [id, ...this.getDependentMods(id)].filter(modId => this.mods.has(modId));
+        ids.sort((a, b) => shapezAPI.modOrder.indexOf(a) - shapezAPI.modOrder.indexOf(b));
+
+        // Unload in reverse order, so dependents are gone before their dependencies
+        for (let i = ids.length - 1; i >= 0; i--) {
+            const modId = ids[i];
+            const mod = this.mods.get(modId);
+
+            // Mods without registrations did not run yet
+            if (mod.unload && shapezAPI.registrations.has(modId)) {
+                try {
+                    mod.unload();
+                } catch (ex) {
+                    console.error("Mod with mod id: " + modId + " failed to unload:", ex);
+                }
+            }
+
+            shapezAPI.unregisterMod(modId);
+
+            const index = shapezAPI.modOrder.indexOf(modId);
+            if (index >= 0) shapezAPI.modOrder.splice(index, 1);
+        }
+
+        shapezAPI.restoreTranslations();
+
+        if (this.modsLoaded) {
+            if (this.gameRunning) {
+                this.registriesOutdated = true;
+            } else {
+                this.rebuildRegistries();
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * Unloads a mod and all mods depending on it, reverting everything they registered.
+     * Returns the ids of all unloaded mods, in load order.
+     * @param {String} id
+     * @returns {Array<String>}
+     */
+    unloadMod(id) {
+        assertAlways(!this.gameRunning, "Mods can not be unloaded while a game is running");
+        const ids = this.rollbackMod(id);
+        for (let i = 0; i < ids.length; i++) {
+            this.mods.delete(ids[i]);
+            this.modErrors = this.modErrors.filter(error => error.modId !== ids[i]);
+            this.loadFailures = this.loadFailures.filter(failure => failure.modId !== ids[i]);
+        }
+        return ids;
+    }
+
+    /**
+     * Unloads a mod and loads it again from where it was loaded from, including all mods
+     * depending on it
+     * @param {String} id
+     * @returns {Promise}
+     */
+    reloadMod(id) {
+        if (this.gameRunning) {
+            return Promise.reject("Mods can not be reloaded while a game is running");
+        }
+        if (!this.modSources.has(id)) {
+            return Promise.reject("Mod with mod id: " + id + " can not be reloaded, its source is unknown");
+        }
+
+        const positions = new Map(shapezAPI.modOrder.map((modId, index) => [modId, index]));
+        const ids = this.unloadMod(id);
+
+        let promise = Promise.resolve(null);
+        for (let i = 0; i < ids.length; i++) {
+            const source = this.modSources.get(ids[i]);
+            if (!source) continue;
+            promise = promise.then(() => this.addMod(source.url, source.fromFile));
+        }
+
+        return promise.then(() => {
+            for (let i = 0; i < ids.length; i++) {
+                const modId = ids[i];
+                if (!this.mods.has(modId)) {
+                    console.warn("Mod with mod id: " + modId + " did not register itself again");
+                    continue;
+                }
+                shapezAPI.modOrder.splice(
+                    Math.min(positions.get(modId), shapezAPI.modOrder.length),
+                    0,
+                    modId
+                );
+                if (!this.runModEntryPoint(modId, "main", () => this.loadMod(modId))) {
+                    const error = this.modErrors[this.modErrors.length - 1];
+                    return Promise.reject(error.error);
+                }
+            }
+            this.rebuildRegistries();
+        });
+    }
+
+    /**
+     * Called by the game core when a game starts and ends. Rebuilds the registries if mods were
+     * rolled back during the last game, before the next game creates its root.
+     * @param {boolean} running
+     */
+    setGameRunning(running) {
+        this.gameRunning = running;
+        if (this.registriesOutdated) {
+            this.registriesOutdated = false;
+            this.rebuildRegistries();
+        }
+    }
+
+    /**
+     * Rebuilds all registries in place from the registrations on the api
+     */
+    rebuildRegistries() {
+        gComponentRegistry.clear();
+        initComponentRegistry();
+
+        gItemRegistry.clear();
+        initItemRegistry();
+
+        gGameSpeedRegistry.clear();
+        initGameSpeedRegistry();
+
+        rebuildMetaBuildingRegistry();
     }
 }
\ No newline at end of file
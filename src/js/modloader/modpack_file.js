@@ -0,0 +1,312 @@
+/* typehints:start */
+import { Application } from "../application";
+/* typehints:end */
+
+import { createLogger } from "../core/logging";
+import { getApplicationSettingById } from "../profile/application_settings";
+import { getModSettingId } from "../profile/mod_settings";
+import { DEFAULT_REPOSITORY_URL, ModRepository } from "./mod_repository";
+import { isValidModId } from "./mod_id";
+
+const logger = createLogger("modpack_file");
+
+/** Identifies modpack files */
+export const MODPACK_FILE_FORMAT = "shapez-modpack";
+
+/** Increase whenever the format changes, older files must stay importable */
+export const MODPACK_FILE_VERSION = 1;
+
+/**
+ * A shareable description of a mod setup
+ * @typedef {{
+ *   format: string,
+ *   version: number,
+ *   gameVersion: string,
+ *   mods: Array<{
+ *       id: string,
+ *       title: string,
+ *       version: string,
+ *       url: string,
+ *       config: object,
+ *       settings: Object<string, { value: any }>
+ *   }>,
+ *   modOrder: Array<string>,
+ *   disabled: Array<string>,
+ *   repository?: string
+ * }} ModPackFile
+ *
+ * @typedef {{
+ *   added: Array<ModPackFile["mods"][0]>,
+ *   removed: Array<ModPackFile["mods"][0]>,
+ *   versionChanged: Array<{ title: string, from: string, to: string }>,
+ *   enabled: Array<string>,
+ *   disabled: Array<string>,
+ *   settingsChanged: Array<string>,
+ *   orderChanged: boolean,
+ *   repository: string|null
+ * }} ModPackFileDiff
+ */
+
+/**
+ * Creates a modpack file from the current mods, their order and settings
+ * @returns {ModPackFile}
+ */
+export function exportModPackFile() {
+    const modManager = shapezAPI.modManager;
+    const modPack = modManager.modPack || { mods: [] };
+    const modOrder = (modPack.modOrder || shapezAPI.modOrder).filter(id => modManager.mods.has(id));
+    for (const id of modManager.mods.keys()) {
+        if (!modOrder.includes(id)) {
+            modOrder.push(id);
+        }
+    }
+
+    const mods = modOrder.map(id => {
+        const mod = modManager.mods.get(id);
+        const modPackEntry = modManager.getModPackEntry(id);
+        const source = modManager.modSources.get(id);
+
+        /** @type {Object<string, { value: any }>} */
+        const settings = {};
+        for (const key in mod.settings) {
+            if (mod.settings[key] && typeof mod.settings[key] === "object") {
+                settings[key] = { value: mod.settings[key].value };
+            }
+        }
+
+        return {
+            id,
+            title: mod.title,
+            version: mod.version,
+            // Files in the mods folder can not be downloaded by others
+            url: modPackEntry ? modPackEntry.url : source && !source.fromFile ? source.url : "",
+            config: modPackEntry && modPackEntry.config ? modPackEntry.config : {},
+            settings,
+        };
+    });
+
+    /** @type {ModPackFile} */
+    const file = {
+        format: MODPACK_FILE_FORMAT,
+        version: MODPACK_FILE_VERSION,
+        gameVersion: G_BUILD_VERSION,
+        mods,
+        modOrder,
+        disabled: modOrder.filter(id => modManager.isModDisabled(id)),
+    };
+    if (modPack.repository) {
+        file.repository = modPack.repository;
+    }
+    return file;
+}
+
+/**
+ * Returns whether the value is an object which is neither null nor an array
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validates a modpack file, returns the reason if it is invalid and null otherwise
+ * @param {any} file
+ * @returns {string|null}
+ */
+export function validateModPackFile(file) {
+    if (!file || typeof file !== "object" || file.format !== MODPACK_FILE_FORMAT) {
+        return "Not a modpack file";
+    }
+    if (!Number.isInteger(file.version) || file.version < 1 || file.version > MODPACK_FILE_VERSION) {
+        return "Unsupported modpack version: " + file.version;
+    }
+    if (!Array.isArray(file.mods)) {
+        return "Modpack has no mods";
+    }
+
+    const ids = [];
+    for (let i = 0; i < file.mods.length; ++i) {
+        const mod = file.mods[i];
+        if (!mod || typeof mod.id !== "string" || typeof mod.version !== "string") {
+            return "Mod " + i + " has no id or version";
+        }
+        if (!isValidModId(mod.id)) {
+            return "Mod " + i + " has an invalid id";
+        }
+        if (typeof mod.title !== "string") {
+            return "Mod " + mod.id + " has no title";
+        }
+        if (typeof mod.url !== "string") {
+            return "Mod " + mod.id + " has no url";
+        }
+        if (!isPlainObject(mod.config) || !isPlainObject(mod.settings)) {
+            return "Mod " + mod.id + " has invalid config or settings";
+        }
+        if (ids.includes(mod.id)) {
+            return "Mod " + mod.id + " is contained twice";
+        }
+        ids.push(mod.id);
+    }
+
+    for (const key of ["modOrder", "disabled"]) {
+        if (!Array.isArray(file[key]) || file[key].some(id => !ids.includes(id))) {
+            return "Modpack has an invalid " + key;
+        }
+    }
+
+    if (file.repository !== undefined && typeof file.repository !== "string") {
+        return "Modpack has an invalid repository";
+    }
+    return null;
+}
+
+/**
+ * Compares a modpack file with the current setup
+ * @param {ModPackFile} file
+ * @returns {ModPackFileDiff}
+ */
+export function getModPackFileDiff(file) {
+    const current = exportModPackFile();
+
+    /** @type {ModPackFileDiff} */
+    const diff = {
+        added: file.mods.filter(mod => !current.mods.some(other => other.id === mod.id)),
+        removed: current.mods.filter(mod => !file.mods.some(other => other.id === mod.id)),
+        versionChanged: [],
+        enabled: [],
+        disabled: [],
+        settingsChanged: [],
+        orderChanged: false,
+        repository: null,
+    };
+
+    for (let i = 0; i < file.mods.length; ++i) {
+        const mod = file.mods[i];
+        const currentMod = current.mods.find(other => other.id === mod.id);
+        if (!currentMod) {
+            continue;
+        }
+
+        if (mod.version !== currentMod.version) {
+            diff.versionChanged.push({ title: mod.title, from: currentMod.version, to: mod.version });
+        }
+
+        const isDisabled = file.disabled.includes(mod.id);
+        if (isDisabled !== current.disabled.includes(mod.id)) {
+            (isDisabled ? diff.disabled : diff.enabled).push(mod.title);
+        }
+
+        if (
+            JSON.stringify(mod.settings) !== JSON.stringify(currentMod.settings) ||
+            JSON.stringify(mod.config) !== JSON.stringify(currentMod.config)
+        ) {
+            diff.settingsChanged.push(mod.title);
+        }
+    }
+
+    const sharedOrder = file.modOrder.filter(id => current.modOrder.includes(id));
+    const currentSharedOrder = current.modOrder.filter(id => file.modOrder.includes(id));
+    diff.orderChanged = sharedOrder.join() !== currentSharedOrder.join();
+
+    if (file.repository && file.repository !== (current.repository || DEFAULT_REPOSITORY_URL)) {
+        diff.repository = file.repository;
+    }
+
+    return diff;
+}
+
+/**
+ * Applies a modpack file. Mods which are not installed are installed from the repository in the
+ * standalone, which is the one of the modpack if it names one. Mods which are not part of the
+ * modpack get disabled. Takes effect after a restart.
+ * @param {Application} app
+ * @param {ModPackFile} file
+ * @returns {Promise<Array<string>>} Resolves with the titles of the mods which could not be installed
+ */
+export function applyModPackFile(app, file) {
+    const modManager = shapezAPI.modManager;
+
+    /** @type {Array<string>} */
+    const notInstalled = [];
+
+    let promise = Promise.resolve();
+    const missing = file.mods.filter(mod => {
+        const installed = modManager.mods.get(mod.id);
+        return !installed || installed.version !== mod.version;
+    });
+
+    // The browser loads the mods from the urls in the mod pack, the standalone from the mods folder
+    if (G_IS_STANDALONE && missing.length > 0) {
+        const repository = file.repository ? new ModRepository(file.repository) : modManager.repository;
+        promise = repository.fetchIndex().then(
+            () => {
+                /** @type {Promise<any>} */
+                let installPromise = Promise.resolve();
+                for (let i = 0; i < missing.length; ++i) {
+                    const mod = missing[i];
+                    installPromise = installPromise
+                        .then(() => repository.install(mod.id, mod.version))
+                        .catch(err => {
+                            logger.warn("Failed to install", mod.id, mod.version, ":", err);
+                            notInstalled.push(mod.title);
+                        });
+                }
+                return installPromise;
+            },
+            err => {
+                logger.warn("Failed to fetch the mod repository:", err);
+                notInstalled.push(...missing.map(mod => mod.title));
+            }
+        );
+    }
+
+    // Mods without url can not be loaded in the browser
+    if (!G_IS_STANDALONE) {
+        notInstalled.push(...file.mods.filter(mod => !mod.url).map(mod => mod.title));
+    }
+
+    return promise
+        .then(() => {
+            const disabled = file.disabled.slice();
+            for (const id of modManager.mods.keys()) {
+                if (!file.mods.some(mod => mod.id === id) && !disabled.includes(id)) {
+                    disabled.push(id);
+                }
+            }
+
+            const modPack = {
+                mods: file.mods
+                    .filter(mod => G_IS_STANDALONE || mod.url)
+                    .map(({ url, id, config, settings }) => ({ url, id, config, settings })),
+                modOrder: file.modOrder.slice(),
+                disabled,
+            };
+            if (file.repository) {
+                modPack.repository = file.repository;
+            } else if (modManager.modPack && modManager.modPack.repository) {
+                modPack.repository = modManager.modPack.repository;
+            }
+            return modManager.writeModPack(modPack);
+        })
+        .then(() => {
+            // Stored values of the settings would override the ones from the mod pack
+            const storedSettings = app.settings.getAllSettings();
+            for (let i = 0; i < file.mods.length; ++i) {
+                const mod = file.mods[i];
+                for (const key in mod.settings) {
+                    const id = getModSettingId(mod.id, key);
+                    const setting = getApplicationSettingById(id);
+                    const value = mod.settings[key] ? mod.settings[key].value : undefined;
+                    if (setting && setting.validate(value)) {
+                        storedSettings[id] = value;
+                        setting.apply(app, value);
+                    } else {
+                        delete storedSettings[id];
+                    }
+                }
+            }
+            return app.settings.save();
+        })
+        .then(() => notInstalled);
+}
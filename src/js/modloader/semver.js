@@ -0,0 +1,252 @@
+/**
+ * Minimal semantic versioning, used to resolve the dependencies of mods.
+ *
+ * Versions look like "1.2.3" or "1.2.3-beta.1", missing minor and patch numbers count as 0.
+ * Ranges consist of comparators (1.2.3, =1.2.3, >1.2, >=1.2, <2, <=2.1), caret (^1.2.3) and
+ * tilde (~1.2.3) ranges, x-ranges (1.x, 1.2.*, *) and hyphen ranges (1.2 - 2.3). Comparators
+ * separated by spaces must all match, alternatives are separated by "||". Prerelease versions
+ * are simply compared by their precedence.
+ */
+
+/**
+ * @typedef {{
+ *   major: number,
+ *   minor: number,
+ *   patch: number,
+ *   prerelease: Array<string|number>
+ * }} SemVer
+ *
+ * @typedef {{ operator: string, version: SemVer }} Comparator
+ */
+
+const versionRegex = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9a-z.-]+))?(?:\+[0-9a-z.-]+)?$/i;
+const comparatorRegex = /^(\^|~|>=|<=|>|<|=)?v?(\d+|x|\*)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?(?:-([0-9a-z.-]+))?$/i;
+const hyphenRegex = /^(\S+)\s+-\s+(\S+)$/;
+
+/**
+ * @param {string} prerelease
+ * @returns {Array<string|number>}
+ */
+function parsePrerelease(prerelease) {
+    if (!prerelease) {
+        return [];
+    }
+    return prerelease.split(".").map(part => (/^\d+$/.test(part) ? Number(part) : part));
+}
+
+/**
+ * Parses a version, returns null if it is not valid
+ * @param {string} version
+ * @returns {SemVer|null}
+ */
+export function parseVersion(version) {
+    const match = versionRegex.exec(String(version).trim());
+    if (!match) {
+        return null;
+    }
+
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2] || 0),
+        patch: Number(match[3] || 0),
+        prerelease: parsePrerelease(match[4]),
+    };
+}
+
+/**
+ * Compares two versions, returns a negative number if a < b, 0 if they are equal and a
+ * positive number if a > b
+ * @param {SemVer} a
+ * @param {SemVer} b
+ * @returns {number}
+ */
+export function compareVersions(a, b) {
+    if (a.major !== b.major) return a.major - b.major;
+    if (a.minor !== b.minor) return a.minor - b.minor;
+    if (a.patch !== b.patch) return a.patch - b.patch;
+
+    // A version without prerelease has a higher precedence than one with
+    if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+        return b.prerelease.length - a.prerelease.length;
+    }
+
+    for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); ++i) {
+        const partA = a.prerelease[i];
+        const partB = b.prerelease[i];
+        if (partA === partB) continue;
+        if (partA === undefined) return -1;
+        if (partB === undefined) return 1;
+        if (typeof partA === "number" && typeof partB === "number") return partA - partB;
+        if (typeof partA === "number") return -1;
+        if (typeof partB === "number") return 1;
+        return partA < partB ? -1 : 1;
+    }
+    return 0;
+}
+
+/**
+ * @param {number} major
+ * @param {number} minor
+ * @param {number} patch
+ * @param {Array<string|number>=} prerelease
+ * @returns {SemVer}
+ */
+function makeVersion(major, minor, patch, prerelease = []) {
+    return { major, minor, patch, prerelease };
+}
+
+/**
+ * Expands a single comparator like "^1.2" into plain comparators, returns null if invalid
+ * @param {string} text
+ * @returns {Array<Comparator>|null}
+ */
+function parseComparator(text) {
+    const match = comparatorRegex.exec(text);
+    if (!match) {
+        return null;
+    }
+
+    const operator = match[1] || "=";
+    const isWildcard = part => part === undefined || part === "x" || part === "X" || part === "*";
+    const anyMajor = isWildcard(match[2]);
+    const anyMinor = anyMajor || isWildcard(match[3]);
+    const anyPatch = anyMinor || isWildcard(match[4]);
+
+    if (anyMajor) {
+        // "*", ">=x" etc. match everything, "<x" and ">x" nothing
+        return operator === "<" || operator === ">" ? [{ operator: "<", version: makeVersion(0, 0, 0) }] : [];
+    }
+
+    const major = Number(match[2]);
+    const minor = anyMinor ? 0 : Number(match[3]);
+    const patch = anyPatch ? 0 : Number(match[4]);
+    const base = makeVersion(major, minor, patch, parsePrerelease(match[5]));
+
+    // The first version which is not matched by the x-range anymore
+    const nextAfterWildcard = anyMinor ? makeVersion(major + 1, 0, 0) : makeVersion(major, minor + 1, 0);
+
+    switch (operator) {
+        case "=": {
+            if (!anyPatch) {
+                return [{ operator: "=", version: base }];
+            }
+            return [
+                { operator: ">=", version: base },
+                { operator: "<", version: nextAfterWildcard },
+            ];
+        }
+        case "^": {
+            let upper;
+            if (major > 0 || anyMinor) {
+                upper = makeVersion(major + 1, 0, 0);
+            } else if (minor > 0 || anyPatch) {
+                upper = makeVersion(0, minor + 1, 0);
+            } else {
+                upper = makeVersion(0, 0, patch + 1);
+            }
+            return [
+                { operator: ">=", version: base },
+                { operator: "<", version: upper },
+            ];
+        }
+        case "~": {
+            return [
+                { operator: ">=", version: base },
+                { operator: "<", version: nextAfterWildcard },
+            ];
+        }
+        case ">": {
+            if (anyPatch) {
+                return [{ operator: ">=", version: nextAfterWildcard }];
+            }
+            return [{ operator: ">", version: base }];
+        }
+        case "<=": {
+            if (anyPatch) {
+                return [{ operator: "<", version: nextAfterWildcard }];
+            }
+            return [{ operator: "<=", version: base }];
+        }
+        default: {
+            // ">=" and "<", where a wildcard is the same as 0
+            return [{ operator, version: base }];
+        }
+    }
+}
+
+/**
+ * Parses a range into its alternatives, each being a list of comparators which all have to match.
+ * Returns null if the range is invalid.
+ * @param {string} range
+ * @returns {Array<Array<Comparator>>|null}
+ */
+function parseRange(range) {
+    const alternatives = [];
+    const parts = String(range).split("||");
+    for (let i = 0; i < parts.length; ++i) {
+        // Remove spaces between operators and versions, so ">= 1.2" is the same as ">=1.2"
+        const part = parts[i].trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, "$1");
+
+        /** @type {Array<string>} */
+        let comparators;
+        const hyphen = hyphenRegex.exec(part);
+        if (hyphen) {
+            comparators = [">=" + hyphen[1], "<=" + hyphen[2]];
+        } else {
+            comparators = part.length > 0 ? part.split(/\s+/) : [];
+        }
+
+        const alternative = [];
+        for (let k = 0; k < comparators.length; ++k) {
+            const parsed = parseComparator(comparators[k]);
+            if (!parsed) {
+                return null;
+            }
+            alternative.push(...parsed);
+        }
+        alternatives.push(alternative);
+    }
+    return alternatives;
+}
+
+/**
+ * Returns whether the given range is valid
+ * @param {string} range
+ * @returns {boolean}
+ */
+export function isValidRange(range) {
+    return parseRange(range) !== null;
+}
+
+/**
+ * Returns whether the version satisfies the range. Invalid versions and ranges never match.
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean}
+ */
+export function satisfiesRange(version, range) {
+    const parsedVersion = parseVersion(version);
+    const alternatives = parseRange(range);
+    if (!parsedVersion || !alternatives) {
+        return false;
+    }
+
+    return alternatives.some(comparators =>
+        comparators.every(({ operator, version: other }) => {
+            const result = compareVersions(parsedVersion, other);
+            switch (operator) {
+                case "=":
+                    return result === 0;
+                case ">":
+                    return result > 0;
+                case ">=":
+                    return result >= 0;
+                case "<":
+                    return result < 0;
+                case "<=":
+                    return result <= 0;
+            }
+            return false;
+        })
+    );
+}
@@ -10,6 +10,7 @@ import { applyGameTheme } from "../game/theme";
 import { T } from "../translations";
 import { LANGUAGES } from "../languages";
 import { globalConfig, IS_DEBUG } from "../core/config";
+import { getAllModSettings } from "./mod_settings";
 
 const logger = createLogger("application_settings");
 
@@ -305,6 +306,8 @@ export const allApplicationSettings = () => {
         }
     }
 
+    allApplicationSettings.push(...getAllModSettings());
+
     return allApplicationSettings;
 };
 
@@ -364,6 +367,8 @@ export class ApplicationSettings extends ReadWriteProxy {
         // Read and directly write latest data back
         return this.readAsync()
             .then(() => {
+                this.initializeModSettings();
+
                 // Apply default setting callbacks
                 const settings = this.getAllSettings();
                 for (let i = 0; i < allApplicationSettings().length; ++i) {
@@ -379,6 +384,21 @@ export class ApplicationSettings extends ReadWriteProxy {
         return this.writeAsync();
     }
 
+    /**
+     * Stores the default value of all mod settings which have no valid value yet, e.g.
+     * because the mod was just installed
+     */
+    initializeModSettings() {
+        const settings = this.getAllSettings();
+        const modSettings = getAllModSettings();
+        for (let i = 0; i < modSettings.length; ++i) {
+            const setting = modSettings[i];
+            if (!settings.hasOwnProperty(setting.id) || !setting.validate(settings[setting.id])) {
+                settings[setting.id] = setting.defaultValue;
+            }
+        }
+    }
+
     // Getters
 
     /**
@@ -533,6 +553,10 @@ export class ApplicationSettings extends ReadWriteProxy {
         const settings = data.settings;
         for (let i = 0; i < allApplicationSettings().length; ++i) {
             const setting = allApplicationSettings()[i];
+            if (setting.modId) {
+                // Mod settings get their default value in initializeModSettings()
+                continue;
+            }
             const storedValue = settings[setting.id];
             if (!setting.validate(storedValue)) {
                 return ExplainedResult.bad(
@@ -0,0 +1,172 @@
+/* typehints:start */
+import { Application } from "../application";
+/* typehints:end */
+
+import { ExplainedResult } from "../core/explained_result";
+import { ReadWriteProxy } from "../core/read_write_proxy";
+import { BLUEPRINT_STRING_PREFIX } from "../game/blueprint";
+
+/**
+ * A blueprint stored in the library, data is the blueprint string
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   tags: Array<string>,
+ *   layer: Layer,
+ *   data: string,
+ *   created: number
+ * }} BlueprintLibraryEntry
+ *
+ * @typedef {{
+ *   version: number,
+ *   blueprints: Array<BlueprintLibraryEntry>
+ * }} BlueprintLibraryData
+ */
+
+/**
+ * Blueprints the player saved, they are shared between all savegames
+ */
+export class BlueprintLibrary extends ReadWriteProxy {
+    /**
+     * @param {Application} app
+     */
+    constructor(app) {
+        super(app, "blueprints.bin");
+
+        /** @type {BlueprintLibraryData} */
+        this.currentData = this.getDefaultData();
+    }
+
+    // -- RW Proxy Impl
+
+    /**
+     * @param {BlueprintLibraryData} data
+     */
+    verify(data) {
+        if (!Array.isArray(data.blueprints)) {
+            return ExplainedResult.bad("Blueprints are not an array");
+        }
+        for (let i = 0; i < data.blueprints.length; ++i) {
+            const entry = data.blueprints[i];
+            if (
+                typeof entry.name !== "string" ||
+                !Array.isArray(entry.tags) ||
+                !entry.tags.every(tag => typeof tag === "string")
+            ) {
+                return ExplainedResult.bad("Blueprint " + i + " has no name or tags");
+            }
+            if (typeof entry.data !== "string" || !entry.data.startsWith(BLUEPRINT_STRING_PREFIX)) {
+                return ExplainedResult.bad("Blueprint " + i + " has invalid data");
+            }
+        }
+        return ExplainedResult.good();
+    }
+
+    /** @returns {BlueprintLibraryData} */
+    getDefaultData() {
+        return {
+            version: this.getCurrentVersion(),
+            blueprints: [],
+        };
+    }
+
+    getCurrentVersion() {
+        return 1;
+    }
+
+    /**
+     * @param {BlueprintLibraryData} data
+     */
+    migrate(data) {
+        return ExplainedResult.good();
+    }
+
+    initialize() {
+        return this.readAsync();
+    }
+
+    // -- End RW Proxy Impl
+
+    /**
+     * @returns {Array<BlueprintLibraryEntry>}
+     */
+    getBlueprints() {
+        return this.currentData.blueprints;
+    }
+
+    /**
+     * Returns the blueprints whose name or tags contain the search text
+     * @param {string} search
+     * @returns {Array<BlueprintLibraryEntry>}
+     */
+    findBlueprints(search) {
+        const text = search.trim().toLowerCase();
+        if (!text) {
+            return this.getBlueprints();
+        }
+        return this.getBlueprints().filter(
+            entry =>
+                entry.name.toLowerCase().includes(text) ||
+                entry.tags.some(tag => tag.toLowerCase().includes(text))
+        );
+    }
+
+    /**
+     * Adds a blueprint to the library
+     * @param {string} name
+     * @param {Array<string>} tags
+     * @param {Layer} layer
+     * @param {string} data The blueprint string
+     * @returns {Promise<BlueprintLibraryEntry>}
+     */
+    addBlueprint(name, tags, layer, data) {
+        /** @type {BlueprintLibraryEntry} */
+        const entry = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 6),
+            name,
+            tags,
+            layer,
+            data,
+            created: Date.now(),
+        };
+        this.currentData.blueprints.push(entry);
+        return this.writeAsync().then(() => entry);
+    }
+
+    /**
+     * Renames a blueprint and replaces its tags
+     * @param {string} id
+     * @param {string} name
+     * @param {Array<string>} tags
+     * @returns {Promise<void>}
+     */
+    updateBlueprint(id, name, tags) {
+        const entry = this.getBlueprints().find(other => other.id === id);
+        assert(entry, "Blueprint not found: " + id);
+        entry.name = name;
+        entry.tags = tags;
+        return this.writeAsync();
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    removeBlueprint(id) {
+        this.currentData.blueprints = this.getBlueprints().filter(entry => entry.id !== id);
+        return this.writeAsync();
+    }
+}
+
+/**
+ * Splits the tags as entered by the player, separated by commas
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function parseBlueprintTags(text) {
+    const tags = text
+        .split(",")
+        .map(tag => tag.trim())
+        .filter(tag => tag.length > 0);
+    return [...new Set(tags)];
+}
@@ -0,0 +1,153 @@
+/* typehints:start */
+import { Application } from "../application";
+/* typehints:end */
+
+import { createLogger } from "../core/logging";
+import { T } from "../translations";
+import { BaseSetting, BoolSetting, EnumSetting, RangeSetting } from "./setting_types";
+
+const logger = createLogger("mod_settings");
+
+/**
+ * Declaration of a single mod setting in ModInfo.settings. The type of the setting is
+ * derived from it: a boolean value is a BoolSetting, a declaration with options an EnumSetting
+ * and a numeric value a RangeSetting.
+ * @typedef {{
+ *   value: boolean|number|string,
+ *   title?: string,
+ *   description?: string,
+ *   options?: Array<string|number>,
+ *   optionTitles?: Object<string, string>,
+ *   min?: number,
+ *   max?: number,
+ *   step?: number,
+ *   restartRequired?: boolean,
+ *   changeCb?: function(Application, any):void
+ * }} ModSettingDeclaration
+ */
+
+/**
+ * Returns the settings category of a mod
+ * @param {string} modId
+ * @returns {string}
+ */
+export function getModSettingsCategory(modId) {
+    return "mod_" + modId;
+}
+
+/**
+ * Returns the id of a mod setting in the application settings
+ * @param {string} modId
+ * @param {string} key
+ * @returns {string}
+ */
+export function getModSettingId(modId, key) {
+    return "mod_" + modId + "_" + key;
+}
+
+/**
+ * Generates the settings of a mod from its settings declaration
+ * @param {import("../modloader/mod").ModInfo} mod
+ * @returns {Array<BaseSetting>}
+ */
+export function getModSettings(mod) {
+    const category = getModSettingsCategory(mod.id);
+    const settings = [];
+
+    for (const key in mod.settings) {
+        /** @type {ModSettingDeclaration} */
+        const declaration = mod.settings[key];
+        if (!declaration || typeof declaration !== "object") {
+            continue;
+        }
+
+        const id = getModSettingId(mod.id, key);
+        const changeCb = (app, value) => {
+            declaration.value = value;
+            shapezAPI.modManager.runModEntryPoint(mod.id, "updateStaticSettings", () => {
+                if (declaration.changeCb) {
+                    declaration.changeCb(app, value);
+                }
+                mod.updateStaticSettings();
+            });
+        };
+
+        let setting;
+        if (Array.isArray(declaration.options)) {
+            setting = new EnumSetting(id, {
+                options: declaration.options,
+                valueGetter: option => option,
+                textGetter: option =>
+                    declaration.optionTitles && declaration.optionTitles[option]
+                        ? declaration.optionTitles[option]
+                        : String(option),
+                category,
+                restartRequired: !!declaration.restartRequired,
+                changeCb,
+            });
+        } else if (typeof declaration.value === "boolean") {
+            setting = new BoolSetting(id, category, changeCb);
+        } else if (typeof declaration.value === "number") {
+            setting = new RangeSetting(
+                id,
+                category,
+                changeCb,
+                declaration.value,
+                declaration.min !== undefined ? declaration.min : 0,
+                declaration.max !== undefined ? declaration.max : 1,
+                declaration.step !== undefined ? declaration.step : 0.01,
+                null,
+                value => String(value)
+            );
+        } else {
+            logger.warn("Mod", mod.id, "has setting", key, "of unknown type");
+            continue;
+        }
+
+        setting.modId = mod.id;
+        setting.defaultValue = declaration.value;
+
+        if (!T.settings.labels[id]) {
+            T.settings.labels[id] = {
+                title: declaration.title || key,
+                description: declaration.description || "",
+            };
+        }
+        settings.push(setting);
+    }
+
+    if (settings.length > 0 && !T.settings.categories[category]) {
+        T.settings.categories[category] = mod.title;
+    }
+
+    return settings;
+}
+
+/**
+ * Returns the settings of all loaded mods
+ * @returns {Array<BaseSetting>}
+ */
+export function getAllModSettings() {
+    const settings = [];
+    for (let i = 0; i < shapezAPI.modOrder.length; i++) {
+        const mod = shapezAPI.mods.get(shapezAPI.modOrder[i]);
+        if (!mod) continue;
+        settings.push(...getModSettings(mod));
+    }
+    return settings;
+}
+
+/**
+ * Returns the settings categories of all loaded mods which have settings
+ * @returns {Array<string>}
+ */
+export function getModSettingsCategories() {
+    const categories = [];
+    const settings = getAllModSettings();
+    for (let i = 0; i < settings.length; i++) {
+        if (!categories.includes(settings[i].categoryId)) {
+            categories.push(settings[i].categoryId);
+        }
+    }
+    return categories;
+}
@@ -38,6 +38,18 @@ export class BaseSetting {
 
         this.element = null;
         this.dialogs = null;
+
+        /**
+         * Id of the mod which declared this setting, if any
+         * @type {string}
+         */
+        this.modId = null;
+
+        /**
+         * Value which is stored if there is none yet, only used for mod settings
+         * @type {any}
+         */
+        this.defaultValue = null;
     }
 
     /**
@@ -269,7 +281,8 @@ export class RangeSetting extends BaseSetting {
         minValue = 0,
         maxValue = 1.0,
         stepSize = 0.0001,
-        enabledCb = null
+        enabledCb = null,
+        textGetter = null
     ) {
         super(id, category, changeCb, enabledCb);
 
@@ -277,6 +290,12 @@ export class RangeSetting extends BaseSetting {
         this.minValue = minValue;
         this.maxValue = maxValue;
         this.stepSize = stepSize;
+
+        // Shows the value as percentage by default
+        this.textGetter =
+            textGetter ||
+            (value =>
+                T.settings.rangeSliderPercentage.replace("<amount>", String(Math.round(value * 100.0))));
     }
 
     /**
@@ -330,10 +349,7 @@ export class RangeSetting extends BaseSetting {
         const rangeInput = this.getRangeInputElement();
         const rangeLabel = this.element.querySelector("label");
         rangeInput.value = String(value);
-        rangeLabel.innerHTML = T.settings.rangeSliderPercentage.replace(
-            "<amount>",
-            String(Math.round(value * 100.0))
-        );
+        rangeLabel.innerHTML = this.textGetter(value);
     }
 
     updateLabels() {
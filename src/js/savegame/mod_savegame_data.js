@@ -0,0 +1,37 @@
+/* typehints:start */
+import { GameRoot } from "../game/root";
+/* typehints:end */
+
+import { BasicSerializableObject } from "./serialization";
+
+/**
+ * Base class for data a mod stores in the savegame outside of entity components. Register
+ * subclasses with shapezAPI.registerSavegameData, every game then gets an instance which is
+ * available as root.modData[modId] and saved under dump.mods[modId].
+ */
+export class ModSavegameData extends BasicSerializableObject {
+    /**
+     * Should return the version of the schema, increase it whenever the schema changes
+     * and handle the old data in migrate()
+     * @returns {number}
+     */
+    static getSchemaVersion() {
+        return 1;
+    }
+
+    /**
+     * Migrates data stored with an older schema version to the current one (Modify in place)
+     * @param {object} data
+     * @param {number} version The schema version the data was stored with
+     * @returns {import("../core/explained_result").ExplainedResult|void}
+     */
+    static migrate(data, version) {}
+
+    /**
+     * @param {GameRoot} root
+     */
+    constructor(root) {
+        super();
+        this.root = root;
+    }
+}
@@ -73,9 +73,28 @@ export class Savegame extends ReadWriteProxy {
             stats: {},
             lastUpdate: Date.now(),
             gamemode: RegularGameMode.getId(),
+            mods: Savegame.generateModManifest(),
         };
     }
 
+    /**
+     * Returns the id, title and version of every loaded mod, in load order
+     * @returns {Array<import("./savegame_typedefs").SavegameModInfo>}
+     */
+    static generateModManifest() {
+        const manifest = [];
+        for (let i = 0; i < shapezAPI.modOrder.length; i++) {
+            const mod = shapezAPI.mods.get(shapezAPI.modOrder[i]);
+            if (!mod) continue;
+            manifest.push({
+                id: mod.id,
+                title: mod.title,
+                version: mod.version,
+            });
+        }
+        return manifest;
+    }
+
     /**
      * Migrates the savegames data
      * @param {import("./savegame_typedefs").SavegameData} data
@@ -125,6 +144,59 @@ export class Savegame extends ReadWriteProxy {
             data.version = "ML01";
         }
 
+        return this.migrateModData(data);
+    }
+
+    /**
+     * Returns whether the savegame data of a loaded mod was stored with another schema version
+     * @param {import("./savegame_typedefs").SavegameData} data
+     */
+    needsMigration(data) {
+        if (!data.dump || !data.dump.mods) {
+            return false;
+        }
+
+        for (const modId in data.dump.mods) {
+            const dataClass = shapezAPI.ingame.savegameData[modId];
+            if (dataClass && data.dump.mods[modId].version !== dataClass.getSchemaVersion()) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Migrates the savegame data of all loaded mods, data of mods which are not loaded stays untouched
+     * @param {import("./savegame_typedefs").SavegameData} data
+     * @returns {ExplainedResult}
+     */
+    migrateModData(data) {
+        if (!data.dump || !data.dump.mods) {
+            return ExplainedResult.good();
+        }
+
+        for (const modId in data.dump.mods) {
+            const dataClass = shapezAPI.ingame.savegameData[modId];
+            if (!dataClass) {
+                continue;
+            }
+
+            const entry = data.dump.mods[modId];
+            const schemaVersion = dataClass.getSchemaVersion();
+            if (entry.version > schemaVersion) {
+                return ExplainedResult.bad("Savegame data of mod " + modId + " is newer than the mod");
+            }
+
+            if (entry.version < schemaVersion) {
+                logger.log("Migrating data of mod", modId, "from", entry.version, "to", schemaVersion);
+                const result = dataClass.migrate(entry.data, entry.version);
+                if (result && result.isBad()) {
+                    return result;
+                }
+                entry.version = schemaVersion;
+            }
+        }
+
         return ExplainedResult.good();
     }
 
@@ -184,6 +256,54 @@ export class Savegame extends ReadWriteProxy {
         return this.currentData.dump;
     }
 
+    /**
+     * Compares the mods this savegame was made with against the currently loaded mods.
+     * Savegames from before the mod manifest was stored always return an empty diff.
+     * @returns {import("./savegame_typedefs").SavegameModDiff}
+     */
+    getModManifestDiff() {
+        /** @type {import("./savegame_typedefs").SavegameModDiff} */
+        const diff = {
+            missing: [],
+            extra: [],
+            mismatched: [],
+        };
+
+        const savedMods = this.currentData.mods;
+        if (!savedMods) {
+            return diff;
+        }
+
+        const currentMods = Savegame.generateModManifest();
+        for (let i = 0; i < savedMods.length; ++i) {
+            const saved = savedMods[i];
+            const current = currentMods.find(mod => mod.id === saved.id);
+            if (!current) {
+                diff.missing.push(saved);
+            } else if (current.version !== saved.version) {
+                diff.mismatched.push({ saved, current });
+            }
+        }
+
+        for (let i = 0; i < currentMods.length; ++i) {
+            const current = currentMods[i];
+            if (!savedMods.find(mod => mod.id === current.id)) {
+                diff.extra.push(current);
+            }
+        }
+
+        return diff;
+    }
+
+    /**
+     * Returns if the mods of this savegame differ from the currently loaded ones
+     * @returns {boolean}
+     */
+    hasModManifestDiff() {
+        const diff = this.getModManifestDiff();
+        return diff.missing.length > 0 || diff.extra.length > 0 || diff.mismatched.length > 0;
+    }
+
     /**
      * Returns a reader to access the data
      * @returns {BaseSavegameInterface}
@@ -236,6 +356,7 @@ export class Savegame extends ReadWriteProxy {
         shadowData.version = this.getCurrentVersion();
         // @ts-ignore
         shadowData.gamemode = root.gameMode.constructor.getId();
+        shadowData.mods = Savegame.generateModManifest();
 
         const reader = this.getDumpReaderForExternalData(shadowData);
 
@@ -29,8 +29,12 @@ export class SavegameSerializer {
             hubGoals: root.hubGoals.serialize(),
             pinnedShapes: root.hud.parts.pinnedShapes.serialize(),
             waypoints: root.hud.parts.waypoints.serialize(),
+            productionAnalytics: root.productionAnalytics.serialize(),
             entities: this.internal.serializeEntityArray(root.entityMgr.entities),
             beltPaths: root.systemMgr.systems.belt.serializePaths(),
+            buildingCodes: this.internal.serializeBuildingCodes(root.entityMgr.entities),
+            mods: this.internal.serializeModData(root),
+            gameResult: root.gameResult,
         };
 
         if (G_IS_DEV) {
@@ -79,19 +83,12 @@ export class SavegameSerializer {
 
             const components = entity.components;
             for (const componentId in components) {
-                var componentClass;
-                // Check component id is known
-                try {
-                    componentClass = gComponentRegistry.findById(componentId);
-                } catch (error) {
-                    return ExplainedResult.bad(
-                        JSON.stringify({
-                            type: "component",
-                            status: "missing",
-                            id: componentId,
-                        })
-                    );
+                // Components of mods which are not loaded are kept as-is, see Entity.orphanedComponents
+                if (!gComponentRegistry.hasId(componentId)) {
+                    logger.warn("Unknown component", componentId, "on entity", uid);
+                    continue;
                 }
+                const componentClass = gComponentRegistry.findById(componentId);
 
                 // Verify component data
                 const componentData = components[componentId];
@@ -132,8 +129,19 @@ export class SavegameSerializer {
         errorReason = errorReason || root.hubGoals.deserialize(savegame.hubGoals, root);
         errorReason = errorReason || root.hud.parts.pinnedShapes.deserialize(savegame.pinnedShapes);
         errorReason = errorReason || root.hud.parts.waypoints.deserialize(savegame.waypoints);
-        errorReason = errorReason || this.internal.deserializeEntityArray(root, savegame.entities);
+        if (savegame.productionAnalytics) {
+            // Older savegames have no statistics history
+            errorReason =
+                errorReason || root.productionAnalytics.deserialize(savegame.productionAnalytics, root);
+        }
+        errorReason =
+            errorReason ||
+            this.internal.deserializeEntityArray(root, savegame.entities, savegame.buildingCodes);
         errorReason = errorReason || root.systemMgr.systems.belt.deserializePaths(savegame.beltPaths);
+        errorReason = errorReason || this.internal.deserializeModData(root, savegame.mods);
+
+        // Older savegames have no result, their game is still running
+        root.gameResult = savegame.gameResult || null;
 
         // Check for errors
         if (errorReason) {
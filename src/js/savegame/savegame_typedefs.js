@@ -2,6 +2,18 @@
  * @typedef {{}} SavegameStats
  *
  * @typedef {{
+ *   tileSize: { x: number, y: number },
+ *   layer: Layer
+ * }} SerializedBuildingCode
+ *
+ * @typedef {Object<string, SerializedBuildingCode>} SerializedBuildingCodes
+ *
+ * @typedef {{
+ *   version: number,
+ *   data: any
+ * }} SerializedModData
+ *
+ * @typedef {{
  *   camera: any,
  *   time: any,
  *   entityMgr: any,
@@ -9,16 +21,33 @@
  *   hubGoals: any,
  *   pinnedShapes: any,
  *   waypoints: any,
+ *   productionAnalytics?: any,
  *   entities: Array<import("../game/entity").Entity>,
- *   beltPaths: Array<any>
+ *   beltPaths: Array<any>,
+ *   buildingCodes?: SerializedBuildingCodes,
+ *   mods?: Object<string, SerializedModData>,
+ *   gameResult?: import("../game/game_mode").GameResult
  * }} SerializedGame
  *
  * @typedef {{
+ *   id: string,
+ *   title: string,
+ *   version: string
+ * }} SavegameModInfo
+ *
+ * @typedef {{
+ *   missing: Array<SavegameModInfo>,
+ *   extra: Array<SavegameModInfo>,
+ *   mismatched: Array<{ saved: SavegameModInfo, current: SavegameModInfo }>
+ * }} SavegameModDiff
+ *
+ * @typedef {{
  *   version: any,
  *   dump: SerializedGame,
  *   stats: SavegameStats,
  *   lastUpdate: number,
  *   gamemode: string|null,
+ *   mods?: Array<SavegameModInfo>,
  * }} SavegameData
  *
  * @typedef {{
@@ -1,9 +1,15 @@
 import { globalConfig } from "../core/config";
 import { createLogger } from "../core/logging";
 import { Vector } from "../core/vector";
-import { getBuildingDataFromCode } from "../game/building_codes";
+import { gBuildingVariants, getBuildingDataFromCode } from "../game/building_codes";
+import { registerOrphanedBuildingCode } from "../game/buildings/orphan";
+import { gComponentRegistry } from "../core/global_registries";
+import { StaticMapEntityComponent } from "../game/components/static_map_entity";
 import { Entity } from "../game/entity";
+import { getAllLayers } from "../game/layers";
+import { OrphanedEntity } from "../game/orphaned_entity";
 import { GameRoot } from "../game/root";
+import { ModSavegameData } from "./mod_savegame_data";
 
 const logger = createLogger("serializer_internal");
 
@@ -24,15 +30,44 @@ export class SerializerInternal {
         return serialized;
     }
 
+    /**
+     * Stores the size and layer of every building code in use, so the entities can still
+     * be placed as orphans once their building is not registered anymore
+     * @param {Array<Entity>} array
+     * @returns {import("./savegame_typedefs").SerializedBuildingCodes}
+     */
+    serializeBuildingCodes(array) {
+        /** @type {import("./savegame_typedefs").SerializedBuildingCodes} */
+        const codes = {};
+        for (let i = 0; i < array.length; ++i) {
+            const entity = array[i];
+            if (entity.queuedForDestroy || entity.destroyed) {
+                continue;
+            }
+
+            const staticComp = entity.components.StaticMapEntity;
+            if (codes[staticComp.code]) {
+                continue;
+            }
+
+            codes[staticComp.code] = {
+                tileSize: staticComp.getTileSize().serializeSimple(),
+                layer: entity.layer,
+            };
+        }
+        return codes;
+    }
+
     /**
      *
      * @param {GameRoot} root
      * @param {Array<Entity>} array
+     * @param {import("./savegame_typedefs").SerializedBuildingCodes=} buildingCodes
      * @returns {string|void}
      */
-    deserializeEntityArray(root, array) {
+    deserializeEntityArray(root, array, buildingCodes = {}) {
         for (let i = 0; i < array.length; ++i) {
-            this.deserializeEntity(root, array[i]);
+            this.deserializeEntity(root, array[i], buildingCodes);
         }
     }
 
@@ -40,12 +75,18 @@ export class SerializerInternal {
      *
      * @param {GameRoot} root
      * @param {Entity} payload
+     * @param {import("./savegame_typedefs").SerializedBuildingCodes=} buildingCodes
      */
-    deserializeEntity(root, payload) {
+    deserializeEntity(root, payload, buildingCodes = {}) {
         const staticData = payload.components.StaticMapEntity;
         assert(staticData, "entity has no static data");
 
         const code = staticData.code;
+        if (!gBuildingVariants[code]) {
+            this.deserializeOrphanedEntity(root, payload, buildingCodes[code]);
+            return;
+        }
+
         const data = getBuildingDataFromCode(code);
 
         const metaBuilding = data.metaInstance;
@@ -67,6 +108,83 @@ export class SerializerInternal {
         root.map.placeStaticEntity(entity);
     }
 
+    /**
+     * Creates a placeholder for an entity whose building is not registered, keeping its
+     * raw data so it can be restored once the building is available again
+     * @param {GameRoot} root
+     * @param {Entity} payload
+     * @param {import("./savegame_typedefs").SerializedBuildingCode=} codeData
+     */
+    deserializeOrphanedEntity(root, payload, codeData) {
+        const staticData = payload.components.StaticMapEntity;
+
+        // Savegames without building codes do not know the size, so assume a single tile
+        const tileSize = codeData ? Vector.fromSerializedObject(codeData.tileSize) : new Vector(1, 1);
+        const layer = codeData ? codeData.layer : "regular";
+
+        logger.warn("Unknown building code", staticData.code, "- keeping entity", payload.uid, "as orphan");
+        registerOrphanedBuildingCode(staticData.code, tileSize);
+
+        const entity = new OrphanedEntity(root, payload);
+        entity.layer = layer;
+        entity.addComponent(
+            new StaticMapEntityComponent({
+                origin: Vector.fromSerializedObject(staticData.origin),
+                rotation: staticData.rotation,
+                originalRotation: staticData.originalRotation,
+                code: staticData.code,
+            })
+        );
+
+        root.entityMgr.registerEntity(entity, payload.uid);
+
+        // Entities on layers which are gone can not be placed, but are still saved
+        if (getAllLayers().includes(layer)) {
+            root.map.placeStaticEntity(entity);
+        }
+    }
+
+    /////// MODS ////
+
+    /**
+     * Serializes the savegame data of all mods, including the one of mods which are not loaded
+     * @param {GameRoot} root
+     * @returns {Object<string, import("./savegame_typedefs").SerializedModData>}
+     */
+    serializeModData(root) {
+        const serialized = Object.assign({}, root.orphanedModData);
+        for (const modId in root.modData) {
+            const modData = root.modData[modId];
+            serialized[modId] = {
+                version: /** @type {typeof ModSavegameData} */ (modData.constructor).getSchemaVersion(),
+                data: modData.serialize(),
+            };
+        }
+        return serialized;
+    }
+
+    /**
+     * Deserializes the savegame data of all mods. Data of mods which are not loaded is kept as-is.
+     * @param {GameRoot} root
+     * @param {Object<string, import("./savegame_typedefs").SerializedModData>=} mods
+     * @returns {string|void}
+     */
+    deserializeModData(root, mods = {}) {
+        for (const modId in mods) {
+            const modData = root.modData[modId];
+            if (!modData) {
+                logger.warn("Keeping savegame data of mod", modId, "which is not loaded");
+                root.orphanedModData[modId] = mods[modId];
+                continue;
+            }
+
+            const errorStatus = modData.deserialize(mods[modId].data, root);
+            if (errorStatus) {
+                return "Failed to deserialize data of mod " + modId + ": " + errorStatus;
+            }
+        }
+    }
+
     /////// COMPONENTS ////
 
     /**
@@ -78,6 +196,15 @@ export class SerializerInternal {
      */
     deserializeComponents(root, entity, data) {
         for (const componentId in data) {
+            if (!gComponentRegistry.hasId(componentId)) {
+                // Component of a mod which is not loaded, keep it for later
+                if (!entity.orphanedComponents) {
+                    entity.orphanedComponents = {};
+                }
+                entity.orphanedComponents[componentId] = data[componentId];
+                continue;
+            }
+
             if (!entity.components[componentId]) {
                 if (G_IS_DEV && !globalConfig.debug.disableSlowAsserts) {
                     // @ts-ignore
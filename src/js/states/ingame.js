@@ -1,7 +1,7 @@
 import { APPLICATION_ERROR_OCCURED } from "../core/error_handler";
 import { GameState } from "../core/game_state";
 import { logSection, createLogger } from "../core/logging";
-import { waitNextFrame } from "../core/utils";
+import { escapeHtml, waitNextFrame } from "../core/utils";
 import { globalConfig } from "../core/config";
 import { GameLoadingOverlay } from "../game/game_loading_overlay";
 import { KeyActionMapper } from "../game/key_action_mapper";
@@ -41,6 +41,12 @@ export class GameCreationPayload {
 
         /** @type {Savegame} */
         this.savegame;
+
+        /**
+         * Settings of the map of a new game
+         * @type {import("../game/map").MapSettings|undefined}
+         */
+        this.mapSettings;
     }
 }
 
@@ -236,7 +242,7 @@ export class InGameState extends GameState {
      */
     stage4aInitEmptyGame() {
         if (this.switchStage(stages.s4_A_initEmptyGame)) {
-            this.core.initNewGame();
+            this.core.initNewGame(this.creationPayload.mapSettings);
             this.stage5FirstUpdate();
         }
     }
@@ -246,20 +252,19 @@ export class InGameState extends GameState {
      */
     stage4bResumeGame() {
         if (this.switchStage(stages.s4_B_resumeGame)) {
-            if (this.core.initExistingGame().isBad()) {
-                var errorJSON = this.core.initExistingGame().reason;
-                // if (errorJSON.status) {
-                //     this.onInitializationFailure("Savegame is corrupt and can not be restored.");
-                //     //TODO: load game without mod
-                //     // if (errorJSON.status === "missing")
-                //     //     this.core.root.hud.parts.dialogs.showOptionChooser(
-                //     //     "Missing " + errorJSON.type + " with id " + errorJSON.id, {
-                //     //         options: [{ value: "Test", text: "TEst" }],
-                //     //     }
-                //     // );
-                // } else {
-                this.onInitializationFailure("Savegame is corrupt and can not be restored.");
-                // }
+            const result = this.core.initExistingGame();
+            if (result.isBad()) {
+                const missingMods = this.savegame.getModManifestDiff().missing;
+                if (missingMods.length > 0) {
+                    this.onInitializationFailure(
+                        "Savegame requires missing mods: " +
+                            missingMods
+                                .map(mod => escapeHtml(mod.title) + " (" + escapeHtml(mod.version) + ")")
+                                .join(", ")
+                    );
+                } else {
+                    this.onInitializationFailure("Savegame is corrupt and can not be restored.");
+                }
                 return;
             }
             this.app.gameAnalytics.handleGameResumed();
@@ -273,10 +278,7 @@ export class InGameState extends GameState {
     stage5FirstUpdate() {
         if (this.switchStage(stages.s5_firstUpdate)) {
             //Call mod for gameload
-            for (let i = 0; i < shapezAPI.modOrder.length; i++) {
-                const modId = shapezAPI.modOrder[i];
-                shapezAPI.mods.get(modId).gameBeforeFirstUpdate(this.core.root);
-            }
+            shapezAPI.modManager.callModHook("gameBeforeFirstUpdate", this.core.root);
             this.core.root.logicInitialized = true;
             this.core.updateLogic();
             this.stage6PostLoadHook();
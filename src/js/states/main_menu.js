@@ -6,6 +6,7 @@ import { DialogWithForm } from "../core/modal_dialog_elements";
 import { FormElementInput } from "../core/modal_dialog_forms";
 import { ReadWriteProxy } from "../core/read_write_proxy";
 import {
+    escapeHtml,
     formatSecondsToTimeAgo,
     generateFileDownload,
     isSupportedBrowser,
@@ -18,6 +19,7 @@ import {
 } from "../core/utils";
 import { HUDModalDialogs } from "../game/hud/parts/modal_dialogs";
 import { RegularGameMode } from "../game/modes/regular";
+import { FormElementMapSettings } from "../game/map_preview";
 import { getApplicationSettingById } from "../profile/application_settings";
 import { T } from "../translations";
 
@@ -26,6 +28,11 @@ function capitalizeFirstLetter(string) {
 }
 const trim = require("trim");
 
+/** The mod load failures, errors and patch conflicts which were already reported in this session */
+let shownModLoadFailures = [];
+let shownModErrors = [];
+let shownPatchConflicts = [];
+
 export class MainMenuState extends GameState {
     static extraTopButtons = [];
     static extraSmallButtons = [];
@@ -201,6 +208,8 @@ export class MainMenuState extends GameState {
             );
         }
 
+        this.showModProblems();
+
         const qs = this.htmlElement.querySelector.bind(this.htmlElement);
 
         if (G_IS_DEV && globalConfig.debug.fastGameEnter) {
@@ -306,6 +315,13 @@ export class MainMenuState extends GameState {
             this.trackClicks(newGameButton, this.onPlayButtonClicked);
         }
 
+        const modsButton = makeButton(
+            this.htmlElement.querySelector(".mainContainer .outer"),
+            ["modsButton", "styledButton"],
+            T.mainMenu.mods
+        );
+        this.trackClicks(modsButton, this.onModsButtonClicked);
+
         for (let i = 0; i < MainMenuState.extraSmallButtons.length; i++) {
             const extraButton = MainMenuState.extraSmallButtons[i];
             const button = makeButton(
@@ -334,6 +350,10 @@ export class MainMenuState extends GameState {
         this.moveToState("ChangelogState");
     }
 
+    onModsButtonClicked() {
+        this.moveToState("ModsState");
+    }
+
     onRedditClicked() {
         this.app.analytics.trackUiClick("main_menu_reddit_link");
         this.app.platformWrapper.openExternalLink(THIRDPARTY_URLS.reddit);
@@ -516,6 +536,7 @@ export class MainMenuState extends GameState {
             const savegame = this.app.savegameMgr.getSavegameById(game.internalId);
             savegame
                 .readAsync()
+                .then(() => this.checkSavegameMods(savegame))
                 .then(() => {
                     this.moveToState("InGameState", {
                         savegame,
@@ -610,7 +631,6 @@ export class MainMenuState extends GameState {
             return;
         }
 
-        let gamemode = RegularGameMode.getId();
         if (Object.keys(shapezAPI.ingame.gamemodes).length > 1) {
             const { optionSelected } = this.dialogs.showOptionChooser(T.settings.labels.gamemodes.title, {
                 active: null,
@@ -619,30 +639,44 @@ export class MainMenuState extends GameState {
                     text: capitalizeFirstLetter(option.toLowerCase()),
                 })),
             });
+            optionSelected.add(this.showNewGameDialog, this);
+        } else {
+            this.showNewGameDialog(RegularGameMode.getId());
+        }
+    }
 
-            optionSelected.add(value => {
-                gamemode = value;
-                this.app.analytics.trackUiClick("startgame");
-                this.app.adProvider.showVideoAd().then(() => {
-                    const savegame = this.app.savegameMgr.createNewSavegame(gamemode);
+    /**
+     * Lets the player choose the seed and settings of the map and starts the game
+     * @param {string} gamemode
+     */
+    showNewGameDialog(gamemode) {
+        const mapSettingsInput = new FormElementMapSettings({
+            id: "mapSettings",
+            app: this.app,
+            gameModeId: gamemode,
+        });
+        const dialog = new DialogWithForm({
+            app: this.app,
+            title: T.dialogs.newGame.title,
+            desc: T.dialogs.newGame.desc,
+            formElements: [mapSettingsInput],
+            buttons: ["cancel:bad:escape", "ok:good:enter"],
+        });
+        this.dialogs.internalShowDialog(dialog);
 
-                    this.moveToState("InGameState", {
-                        savegame,
-                    });
-                    this.app.analytics.trackUiClick("startgame_adcomplete");
-                });
-            }, this);
-        } else {
+        dialog.buttonSignals.ok.add(() => {
+            const mapSettings = mapSettingsInput.getValue();
             this.app.analytics.trackUiClick("startgame");
             this.app.adProvider.showVideoAd().then(() => {
                 const savegame = this.app.savegameMgr.createNewSavegame(gamemode);
 
                 this.moveToState("InGameState", {
                     savegame,
+                    mapSettings,
                 });
                 this.app.analytics.trackUiClick("startgame_adcomplete");
             });
-        }
+        });
     }
 
     onContinueButtonClicked() {
@@ -656,13 +690,111 @@ export class MainMenuState extends GameState {
         });
 
         const savegame = this.app.savegameMgr.getSavegameById(latestInternalId);
-        savegame.readAsync().then(() => {
-            this.moveToState("InGameState", {
-                savegame,
+        savegame
+            .readAsync()
+            .then(() => this.checkSavegameMods(savegame))
+            .then(() => {
+                this.moveToState("InGameState", {
+                    savegame,
+                });
             });
+    }
+
+    /**
+     * Checks if the savegame was created with the currently loaded mods, and if not,
+     * lets the player decide whether to load it anyways
+     * @param {Savegame} savegame
+     * @returns {Promise<void>} Resolves once the savegame may be loaded, never if cancelled
+     */
+    checkSavegameMods(savegame) {
+        if (!savegame.hasModManifestDiff()) {
+            return Promise.resolve();
+        }
+
+        const diff = savegame.getModManifestDiff();
+        const formatMod = mod => escapeHtml(mod.title) + " (" + escapeHtml(mod.version) + ")";
+
+        let text = T.dialogs.savegameModsChanged.desc;
+        if (diff.missing.length > 0) {
+            text +=
+                "<br><br><strong>" +
+                T.dialogs.savegameModsChanged.missing +
+                "</strong><br>" +
+                diff.missing.map(formatMod).join("<br>");
+        }
+        if (diff.extra.length > 0) {
+            text +=
+                "<br><br><strong>" +
+                T.dialogs.savegameModsChanged.extra +
+                "</strong><br>" +
+                diff.extra.map(formatMod).join("<br>");
+        }
+        if (diff.mismatched.length > 0) {
+            text +=
+                "<br><br><strong>" +
+                T.dialogs.savegameModsChanged.mismatched +
+                "</strong><br>" +
+                diff.mismatched
+                    .map(
+                        ({ saved, current }) =>
+                            escapeHtml(saved.title) +
+                            " (" +
+                            escapeHtml(saved.version) +
+                            " → " +
+                            escapeHtml(current.version) +
+                            ")"
+                    )
+                    .join("<br>");
+        }
+
+        return new Promise(resolve => {
+            const signals = this.dialogs.showWarning(T.dialogs.savegameModsChanged.title, text, [
+                "cancel:good:escape",
+                "continue:bad",
+            ]);
+            signals.continue.add(resolve);
         });
     }
 
+    /**
+     * Shows which mods could not be loaded or crashed since this was last shown
+     */
+    showModProblems() {
+        const modManager = shapezAPI.modManager;
+        if (!modManager) {
+            return;
+        }
+
+        // Titles and errors come from the mods, so everything is escaped
+        const getTitle = id => escapeHtml(modManager.mods.has(id) ? modManager.mods.get(id).title : id);
+        const formatLine = (id, text) => "<strong>" + getTitle(id) + "</strong>: " + escapeHtml(text);
+        const lines = [
+            ...modManager.loadFailures
+                .filter(failure => !shownModLoadFailures.includes(failure))
+                .map(failure => formatLine(failure.modId, modManager.describeLoadFailure(failure))),
+            ...modManager.modErrors
+                .filter(error => !shownModErrors.includes(error))
+                .map(error => formatLine(error.modId, modManager.describeModError(error))),
+            ...shapezAPI.patches.conflicts
+                .filter(conflict => !shownPatchConflicts.includes(conflict))
+                .map(conflict =>
+                    T.mods.patchConflict
+                        .replace("<method>", () => escapeHtml(conflict.method))
+                        .replace("<mods>", () => conflict.modIds.map(getTitle).join(", "))
+                ),
+        ];
+        shownModLoadFailures = modManager.loadFailures.slice();
+        shownModErrors = modManager.modErrors.slice();
+        shownPatchConflicts = shapezAPI.patches.conflicts.slice();
+
+        if (lines.length > 0) {
+            this.dialogs.showWarning(
+                T.mods.problems.title,
+                T.mods.problems.text + "<br><br>" + lines.join("<br>")
+            );
+        }
+    }
+
     onLeave() {
         this.dialogs.cleanup();
     }
@@ -0,0 +1,496 @@
+import { TextualGameState } from "../core/textual_game_state";
+import { escapeHtml, generateFileDownload, makeDiv, removeAllChildren, startFileChoose } from "../core/utils";
+import {
+    applyModPackFile,
+    exportModPackFile,
+    getModPackFileDiff,
+    validateModPackFile,
+} from "../modloader/modpack_file";
+import { T } from "../translations";
+
+export class ModsState extends TextualGameState {
+    constructor() {
+        super("ModsState");
+    }
+
+    getStateHeaderTitle() {
+        return T.mods.title;
+    }
+
+    getMainContentHTML() {
+        return `
+            <div class="topEntries">
+                <span class="hint">${T.mods.hint}</span>
+                <button class="styledButton exportModPack">${T.mods.exportModPack}</button>
+                <button class="styledButton importModPack">${T.mods.importModPack}</button>
+                <button class="styledButton browseRepository">${T.mods.browseRepository}</button>
+            </div>
+
+            <div class="restartHint">
+                <span>${T.mods.restartRequired}</span>
+                ${
+                    this.app.platformWrapper.getSupportsRestart()
+                        ? `<button class="styledButton restart">${T.dialogs.buttons.restart}</button>`
+                        : ""
+                }
+            </div>
+
+            <div class="mods">
+                ${shapezAPI.mods.size === 0 ? `<span class="noMods">${T.mods.noMods}</span>` : ""}
+            </div>
+
+            <div class="repository"></div>
+        `;
+    }
+
+    onEnter() {
+        /** @type {import("../modloader/modmanager").ModPack} */
+        const modPack = shapezAPI.modManager.modPack || { mods: [] };
+
+        /**
+         * Order of all registered mods, including the disabled ones
+         * @type {Array<string>}
+         */
+        this.modOrder = (modPack.modOrder || shapezAPI.modOrder).filter(id => shapezAPI.mods.has(id));
+        for (const id of shapezAPI.mods.keys()) {
+            if (!this.modOrder.includes(id)) {
+                this.modOrder.push(id);
+            }
+        }
+
+        /** @type {Array<string>} */
+        this.disabled = (modPack.disabled || []).slice();
+
+        /** @type {Object<string, HTMLElement>} */
+        this.modElements = {};
+
+        const restartButton = this.htmlElement.querySelector(".restart");
+        if (restartButton) {
+            this.trackClicks(restartButton, () => this.app.platformWrapper.performRestart());
+        }
+
+        this.trackClicks(this.htmlElement.querySelector(".exportModPack"), this.exportModPack);
+        this.trackClicks(this.htmlElement.querySelector(".importModPack"), this.importModPack);
+        this.trackClicks(this.htmlElement.querySelector(".browseRepository"), this.browseRepository);
+
+        const parent = this.htmlElement.querySelector(".mods");
+        for (let i = 0; i < this.modOrder.length; ++i) {
+            this.modElements[this.modOrder[i]] = this.createModElement(parent, this.modOrder[i]);
+        }
+
+        this.updateMods();
+    }
+
+    /**
+     * @param {Element} parent
+     * @param {string} id
+     * @returns {HTMLElement}
+     */
+    createModElement(parent, id) {
+        const mod = shapezAPI.mods.get(id);
+
+        const elem = makeDiv(parent, null, ["mod"]);
+        elem.setAttribute("data-mod-id", id);
+
+        const header = makeDiv(elem, null, ["header"]);
+
+        const title = makeDiv(header, null, ["title"]);
+        title.innerText = mod.title;
+
+        const version = makeDiv(header, null, ["version"]);
+        version.innerText = mod.version;
+
+        const moveUpButton = document.createElement("button");
+        moveUpButton.classList.add("styledButton", "moveUp");
+        moveUpButton.innerText = T.mods.moveUp;
+        header.appendChild(moveUpButton);
+        this.trackClicks(moveUpButton, () => this.moveMod(id, -1));
+
+        const moveDownButton = document.createElement("button");
+        moveDownButton.classList.add("styledButton", "moveDown");
+        moveDownButton.innerText = T.mods.moveDown;
+        header.appendChild(moveDownButton);
+        this.trackClicks(moveDownButton, () => this.moveMod(id, 1));
+
+        const reloadButton = document.createElement("button");
+        reloadButton.classList.add("styledButton", "reload");
+        reloadButton.innerText = T.mods.reload;
+        header.appendChild(reloadButton);
+        if (shapezAPI.modOrder.includes(id) && shapezAPI.modManager.modSources.has(id)) {
+            this.trackClicks(reloadButton, () => this.reloadMod(id));
+        } else {
+            reloadButton.classList.add("disabled");
+        }
+
+        const checkbox = makeDiv(header, null, ["value", "checkbox"], `<span class="knob"></span>`);
+        this.trackClicks(checkbox, () => this.toggleMod(id));
+
+        if (mod.authors && mod.authors.length > 0) {
+            const authors = makeDiv(elem, null, ["authors"]);
+            authors.innerText = T.mods.authors.replace("<authors>", mod.authors.join(", "));
+        }
+
+        if (mod.description) {
+            const desc = makeDiv(elem, null, ["desc"]);
+            desc.innerText = mod.description;
+        }
+
+        const modManager = shapezAPI.modManager;
+        const formatVersion = version => (version === "*" ? "" : " " + version);
+
+        const dependencies = modManager.getDependencies(mod);
+        if (dependencies.length > 0) {
+            const dependenciesElem = makeDiv(elem, null, ["dependencies"]);
+            dependenciesElem.innerText = T.mods.dependencies.replace(
+                "<mods>",
+                dependencies
+                    .map(other => this.getModTitle(other.id) + formatVersion(other.version))
+                    .join(", ")
+            );
+        }
+
+        const incompatibilities = modManager.getIncompatibilities(mod);
+        if (incompatibilities.length > 0) {
+            const incompatibleElem = makeDiv(elem, null, ["incompatible"]);
+            incompatibleElem.innerText = T.mods.incompatible.replace(
+                "<mods>",
+                incompatibilities
+                    .map(other => this.getModTitle(other.id) + formatVersion(other.version))
+                    .join(", ")
+            );
+        }
+
+        const failures = modManager.loadFailures.filter(failure => failure.modId === id);
+        for (let i = 0; i < failures.length; ++i) {
+            const failure = makeDiv(elem, null, ["failure"]);
+            failure.innerText = modManager.describeLoadFailure(failures[i]);
+        }
+
+        const errors = modManager.modErrors.filter(error => error.modId === id);
+        for (let i = 0; i < errors.length; ++i) {
+            const error = makeDiv(elem, null, ["failure"]);
+            error.innerText = modManager.describeModError(errors[i]);
+        }
+
+        return elem;
+    }
+
+    /**
+     * Returns the title of a mod, or its id if it is not registered
+     * @param {string} id
+     * @returns {string}
+     */
+    getModTitle(id) {
+        const mod = shapezAPI.mods.get(id);
+        return mod ? mod.title : id;
+    }
+
+    /**
+     * Syncs the order and state of the mod elements
+     */
+    updateMods() {
+        const parent = this.htmlElement.querySelector(".mods");
+        for (let i = 0; i < this.modOrder.length; ++i) {
+            const id = this.modOrder[i];
+            const elem = this.modElements[id];
+            parent.appendChild(elem);
+
+            const enabled = !this.disabled.includes(id);
+            elem.classList.toggle("disabled", !enabled);
+            elem.querySelector(".checkbox").classList.toggle("checked", enabled);
+            elem.querySelector(".moveUp").classList.toggle("disabled", i === 0);
+            elem.querySelector(".moveDown").classList.toggle("disabled", i === this.modOrder.length - 1);
+        }
+    }
+
+    /**
+     * @param {string} id
+     */
+    toggleMod(id) {
+        const index = this.disabled.indexOf(id);
+        if (index >= 0) {
+            this.disabled.splice(index, 1);
+        } else {
+            this.disabled.push(id);
+        }
+        this.updateMods();
+        this.writeModPack();
+    }
+
+    /**
+     * Moves a mod up (-1) or down (1) in the load order
+     * @param {string} id
+     * @param {number} direction
+     */
+    moveMod(id, direction) {
+        const index = this.modOrder.indexOf(id);
+        const newIndex = index + direction;
+        if (newIndex < 0 || newIndex >= this.modOrder.length) {
+            return;
+        }
+
+        this.modOrder[index] = this.modOrder[newIndex];
+        this.modOrder[newIndex] = id;
+        this.updateMods();
+        this.writeModPack();
+    }
+
+    /**
+     * @param {string} id
+     */
+    reloadMod(id) {
+        const closeLoader = this.dialogs.showLoadingDialog();
+        shapezAPI.modManager.reloadMod(id).then(
+            () => {
+                closeLoader();
+                this.dialogs.showInfo(
+                    T.mods.reloaded.title,
+                    T.mods.reloaded.text.replace("<title>", this.getModTitle(id))
+                );
+            },
+            err => {
+                closeLoader();
+                this.dialogs.showWarning(
+                    T.mods.reloadFailed.title,
+                    T.mods.reloadFailed.text + "<br><br>" + err
+                );
+            }
+        );
+    }
+
+    /**
+     * Downloads the current mod setup as modpack file
+     */
+    exportModPack() {
+        generateFileDownload("shapez-modpack.json", JSON.stringify(exportModPackFile(), null, 4));
+    }
+
+    /**
+     * Lets the player choose a modpack file and shows what changes before applying it
+     */
+    importModPack() {
+        startFileChoose(".json").then(file => {
+            if (!file) {
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.addEventListener("load", event => {
+                let modPackFile;
+                try {
+                    modPackFile = JSON.parse(String(event.target.result));
+                } catch (err) {
+                    this.dialogs.showWarning(
+                        T.mods.importFailed.title,
+                        T.mods.importFailed.text + "<br><br>" + escapeHtml(err)
+                    );
+                    return;
+                }
+
+                const error = validateModPackFile(modPackFile);
+                if (error) {
+                    this.dialogs.showWarning(
+                        T.mods.importFailed.title,
+                        T.mods.importFailed.text + "<br><br>" + escapeHtml(error)
+                    );
+                    return;
+                }
+
+                const { apply } = this.dialogs.showWarning(
+                    T.mods.importDiff.title,
+                    this.formatModPackDiff(getModPackFileDiff(modPackFile)),
+                    ["cancel:good:escape", "apply:bad"]
+                );
+                apply.add(() => this.applyModPack(modPackFile));
+            });
+            reader.addEventListener("error", () => {
+                this.dialogs.showWarning(T.mods.importFailed.title, T.mods.importFailed.text);
+            });
+            reader.readAsText(file, "utf-8");
+        });
+    }
+
+    /**
+     * @param {import("../modloader/modpack_file").ModPackFileDiff} diff
+     * @returns {string}
+     */
+    formatModPackDiff(diff) {
+        const sections = [];
+
+        // The lines come from the modpack file, so they must not contain html
+        const addSection = (title, lines) => {
+            if (lines.length > 0) {
+                sections.push("<strong>" + title + "</strong><br>" + lines.map(escapeHtml).join("<br>"));
+            }
+        };
+
+        addSection(
+            T.mods.importDiff.added,
+            diff.added.map(mod => mod.title + " (" + mod.version + ")")
+        );
+        addSection(
+            T.mods.importDiff.removed,
+            diff.removed.map(mod => mod.title + " (" + mod.version + ")")
+        );
+        addSection(
+            T.mods.importDiff.versionChanged,
+            diff.versionChanged.map(mod => mod.title + " (" + mod.from + " → " + mod.to + ")")
+        );
+        addSection(T.mods.importDiff.enabled, diff.enabled);
+        addSection(T.mods.importDiff.disabled, diff.disabled);
+        addSection(T.mods.importDiff.settingsChanged, diff.settingsChanged);
+        addSection(T.mods.importDiff.repository, diff.repository ? [diff.repository] : []);
+        if (diff.orderChanged) {
+            sections.push("<strong>" + T.mods.importDiff.orderChanged + "</strong>");
+        }
+
+        if (sections.length === 0) {
+            return T.mods.importDiff.noChanges;
+        }
+        return T.mods.importDiff.desc + "<br><br>" + sections.join("<br><br>");
+    }
+
+    /**
+     * @param {import("../modloader/modpack_file").ModPackFile} modPackFile
+     */
+    applyModPack(modPackFile) {
+        const closeLoader = this.dialogs.showLoadingDialog();
+        applyModPackFile(this.app, modPackFile).then(
+            notInstalled => {
+                closeLoader();
+                this.htmlElement.querySelector(".restartHint").classList.add("visible");
+                if (notInstalled.length > 0) {
+                    this.dialogs.showWarning(
+                        T.mods.importIncomplete.title,
+                        T.mods.importIncomplete.text + "<br><br>" + notInstalled.map(escapeHtml).join("<br>")
+                    );
+                }
+            },
+            err => {
+                closeLoader();
+                this.dialogs.showWarning(
+                    T.mods.importFailed.title,
+                    T.mods.importFailed.text + "<br><br>" + escapeHtml(err)
+                );
+            }
+        );
+    }
+
+    /**
+     * Fetches the index of the mod repository and lists its mods
+     */
+    browseRepository() {
+        const closeLoader = this.dialogs.showLoadingDialog();
+        shapezAPI.modManager.repository.fetchIndex().then(
+            index => {
+                closeLoader();
+                const parent = this.htmlElement.querySelector(".repository");
+                removeAllChildren(parent);
+
+                const title = makeDiv(parent, null, ["title"]);
+                title.innerText = T.mods.repository;
+
+                if (index.mods.length === 0) {
+                    makeDiv(parent, null, ["noMods"], T.mods.noRepositoryMods);
+                }
+                for (let i = 0; i < index.mods.length; ++i) {
+                    this.createRepositoryElement(parent, index.mods[i]);
+                }
+            },
+            err => {
+                closeLoader();
+                this.dialogs.showWarning(
+                    T.mods.repositoryFailed.title,
+                    T.mods.repositoryFailed.text + "<br><br>" + err
+                );
+            }
+        );
+    }
+
+    /**
+     * @param {Element} parent
+     * @param {import("../modloader/mod_repository").ModRepositoryEntry} entry
+     */
+    createRepositoryElement(parent, entry) {
+        const repository = shapezAPI.modManager.repository;
+        const version = repository.findVersion(entry, "*");
+        const installed = shapezAPI.mods.get(entry.id);
+
+        const elem = makeDiv(parent, null, ["mod"]);
+        const header = makeDiv(elem, null, ["header"]);
+
+        const title = makeDiv(header, null, ["title"]);
+        title.innerText = entry.title;
+
+        const versionElem = makeDiv(header, null, ["version"]);
+        versionElem.innerText = version ? version.version : "";
+
+        const installButton = document.createElement("button");
+        installButton.classList.add("styledButton", "install");
+        header.appendChild(installButton);
+        if (installed && (!version || installed.version === version.version)) {
+            installButton.innerText = T.mods.installed;
+            installButton.classList.add("disabled");
+        } else {
+            installButton.innerText = T.mods.install;
+            this.trackClicks(installButton, () => this.installMod(entry.id));
+        }
+
+        if (entry.authors && entry.authors.length > 0) {
+            const authors = makeDiv(elem, null, ["authors"]);
+            authors.innerText = T.mods.authors.replace("<authors>", entry.authors.join(", "));
+        }
+
+        if (entry.description) {
+            const desc = makeDiv(elem, null, ["desc"]);
+            desc.innerText = entry.description;
+        }
+    }
+
+    /**
+     * Installs a mod and its dependencies from the repository
+     * @param {string} id
+     */
+    installMod(id) {
+        const closeLoader = this.dialogs.showLoadingDialog();
+        shapezAPI.modManager.repository.install(id).then(
+            steps => {
+                closeLoader();
+                this.htmlElement.querySelector(".restartHint").classList.add("visible");
+                this.dialogs.showInfo(
+                    T.mods.installSuccess.title,
+                    T.mods.installSuccess.text.replace(
+                        "<mods>",
+                        steps
+                            .map(step => escapeHtml(step.entry.title + " " + step.version.version))
+                            .join(", ")
+                    )
+                );
+            },
+            err => {
+                closeLoader();
+                this.dialogs.showWarning(
+                    T.mods.installFailed.title,
+                    T.mods.installFailed.text + "<br><br>" + escapeHtml(err)
+                );
+            }
+        );
+    }
+
+    /**
+     * Writes the order and disabled mods to the mod pack, they are applied on the next start
+     */
+    writeModPack() {
+        const modManager = shapezAPI.modManager;
+        const modPack = Object.assign({ mods: [] }, modManager.modPack, {
+            modOrder: this.modOrder.slice(),
+            disabled: this.disabled.slice(),
+        });
+
+        modManager.writeModPack(modPack).then(
+            () => this.htmlElement.querySelector(".restartHint").classList.add("visible"),
+            err =>
+                this.dialogs.showWarning(T.mods.saveFailed.title, T.mods.saveFailed.text + "<br><br>" + err)
+        );
+    }
+}
@@ -152,6 +152,14 @@ export class PreloadState extends GameState {
                     });
                 })
 
+            .then(() => this.setStatus("Initializing blueprints"))
+                .then(() => {
+                    return this.app.blueprintLibrary.initialize().catch(err => {
+                        // Not worth bothering the player, the library just starts empty
+                        logger.error("Failed to initialize blueprint library:", err);
+                    });
+                })
+
             .then(() => this.setStatus("Downloading resources"))
                 .then(() => {
                     return this.app.backgroundResourceLoader.getPromiseForBareGame();
@@ -1,6 +1,7 @@
 import { TextualGameState } from "../core/textual_game_state";
 import { formatSecondsToTimeAgo } from "../core/utils";
 import { allApplicationSettings, enumCategories } from "../profile/application_settings";
+import { getModSettingsCategories } from "../profile/mod_settings";
 import { T } from "../translations";
 export class SettingsState extends TextualGameState {
     constructor() {
@@ -38,9 +39,18 @@ export class SettingsState extends TextualGameState {
         return SettingsState.extraSideBarButtons.join("");
     }
 
-    getCategoryButtonsHtml() {
+    /**
+     * Returns all categories, including one for each mod with settings
+     * @returns {Array<string>}
+     */
+    getCategories() {
         return Object.keys(enumCategories)
             .map(key => enumCategories[key])
+            .concat(getModSettingsCategories());
+    }
+
+    getCategoryButtonsHtml() {
+        return this.getCategories()
             .map(
                 category =>
                     `
@@ -55,8 +65,7 @@ export class SettingsState extends TextualGameState {
     getSettingsHtml() {
         const categoriesHTML = {};
 
-        Object.keys(enumCategories).forEach(key => {
-            const catName = enumCategories[key];
+        this.getCategories().forEach(catName => {
             categoriesHTML[catName] = `<div class="category" data-category="${catName}">`;
         });
 
@@ -88,6 +97,7 @@ export class SettingsState extends TextualGameState {
     }
 
     onEnter(payload) {
+        this.app.settings.initializeModSettings();
         this.renderBuildText();
 
         for (let i = 0; i < SettingsState.trackClicks.length; i++) {
@@ -147,8 +157,7 @@ export class SettingsState extends TextualGameState {
     }
 
     initCategoryButtons() {
-        Object.keys(enumCategories).forEach(key => {
-            const category = enumCategories[key];
+        this.getCategories().forEach(category => {
             const button = this.htmlElement.querySelector("[data-category-btn='" + category + "']");
             this.trackClicks(
                 button,
@@ -137,6 +137,17 @@ export function matchOverwriteRecursive(dest, src) {
     }
 }
 
+/** The language which was applied last */
+let applicationLanguageId = "en";
+
+/**
+ * Returns the id of the language which was applied last
+ * @returns {string}
+ */
+export function getApplicationLanguageId() {
+    return applicationLanguageId;
+}
+
 export function updateApplicationLanguage(id) {
     logger.log("Setting application language:", id);
 
@@ -146,6 +157,7 @@ export function updateApplicationLanguage(id) {
         logger.error("Unknown language:", id);
         return;
     }
+    applicationLanguageId = id;
 
     if (data.data) {
         logger.log("Applying translations ...");
@@ -156,9 +168,13 @@ export function updateApplicationLanguage(id) {
             if (!language) continue;
             matchOverwriteRecursive(shapezAPI.translations, language);
         }
-        for (let i = 0; i < shapezAPI.modOrder.length; i++) {
-            const mod = shapezAPI.mods.get(shapezAPI.modOrder[i]);
-            mod.updateStaticTranslations(id);
+        const modOrder = shapezAPI.modOrder.slice();
+        for (let i = 0; i < modOrder.length; i++) {
+            const mod = shapezAPI.mods.get(modOrder[i]);
+            if (!shapezAPI.modOrder.includes(mod.id)) continue;
+            shapezAPI.modManager.runModEntryPoint(mod.id, "updateStaticTranslations", () =>
+                mod.updateStaticTranslations(id)
+            );
         }
     }
 }
\ No newline at end of file